@@ -0,0 +1,118 @@
+/**
+ * Generate Packs - Manifests of the built-in packs for lazy registration
+ * @fileoverview Imports each adapter module in the order of the main entry, records the formats and adapter metadata its pack registers, and writes them to src/packs.generated.mjs
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { isDeepStrictEqual } from 'node:util';
+
+const root = new URL('../', import.meta.url);
+const outputURL = new URL('src/packs.generated.mjs', root);
+
+/**
+ * Adapter metadata a stand-in reports before its pack loads, with the defaults getAdapterInfo applies
+ */
+const METADATA_DEFAULTS = {
+  version: '1.0.0',
+  supportsStreaming: false,
+  isAI: false,
+  extensions: [],
+  mimeTypes: [],
+  binary: false,
+  parseOnly: false,
+  formatOnly: false,
+};
+
+/**
+ * Built-in pack as written to src/packs.generated.mjs, without its loader
+ * @typedef {Object} BuiltinPackManifest
+ * @property {string} name - Pack name
+ * @property {string} module - Adapter module registering the pack, relative to src
+ * @property {string[]} formats - Formats the pack registers
+ * @property {Record<string, Object>} adapters - Metadata of each format that differs from the defaults of getAdapterInfo
+ */
+
+/**
+ * Metadata of a registered adapter that differs from the defaults of getAdapterInfo
+ * @param {import('../src/core/registry.mjs').AdapterInfo} info - Adapter information
+ * @returns {Object} Adapter metadata
+ */
+function describeAdapter(info) {
+  const metadata = {};
+  for (const [key, fallback] of Object.entries(METADATA_DEFAULTS)) {
+    if (!isDeepStrictEqual(info[key], fallback)) {
+      metadata[key] = info[key];
+    }
+  }
+  if (info.lossless) {
+    metadata.lossless = info.lossless;
+  }
+  return metadata;
+}
+
+/**
+ * Import the adapter modules of the main entry one at a time and record what each pack registers
+ * Imports register the packs eagerly, so call it in a process that has not registered them yet.
+ * @returns {Promise<BuiltinPackManifest[]>} Built-in packs, in the order the main entry imports them
+ */
+export async function collectBuiltinPacks() {
+  const entry = await readFile(new URL('src/index.mjs', root), 'utf8');
+  const modules = [...entry.matchAll(/^import '\.\/(adapters\/[\w-]+\.mjs)';$/gm)].map(
+    match => match[1]
+  );
+  const { getAdapterInfo, listAdapters } = await import(new URL('src/core/index.mjs', root).href);
+
+  const packs = [];
+  let registered = new Map();
+  for (const module of modules) {
+    await import(new URL(`src/${module}`, root).href);
+    const current = new Map(listAdapters().map(name => [name, getAdapterInfo(name)]));
+    const added = [...current].filter(([name, info]) => registered.get(name)?.pack !== info.pack);
+    registered = current;
+
+    const names = new Set(added.map(([, info]) => info.pack));
+    if (names.size !== 1 || names.has(undefined)) {
+      throw new Error(`${module} must register exactly one pack, registered: ${[...names]}`);
+    }
+    packs.push({
+      name: added[0][1].pack,
+      module: `./${module}`,
+      formats: added.map(([name]) => name),
+      adapters: Object.fromEntries(added.map(([name, info]) => [name, describeAdapter(info)])),
+    });
+  }
+  return packs;
+}
+
+/**
+ * Render src/packs.generated.mjs
+ * @param {BuiltinPackManifest[]} packs - Built-in packs
+ * @returns {Promise<string>} Module source, formatted with the repository's prettier config
+ */
+export async function renderBuiltinPacks(packs) {
+  const { format, resolveConfig } = await import('prettier');
+  const entries = packs.map(({ module, ...pack }) => {
+    const fields = JSON.stringify(pack).slice(1, -1);
+    return `{ ${fields}, load: () => import('${module}') }`;
+  });
+  const source = `/**
+ * Built-in Packs - Formats and adapter metadata of each pack bundled with zod-to-from
+ * @fileoverview Generated by scripts/generate-packs.mjs from the adapter modules; run \`pnpm generate:packs\` after changing them instead of editing this file
+ */
+
+/**
+ * Built-in packs, in the order the main entry imports them
+ * Later packs take precedence for formats two packs provide, such as csv.
+ * @type {Array<{name: string, formats: string[], adapters: Record<string, Object>, load: function(): Promise<unknown>}>}
+ */
+export const builtinPacks = [${entries.join(',\n')}];
+`;
+  const config = await resolveConfig(fileURLToPath(outputURL));
+  return format(source, { ...config, filepath: fileURLToPath(outputURL) });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await writeFile(outputURL, await renderBuiltinPacks(await collectBuiltinPacks()));
+  console.log(`Wrote ${fileURLToPath(outputURL)}`);
+}
@@ -3,10 +3,20 @@
  * @typedef {import('zod').ZodSchema} ZodSchema
  */
 
-import { generateObject } from 'ai';
-import { ollama } from 'ollama-ai-provider-v2';
 import { createPackManifest, registerPack } from '../core/index.mjs';
 
+/**
+ * Load the AI SDK and the Ollama provider on first use, keeping them out of module load
+ * @returns {Promise<{generateObject: Function, ollama: Function}>} AI SDK functions
+ */
+async function loadAISdk() {
+  const [{ generateObject }, { ollama }] = await Promise.all([
+    import('ai'),
+    import('ollama-ai-provider-v2'),
+  ]);
+  return { generateObject, ollama };
+}
+
 /**
  * AI-Assisted DOCX Adapter
  * Uses 'mammoth' to extract raw text and the Vercel AI SDK to structure it.
@@ -15,7 +25,7 @@ import { createPackManifest, registerPack } from '../core/index.mjs';
 const docxAiAdapter = {
   async parse(
     input,
-    /** @type {{schema?: ZodSchema, model?: string, prompt?: string}} */ opts = {}
+    /** @type {{schema?: ZodSchema, model?: string, prompt?: string, signal?: AbortSignal}} */ opts = {}
   ) {
     if (!opts.schema) {
       throw new Error('A Zod schema is required for AI-assisted parsing.');
@@ -28,9 +38,11 @@ const docxAiAdapter = {
     const { value: textContent } = await mammoth.extractRawText({ buffer });
 
     // 2. Use the Vercel AI SDK's generateObject to get a structured response
+    const { generateObject, ollama } = await loadAISdk();
     const { object } = await generateObject({
       model: ollama(opts.model || 'qwen3-coder'),
       schema: opts.schema,
+      abortSignal: opts.signal,
       prompt:
         opts.prompt ||
         `Extract the relevant information from the following document text and format it according to the provided schema.\n\nDOCUMENT:\n"""${textContent}"""`,
@@ -45,6 +57,11 @@ const docxAiAdapter = {
     );
   },
 
+  extensions: ['docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  binary: true,
+  parseOnly: true,
+  abortable: true,
   supportsStreaming: false,
   isAI: true,
   version: '1.0.0',
@@ -58,7 +75,7 @@ const docxAiAdapter = {
 const pptxAiAdapter = {
   async parse(
     input,
-    /** @type {{schema?: ZodSchema, model?: string, prompt?: string}} */ opts = {}
+    /** @type {{schema?: ZodSchema, model?: string, prompt?: string, signal?: AbortSignal}} */ opts = {}
   ) {
     if (!opts.schema) {
       throw new Error('A Zod schema is required for AI-assisted parsing.');
@@ -88,9 +105,11 @@ const pptxAiAdapter = {
       .join('\n');
 
     // 2. Use generateObject to structure the extracted text
+    const { generateObject, ollama } = await loadAISdk();
     const { object } = await generateObject({
       model: ollama(opts.model || 'qwen3-coder'),
       schema: opts.schema,
+      abortSignal: opts.signal,
       prompt:
         opts.prompt ||
         `Extract the relevant information from the following slide content and format it according to the provided schema.\n\nSLIDES:\n"""${textContent}"""`,
@@ -105,6 +124,11 @@ const pptxAiAdapter = {
     );
   },
 
+  extensions: ['pptx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  binary: true,
+  parseOnly: true,
+  abortable: true,
   supportsStreaming: false,
   isAI: true,
   version: '1.0.0',
@@ -118,7 +142,7 @@ const pptxAiAdapter = {
 const xlsxAiAdapter = {
   async parse(
     input,
-    /** @type {{schema?: ZodSchema, model?: string, prompt?: string}} */ opts = {}
+    /** @type {{schema?: ZodSchema, model?: string, prompt?: string, signal?: AbortSignal}} */ opts = {}
   ) {
     if (!opts.schema) {
       throw new Error('A Zod schema is required for AI-assisted parsing.');
@@ -138,9 +162,11 @@ const xlsxAiAdapter = {
     });
 
     // 2. Use generateObject to normalize the potentially messy CSV data
+    const { generateObject, ollama } = await loadAISdk();
     const { object } = await generateObject({
       model: ollama(opts.model || 'qwen3-coder'),
       schema: opts.schema,
+      abortSignal: opts.signal,
       prompt:
         opts.prompt ||
         `Normalize the following CSV data into the provided schema. The headers may be messy or inconsistent.\n\nCSV DATA:\n"""${csvContent}"""`,
@@ -155,6 +181,11 @@ const xlsxAiAdapter = {
     );
   },
 
+  extensions: ['xlsx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  binary: true,
+  parseOnly: true,
+  abortable: true,
   supportsStreaming: false,
   isAI: true,
   version: '1.0.0',
@@ -297,6 +297,8 @@ const emlAdapter = {
     }
   },
 
+  extensions: ['eml'],
+  mimeTypes: ['message/rfc822'],
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -526,6 +528,8 @@ const icsAdapter = {
     }
   },
 
+  extensions: ['ics', 'ical', 'ifb'],
+  mimeTypes: ['text/calendar'],
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -596,7 +600,8 @@ const msgpackAdapter = {
         throw new Error('MessagePack format data cannot be undefined');
       }
 
-      const encoded = encode(data);
+      // Deterministic output writes map keys in sorted order
+      const encoded = encode(data, { sortKeys: Boolean(opts.deterministic) });
 
       // Return as base64 string by default for easier handling
       const base64String = btoa(String.fromCodePoint(...encoded));
@@ -622,6 +627,10 @@ const msgpackAdapter = {
     }
   },
 
+  extensions: ['msgpack', 'mpk'],
+  mimeTypes: ['application/msgpack', 'application/x-msgpack'],
+  binary: true,
+  lossless: { types: ['string', 'number', 'boolean', 'null', 'date', 'object', 'array'] },
   supportsStreaming: true,
   isAI: false,
   version: '1.0.0',
@@ -897,6 +906,8 @@ const vcardAdapter = {
     }
   },
 
+  extensions: ['vcf', 'vcard'],
+  mimeTypes: ['text/vcard', 'text/x-vcard'],
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -1,11 +1,131 @@
 /**
  * @typedef {import('../core/registry.mjs').Adapter} Adapter
+ * @typedef {import('zod').ZodType} ZodType
  */
 
 import { parse as csvParse } from 'csv-parse/sync';
 import { stringify as csvStringifyAsync } from 'csv-stringify';
+import { stringify as csvStringify } from 'csv-stringify/sync';
 import { promisify } from 'node:util';
-import { createPackManifest, registerPack } from '../core/index.mjs';
+import { createPackManifest, registerPack, locateCSV, locateJSON } from '../core/index.mjs';
+
+/**
+ * Strip optional/nullable/default and effect wrappers from a Zod type
+ * @param {ZodType} zodType - The Zod type to unwrap
+ * @returns {{type: ZodType, optional: boolean, nullable: boolean, defaultValue?: unknown}} The inner type, its wrapper flags and any default value
+ */
+function unwrapZodType(zodType) {
+  let type = zodType;
+  let optional = false;
+  let nullable = false;
+  let defaultValue;
+
+  while (type?._def) {
+    switch (type._def.typeName) {
+      case 'ZodDefault': {
+        optional = true;
+        defaultValue ??= type._def.defaultValue();
+        type = type._def.innerType;
+        continue;
+      }
+      case 'ZodOptional':
+      case 'ZodCatch': {
+        optional = true;
+        type = type._def.innerType;
+        continue;
+      }
+      case 'ZodNullable': {
+        nullable = true;
+        type = type._def.innerType;
+        continue;
+      }
+      case 'ZodReadonly': {
+        type = type._def.innerType;
+        continue;
+      }
+      case 'ZodEffects': {
+        type = type._def.schema;
+        continue;
+      }
+      case 'ZodBranded': {
+        type = type._def.type;
+        continue;
+      }
+      case 'ZodPipeline': {
+        type = type._def.in;
+        continue;
+      }
+      case 'ZodLazy': {
+        type = type._def.getter();
+        continue;
+      }
+    }
+    break;
+  }
+
+  return { type, optional, nullable, defaultValue };
+}
+
+/**
+ * Resolve the per-record object schema from a Zod schema describing rows
+ * Accepts either an object schema or an array of object schemas.
+ * @param {ZodType} [schema] - Zod schema passed to the adapter
+ * @returns {import('zod').AnyZodObject|undefined} The record schema, if one can be determined
+ */
+function getRecordSchema(schema) {
+  if (!schema) {
+    return undefined;
+  }
+  let { type } = unwrapZodType(schema);
+  if (type._def.typeName === 'ZodArray') {
+    type = unwrapZodType(type._def.type).type;
+  }
+  return type._def.typeName === 'ZodObject' ? type : undefined;
+}
+
+/**
+ * Convert a record's booleans to the CSV representation read back by the CSV adapter
+ * @param {Record<string, unknown>} record - Record to write
+ * @returns {Record<string, unknown>} Record with booleans as '1' or ''
+ */
+function toCSVRecord(record) {
+  const converted = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (typeof value === 'boolean') {
+      converted[key] = value ? '1' : '';
+    } else {
+      converted[key] = value;
+    }
+  }
+  return converted;
+}
+
+/**
+ * Resolve the columns of CSV output
+ * Deterministic output lists every key of every record in sorted order, so columns do not depend
+ * on which record comes first; otherwise csv-stringify uses the keys of the first record.
+ * @param {Record<string, unknown>[]} records - Records to write
+ * @param {{columns?: string[], deterministic?: boolean}} opts - Format options
+ * @returns {string[]|undefined} Columns, or undefined to let csv-stringify decide
+ */
+function csvColumns(records, opts) {
+  if (opts.columns !== undefined || !opts.deterministic) {
+    return opts.columns;
+  }
+  return [...new Set(records.flatMap(record => Object.keys(record)))].sort();
+}
+
+/**
+ * Split records into consecutive batches
+ * @param {unknown[]} records - Records to split
+ * @param {number} batchSize - Records per batch
+ * @returns {Generator<unknown[]>} Batches
+ */
+function* batchRecords(records, batchSize) {
+  for (let start = 0; start < records.length; start += batchSize) {
+    yield records.slice(start, start + batchSize);
+  }
+}
 
 /**
  * CSV adapter for parsing and formatting CSV data
@@ -83,17 +203,8 @@ const csvAdapter = {
     const records = Array.isArray(data) ? data : [data];
 
     // Convert booleans to strings for CSV output
-    const convertedRecords = records.map(record => {
-      const converted = {};
-      for (const [key, value] of Object.entries(record)) {
-        if (typeof value === 'boolean') {
-          converted[key] = value ? '1' : '';
-        } else {
-          converted[key] = value;
-        }
-      }
-      return converted;
-    });
+    const convertedRecords = records.map(record => toCSVRecord(record));
+    options.columns = csvColumns(convertedRecords, options);
 
     const stringifyAsync = promisify(csvStringifyAsync);
     let csv = await stringifyAsync(convertedRecords, options);
@@ -117,6 +228,32 @@ const csvAdapter = {
     };
   },
 
+  async *formatStream(data, opts = {}) {
+    const { batchSize = 1000, ...options } = { header: true, ...opts };
+    const records = Array.isArray(data) ? data : [data];
+    if (records.length === 0) {
+      return;
+    }
+
+    // Fix the columns up front so every batch lines up with the header
+    const columns = csvColumns(records, options) ?? Object.keys(records[0]);
+    let header = options.header;
+    for (const batch of batchRecords(records, batchSize)) {
+      yield csvStringify(
+        batch.map(record => toCSVRecord(record)),
+        { ...options, columns, header }
+      );
+      header = false;
+    }
+  },
+
+  locate(input, opts = {}) {
+    return locateCSV(input, opts);
+  },
+
+  extensions: ['csv', 'tsv'],
+  mimeTypes: ['text/csv', 'text/tab-separated-values'],
+  lossless: { types: ['string', 'number', 'object', 'array'], root: 'array', maxDepth: 2 },
   supportsStreaming: true,
   isAI: false,
   version: '1.0.0',
@@ -165,6 +302,21 @@ const ndjsonAdapter = {
     };
   },
 
+  async *formatStream(data, opts = {}) {
+    const { batchSize = 1000 } = opts;
+    const records = Array.isArray(data) ? data : [data];
+
+    // Lines are separated, not terminated, matching format()
+    let separator = '';
+    for (const batch of batchRecords(records, batchSize)) {
+      yield separator + batch.map(record => JSON.stringify(record)).join('\n');
+      separator = '\n';
+    }
+  },
+
+  extensions: ['ndjson', 'jsonl'],
+  mimeTypes: ['application/x-ndjson', 'application/jsonl'],
+  lossless: { types: ['string', 'number', 'boolean', 'null', 'object', 'array'], root: 'array' },
   supportsStreaming: true,
   isAI: false,
   version: '1.0.0',
@@ -178,6 +330,21 @@ const sqliteAdapter = {
     const sqlite3 = await import('sqlite3');
     const { Database } = sqlite3.default;
 
+    if (typeof input !== 'string') {
+      // Database bytes, such as the Buffer format returns, are queried from a temporary copy
+      const fs = await import('node:fs/promises');
+      const path = await import('node:path');
+      const os = await import('node:os');
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ztf-sqlite-'));
+      const filename = path.join(tempDir, 'input.sqlite');
+      try {
+        await fs.writeFile(filename, input instanceof ArrayBuffer ? new Uint8Array(input) : input);
+        return await sqliteAdapter.parse(filename, opts);
+      } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    }
+
     return new Promise((resolve, reject) => {
       const db = new Database(input);
       const query = opts.query || 'SELECT * FROM sqlite_master';
@@ -208,134 +375,2360 @@ const sqliteAdapter = {
   },
 
   async format(data, opts = {}) {
-    // Note: SQLite formatting would require creating a database file
-    // This is a complex operation that would need schema definition
-    throw new Error('SQLite formatting not yet implemented - requires schema definition');
+    const { schema, table = 'records', filename, replace = false, ...options } = opts;
+    const recordSchema = getRecordSchema(schema);
+    if (!recordSchema) {
+      throw new Error('SQLite formatting requires a Zod object schema (or an array of objects)');
+    }
+
+    const sqlite3 = await import('sqlite3');
+    const { Database } = sqlite3.default;
+    const fs = await import('node:fs/promises');
+    const path = await import('node:path');
+    const os = await import('node:os');
+
+    const tables = planSqliteTables(recordSchema, table);
+    const ddl = tables.flatMap(tableDef => createSqliteTableStatements(tableDef));
+    const records = Array.isArray(data) ? data : [data];
+
+    // Without a filename the database is built in a temporary file and returned as a Buffer
+    const tempDir = filename ? undefined : await fs.mkdtemp(path.join(os.tmpdir(), 'ztf-sqlite-'));
+    const target = filename || path.join(tempDir, 'output.sqlite');
+    let output = filename;
+    try {
+      const db = await new Promise((resolve, reject) => {
+        const database = new Database(target, err => (err ? reject(err) : resolve(database)));
+      });
+
+      try {
+        await runSqlite(db, 'PRAGMA foreign_keys = ON');
+        await runSqlite(db, 'BEGIN');
+        try {
+          if (replace) {
+            for (const tableDef of [...tables].reverse()) {
+              await runSqlite(db, `DROP TABLE IF EXISTS ${quoteSqliteIdentifier(tableDef.name)}`);
+            }
+          }
+          for (const statement of ddl) {
+            await runSqlite(db, statement);
+          }
+          for (const record of records) {
+            await insertSqliteRecord(db, tables[0], record);
+          }
+          await runSqlite(db, 'COMMIT');
+        } catch (error) {
+          await runSqlite(db, 'ROLLBACK');
+          throw error;
+        }
+      } catch (error) {
+        throw new Error(`SQLite formatting failed: ${error.message}`);
+      } finally {
+        await new Promise(resolve => {
+          db.close(closeErr => {
+            if (closeErr) {
+              console.warn('Warning: Failed to close database:', closeErr.message);
+            }
+            resolve();
+          });
+        });
+      }
+
+      if (tempDir) {
+        output = await fs.readFile(target);
+      }
+    } finally {
+      if (tempDir) {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    }
+
+    return {
+      data: output,
+      metadata: {
+        format: 'sqlite',
+        table,
+        tables: tables.map(tableDef => tableDef.name),
+        recordCount: records.length,
+        ddl,
+        ...(filename ? { filename } : { outputSize: output.length }),
+        ...options,
+      },
+    };
   },
 
+  schemaAware: true,
+  extensions: ['sqlite', 'sqlite3', 'db'],
+  mimeTypes: ['application/vnd.sqlite3', 'application/x-sqlite3'],
+  binary: true,
+  lossless: { types: ['string', 'number', 'null', 'object', 'array'], root: 'array', maxDepth: 2 },
   supportsStreaming: false,
   isAI: false,
-  version: '1.0.0',
+  version: '1.1.0',
 };
 
 /**
- * Parquet adapter placeholder
- * Note: Would require parquet-wasm or similar library
+ * Quote an SQLite identifier
+ * @param {string} name - Table or column name
+ * @returns {string} The quoted identifier
  */
-const parquetAdapter = {
-  async parse(input, opts = {}) {
-    throw new Error('Parquet support requires additional dependencies (parquet-wasm)');
-  },
+function quoteSqliteIdentifier(name) {
+  return `"${String(name).replaceAll('"', '""')}"`;
+}
 
-  async format(data, opts = {}) {
-    throw new Error('Parquet support requires additional dependencies (parquet-wasm)');
-  },
+/**
+ * Render a value as an SQLite literal
+ * @param {string|number|boolean} value - The value to render
+ * @returns {string} The SQL literal
+ */
+function toSqliteLiteral(value) {
+  if (typeof value === 'string') {
+    return `'${value.replaceAll("'", "''")}'`;
+  }
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+  return String(value);
+}
 
-  supportsStreaming: false,
-  isAI: false,
-  version: '1.0.0',
-};
+/**
+ * Get the values allowed by a Zod enum or native enum
+ * @param {ZodType} type - ZodEnum or ZodNativeEnum
+ * @returns {Array<string|number>} The allowed values
+ */
+function getZodEnumValues(type) {
+  if (type._def.typeName === 'ZodEnum') {
+    return type.options;
+  }
+  // Numeric native enums map values back to their names; skip those reverse entries
+  const { values } = type._def;
+  return Object.keys(values)
+    .filter(key => typeof values[values[key]] !== 'number')
+    .map(key => values[key]);
+}
 
 /**
- * Arrow adapter placeholder
- * Note: Would require apache-arrow library
+ * Build CHECK expressions for the bounds declared on a Zod string or number
+ * @param {string} expression - SQL expression checked against the bounds
+ * @param {any[]} checks - The Zod checks
+ * @returns {string[]} The CHECK expressions
  */
-const arrowAdapter = {
-  async parse(input, opts = {}) {
-    throw new Error('Arrow support requires additional dependencies (apache-arrow)');
-  },
+function zodBoundsToSqliteChecks(expression, checks) {
+  const result = [];
+  for (const check of checks) {
+    switch (check.kind) {
+      case 'min': {
+        result.push(`${expression} ${check.inclusive === false ? '>' : '>='} ${check.value}`);
+        break;
+      }
+      case 'max': {
+        result.push(`${expression} ${check.inclusive === false ? '<' : '<='} ${check.value}`);
+        break;
+      }
+      case 'length': {
+        result.push(`${expression} = ${check.value}`);
+        break;
+      }
+    }
+  }
+  return result;
+}
 
-  async format(data, opts = {}) {
-    throw new Error('Arrow support requires additional dependencies (apache-arrow)');
-  },
+/**
+ * Describe the SQLite column storing a Zod field
+ * Dates are stored as ISO 8601 text, booleans as 0/1 and values without a column type
+ * (objects, records, unions) as JSON text.
+ * @param {string} name - Column name
+ * @param {ZodType} zodType - The field's Zod type
+ * @returns {{name: string, kind: string, sqlType: string, notNull: boolean, checks: string[], defaultValue?: unknown}} The column
+ */
+function zodToSqliteColumn(name, zodType) {
+  const { type, optional, nullable, defaultValue } = unwrapZodType(zodType);
+  const column = quoteSqliteIdentifier(name);
+  const checks = [];
+  let kind = 'json';
 
-  supportsStreaming: true,
-  isAI: false,
-  version: '1.0.0',
-};
+  switch (type._def.typeName) {
+    case 'ZodString': {
+      kind = 'text';
+      checks.push(...zodBoundsToSqliteChecks(`length(${column})`, type._def.checks));
+      break;
+    }
+    case 'ZodNumber': {
+      kind = type.isInt ? 'integer' : 'real';
+      checks.push(...zodBoundsToSqliteChecks(column, type._def.checks));
+      break;
+    }
+    case 'ZodBigInt': {
+      kind = 'bigint';
+      checks.push(...zodBoundsToSqliteChecks(column, type._def.checks));
+      break;
+    }
+    case 'ZodBoolean': {
+      kind = 'boolean';
+      checks.push(`${column} IN (0, 1)`);
+      break;
+    }
+    case 'ZodDate': {
+      kind = 'date';
+      break;
+    }
+    case 'ZodEnum':
+    case 'ZodNativeEnum': {
+      const values = getZodEnumValues(type);
+      kind = values.every(value => typeof value === 'number') ? 'real' : 'text';
+      checks.push(`${column} IN (${values.map(value => toSqliteLiteral(value)).join(', ')})`);
+      break;
+    }
+    case 'ZodLiteral': {
+      const { value } = type._def;
+      if (['string', 'number', 'boolean'].includes(typeof value)) {
+        kind = { string: 'text', number: 'real', boolean: 'boolean' }[typeof value];
+        checks.push(`${column} = ${toSqliteLiteral(value)}`);
+      }
+      break;
+    }
+  }
+  if (kind === 'json') {
+    checks.push(`json_valid(${column})`);
+  }
+
+  const sqlTypes = {
+    text: 'TEXT',
+    integer: 'INTEGER',
+    bigint: 'INTEGER',
+    boolean: 'INTEGER',
+    real: 'REAL',
+    date: 'TEXT',
+    json: 'TEXT',
+  };
+  return {
+    name,
+    kind,
+    sqlType: sqlTypes[kind],
+    // Zod fills in defaults, so defaulted fields are never missing after validation
+    notNull: !nullable && (!optional || defaultValue !== undefined),
+    checks,
+    defaultValue,
+  };
+}
 
 /**
- * JSON adapter for parsing and formatting JSON data
+ * Plan the tables storing records of a Zod object
+ * Arrays become child tables named `<table>_<field>` that reference their parent row,
+ * recursively for arrays of objects.
+ * @param {ZodType} objectType - Zod object describing a row
+ * @param {string} name - Table name
+ * @param {string} [parent] - Parent table name, for child tables
+ * @param {Object[]} [tables] - Accumulated tables, parents before children
+ * @returns {Object[]} The planned tables
  */
-const jsonAdapter = {
-  async parse(input, opts = {}) {
-    try {
-      const data = JSON.parse(input);
-      return {
-        data,
-        metadata: {
-          format: 'json',
-          size: input.length,
-          ...opts,
-        },
+function planSqliteTables(objectType, name, parent, tables = []) {
+  const table = { name, parent, columns: [], children: [] };
+  tables.push(table);
+
+  for (const [key, value] of Object.entries(objectType.shape)) {
+    const { type } = unwrapZodType(value);
+    if (type._def.typeName !== 'ZodArray') {
+      table.columns.push(zodToSqliteColumn(key, value));
+      continue;
+    }
+    const element = type._def.type;
+    const childName = `${name}_${key}`;
+    const { type: elementType } = unwrapZodType(element);
+    if (elementType._def.typeName === 'ZodObject') {
+      planSqliteTables(elementType, childName, name, tables);
+      table.children.push({ key, table: tables.find(t => t.name === childName) });
+    } else {
+      const child = {
+        name: childName,
+        parent: name,
+        columns: [zodToSqliteColumn('value', element)],
+        children: [],
+        scalar: true,
       };
-    } catch (error) {
-      throw new Error(`Invalid JSON: ${error.message}`);
+      tables.push(child);
+      table.children.push({ key, table: child });
     }
-  },
+  }
+  return tables;
+}
 
-  async format(data, opts = {}) {
-    const { deterministic = false } = opts;
-    let json;
+/**
+ * Generate the CREATE statements for a planned table
+ * @param {Object} table - Planned table
+ * @returns {string[]} CREATE TABLE and CREATE INDEX statements
+ */
+function createSqliteTableStatements(table) {
+  const definitions = ['"_rowid" INTEGER PRIMARY KEY'];
+  if (table.parent) {
+    definitions.push(
+      `"_parent_rowid" INTEGER NOT NULL REFERENCES ${quoteSqliteIdentifier(table.parent)}("_rowid") ON DELETE CASCADE`,
+      '"_position" INTEGER NOT NULL'
+    );
+  }
+  for (const column of table.columns) {
+    let definition = `${quoteSqliteIdentifier(column.name)} ${column.sqlType}`;
+    if (column.notNull) {
+      definition += ' NOT NULL';
+    }
+    if (['string', 'number', 'boolean'].includes(typeof column.defaultValue)) {
+      definition += ` DEFAULT ${toSqliteLiteral(column.defaultValue)}`;
+    }
+    if (column.checks.length > 0) {
+      definition += ` CHECK (${column.checks.join(' AND ')})`;
+    }
+    definitions.push(definition);
+  }
 
-    if (deterministic) {
-      // Use deterministic stringify for stable output
-      const { deterministicStringify } = await import('../core/registry.mjs');
-      json = deterministicStringify(data);
-    } else {
-      json = JSON.stringify(data, undefined, 2);
+  const name = quoteSqliteIdentifier(table.name);
+  const statements = [`CREATE TABLE ${name} (\n  ${definitions.join(',\n  ')}\n)`];
+  if (table.parent) {
+    const index = quoteSqliteIdentifier(`${table.name}_parent_idx`);
+    statements.push(`CREATE INDEX ${index} ON ${name} ("_parent_rowid", "_position")`);
+  }
+  return statements;
+}
+
+/**
+ * Generate SQLite DDL for storing records of a Zod object schema
+ * @param {ZodType} schema - Zod object schema (or array of objects) describing a row
+ * @param {Object} [opts] - Generation options
+ * @param {string} [opts.table] - Name of the main table (default 'records')
+ * @returns {string[]} The DDL statements, parent tables first
+ */
+function zodToSqliteDDL(schema, opts = {}) {
+  const recordSchema = getRecordSchema(schema);
+  if (!recordSchema) {
+    throw new Error('SQLite DDL generation requires a Zod object schema (or an array of objects)');
+  }
+  return planSqliteTables(recordSchema, opts.table || 'records').flatMap(table =>
+    createSqliteTableStatements(table)
+  );
+}
+
+/**
+ * Convert a value to what SQLite stores for a column
+ * @param {any} value - The value to convert
+ * @param {Object} column - Planned column
+ * @returns {any} The bound value
+ */
+function toSqliteValue(value, column) {
+  if (value === undefined || value === null) {
+    // sqlite3 binds undefined as NULL
+    return undefined;
+  }
+  switch (column.kind) {
+    case 'boolean': {
+      return value ? 1 : 0;
+    }
+    case 'date': {
+      return value instanceof Date ? value.toISOString() : value;
+    }
+    case 'bigint': {
+      // Integer-looking text is stored as a 64-bit INTEGER thanks to column affinity
+      return String(value);
+    }
+    case 'json': {
+      return JSON.stringify(value);
     }
+    default: {
+      return value;
+    }
+  }
+}
 
-    return {
-      data: json,
-      metadata: {
-        format: 'json',
-        outputSize: json.length,
-        deterministic,
-        ...opts,
-      },
-    };
-  },
+/**
+ * Run a statement and resolve with the last inserted rowid
+ * @param {any} db - sqlite3 Database
+ * @param {string} sql - The statement
+ * @param {any[]} [params] - Bound parameters
+ * @returns {Promise<number>} The last inserted rowid
+ */
+function runSqlite(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(this.lastID);
+    });
+  });
+}
 
-  supportsStreaming: false,
-  isAI: false,
-  version: '1.0.0',
-};
+/**
+ * Insert a record and its child rows
+ * @param {any} db - sqlite3 Database
+ * @param {Object} table - Planned table
+ * @param {any} record - The record (or scalar array element for scalar child tables)
+ * @param {number} [parentRowid] - Rowid of the parent row, for child tables
+ * @param {number} [position] - Position within the parent array, for child tables
+ * @returns {Promise<void>}
+ */
+async function insertSqliteRecord(db, table, record, parentRowid, position) {
+  const columns = table.parent ? ['_parent_rowid', '_position'] : [];
+  const values = table.parent ? [parentRowid, position] : [];
+  for (const column of table.columns) {
+    columns.push(column.name);
+    values.push(toSqliteValue(table.scalar ? record : record[column.name], column));
+  }
+
+  const sql =
+    columns.length > 0
+      ? `INSERT INTO ${quoteSqliteIdentifier(table.name)} (${columns.map(column => quoteSqliteIdentifier(column)).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+      : `INSERT INTO ${quoteSqliteIdentifier(table.name)} DEFAULT VALUES`;
+  const rowid = await runSqlite(db, sql, values);
+
+  for (const child of table.children) {
+    for (const [index, element] of (record[child.key] || []).entries()) {
+      await insertSqliteRecord(db, child.table, element, rowid, index);
+    }
+  }
+}
 
 /**
- * Avro adapter placeholder
- * Note: Would require avro-js library
+ * Load the optional Parquet reader and writer libraries
+ * @returns {Promise<{reader: any, writer: any}>} The hyparquet modules
  */
-const avroAdapter = {
-  async parse(input, opts = {}) {
-    throw new Error('Avro support requires additional dependencies (avro-js)');
-  },
+async function loadParquet() {
+  try {
+    const [reader, writer] = await Promise.all([import('hyparquet'), import('hyparquet-writer')]);
+    return { reader, writer };
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new Error(
+        'Parquet support requires additional dependencies (hyparquet, hyparquet-writer). Install with: pnpm add hyparquet hyparquet-writer'
+      );
+    }
+    throw error;
+  }
+}
 
-  async format(data, opts = {}) {
-    throw new Error('Avro support requires additional dependencies (avro-js)');
-  },
+/**
+ * Normalize Parquet input into an ArrayBuffer
+ * @param {Buffer|Uint8Array|ArrayBuffer|string} input - Parquet bytes or a file path
+ * @returns {Promise<ArrayBuffer>} The file contents
+ */
+async function toParquetArrayBuffer(input) {
+  if (typeof input === 'string') {
+    // Assume it's a file path
+    const fs = await import('node:fs/promises');
+    input = await fs.readFile(input);
+  }
+  if (input instanceof ArrayBuffer) {
+    return input;
+  }
+  if (input instanceof Uint8Array) {
+    return input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength);
+  }
+  throw new TypeError(
+    'Parquet input must be a Buffer, Uint8Array, ArrayBuffer or file path string'
+  );
+}
 
-  supportsStreaming: false,
-  isAI: false,
-  version: '1.0.0',
-};
+/**
+ * Build the Parquet schema element of a UTF-8 string column
+ * @param {any} writer - The hyparquet-writer module
+ * @param {string} name - Column name
+ * @param {string} repetition_type - Parquet repetition type of the column
+ * @returns {Object} Parquet schema element
+ */
+function parquetStringElement(writer, name, repetition_type) {
+  return { ...writer.autoSchemaElement(name, ['']), repetition_type };
+}
 
 /**
- * Protobuf adapter placeholder
- * Note: Would require protobufjs library
+ * Build the Parquet schema elements for a single Zod field
+ * Elements are returned depth-first, as expected by the Parquet footer.
+ * @param {any} writer - The hyparquet-writer module
+ * @param {string} name - Column name
+ * @param {ZodType} zodType - Zod type of the column
+ * @returns {Object[]} Parquet schema elements
  */
-const protobufAdapter = {
-  async parse(input, opts = {}) {
-    throw new Error('Protobuf support requires additional dependencies (protobufjs)');
-  },
+function zodToParquetElements(writer, name, zodType) {
+  const { type, optional, nullable } = unwrapZodType(zodType);
+  const repetition_type = optional || nullable ? 'OPTIONAL' : 'REQUIRED';
 
-  async format(data, opts = {}) {
-    throw new Error('Protobuf support requires additional dependencies (protobufjs)');
-  },
+  switch (type._def.typeName) {
+    case 'ZodString': {
+      return [parquetStringElement(writer, name, repetition_type)];
+    }
+    case 'ZodNumber': {
+      if (!type.isInt) {
+        return [{ name, repetition_type, type: 'DOUBLE' }];
+      }
+      const fitsInt32 =
+        Number.isFinite(type.minValue) &&
+        Number.isFinite(type.maxValue) &&
+        type.minValue >= -(2 ** 31) &&
+        type.maxValue < 2 ** 31;
+      return [{ name, repetition_type, type: fitsInt32 ? 'INT32' : 'INT64' }];
+    }
+    case 'ZodBigInt': {
+      return [{ name, repetition_type, type: 'INT64' }];
+    }
+    case 'ZodBoolean': {
+      return [{ name, repetition_type, type: 'BOOLEAN' }];
+    }
+    case 'ZodDate': {
+      return [{ name, repetition_type, type: 'INT64', converted_type: 'TIMESTAMP_MILLIS' }];
+    }
+    case 'ZodEnum':
+    case 'ZodNativeEnum': {
+      return [{ name, repetition_type, type: 'BYTE_ARRAY', converted_type: 'ENUM' }];
+    }
+    case 'ZodLiteral': {
+      const { value } = type._def;
+      if (typeof value === 'string') {
+        return [parquetStringElement(writer, name, repetition_type)];
+      }
+      if (typeof value === 'boolean') {
+        return [{ name, repetition_type, type: 'BOOLEAN' }];
+      }
+      if (typeof value === 'number') {
+        return [{ name, repetition_type, type: 'DOUBLE' }];
+      }
+      break;
+    }
+    case 'ZodArray': {
+      return [
+        { name, repetition_type, converted_type: 'LIST', num_children: 1 },
+        { name: 'list', repetition_type: 'REPEATED', num_children: 1 },
+        ...zodToParquetElements(writer, 'element', type._def.type),
+      ];
+    }
+    case 'ZodObject': {
+      const entries = Object.entries(type.shape);
+      return [
+        { name, repetition_type, num_children: entries.length },
+        ...entries.flatMap(([key, value]) => zodToParquetElements(writer, key, value)),
+      ];
+    }
+  }
 
-  supportsStreaming: false,
-  isAI: false,
-  version: '1.0.0',
+  // Unions, records and other shapes without a columnar equivalent are stored as JSON
+  return [{ name, repetition_type, type: 'BYTE_ARRAY', converted_type: 'JSON' }];
+}
+
+/**
+ * Convert a validated value to what the Parquet writer expects for its schema element
+ * @param {any} value - The value to convert
+ * @param {Object[]} elements - Schema elements of the column, starting at its root
+ * @returns {any} The writer-ready value
+ */
+function toParquetValue(value, elements) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const [element] = elements;
+
+  if (element.converted_type === 'LIST') {
+    const elementSchema = elements.slice(2);
+    return value.map(item => toParquetValue(item, elementSchema));
+  }
+  if (element.num_children) {
+    const result = {};
+    let offset = 1;
+    for (let i = 0; i < element.num_children; i++) {
+      const childElements = elements.slice(offset, offset + countParquetElements(elements, offset));
+      const childName = childElements[0].name;
+      result[childName] = toParquetValue(value[childName], childElements);
+      offset += childElements.length;
+    }
+    return result;
+  }
+  if (element.type === 'INT64' && !element.converted_type && typeof value === 'number') {
+    return BigInt(value);
+  }
+  if (element.converted_type === 'ENUM') {
+    return new TextEncoder().encode(String(value));
+  }
+  return value;
+}
+
+/**
+ * Count the schema elements making up the subtree rooted at an index
+ * @param {Object[]} elements - Flattened schema elements
+ * @param {number} index - Index of the subtree root
+ * @returns {number} Number of elements in the subtree
+ */
+function countParquetElements(elements, index) {
+  let count = 1;
+  for (let i = 0; i < (elements[index].num_children || 0); i++) {
+    count += countParquetElements(elements, index + count);
+  }
+  return count;
+}
+
+/**
+ * Infer Parquet schema elements from plain row values
+ * Used when the adapter is called without a schema.
+ * @param {any} writer - The hyparquet-writer module
+ * @param {Object[]} records - Rows to inspect
+ * @returns {Object[]} Parquet schema elements for every column
+ */
+function inferParquetElements(writer, records) {
+  const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+  return columns.flatMap(name => {
+    const values = records.map(record => record[name]).filter(v => v !== undefined && v !== null);
+    const base = { name, repetition_type: 'OPTIONAL' };
+    if (values.length > 0 && values.every(v => typeof v === 'string')) {
+      return [parquetStringElement(writer, name, base.repetition_type)];
+    }
+    if (values.length > 0 && values.every(v => typeof v === 'boolean')) {
+      return [{ ...base, type: 'BOOLEAN' }];
+    }
+    if (values.length > 0 && values.every(v => typeof v === 'bigint')) {
+      return [{ ...base, type: 'INT64' }];
+    }
+    if (values.length > 0 && values.every(v => typeof v === 'number')) {
+      return [{ ...base, type: values.every(v => Number.isSafeInteger(v)) ? 'INT64' : 'DOUBLE' }];
+    }
+    if (values.length > 0 && values.every(v => v instanceof Date)) {
+      return [{ ...base, type: 'INT64', converted_type: 'TIMESTAMP_MILLIS' }];
+    }
+    return [{ ...base, type: 'BYTE_ARRAY', converted_type: 'JSON' }];
+  });
+}
+
+/**
+ * Convert a decoded Parquet value back into its JavaScript shape
+ * Nulls become absent fields (or null for nullable-only Zod fields), and
+ * INT64 values are returned as numbers when they fit, unless the schema asks for a bigint.
+ * @param {any} value - Decoded value
+ * @param {ZodType} [zodType] - Zod type describing the value, if known
+ * @returns {any} The revived value
+ */
+function fromParquetValue(value, zodType) {
+  const { type, optional, nullable } = zodType ? unwrapZodType(zodType) : {};
+  const typeName = type?._def.typeName;
+
+  if (value === undefined || value === null) {
+    return nullable && !optional ? null : undefined;
+  }
+  if (typeof value === 'bigint') {
+    if (typeName === 'ZodBigInt') {
+      return value;
+    }
+    return Number.isSafeInteger(Number(value)) ? Number(value) : value;
+  }
+  if (Array.isArray(value)) {
+    const elementType = typeName === 'ZodArray' ? type._def.type : undefined;
+    return value.map(item => fromParquetValue(item, elementType));
+  }
+  if (typeof value === 'object' && !(value instanceof Date) && !(value instanceof Uint8Array)) {
+    const shape = typeName === 'ZodObject' ? type.shape : {};
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const revived = fromParquetValue(item, shape[key]);
+      if (revived !== undefined) {
+        result[key] = revived;
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Read the row groups of a Parquet file whose metadata is already decoded
+ * @param {Object} reader - The hyparquet module
+ * @param {ArrayBuffer} file - Parquet bytes
+ * @param {Object} metadata - File metadata from parquetMetadata
+ * @param {Object} [opts] - Read options, as for readParquetRowGroups
+ * @returns {AsyncGenerator<Object[]>} Records of each row group
+ */
+async function* readDecodedRowGroups(reader, file, metadata, opts = {}) {
+  const recordSchema = getRecordSchema(opts.schema);
+
+  let rowStart = 0;
+  for (const rowGroup of metadata.row_groups) {
+    const rowEnd = rowStart + Number(rowGroup.num_rows);
+    const rows = await reader.parquetReadObjects({
+      file,
+      metadata,
+      columns: opts.columns,
+      rowStart,
+      rowEnd,
+    });
+    yield rows.map(row => fromParquetValue(row, recordSchema));
+    rowStart = rowEnd;
+  }
+}
+
+/**
+ * Read a Parquet file one row group at a time
+ * @param {Buffer|Uint8Array|ArrayBuffer|string} input - Parquet bytes or a file path
+ * @param {Object} [opts] - Read options
+ * @param {string[]} [opts.columns] - Top-level columns to read; all columns when omitted
+ * @param {ZodType} [opts.schema] - Zod schema used to revive values
+ * @returns {AsyncGenerator<Object[]>} Records of each row group
+ */
+async function* readParquetRowGroups(input, opts = {}) {
+  const { reader } = await loadParquet();
+  const file = await toParquetArrayBuffer(input);
+  yield* readDecodedRowGroups(reader, file, reader.parquetMetadata(file), opts);
+}
+
+/**
+ * Parquet adapter for columnar analytics files
+ * Reads dictionary-encoded and compressed pages, writes Snappy-compressed row groups
+ * with column types derived from the Zod schema.
+ */
+const parquetAdapter = {
+  async parse(input, opts = {}) {
+    const { schema, ...options } = opts;
+    const { reader } = await loadParquet();
+    const file = await toParquetArrayBuffer(input);
+    const metadata = reader.parquetMetadata(file);
+
+    const records = [];
+    for await (const rows of readDecodedRowGroups(reader, file, metadata, opts)) {
+      records.push(...rows);
+    }
+
+    return {
+      data: records,
+      metadata: {
+        format: 'parquet',
+        recordCount: records.length,
+        rowGroupCount: metadata.row_groups.length,
+        columns:
+          options.columns || reader.parquetSchema(metadata).children.map(c => c.element.name),
+        createdBy: metadata.created_by,
+        ...options,
+      },
+    };
+  },
+
+  async format(data, opts = {}) {
+    const { schema, compression = 'SNAPPY', rowGroupSize, pageSize, statistics, ...options } = opts;
+    const { writer } = await loadParquet();
+
+    const records = Array.isArray(data) ? data : [data];
+    const recordSchema = getRecordSchema(schema);
+    const elements = recordSchema
+      ? Object.entries(recordSchema.shape).flatMap(([name, zodType]) =>
+          zodToParquetElements(writer, name, zodType)
+        )
+      : inferParquetElements(writer, records);
+
+    // Split the flattened schema back into one subtree per top-level column
+    const columnData = [];
+    for (let index = 0; index < elements.length; ) {
+      const columnElements = elements.slice(index, index + countParquetElements(elements, index));
+      columnData.push({
+        name: columnElements[0].name,
+        data: records.map(record => toParquetValue(record[columnElements[0].name], columnElements)),
+      });
+      index += columnElements.length;
+    }
+
+    const arrayBuffer = writer.parquetWriteBuffer({
+      columnData,
+      schema: [{ name: 'root', num_children: columnData.length }, ...elements],
+      codec: compression,
+      ...(rowGroupSize === undefined ? {} : { rowGroupSize }),
+      ...(pageSize === undefined ? {} : { pageSize }),
+      ...(statistics === undefined ? {} : { statistics }),
+    });
+    const buffer = Buffer.from(arrayBuffer);
+
+    return {
+      data: buffer,
+      metadata: {
+        format: 'parquet',
+        outputSize: buffer.length,
+        recordCount: records.length,
+        columnCount: columnData.length,
+        compression,
+        ...options,
+      },
+    };
+  },
+
+  readRowGroups: readParquetRowGroups,
+  extensions: ['parquet'],
+  mimeTypes: ['application/vnd.apache.parquet'],
+  binary: true,
+  supportsStreaming: true,
+  schemaAware: true,
+  isAI: false,
+  version: '1.1.0',
+};
+
+/**
+ * Load the optional Apache Arrow library
+ * @returns {Promise<any>} The apache-arrow module
+ */
+async function loadArrow() {
+  try {
+    return await import('apache-arrow');
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new Error(
+        'Arrow support requires additional dependencies (apache-arrow). Install with: pnpm add apache-arrow'
+      );
+    }
+    throw error;
+  }
+}
+
+// Field metadata key marking Utf8 columns that hold JSON-encoded values
+const ARROW_JSON_METADATA_KEY = 'ztf:json';
+
+/**
+ * Build an Arrow field for a single Zod field
+ * @param {any} Arrow - The apache-arrow module
+ * @param {string} name - Field name
+ * @param {ZodType} zodType - Zod type of the field
+ * @param {Object} opts - Adapter options
+ * @param {string} [opts.timestampUnit] - Unit used for z.date() fields
+ * @returns {any} The Arrow field
+ */
+function zodToArrowField(Arrow, name, zodType, opts) {
+  const { type, optional, nullable } = unwrapZodType(zodType);
+  const nullableField = optional || nullable;
+
+  switch (type._def.typeName) {
+    case 'ZodString': {
+      return new Arrow.Field(name, new Arrow.Utf8(), nullableField);
+    }
+    case 'ZodNumber': {
+      if (!type.isInt) {
+        return new Arrow.Field(name, new Arrow.Float64(), nullableField);
+      }
+      const fitsInt32 =
+        Number.isFinite(type.minValue) &&
+        Number.isFinite(type.maxValue) &&
+        type.minValue >= -(2 ** 31) &&
+        type.maxValue < 2 ** 31;
+      return new Arrow.Field(
+        name,
+        fitsInt32 ? new Arrow.Int32() : new Arrow.Int64(),
+        nullableField
+      );
+    }
+    case 'ZodBigInt': {
+      return new Arrow.Field(name, new Arrow.Int64(), nullableField);
+    }
+    case 'ZodBoolean': {
+      return new Arrow.Field(name, new Arrow.Bool(), nullableField);
+    }
+    case 'ZodDate': {
+      const unit = (opts.timestampUnit || 'millisecond').toUpperCase();
+      if (!(unit in Arrow.TimeUnit)) {
+        throw new Error(`Unsupported Arrow timestamp unit: ${opts.timestampUnit}`);
+      }
+      return new Arrow.Field(
+        name,
+        new Arrow.Timestamp(Arrow.TimeUnit[unit], opts.timezone),
+        nullableField
+      );
+    }
+    case 'ZodEnum':
+    case 'ZodNativeEnum': {
+      return new Arrow.Field(
+        name,
+        new Arrow.Dictionary(new Arrow.Utf8(), new Arrow.Int32()),
+        nullableField
+      );
+    }
+    case 'ZodLiteral': {
+      const { value } = type._def;
+      if (typeof value === 'string') {
+        return new Arrow.Field(name, new Arrow.Utf8(), nullableField);
+      }
+      if (typeof value === 'boolean') {
+        return new Arrow.Field(name, new Arrow.Bool(), nullableField);
+      }
+      if (typeof value === 'number') {
+        return new Arrow.Field(name, new Arrow.Float64(), nullableField);
+      }
+      break;
+    }
+    case 'ZodArray': {
+      const item = zodToArrowField(Arrow, 'item', type._def.type, opts);
+      return new Arrow.Field(name, new Arrow.List(item), nullableField);
+    }
+    case 'ZodObject': {
+      const children = Object.entries(type.shape).map(([key, value]) =>
+        zodToArrowField(Arrow, key, value, opts)
+      );
+      return new Arrow.Field(name, new Arrow.Struct(children), nullableField);
+    }
+  }
+
+  // Unions, records and other shapes without an Arrow equivalent are stored as JSON strings
+  return new Arrow.Field(
+    name,
+    new Arrow.Utf8(),
+    nullableField,
+    new Map([[ARROW_JSON_METADATA_KEY, 'true']])
+  );
+}
+
+/**
+ * Infer Arrow fields from plain row values
+ * Used when the adapter is called without a schema.
+ * @param {any} Arrow - The apache-arrow module
+ * @param {Object[]} records - Rows to inspect
+ * @returns {any[]} Arrow fields for every column
+ */
+function inferArrowFields(Arrow, records) {
+  const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+  return columns.map(name => {
+    const values = records.map(record => record[name]).filter(v => v !== undefined && v !== null);
+    if (values.length > 0 && values.every(v => typeof v === 'string')) {
+      return new Arrow.Field(name, new Arrow.Utf8(), true);
+    }
+    if (values.length > 0 && values.every(v => typeof v === 'boolean')) {
+      return new Arrow.Field(name, new Arrow.Bool(), true);
+    }
+    if (values.length > 0 && values.every(v => typeof v === 'bigint')) {
+      return new Arrow.Field(name, new Arrow.Int64(), true);
+    }
+    if (values.length > 0 && values.every(v => typeof v === 'number')) {
+      return new Arrow.Field(name, new Arrow.Float64(), true);
+    }
+    if (values.length > 0 && values.every(v => v instanceof Date)) {
+      return new Arrow.Field(name, new Arrow.TimestampMillisecond(), true);
+    }
+    return new Arrow.Field(
+      name,
+      new Arrow.Utf8(),
+      true,
+      new Map([[ARROW_JSON_METADATA_KEY, 'true']])
+    );
+  });
+}
+
+/**
+ * Convert a validated value to what the Arrow builder expects for a field
+ * @param {any} Arrow - The apache-arrow module
+ * @param {any} value - The value to convert
+ * @param {any} field - Arrow field describing the value
+ * @returns {any} The builder-ready value
+ */
+function toArrowValue(Arrow, value, field) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (field.metadata.get(ARROW_JSON_METADATA_KEY) === 'true') {
+    return JSON.stringify(value);
+  }
+
+  const { type } = field;
+  if (Arrow.DataType.isInt(type) && type.bitWidth === 64) {
+    return BigInt(value);
+  }
+  if (Arrow.DataType.isList(type)) {
+    return value.map(item => toArrowValue(Arrow, item, type.children[0]));
+  }
+  if (Arrow.DataType.isStruct(type)) {
+    return Object.fromEntries(
+      type.children.map(child => [child.name, toArrowValue(Arrow, value[child.name], child)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Convert a value read from an Arrow table back into its JavaScript shape
+ * Nulls become absent fields (or null for nullable-only Zod fields), timestamps become
+ * Dates and Int64 values are returned as numbers when they fit, unless the schema asks
+ * for a bigint.
+ * @param {any} Arrow - The apache-arrow module
+ * @param {any} value - Value read from a vector
+ * @param {any} field - Arrow field describing the value
+ * @param {ZodType} [zodType] - Zod type describing the value, if known
+ * @returns {any} The revived value
+ */
+function fromArrowValue(Arrow, value, field, zodType) {
+  const { type: zod, optional, nullable } = zodType ? unwrapZodType(zodType) : {};
+  const zodTypeName = zod?._def.typeName;
+
+  if (value === undefined || value === null) {
+    return nullable && !optional ? null : undefined;
+  }
+  if (field.metadata.get(ARROW_JSON_METADATA_KEY) === 'true') {
+    return JSON.parse(value);
+  }
+
+  const { type } = field;
+  if (Arrow.DataType.isTimestamp(type) || Arrow.DataType.isDate(type)) {
+    return value instanceof Date ? value : new Date(value);
+  }
+  if (typeof value === 'bigint') {
+    if (zodTypeName === 'ZodBigInt') {
+      return value;
+    }
+    return Number.isSafeInteger(Number(value)) ? Number(value) : value;
+  }
+  if (Arrow.DataType.isList(type)) {
+    const elementType = zodTypeName === 'ZodArray' ? zod._def.type : undefined;
+    return [...value].map(item => fromArrowValue(Arrow, item, type.children[0], elementType));
+  }
+  if (Arrow.DataType.isStruct(type)) {
+    return reviveArrowRecord(
+      Arrow,
+      value,
+      type.children,
+      zodTypeName === 'ZodObject' ? zod : undefined
+    );
+  }
+  return value;
+}
+
+/**
+ * Convert an Arrow struct row into a plain object
+ * @param {any} Arrow - The apache-arrow module
+ * @param {any} row - Struct row read from a table or batch
+ * @param {any[]} fields - Arrow fields of the struct
+ * @param {import('zod').AnyZodObject} [recordSchema] - Zod object schema of the row, if known
+ * @returns {Object} The plain record
+ */
+function reviveArrowRecord(Arrow, row, fields, recordSchema) {
+  const shape = recordSchema ? recordSchema.shape : {};
+  const result = {};
+  for (const field of fields) {
+    const value = fromArrowValue(Arrow, row[field.name], field, shape[field.name]);
+    if (value !== undefined) {
+      result[field.name] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Normalize Arrow input into bytes
+ * @param {Buffer|Uint8Array|ArrayBuffer|string} input - Arrow IPC bytes or a file path
+ * @returns {Promise<Uint8Array>} The IPC bytes
+ */
+async function toArrowBytes(input) {
+  if (typeof input === 'string') {
+    // Assume it's a file path
+    const fs = await import('node:fs/promises');
+    return fs.readFile(input);
+  }
+  if (input instanceof ArrayBuffer) {
+    return new Uint8Array(input);
+  }
+  if (input instanceof Uint8Array) {
+    return input;
+  }
+  throw new TypeError('Arrow input must be a Buffer, Uint8Array, ArrayBuffer or file path string');
+}
+
+/**
+ * Revive the rows of an Arrow record batch into plain records
+ * @param {Object} Arrow - The apache-arrow module
+ * @param {Object} batch - Arrow record batch
+ * @param {Object} [recordSchema] - Zod object schema of a record
+ * @returns {Object[]} Records of the batch
+ */
+function reviveArrowBatch(Arrow, batch, recordSchema) {
+  const rows = [];
+  for (const row of batch) {
+    rows.push(reviveArrowRecord(Arrow, row, batch.schema.fields, recordSchema));
+  }
+  return rows;
+}
+
+/**
+ * Read an Arrow IPC file or stream one record batch at a time
+ * @param {Buffer|Uint8Array|ArrayBuffer|string} input - Arrow IPC bytes or a file path
+ * @param {Object} [opts] - Read options
+ * @param {ZodType} [opts.schema] - Zod schema used to revive values
+ * @returns {AsyncGenerator<Object[]>} Records of each batch
+ */
+async function* readArrowBatches(input, opts = {}) {
+  const Arrow = await loadArrow();
+  const reader = Arrow.RecordBatchReader.from(await toArrowBytes(input));
+  const recordSchema = getRecordSchema(opts.schema);
+
+  for (const batch of reader) {
+    yield reviveArrowBatch(Arrow, batch, recordSchema);
+  }
+}
+
+/**
+ * Apache Arrow adapter for IPC files and streams
+ * Derives the Arrow schema (types, nullability, dictionaries, timestamp units)
+ * from the Zod schema when formatting.
+ */
+const arrowAdapter = {
+  async parse(input, opts = {}) {
+    const { schema, ...options } = opts;
+    const Arrow = await loadArrow();
+    const bytes = await toArrowBytes(input);
+
+    let table;
+    try {
+      table = Arrow.tableFromIPC(bytes);
+    } catch (error) {
+      throw new Error(`Invalid Arrow IPC data: ${error.message}`);
+    }
+
+    const recordSchema = getRecordSchema(schema);
+    const records = table.batches.flatMap(batch => reviveArrowBatch(Arrow, batch, recordSchema));
+
+    return {
+      data: records,
+      metadata: {
+        format: 'arrow',
+        recordCount: records.length,
+        batchCount: table.batches.length,
+        fields: table.schema.fields.map(field => ({
+          name: field.name,
+          type: String(field.type),
+          nullable: field.nullable,
+        })),
+        ...options,
+      },
+    };
+  },
+
+  async format(data, opts = {}) {
+    const { schema, ipcFormat = 'file', batchSize, timestampUnit, timezone, ...options } = opts;
+    if (ipcFormat !== 'file' && ipcFormat !== 'stream') {
+      throw new Error(`Unsupported Arrow IPC format: ${ipcFormat}`);
+    }
+    const Arrow = await loadArrow();
+
+    const records = Array.isArray(data) ? data : [data];
+    const recordSchema = getRecordSchema(schema);
+    const fields = recordSchema
+      ? Object.entries(recordSchema.shape).map(([name, zodType]) =>
+          zodToArrowField(Arrow, name, zodType, { timestampUnit, timezone })
+        )
+      : inferArrowFields(Arrow, records);
+    const arrowSchema = new Arrow.Schema(fields);
+
+    // Build each column once so dictionary-encoded fields share a single dictionary
+    const children = fields.map(field => {
+      const builder = Arrow.makeBuilder({ type: field.type, nullValues: [undefined] });
+      for (const record of records) {
+        builder.append(toArrowValue(Arrow, record[field.name], field));
+      }
+      return builder.finish().flush();
+    });
+    const batch = new Arrow.RecordBatch(
+      arrowSchema,
+      Arrow.makeData({
+        type: new Arrow.Struct(fields),
+        length: records.length,
+        nullCount: 0,
+        children,
+      })
+    );
+
+    const batches = [];
+    const size = batchSize ?? records.length;
+    for (let offset = 0; offset < records.length; offset += size) {
+      batches.push(batch.slice(offset, offset + size));
+    }
+    if (batches.length === 0) {
+      batches.push(batch);
+    }
+
+    const bytes = Arrow.tableToIPC(new Arrow.Table(arrowSchema, batches), ipcFormat);
+    const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    return {
+      data: buffer,
+      metadata: {
+        format: 'arrow',
+        ipcFormat,
+        outputSize: buffer.length,
+        recordCount: records.length,
+        batchCount: batches.length,
+        ...options,
+      },
+    };
+  },
+
+  readBatches: readArrowBatches,
+  extensions: ['arrow', 'feather'],
+  mimeTypes: ['application/vnd.apache.arrow.file'],
+  binary: true,
+  supportsStreaming: true,
+  schemaAware: true,
+  isAI: false,
+  version: '1.1.0',
+};
+
+/**
+ * JSON adapter for parsing and formatting JSON data
+ */
+const jsonAdapter = {
+  async parse(input, opts = {}) {
+    try {
+      const data = JSON.parse(input);
+      return {
+        data,
+        metadata: {
+          format: 'json',
+          size: input.length,
+          ...opts,
+        },
+      };
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  },
+
+  async format(data, opts = {}) {
+    const { deterministic = false } = opts;
+    let json;
+
+    if (deterministic) {
+      // Use deterministic stringify for stable output
+      const { deterministicStringify } = await import('../core/registry.mjs');
+      json = deterministicStringify(data);
+    } else {
+      json = JSON.stringify(data, undefined, 2);
+    }
+
+    return {
+      data: json,
+      metadata: {
+        format: 'json',
+        outputSize: json.length,
+        deterministic,
+        ...opts,
+      },
+    };
+  },
+
+  locate(input) {
+    return locateJSON(input);
+  },
+
+  extensions: ['json'],
+  mimeTypes: ['application/json'],
+  lossless: { types: ['string', 'number', 'boolean', 'null', 'object', 'array'] },
+  supportsStreaming: false,
+  isAI: false,
+  version: '1.0.0',
+};
+
+/**
+ * Load the optional Avro library
+ * @returns {Promise<any>} The avsc module
+ */
+async function loadAvro() {
+  try {
+    const { default: avro } = await import('avsc');
+    return avro;
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new Error(
+        'Avro support requires additional dependencies (avsc). Install with: pnpm add avsc'
+      );
+    }
+    throw error;
+  }
+}
+
+// Avro object container files start with these four bytes
+const AVRO_MAGIC = Buffer.from('Obj\u0001', 'latin1');
+
+/**
+ * Build the avsc type options shared by readers and writers
+ * Longs are decoded as bigints so values beyond 2^53 survive, dates use the
+ * timestamp-millis logical type and values without an Avro equivalent are stored
+ * as strings using the ztf-json logical type. avsc records named types in the
+ * registry, so every Type needs its own options object.
+ * @param {any} avro - The avsc module
+ * @returns {Object} Options for avro.Type.forSchema
+ */
+function createAvroTypeOptions(avro) {
+  const longType = avro.types.LongType.__with({
+    fromBuffer: buf => buf.readBigInt64LE(),
+    toBuffer: value => {
+      const buf = Buffer.alloc(8);
+      buf.writeBigInt64LE(BigInt(value));
+      return buf;
+    },
+    fromJSON: BigInt,
+    toJSON: Number,
+    isValid: value => typeof value === 'bigint',
+    compare: (a, b) => (a < b ? -1 : Number(a > b)),
+  });
+
+  class TimestampMillisType extends avro.types.LogicalType {
+    _fromValue(value) {
+      return new Date(Number(value));
+    }
+    _toValue(value) {
+      // The underlying long is avsc's plain number-based type, not the bigint registry one
+      return value instanceof Date ? value.getTime() : undefined;
+    }
+    _resolve(type) {
+      // Values read through a writer logical type are already converted
+      if (avro.Type.isType(type, 'logical:timestamp-millis')) {
+        return value => value;
+      }
+      if (avro.Type.isType(type, 'long', 'abstract:long')) {
+        return this._fromValue;
+      }
+    }
+  }
+
+  class JsonType extends avro.types.LogicalType {
+    _fromValue(value) {
+      return JSON.parse(value);
+    }
+    _toValue(value) {
+      // Leave nulls to the "null" branch of optional unions
+      return value === null || value === undefined ? undefined : JSON.stringify(value);
+    }
+    _resolve(type) {
+      if (avro.Type.isType(type, 'logical:ztf-json')) {
+        return value => value;
+      }
+      if (avro.Type.isType(type, 'string')) {
+        return this._fromValue;
+      }
+    }
+  }
+
+  return {
+    registry: { long: longType },
+    logicalTypes: { 'timestamp-millis': TimestampMillisType, 'ztf-json': JsonType },
+  };
+}
+
+/**
+ * Find the branch of a writer schema matching the Avro type being generated
+ * @param {any} hint - Writer schema at the same position, if any
+ * @param {string} kind - Avro type name being generated (record, enum, array, map)
+ * @returns {Object|undefined} The matching writer schema
+ */
+function findAvroHint(hint, kind) {
+  if (Array.isArray(hint)) {
+    return hint.map(branch => findAvroHint(branch, kind)).find(Boolean);
+  }
+  return hint && typeof hint === 'object' && hint.type === kind ? hint : undefined;
+}
+
+/**
+ * Generate an Avro name that is valid and unique within the schema
+ * @param {string[]} path - Field path leading to the named type
+ * @param {Set<string>} names - Names already used in the schema
+ * @returns {string} The generated name
+ */
+function createAvroName(path, names) {
+  const base =
+    path
+      .map(part => part.replaceAll(/[^A-Za-z0-9_]/g, '_'))
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+      .join('_')
+      .replace(/^(?=\d)/, '_') || 'Record';
+  let name = base;
+  for (let i = 2; names.has(name); i++) {
+    name = `${base}${i}`;
+  }
+  names.add(name);
+  return name;
+}
+
+/**
+ * Convert a Zod type to an Avro type
+ * Optional and nullable types become unions with "null". When a writer schema hint is
+ * given, record and enum names are taken from it so schema resolution can match them.
+ * @param {ZodType} zodType - The Zod type to convert
+ * @param {string[]} path - Field path, used to name records and enums
+ * @param {any} hint - Writer schema at the same position, if any
+ * @param {Set<string>} names - Names already used in the schema
+ * @returns {any} The Avro type
+ */
+function zodToAvroType(zodType, path, hint, names) {
+  const { type, optional, nullable } = unwrapZodType(zodType);
+  const avroType = zodToAvroBaseType(type, path, hint, names);
+  return optional || nullable ? ['null', avroType] : avroType;
+}
+
+/**
+ * Convert an unwrapped Zod type to an Avro type
+ * @param {ZodType} type - The unwrapped Zod type
+ * @param {string[]} path - Field path, used to name records and enums
+ * @param {any} hint - Writer schema at the same position, if any
+ * @param {Set<string>} names - Names already used in the schema
+ * @returns {any} The Avro type
+ */
+function zodToAvroBaseType(type, path, hint, names) {
+  switch (type._def.typeName) {
+    case 'ZodString': {
+      return type.isUUID ? { type: 'string', logicalType: 'uuid' } : 'string';
+    }
+    case 'ZodNumber': {
+      if (!type.isInt) {
+        return 'double';
+      }
+      const fitsInt =
+        Number.isFinite(type.minValue) &&
+        Number.isFinite(type.maxValue) &&
+        type.minValue >= -(2 ** 31) &&
+        type.maxValue < 2 ** 31;
+      return fitsInt ? 'int' : 'long';
+    }
+    case 'ZodBigInt': {
+      return 'long';
+    }
+    case 'ZodBoolean': {
+      return 'boolean';
+    }
+    case 'ZodDate': {
+      return { type: 'long', logicalType: 'timestamp-millis' };
+    }
+    case 'ZodEnum':
+    case 'ZodNativeEnum': {
+      const values =
+        type._def.typeName === 'ZodEnum' ? type.options : Object.values(type._def.values);
+      // Numeric native enums have no Avro enum equivalent
+      if (!values.every(value => typeof value === 'string')) {
+        break;
+      }
+      const symbols = values;
+      if (!symbols.every(symbol => /^[A-Za-z_][A-Za-z0-9_]*$/.test(symbol))) {
+        return 'string';
+      }
+      const enumHint = findAvroHint(hint, 'enum');
+      return {
+        type: 'enum',
+        name: enumHint?.name || createAvroName(path, names),
+        ...(enumHint?.namespace ? { namespace: enumHint.namespace } : {}),
+        symbols,
+      };
+    }
+    case 'ZodLiteral': {
+      const { value } = type._def;
+      if (typeof value === 'string') {
+        return 'string';
+      }
+      if (typeof value === 'boolean') {
+        return 'boolean';
+      }
+      if (typeof value === 'number') {
+        return 'double';
+      }
+      break;
+    }
+    case 'ZodArray': {
+      const items = findAvroHint(hint, 'array')?.items;
+      return { type: 'array', items: zodToAvroType(type._def.type, path, items, names) };
+    }
+    case 'ZodRecord': {
+      if (type._def.keyType._def.typeName !== 'ZodString') {
+        break;
+      }
+      const values = findAvroHint(hint, 'map')?.values;
+      return { type: 'map', values: zodToAvroType(type._def.valueType, path, values, names) };
+    }
+    case 'ZodObject': {
+      const recordHint = findAvroHint(hint, 'record');
+      const name = recordHint?.name || createAvroName(path, names);
+      const fields = Object.entries(type.shape).map(([key, value]) => {
+        const fieldHint = recordHint?.fields?.find(field => field.name === key)?.type;
+        const { defaultValue } = unwrapZodType(value);
+        const fieldType = zodToAvroType(value, [...path, key], fieldHint, names);
+        const field = { name: key, type: fieldType };
+        if (Array.isArray(fieldType)) {
+          field.default = null;
+        } else if (defaultValue !== undefined && isJsonValue(defaultValue)) {
+          field.default = defaultValue;
+        }
+        return field;
+      });
+      return {
+        type: 'record',
+        name,
+        ...(recordHint?.namespace ? { namespace: recordHint.namespace } : {}),
+        fields,
+      };
+    }
+  }
+
+  // Unions and other shapes without an Avro equivalent are stored as JSON strings
+  return { type: 'string', logicalType: 'ztf-json' };
+}
+
+/**
+ * Check whether a value survives JSON encoding unchanged (usable as an Avro default)
+ * @param {unknown} value - The value to check
+ * @returns {boolean} Whether the value is plain JSON
+ */
+function isJsonValue(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.every(item => isJsonValue(item));
+  }
+  if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.values(value).every(item => isJsonValue(item));
+  }
+  return false;
+}
+
+/**
+ * Generate an Avro record schema from a Zod object schema
+ * @param {ZodType} schema - Zod object schema (or array of objects) describing a record
+ * @param {Object} [opts] - Generation options
+ * @param {string} [opts.name] - Name of the top-level record
+ * @param {string} [opts.namespace] - Namespace of the top-level record
+ * @param {any} [opts.writerSchema] - Writer schema whose names should be reused for resolution
+ * @returns {Object} The Avro record schema
+ */
+function zodToAvroSchema(schema, opts = {}) {
+  const recordSchema = getRecordSchema(schema);
+  if (!recordSchema) {
+    throw new Error('Avro schema generation requires a Zod object schema (or an array of objects)');
+  }
+  const hint = opts.writerSchema || {
+    type: 'record',
+    name: opts.name || 'Record',
+    ...(opts.namespace ? { namespace: opts.namespace } : {}),
+  };
+  return zodToAvroBaseType(recordSchema, [hint.name], hint, new Set());
+}
+
+/**
+ * Infer an Avro record schema from plain row values
+ * Used when the adapter is called without a schema.
+ * @param {Object[]} records - Rows to inspect
+ * @param {string} name - Record name
+ * @returns {Object} The Avro record schema
+ */
+function inferAvroSchema(records, name) {
+  const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+  const fields = columns.map(column => {
+    const values = records.map(record => record[column]).filter(v => v !== undefined && v !== null);
+    let type = { type: 'string', logicalType: 'ztf-json' };
+    if (values.length > 0 && values.every(v => typeof v === 'string')) {
+      type = 'string';
+    } else if (values.length > 0 && values.every(v => typeof v === 'boolean')) {
+      type = 'boolean';
+    } else if (values.length > 0 && values.every(v => typeof v === 'bigint')) {
+      type = 'long';
+    } else if (values.length > 0 && values.every(v => typeof v === 'number')) {
+      type = 'double';
+    } else if (values.length > 0 && values.every(v => v instanceof Date)) {
+      type = { type: 'long', logicalType: 'timestamp-millis' };
+    }
+    return { name: column, type: ['null', type], default: null };
+  });
+  return { type: 'record', name, fields };
+}
+
+/**
+ * Convert a validated value to what the Avro writer expects for its type
+ * @param {any} value - The value to convert
+ * @param {any} type - The avsc type describing the value
+ * @returns {any} The writer-ready value
+ */
+function toAvroValue(value, type) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  switch (type.typeName) {
+    case 'union:unwrapped': {
+      const branch = type.types.find(branch => branch.typeName !== 'null');
+      return toAvroValue(value, branch);
+    }
+    case 'abstract:long': {
+      return BigInt(value);
+    }
+    case 'record': {
+      return Object.fromEntries(
+        type.fields.map(field => [field.name, toAvroValue(value[field.name], field.type)])
+      );
+    }
+    case 'array': {
+      return value.map(item => toAvroValue(item, type.itemsType));
+    }
+    case 'map': {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, toAvroValue(item, type.valuesType)])
+      );
+    }
+    default: {
+      return value;
+    }
+  }
+}
+
+/**
+ * Convert a decoded Avro value back into its JavaScript shape
+ * Nulls become absent fields (or null for nullable-only Zod fields), and longs are
+ * returned as numbers when they fit, unless the schema asks for a bigint.
+ * @param {any} value - Decoded value
+ * @param {ZodType} [zodType] - Zod type describing the value, if known
+ * @returns {any} The revived value
+ */
+function fromAvroValue(value, zodType) {
+  const { type, optional, nullable } = zodType ? unwrapZodType(zodType) : {};
+  const typeName = type?._def.typeName;
+
+  if (value === undefined || value === null) {
+    return nullable && !optional ? null : undefined;
+  }
+  if (typeof value === 'bigint') {
+    if (typeName === 'ZodBigInt') {
+      return value;
+    }
+    return Number.isSafeInteger(Number(value)) ? Number(value) : value;
+  }
+  if (Array.isArray(value)) {
+    const elementType = typeName === 'ZodArray' ? type._def.type : undefined;
+    return value.map(item => fromAvroValue(item, elementType));
+  }
+  if (typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      let itemType;
+      if (typeName === 'ZodObject') {
+        itemType = type.shape[key];
+      } else if (typeName === 'ZodRecord') {
+        itemType = type._def.valueType;
+      }
+      const revived = fromAvroValue(item, itemType);
+      if (revived !== undefined) {
+        result[key] = revived;
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Read the metadata of an Avro object container file header
+ * @param {any} avro - The avsc module
+ * @param {Buffer} bytes - Container file bytes
+ * @returns {{schema: any, codec: string, metadata: Record<string, string>}} Header contents
+ */
+function readAvroHeader(avro, bytes) {
+  if (bytes.length < AVRO_MAGIC.length || !bytes.subarray(0, 4).equals(AVRO_MAGIC)) {
+    throw new Error('Invalid Avro object container file: missing magic bytes');
+  }
+  const { value: meta } = avro.Type.forSchema({ type: 'map', values: 'bytes' }).decode(bytes, 4);
+  if (!meta?.['avro.schema']) {
+    throw new Error('Invalid Avro object container file: missing writer schema');
+  }
+  const metadata = Object.fromEntries(
+    Object.entries(meta)
+      .filter(([key]) => !key.startsWith('avro.'))
+      .map(([key, value]) => [key, value.toString()])
+  );
+  return {
+    schema: JSON.parse(meta['avro.schema'].toString()),
+    codec: meta['avro.codec'] ? meta['avro.codec'].toString() : 'null',
+    metadata,
+  };
+}
+
+/**
+ * Decode every record of an Avro object container file
+ * @param {any} avro - The avsc module
+ * @param {Buffer} bytes - Container file bytes
+ * @param {any} writerType - Type built from the embedded writer schema
+ * @param {any} [readerType] - Type to resolve records into
+ * @returns {Promise<any[]>} Decoded records
+ */
+function decodeAvroContainer(avro, bytes, writerType, readerType) {
+  return new Promise((resolve, reject) => {
+    const records = [];
+    const decoder = new avro.streams.BlockDecoder({
+      parseHook: () => writerType,
+      ...(readerType ? { readerSchema: readerType } : {}),
+    });
+    decoder.on('data', record => records.push(record));
+    decoder.on('error', reject);
+    decoder.on('end', () => resolve(records));
+    decoder.end(bytes);
+  });
+}
+
+/**
+ * Avro adapter for object container files
+ * Writes deflate-compressed container files whose embedded schema is generated from
+ * the Zod schema, and resolves files written with older schemas into the current one.
+ */
+const avroAdapter = {
+  async parse(input, opts = {}) {
+    const { schema, readerSchema, ...options } = opts;
+    const avro = await loadAvro();
+
+    let bytes = input;
+    if (typeof input === 'string') {
+      // Assume it's a file path
+      const fs = await import('node:fs/promises');
+      bytes = await fs.readFile(input);
+    } else if (input instanceof ArrayBuffer) {
+      bytes = Buffer.from(input);
+    } else if (input instanceof Uint8Array) {
+      bytes = Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+    } else {
+      throw new TypeError(
+        'Avro input must be a Buffer, Uint8Array, ArrayBuffer or file path string'
+      );
+    }
+
+    const header = readAvroHeader(avro, bytes);
+    const writerType = avro.Type.forSchema(header.schema, createAvroTypeOptions(avro));
+
+    // Resolve into the reader schema: an explicit Avro schema, or one derived from the Zod schema
+    let readerType;
+    if (readerSchema) {
+      readerType = avro.Type.forSchema(readerSchema, createAvroTypeOptions(avro));
+    } else if (getRecordSchema(schema)) {
+      const derived = zodToAvroSchema(schema, { writerSchema: header.schema });
+      readerType = avro.Type.forSchema(derived, createAvroTypeOptions(avro));
+    }
+    if (readerType) {
+      try {
+        readerType.createResolver(writerType);
+      } catch (error) {
+        throw new Error(
+          `Avro writer schema is not compatible with the reader schema: ${error.message}`
+        );
+      }
+    }
+
+    const recordSchema = getRecordSchema(schema);
+    const records = (await decodeAvroContainer(avro, bytes, writerType, readerType)).map(record =>
+      fromAvroValue(record, recordSchema)
+    );
+
+    return {
+      data: records,
+      metadata: {
+        format: 'avro',
+        recordCount: records.length,
+        codec: header.codec,
+        writerSchema: header.schema,
+        resolved: Boolean(readerType),
+        userMetadata: header.metadata,
+        ...options,
+      },
+    };
+  },
+
+  async format(data, opts = {}) {
+    const {
+      schema,
+      codec = 'deflate',
+      name = 'Record',
+      namespace,
+      blockSize,
+      metadata: userMetadata = {},
+      ...options
+    } = opts;
+    const avro = await loadAvro();
+
+    const records = Array.isArray(data) ? data : [data];
+    const avroSchema = getRecordSchema(schema)
+      ? zodToAvroSchema(schema, { name, namespace })
+      : inferAvroSchema(records, name);
+    const type = avro.Type.forSchema(avroSchema, createAvroTypeOptions(avro));
+
+    const buffer = await new Promise((resolve, reject) => {
+      const chunks = [];
+      const encoder = new avro.streams.BlockEncoder(type, {
+        codec,
+        ...(blockSize ? { blockSize } : {}),
+        metadata: Object.fromEntries(
+          Object.entries(userMetadata).map(([key, value]) => [key, Buffer.from(String(value))])
+        ),
+      });
+      encoder.on('data', chunk => chunks.push(chunk));
+      encoder.on('error', reject);
+      encoder.on('typeError', error => reject(new Error(`Avro encoding failed: ${error.message}`)));
+      encoder.on('end', () => resolve(Buffer.concat(chunks)));
+      for (const record of records) {
+        encoder.write(toAvroValue(record, type));
+      }
+      encoder.end();
+    });
+
+    return {
+      data: buffer,
+      metadata: {
+        format: 'avro',
+        outputSize: buffer.length,
+        recordCount: records.length,
+        codec,
+        avroSchema: type.getSchema({ exportAttrs: true }),
+        ...options,
+      },
+    };
+  },
+
+  schemaAware: true,
+  extensions: ['avro'],
+  mimeTypes: ['application/avro', 'avro/binary'],
+  binary: true,
+  supportsStreaming: false,
+  isAI: false,
+  version: '1.1.0',
+};
+
+/**
+ * Load the optional Protobuf library
+ * @returns {Promise<any>} The protobufjs module
+ */
+async function loadProtobuf() {
+  try {
+    const { default: protobuf } = await import('protobufjs');
+    return protobuf;
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new Error(
+        'Protobuf support requires additional dependencies (protobufjs). Install with: pnpm add protobufjs'
+      );
+    }
+    throw error;
+  }
+}
+
+const PROTO_IDENTIFIER = /^[A-Za-z_]\w*$/;
+const PROTO_INT64_TYPES = new Set(['int64', 'uint64', 'sint64', 'fixed64', 'sfixed64']);
+const PROTO_TIMESTAMP = 'google.protobuf.Timestamp';
+
+/**
+ * Convert a string to a Protobuf enum value name segment (SCREAMING_SNAKE_CASE)
+ * @param {string} value - The string to convert
+ * @returns {string} The converted segment
+ */
+function toProtoConstantCase(value) {
+  return String(value)
+    .replaceAll(/([a-z\d])([A-Z])/g, '$1_$2')
+    .replaceAll(/\W/g, '_')
+    .toUpperCase();
+}
+
+/**
+ * Name of the Protobuf enum value generated for a Zod enum symbol
+ * Values are prefixed with the enum name because proto3 enum values share the scope
+ * of the enclosing message.
+ * @param {string} enumName - Name of the Protobuf enum
+ * @param {string} symbol - The Zod enum symbol
+ * @returns {string} The enum value name
+ */
+function toProtoEnumValueName(enumName, symbol) {
+  return `${toProtoConstantCase(enumName)}_${toProtoConstantCase(symbol)}`;
+}
+
+/**
+ * Get the symbols of a Zod enum that can be represented as a Protobuf enum
+ * @param {ZodType} type - ZodEnum or ZodNativeEnum
+ * @returns {string[]|undefined} The symbols, or undefined if they need a JSON fallback
+ */
+function getProtoEnumSymbols(type) {
+  const values = type._def.typeName === 'ZodEnum' ? type.options : Object.values(type._def.values);
+  if (!values.every(value => typeof value === 'string')) {
+    return undefined;
+  }
+  const names = new Set(values.map(value => toProtoConstantCase(value)));
+  return names.size === values.length ? values : undefined;
+}
+
+/**
+ * Classify how an unwrapped Zod type is represented in Protobuf
+ * @param {ZodType} type - The unwrapped Zod type
+ * @returns {string} A scalar type name, the Timestamp type, 'enum', 'message' or 'json'
+ */
+function getProtoKind(type) {
+  switch (type._def.typeName) {
+    case 'ZodString': {
+      return 'string';
+    }
+    case 'ZodNumber': {
+      if (!type.isInt) {
+        return 'double';
+      }
+      const fitsInt32 =
+        Number.isFinite(type.minValue) &&
+        Number.isFinite(type.maxValue) &&
+        type.minValue >= -(2 ** 31) &&
+        type.maxValue < 2 ** 31;
+      return fitsInt32 ? 'int32' : 'int64';
+    }
+    case 'ZodBigInt': {
+      return 'int64';
+    }
+    case 'ZodBoolean': {
+      return 'bool';
+    }
+    case 'ZodDate': {
+      return PROTO_TIMESTAMP;
+    }
+    case 'ZodEnum':
+    case 'ZodNativeEnum': {
+      return getProtoEnumSymbols(type) ? 'enum' : 'json';
+    }
+    case 'ZodLiteral': {
+      const kinds = { string: 'string', boolean: 'bool', number: 'double' };
+      return kinds[typeof type._def.value] || 'json';
+    }
+    case 'ZodObject': {
+      return 'message';
+    }
+    default: {
+      // Unions, nested collections and other shapes are stored as JSON strings
+      return 'json';
+    }
+  }
+}
+
+/**
+ * Get the element type of a Zod array or string-keyed record field, if it maps to a
+ * repeated or map field
+ * @param {ZodType} type - The unwrapped Zod type
+ * @returns {ZodType|undefined} The unwrapped element type
+ */
+function getProtoCollectionElement(type) {
+  let element;
+  if (type._def.typeName === 'ZodArray') {
+    element = type._def.type;
+  } else if (
+    type._def.typeName === 'ZodRecord' &&
+    type._def.keyType._def.typeName === 'ZodString'
+  ) {
+    element = type._def.valueType;
+  }
+  if (!element) {
+    return undefined;
+  }
+  const { type: elementType } = unwrapZodType(element);
+  // Protobuf has no nested repeated or map fields
+  return ['ZodArray', 'ZodRecord'].includes(elementType._def.typeName) ? undefined : elementType;
+}
+
+/**
+ * Generate the .proto declaration of a message from a Zod object
+ * Field numbers follow the order of the Zod shape, starting at 1.
+ * @param {ZodType} objectType - The Zod object type
+ * @param {string} name - Message name
+ * @param {string} indent - Indentation of the message declaration
+ * @returns {string[]} The declaration lines
+ */
+function zodToProtoMessage(objectType, name, indent) {
+  const nested = [];
+  const fields = [];
+  const typeNames = new Set();
+
+  /**
+   * Declare a nested message or enum and return its type name
+   * @param {string} key - Field the type belongs to
+   * @param {ZodType} type - Unwrapped Zod object or enum type
+   * @param {string} kind - 'message' or 'enum'
+   * @returns {string} The nested type name
+   */
+  const declareNested = (key, type, kind) => {
+    const base = key.charAt(0).toUpperCase() + key.slice(1);
+    let typeName = base;
+    for (let i = 2; typeNames.has(typeName) || typeName === name; i++) {
+      typeName = `${base}${i}`;
+    }
+    typeNames.add(typeName);
+    if (kind === 'message') {
+      nested.push(...zodToProtoMessage(type, typeName, `${indent}  `));
+    } else {
+      const values = getProtoEnumSymbols(type).map(
+        (symbol, index) => `${indent}    ${toProtoEnumValueName(typeName, symbol)} = ${index + 1};`
+      );
+      nested.push(
+        `${indent}  enum ${typeName} {`,
+        `${indent}    ${toProtoConstantCase(typeName)}_UNSPECIFIED = 0;`,
+        ...values,
+        `${indent}  }`
+      );
+    }
+    return typeName;
+  };
+
+  const toProtoType = (key, type) => {
+    const kind = getProtoKind(type);
+    if (kind === 'message' || kind === 'enum') {
+      return declareNested(key, type, kind);
+    }
+    return kind === 'json' ? 'string' : kind;
+  };
+
+  for (const [index, [key, value]] of Object.entries(objectType.shape).entries()) {
+    if (!PROTO_IDENTIFIER.test(key)) {
+      throw new Error(`Field name '${key}' is not a valid Protobuf identifier`);
+    }
+    const { type, optional, nullable } = unwrapZodType(value);
+    const element = getProtoCollectionElement(type);
+    let declaration;
+    if (element && type._def.typeName === 'ZodArray') {
+      declaration = `repeated ${toProtoType(key, element)}`;
+    } else if (element) {
+      declaration = `map<string, ${toProtoType(key, element)}>`;
+    } else {
+      declaration = `${optional || nullable ? 'optional ' : ''}${toProtoType(key, type)}`;
+    }
+    fields.push(`${indent}  ${declaration} ${key} = ${index + 1};`);
+  }
+
+  return [`${indent}message ${name} {`, ...nested, ...fields, `${indent}}`];
+}
+
+/**
+ * Generate a proto3 definition from a Zod object schema
+ * Field numbers are assigned in shape order, so the generated definition doubles as a
+ * record of the numbering used on the wire.
+ * @param {ZodType} schema - Zod object schema (or array of objects) describing a message
+ * @param {Object} [opts] - Generation options
+ * @param {string} [opts.type] - Name of the top-level message (default 'Record')
+ * @param {string} [opts.package] - Package declaration
+ * @returns {string} The .proto source
+ */
+function zodToProto(schema, opts = {}) {
+  const recordSchema = getRecordSchema(schema);
+  if (!recordSchema) {
+    throw new Error(
+      'Protobuf message generation requires a Zod object schema (or an array of objects)'
+    );
+  }
+  const message = zodToProtoMessage(recordSchema, opts.type || 'Record', '');
+  const usesTimestamp = message.some(line => line.includes(PROTO_TIMESTAMP));
+  return [
+    'syntax = "proto3";',
+    '',
+    ...(opts.package ? [`package ${opts.package};`, ''] : []),
+    ...(usesTimestamp ? ['import "google/protobuf/timestamp.proto";', ''] : []),
+    ...message,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Resolve the message type to encode or decode
+ * @param {any} protobuf - The protobufjs module
+ * @param {Object} opts - Adapter options
+ * @param {string} [opts.proto] - .proto source defining the message
+ * @param {string} [opts.type] - Message type name
+ * @param {ZodType} [opts.schema] - Zod schema to derive the message from when no proto is given
+ * @returns {{messageType: any, proto: string}} The message type and the .proto source used
+ */
+function resolveProtoType(protobuf, opts) {
+  const { schema, type, package: packageName } = opts;
+  let { proto } = opts;
+  if (!proto) {
+    if (!getRecordSchema(schema)) {
+      throw new Error('Protobuf adapter requires a `proto` definition or a Zod object schema');
+    }
+    proto = zodToProto(schema, { type, package: packageName });
+  }
+
+  const root = new protobuf.Root();
+  let parsed;
+  try {
+    parsed = protobuf.parse(proto, root, { keepCase: true });
+    for (const file of parsed.imports || []) {
+      const common = protobuf.common.get(file);
+      if (common) {
+        root.addJSON(common.nested);
+      }
+    }
+    root.resolveAll();
+  } catch (error) {
+    throw new Error(`Invalid Protobuf definition: ${error.message}`);
+  }
+
+  let messageType;
+  if (type) {
+    const typeName = !opts.proto && packageName ? `${packageName}.${type}` : type;
+    messageType = root.lookup(typeName, [protobuf.Type]);
+    if (!messageType) {
+      throw new Error(`Protobuf message type '${typeName}' not found in definition`);
+    }
+  } else {
+    const scope = parsed.package ? root.lookup(parsed.package) : root;
+    const messages = scope.nestedArray.filter(item => item instanceof protobuf.Type);
+    if (messages.length !== 1) {
+      throw new Error(
+        'Protobuf adapter requires a `type` option when the definition does not declare exactly one message'
+      );
+    }
+    messageType = messages[0];
+  }
+  return { messageType, proto };
+}
+
+/**
+ * Convert a value into the plain object shape accepted by Type.fromObject
+ * Dates become Timestamps (or epoch milliseconds for integer fields), bigints become
+ * decimal strings, Zod enum symbols become their enum value names and values the Zod
+ * schema has no Protobuf equivalent for are JSON-encoded into string fields.
+ * @param {any} value - Value of a single field element
+ * @param {any} field - protobufjs Field describing the value
+ * @param {ZodType} [type] - Unwrapped Zod type of the element, if known
+ * @returns {any} The converted value
+ */
+function toProtoFieldValue(value, field, type) {
+  const resolved = field.resolvedType;
+  if (resolved?.fullName === `.${PROTO_TIMESTAMP}` && value instanceof Date) {
+    const millis = value.getTime();
+    const seconds = Math.floor(millis / 1000);
+    return { seconds, nanos: (millis - seconds * 1000) * 1e6 };
+  }
+  if (resolved && 'fieldsArray' in resolved) {
+    return toProtoObject(value, resolved, type?._def.typeName === 'ZodObject' ? type : undefined);
+  }
+  if (resolved && 'values' in resolved) {
+    if (typeof value === 'number' || value in resolved.values) {
+      return value;
+    }
+    return toProtoEnumValueName(resolved.name, value);
+  }
+  if (
+    field.type === 'string' &&
+    (type ? getProtoKind(type) === 'json' : typeof value !== 'string')
+  ) {
+    return JSON.stringify(value);
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Convert a record into the plain object shape accepted by Type.fromObject
+ * @param {Object} record - The record to convert
+ * @param {any} messageType - protobufjs Type describing the record
+ * @param {ZodType} [objectType] - Zod object type describing the record, if known
+ * @returns {Object} The converted object
+ */
+function toProtoObject(record, messageType, objectType) {
+  const result = {};
+  for (const field of messageType.fieldsArray) {
+    const value = record[field.name];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    const zodField = objectType?.shape[field.name];
+    const type = zodField && unwrapZodType(zodField).type;
+    const element = type && getProtoCollectionElement(type);
+    if (field.map) {
+      result[field.name] = Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, toProtoFieldValue(item, field, element)])
+      );
+    } else if (field.repeated) {
+      result[field.name] = value.map(item => toProtoFieldValue(item, field, element));
+    } else {
+      result[field.name] = toProtoFieldValue(value, field, type);
+    }
+  }
+  return result;
+}
+
+/**
+ * Convert a decoded field element back into the shape described by the Zod schema
+ * @param {any} value - Element from Type.toObject
+ * @param {any} field - protobufjs Field describing the value
+ * @param {ZodType} [type] - Unwrapped Zod type of the element, if known
+ * @returns {any} The revived value, or undefined to omit it
+ */
+function fromProtoFieldValue(value, field, type) {
+  const typeName = type?._def.typeName;
+  const resolved = field.resolvedType;
+
+  if (resolved?.fullName === `.${PROTO_TIMESTAMP}` && typeName !== 'ZodObject') {
+    return new Date(Number(value.seconds) * 1000 + Math.floor(value.nanos / 1e6));
+  }
+  if (resolved && 'fieldsArray' in resolved) {
+    return fromProtoObject(value, resolved, typeName === 'ZodObject' ? type : undefined);
+  }
+  if (resolved && 'values' in resolved) {
+    if (typeName !== 'ZodEnum' && typeName !== 'ZodNativeEnum') {
+      return value;
+    }
+    const symbols = getProtoEnumSymbols(type) || [];
+    return symbols.find(
+      symbol => symbol === value || toProtoEnumValueName(resolved.name, symbol) === value
+    );
+  }
+  if (PROTO_INT64_TYPES.has(field.type)) {
+    if (typeName === 'ZodBigInt') {
+      return BigInt(value);
+    }
+    if (typeName === 'ZodString') {
+      return value;
+    }
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : BigInt(value);
+  }
+  if (field.type === 'string' && type && getProtoKind(type) === 'json') {
+    return value === '' ? undefined : JSON.parse(value);
+  }
+  return value;
+}
+
+/**
+ * Convert a decoded message back into the shape described by the Zod schema
+ * Absent optional fields are omitted (or null for nullable-only Zod fields).
+ * @param {Object} object - Message from Type.toObject
+ * @param {any} messageType - protobufjs Type describing the message
+ * @param {ZodType} [objectType] - Zod object type describing the message, if known
+ * @returns {Object} The revived record
+ */
+function fromProtoObject(object, messageType, objectType) {
+  const result = {};
+  for (const field of messageType.fieldsArray) {
+    const zodField = objectType?.shape[field.name];
+    const { type, optional, nullable } = zodField ? unwrapZodType(zodField) : {};
+    const value = object[field.name];
+
+    let revived;
+    if (value !== undefined && value !== null) {
+      const element = type && getProtoCollectionElement(type);
+      if (field.map) {
+        revived = Object.fromEntries(
+          Object.entries(value).map(([key, item]) => [
+            key,
+            fromProtoFieldValue(item, field, element),
+          ])
+        );
+      } else if (field.repeated) {
+        revived = value.map(item => fromProtoFieldValue(item, field, element));
+      } else {
+        revived = fromProtoFieldValue(value, field, type);
+      }
+    }
+
+    if (revived !== undefined) {
+      result[field.name] = revived;
+    } else if (nullable && !optional) {
+      result[field.name] = null;
+    }
+  }
+  return result;
+}
+
+/**
+ * Protobuf adapter for binary wire-format messages
+ * The message type comes from a .proto definition in the `proto` option or is derived
+ * from the Zod schema. Arrays are written as a stream of length-delimited messages.
+ */
+const protobufAdapter = {
+  async parse(input, opts = {}) {
+    const { schema, proto, type, package: packageName, delimited, ...options } = opts;
+    const protobuf = await loadProtobuf();
+    const { messageType, proto: definition } = resolveProtoType(protobuf, {
+      schema,
+      proto,
+      type,
+      package: packageName,
+    });
+
+    let bytes = input;
+    if (typeof input === 'string') {
+      // Assume it's a file path
+      const fs = await import('node:fs/promises');
+      bytes = await fs.readFile(input);
+    } else if (!(input instanceof Uint8Array)) {
+      throw new TypeError('Protobuf input must be a Buffer, Uint8Array or file path string');
+    }
+
+    const isDelimited =
+      delimited ?? (schema ? unwrapZodType(schema).type._def.typeName === 'ZodArray' : false);
+    const recordSchema = getRecordSchema(schema);
+    const toObjectOptions = { longs: String, enums: String, defaults: true, oneofs: false };
+
+    let messages;
+    try {
+      if (isDelimited) {
+        messages = [];
+        const reader = protobuf.Reader.create(bytes);
+        while (reader.pos < reader.len) {
+          messages.push(messageType.decodeDelimited(reader));
+        }
+      } else {
+        messages = [messageType.decode(bytes)];
+      }
+    } catch (error) {
+      throw new Error(`Invalid Protobuf data: ${error.message}`);
+    }
+
+    const records = messages.map(message =>
+      fromProtoObject(messageType.toObject(message, toObjectOptions), messageType, recordSchema)
+    );
+
+    return {
+      data: isDelimited ? records : records[0],
+      metadata: {
+        format: 'protobuf',
+        type: messageType.fullName.slice(1),
+        recordCount: records.length,
+        delimited: isDelimited,
+        proto: definition,
+        ...options,
+      },
+    };
+  },
+
+  async format(data, opts = {}) {
+    const { schema, proto, type, package: packageName, delimited, ...options } = opts;
+    const protobuf = await loadProtobuf();
+    const { messageType, proto: definition } = resolveProtoType(protobuf, {
+      schema,
+      proto,
+      type,
+      package: packageName,
+    });
+
+    const isDelimited = delimited ?? Array.isArray(data);
+    const records = Array.isArray(data) ? data : [data];
+    if (!isDelimited && records.length !== 1) {
+      throw new Error('Protobuf adapter can only write several records with `delimited: true`');
+    }
+    const recordSchema = getRecordSchema(schema);
+    const writer = protobuf.Writer.create();
+
+    for (const record of records) {
+      const message = messageType.fromObject(toProtoObject(record, messageType, recordSchema));
+      const error = messageType.verify(message);
+      if (error) {
+        throw new Error(`Protobuf encoding failed: ${error}`);
+      }
+      if (isDelimited) {
+        messageType.encodeDelimited(message, writer);
+      } else {
+        messageType.encode(message, writer);
+      }
+    }
+
+    const buffer = Buffer.from(writer.finish());
+
+    return {
+      data: buffer,
+      metadata: {
+        format: 'protobuf',
+        type: messageType.fullName.slice(1),
+        outputSize: buffer.length,
+        recordCount: records.length,
+        delimited: isDelimited,
+        proto: definition,
+        ...options,
+      },
+    };
+  },
+
+  schemaAware: true,
+  extensions: ['pb', 'binpb'],
+  mimeTypes: ['application/x-protobuf', 'application/protobuf'],
+  binary: true,
+  supportsStreaming: false,
+  isAI: false,
+  version: '1.1.0',
 };
 
 // Create pack manifest
@@ -345,7 +2738,16 @@ const packManifest = createPackManifest(
   {
     version: '1.0.0',
     description: 'Data analytics format adapters for ZTF',
-    dependencies: ['csv-parse', 'csv-stringify', 'sqlite3'],
+    dependencies: [
+      'csv-parse',
+      'csv-stringify',
+      'sqlite3',
+      'hyparquet',
+      'hyparquet-writer',
+      'apache-arrow',
+      'avsc',
+      'protobufjs',
+    ],
   }
 );
 
@@ -364,6 +2766,9 @@ const adapters = {
 registerPack(packManifest, adapters);
 
 export {
+  zodToAvroSchema,
+  zodToProto,
+  zodToSqliteDDL,
   arrowAdapter,
   avroAdapter,
   csvAdapter,
@@ -2,7 +2,299 @@
  * @typedef {import('../core/registry.mjs').Adapter} Adapter
  */
 
-import { createPackManifest, registerPack } from '../core/index.mjs';
+import { createPackManifest, registerPack, toJSONPointer } from '../core/index.mjs';
+
+/**
+ * Split a dotted TOML or INI key into its segments, honouring quoted segments
+ * @param {string} key - Dotted key such as `a."b.c".d`
+ * @returns {string[]} Key segments
+ */
+function splitDottedKey(key) {
+  const segments = [];
+  for (const match of key.matchAll(/\s*("(?:[^"\\]|\\.)*"|'[^']*'|[^.]+)\s*(?:\.|$)/g)) {
+    const segment = match[1].trim();
+    segments.push(/^["']/.test(segment) ? segment.slice(1, -1) : segment);
+  }
+  return segments;
+}
+
+/**
+ * Count full-line comments, which parsing discards
+ * @param {string} input - Configuration text
+ * @param {string[]} markers - Comment markers, such as `#` or `;`
+ * @returns {number} Number of comment lines
+ */
+function countCommentLines(input, markers) {
+  let count = 0;
+  for (const line of input.split('\n')) {
+    const trimmed = line.trimStart();
+    if (markers.some(marker => trimmed.startsWith(marker))) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Count the leading spaces of a line
+ * @param {string} line - Input line
+ * @returns {number} Indentation width
+ */
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+/**
+ * Collect the position of every value in a block-style YAML document
+ * Flow collections are located as a whole, so issues inside them point at the collection.
+ * @param {string} input - YAML text
+ * @returns {Record<string, {line: number, column: number}>} Value positions keyed by JSON pointer
+ */
+function locateYAML(input) {
+  const positions = {};
+  const stack = [];
+  let pending;
+  let blockScalarIndent;
+
+  const containerPath = indent => {
+    if (pending && indent >= pending.indent) {
+      return pending.path;
+    }
+    return stack.at(-1)?.path ?? [];
+  };
+
+  const processNode = (content, indent, line) => {
+    while (stack.length > 0 && stack.at(-1).indent > indent) {
+      stack.pop();
+    }
+
+    if (content === '-' || content.startsWith('- ')) {
+      let sequence = stack.at(-1);
+      if (sequence?.kind !== 'sequence' || sequence.indent !== indent) {
+        sequence = { kind: 'sequence', indent, path: containerPath(indent), count: 0 };
+        stack.push(sequence);
+      }
+      const itemPath = [...sequence.path, sequence.count++];
+      const rest = content.slice(1).trimStart();
+      const restIndent = indent + content.length - rest.length;
+      positions[toJSONPointer(itemPath)] = { line, column: (rest ? restIndent : indent) + 1 };
+      pending = { path: itemPath, indent: indent + 1 };
+      if (rest && !rest.startsWith('#')) {
+        processNode(rest, restIndent, line);
+      }
+      return;
+    }
+
+    const keyMatch = content.match(
+      /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[][^#]*?)\s*:(?:\s+|$)/
+    );
+    if (!keyMatch) {
+      return;
+    }
+
+    // A key at the indentation of a sequence's dashes ends that sequence
+    while (stack.at(-1)?.kind === 'sequence' && stack.at(-1).indent === indent) {
+      stack.pop();
+    }
+    let mapping = stack.at(-1);
+    if (mapping?.kind !== 'mapping' || mapping.indent !== indent) {
+      mapping = { kind: 'mapping', indent, path: containerPath(indent) };
+      stack.push(mapping);
+    }
+
+    const rawKey = keyMatch[1];
+    const key = /^["']/.test(rawKey) ? rawKey.slice(1, -1) : rawKey;
+    const keyPath = [...mapping.path, key];
+    const value = content.slice(keyMatch[0].length);
+    const valueColumn = indent + keyMatch[0].length + 1;
+
+    if (value === '' || value.startsWith('#')) {
+      positions[toJSONPointer(keyPath)] = { line, column: indent + 1 };
+      // Block collections may start at the key's own indentation, e.g. `key:\n- item`
+      pending = { path: keyPath, indent };
+      return;
+    }
+
+    positions[toJSONPointer(keyPath)] = { line, column: valueColumn };
+    pending = undefined;
+    if (/^[|>]/.test(value)) {
+      blockScalarIndent = indent;
+    }
+  };
+
+  for (const [index, text] of input.split(/\r?\n/).entries()) {
+    const content = text.trim();
+    const indent = indentOf(text);
+    if (blockScalarIndent !== undefined) {
+      if (content === '' || indent > blockScalarIndent) {
+        continue;
+      }
+      blockScalarIndent = undefined;
+    }
+    if (content === '...') {
+      break;
+    }
+    if (
+      content === '' ||
+      content.startsWith('#') ||
+      content.startsWith('---') ||
+      content.startsWith('%')
+    ) {
+      continue;
+    }
+    processNode(content, indent, index + 1);
+  }
+
+  return positions;
+}
+
+/**
+ * Collect the position of every table and key in a TOML document
+ * Values of multi-line arrays are located as a whole.
+ * @param {string} input - TOML text
+ * @returns {Record<string, {line: number, column: number}>} Value positions keyed by JSON pointer
+ */
+function locateTOML(input) {
+  const positions = {};
+  const arrayTables = new Map();
+  let table = [];
+  let closing;
+  let arrayDepth = 0;
+
+  // Later headers refer to the most recent element of any array of tables on their path
+  const resolveTablePath = segments => {
+    const path = [];
+    for (const segment of segments) {
+      path.push(segment);
+      const count = arrayTables.get(toJSONPointer(path));
+      if (count !== undefined) {
+        path.push(count - 1);
+      }
+    }
+    return path;
+  };
+
+  for (const [index, text] of input.split(/\r?\n/).entries()) {
+    const line = index + 1;
+    if (closing) {
+      if (text.includes(closing)) {
+        closing = undefined;
+      }
+      continue;
+    }
+    if (arrayDepth > 0) {
+      arrayDepth += (text.match(/\[/g)?.length ?? 0) - (text.match(/]/g)?.length ?? 0);
+      continue;
+    }
+
+    const content = text.trim();
+    const column = indentOf(text) + 1;
+    if (content === '' || content.startsWith('#')) {
+      continue;
+    }
+
+    const arrayHeader = content.match(/^\[\[\s*(.+?)\s*]]/);
+    const tableHeader = content.match(/^\[\s*(.+?)\s*]/);
+    if (arrayHeader) {
+      const segments = splitDottedKey(arrayHeader[1]);
+      const parent = resolveTablePath(segments.slice(0, -1));
+      const arrayPath = [...parent, segments.at(-1)];
+      const pointer = toJSONPointer(arrayPath);
+      const count = arrayTables.get(pointer) ?? 0;
+      arrayTables.set(pointer, count + 1);
+      table = [...arrayPath, count];
+      positions[pointer] ??= { line, column };
+      positions[toJSONPointer(table)] = { line, column };
+      continue;
+    }
+    if (tableHeader) {
+      table = resolveTablePath(splitDottedKey(tableHeader[1]));
+      positions[toJSONPointer(table)] = { line, column };
+      continue;
+    }
+
+    const keyMatch = content.match(/^((?:"(?:[^"\\]|\\.)*"|'[^']*'|[\w.\s-])+?)\s*=\s*/);
+    if (!keyMatch) {
+      continue;
+    }
+    const keyPath = [...table, ...splitDottedKey(keyMatch[1])];
+    const value = content.slice(keyMatch[0].length);
+    positions[toJSONPointer(keyPath)] = { line, column: column + keyMatch[0].length };
+
+    const delimiter = value.slice(0, 3);
+    if ((delimiter === '"""' || delimiter === "'''") && !value.slice(3).includes(delimiter)) {
+      closing = delimiter;
+    } else if (value.startsWith('[')) {
+      arrayDepth = (value.match(/\[/g)?.length ?? 0) - (value.match(/]/g)?.length ?? 0);
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * Collect the position of every section and key in an INI document
+ * Follows the ini library: dotted section names nest and `key[]` entries build arrays.
+ * @param {string} input - INI text
+ * @returns {Record<string, {line: number, column: number}>} Value positions keyed by JSON pointer
+ */
+function locateINI(input) {
+  const positions = {};
+  const arrayCounts = new Map();
+  let section = [];
+
+  for (const [index, text] of input.split(/\r?\n/).entries()) {
+    const line = index + 1;
+    const content = text.trim();
+    const column = indentOf(text) + 1;
+    if (content === '' || /^[#;]/.test(content)) {
+      continue;
+    }
+
+    const sectionMatch = content.match(/^\[(.+)]$/);
+    if (sectionMatch) {
+      section = sectionMatch[1]
+        .split(/(?<!\\)\./)
+        .map(segment => segment.replaceAll(String.raw`\.`, '.'));
+      positions[toJSONPointer(section)] ??= { line, column };
+      continue;
+    }
+
+    const keyMatch = content.match(/^([^=]+?)\s*(?:=\s*|$)/);
+    if (!keyMatch) {
+      continue;
+    }
+    let keyPath = [...section, keyMatch[1]];
+    const position = { line, column: column + keyMatch[0].length };
+    if (keyMatch[1].endsWith('[]')) {
+      const arrayPath = [...section, keyMatch[1].slice(0, -2)];
+      const pointer = toJSONPointer(arrayPath);
+      const count = arrayCounts.get(pointer) ?? 0;
+      arrayCounts.set(pointer, count + 1);
+      positions[pointer] ??= { line, column };
+      keyPath = [...arrayPath, count];
+    }
+    positions[toJSONPointer(keyPath)] = position;
+  }
+
+  return positions;
+}
+
+/**
+ * Collect the position of every variable value in a .env file
+ * @param {string} input - .env text
+ * @returns {Record<string, {line: number, column: number}>} Value positions keyed by JSON pointer
+ */
+function locateEnv(input) {
+  const positions = {};
+  for (const [index, text] of input.split('\n').entries()) {
+    const match = text.match(/^(\s*)([^#=\s][^=]*?)\s*=\s*/);
+    if (match) {
+      positions[toJSONPointer([match[2]])] = { line: index + 1, column: match[0].length + 1 };
+    }
+  }
+  return positions;
+}
 
 /**
  * Docker Compose adapter for parsing and formatting docker-compose.yml files
@@ -101,6 +393,14 @@ const composeAdapter = {
     }
   },
 
+  locate(input) {
+    return locateYAML(input);
+  },
+
+  lossless: {
+    types: ['string', 'number', 'boolean', 'null', 'date', 'object', 'array'],
+    root: 'object',
+  },
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -214,6 +514,8 @@ const dockerfileAdapter = {
     }
   },
 
+  extensions: ['dockerfile', 'containerfile'],
+  mimeTypes: ['text/x-dockerfile'],
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -311,6 +613,12 @@ const envAdapter = {
     };
   },
 
+  locate(input) {
+    return locateEnv(input);
+  },
+
+  extensions: ['env'],
+  lossless: { types: ['string', 'boolean', 'object'], root: 'object', maxDepth: 1 },
   supportsStreaming: true,
   isAI: false,
   version: '1.0.0',
@@ -340,6 +648,7 @@ const iniAdapter = {
         metadata: {
           format: 'ini',
           inputSize: input.length,
+          commentCount: countCommentLines(input, ['#', ';']),
           sectionCount: Object.keys(data).length,
           ...opts,
         },
@@ -383,6 +692,12 @@ const iniAdapter = {
     }
   },
 
+  locate(input) {
+    return locateINI(input);
+  },
+
+  extensions: ['ini', 'cfg', 'conf'],
+  lossless: { types: ['string', 'boolean', 'object', 'array'], root: 'object' },
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -484,6 +799,14 @@ const k8sAdapter = {
     }
   },
 
+  locate(input) {
+    return locateYAML(input);
+  },
+
+  lossless: {
+    types: ['string', 'number', 'boolean', 'null', 'date', 'object', 'array'],
+    root: 'object',
+  },
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -581,6 +904,8 @@ const terraformHclAdapter = {
     }
   },
 
+  extensions: ['tf', 'hcl'],
+  mimeTypes: ['application/hcl'],
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -603,6 +928,7 @@ const tomlAdapter = {
         metadata: {
           format: 'toml',
           inputSize: input.length,
+          commentCount: countCommentLines(input, ['#']),
           ...opts,
         },
       };
@@ -664,6 +990,17 @@ const tomlAdapter = {
     }
   },
 
+  locate(input) {
+    return locateTOML(input);
+  },
+
+  extensions: ['toml'],
+  mimeTypes: ['application/toml'],
+  lossless: {
+    types: ['string', 'number', 'boolean', 'object', 'array'],
+    root: 'object',
+    maxDepth: 2,
+  },
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -694,6 +1031,7 @@ const yamlAdapter = {
         metadata: {
           format: 'yaml',
           inputSize: input.length,
+          commentCount: countCommentLines(input, ['#']),
           ...opts,
         },
       };
@@ -738,6 +1076,13 @@ const yamlAdapter = {
     }
   },
 
+  locate(input) {
+    return locateYAML(input);
+  },
+
+  extensions: ['yaml', 'yml'],
+  mimeTypes: ['application/yaml', 'application/x-yaml', 'text/yaml'],
+  lossless: { types: ['string', 'number', 'boolean', 'null', 'date', 'object', 'array'] },
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
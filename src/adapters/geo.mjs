@@ -4,77 +4,305 @@
 
 import { createPackManifest, registerPack } from '../core/index.mjs';
 
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+/**
+ * Copy an xmldom node list or attribute map into an array
+ * xmldom implements neither querySelectorAll nor iterable node lists.
+ * @param {NodeList|NamedNodeMap} list - Node list or attribute map
+ * @returns {Array<Node>} The items in order
+ */
+function toNodeArray(list) {
+  return Array.from({ length: list.length }, (_, index) => list.item(index));
+}
+
+/**
+ * Get all descendant elements with a given tag name
+ * @param {Document|Element} node - The node to search
+ * @param {string} name - Tag name to match
+ * @returns {Element[]} Matching elements in document order
+ */
+function getDescendantElements(node, name) {
+  return getChildElements(node).flatMap(child => [
+    ...(child.nodeName === name ? [child] : []),
+    ...getDescendantElements(child, name),
+  ]);
+}
+
+/**
+ * Get the direct child elements with a given local name
+ * @param {Element} element - The parent element
+ * @param {string} [name] - Local name to match, or all child elements when omitted
+ * @returns {Element[]} Matching child elements in document order
+ */
+function getChildElements(element, name) {
+  return toNodeArray(element.childNodes).filter(
+    node => node.nodeType === 1 && (!name || (node.localName || node.nodeName) === name)
+  );
+}
+
+/**
+ * Get the first direct child element with a given local name
+ * @param {Element} element - The parent element
+ * @param {string} name - Local name to match
+ * @returns {Element|undefined} The matching element
+ */
+function getChildElement(element, name) {
+  return getChildElements(element, name)[0];
+}
+
+/**
+ * Get the text content of the first direct child element with a given local name
+ * @param {Element} element - The parent element
+ * @param {string} name - Local name to match
+ * @returns {string|undefined} The trimmed text content
+ */
+function getChildText(element, name) {
+  return getChildElement(element, name)?.textContent.trim();
+}
+
+/**
+ * Append an empty child element
+ * @param {Document} doc - The owner document
+ * @param {Element} parent - The parent element
+ * @param {string} name - Qualified element name
+ * @param {string} [namespace] - Namespace URI (defaults to the parent's)
+ * @returns {Element} The appended element
+ */
+function appendXMLElement(doc, parent, name, namespace = parent.namespaceURI) {
+  return appendXMLNode(parent, doc.createElementNS(namespace, name));
+}
+
+/**
+ * Append a node as the last child of a parent
+ * @param {Node} parent - The parent node
+ * @param {Node} node - The node to append
+ * @returns {Node} The appended node
+ */
+function appendXMLNode(parent, node) {
+  // eslint-disable-next-line unicorn/prefer-dom-node-append -- xmldom has no append()
+  return parent.appendChild(node);
+}
+
+/**
+ * Append a child element holding a text value
+ * Undefined or null values are skipped so optional fields produce no element.
+ * @param {Document} doc - The owner document
+ * @param {Element} parent - The parent element
+ * @param {string} name - Qualified element name
+ * @param {any} value - Text value; Dates are written as ISO 8601
+ * @param {string} [namespace] - Namespace URI (defaults to the parent's)
+ * @returns {Element|undefined} The appended element
+ */
+function appendXMLTextElement(doc, parent, name, value, namespace = parent.namespaceURI) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const element = appendXMLElement(doc, parent, name, namespace);
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  appendXMLNode(element, doc.createTextNode(text));
+  return element;
+}
+
+/**
+ * Indent element-only content with whitespace text nodes
+ * @param {Document} doc - The owner document
+ * @param {Element} element - The element to indent
+ * @param {string} unit - Indentation unit
+ * @param {number} [depth] - Current nesting depth
+ */
+function indentXMLElement(doc, element, unit, depth = 0) {
+  const children = getChildElements(element);
+  if (children.length === 0 || children.length !== element.childNodes.length) {
+    return;
+  }
+  for (const child of children) {
+    element.insertBefore(doc.createTextNode(`\n${unit.repeat(depth + 1)}`), child);
+    indentXMLElement(doc, child, unit, depth + 1);
+  }
+  appendXMLNode(element, doc.createTextNode(`\n${unit.repeat(depth)}`));
+}
+
+/**
+ * Serialize a document with an XML declaration
+ * @param {any} xmldom - The xmldom module
+ * @param {Document} doc - The document to serialize
+ * @param {number} indent - Spaces per indentation level, 0 to disable
+ * @returns {string} The XML string
+ */
+function serializeXMLDocument(xmldom, doc, indent) {
+  if (indent > 0) {
+    indentXMLElement(doc, doc.documentElement, ' '.repeat(indent));
+  }
+  const xmlString = new xmldom.XMLSerializer().serializeToString(doc);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${xmlString}\n`;
+}
+
+/**
+ * Collect the prefixed namespace declarations of an element
+ * @param {Element} element - The element declaring the namespaces
+ * @returns {Object<string, string>|undefined} Namespace URIs keyed by prefix
+ */
+function parseXMLNamespaces(element) {
+  const namespaces = {};
+  for (const attribute of toNodeArray(element.attributes)) {
+    const match = /^xmlns:(.+)$/.exec(attribute.name);
+    if (match && attribute.value !== XSI_NAMESPACE) {
+      namespaces[match[1]] = attribute.value;
+    }
+  }
+  return Object.keys(namespaces).length > 0 ? namespaces : undefined;
+}
+
+/**
+ * Parse GPX extensions into plain objects
+ * Element names keep their namespace prefix; leaf elements become strings and
+ * repeated elements become arrays.
+ * @param {Element} parent - Element that may contain an <extensions> child
+ * @returns {Object|undefined} Parsed extensions
+ */
+function parseGPXExtensions(parent) {
+  const extensionsElement = getChildElement(parent, 'extensions');
+  if (!extensionsElement) return undefined;
+
+  const toValue = element => {
+    const children = getChildElements(element);
+    if (children.length === 0) return element.textContent.trim();
+
+    const value = {};
+    for (const child of children) {
+      const childValue = toValue(child);
+      value[child.nodeName] =
+        child.nodeName in value ? [value[child.nodeName], childValue].flat() : childValue;
+    }
+    return value;
+  };
+
+  const extensions = toValue(extensionsElement);
+  return typeof extensions === 'object' ? extensions : undefined;
+}
+
 /**
  * Parse metadata from GPX element
  * @param {Element} gpxElement - The GPX root element
  * @returns {Object|null} Parsed metadata
  */
 function parseGPXMetadata(gpxElement) {
-  const metadataElement = gpxElement.querySelectorAll('metadata')[0];
+  const metadataElement = getChildElement(gpxElement, 'metadata');
   if (!metadataElement) return undefined;
 
   const metadata = {};
 
   // Parse name
-  const nameElement = metadataElement.querySelectorAll('name')[0];
-  if (nameElement) metadata.name = nameElement.textContent;
+  const name = getChildText(metadataElement, 'name');
+  if (name !== undefined) metadata.name = name;
 
   // Parse description
-  const descElement = metadataElement.querySelectorAll('desc')[0];
-  if (descElement) metadata.description = descElement.textContent;
+  const description = getChildText(metadataElement, 'desc');
+  if (description !== undefined) metadata.description = description;
 
   // Parse author
-  const authorElement = metadataElement.querySelectorAll('author')[0];
+  const authorElement = getChildElement(metadataElement, 'author');
   if (authorElement) {
-    metadata.author = {
-      name: authorElement.querySelectorAll('name')[0]?.textContent,
-      email: authorElement.querySelectorAll('email')[0]?.textContent,
-      link: authorElement.querySelectorAll('link')[0]?.getAttribute('href'),
-    };
+    const author = {};
+    const authorName = getChildText(authorElement, 'name');
+    if (authorName !== undefined) author.name = authorName;
+
+    // GPX 1.1 splits emails into id and domain attributes
+    const emailElement = getChildElement(authorElement, 'email');
+    if (emailElement) {
+      author.email = emailElement.getAttribute('id')
+        ? `${emailElement.getAttribute('id')}@${emailElement.getAttribute('domain')}`
+        : emailElement.textContent.trim();
+    }
+
+    const linkElement = getChildElement(authorElement, 'link');
+    if (linkElement) author.link = linkElement.getAttribute('href');
+
+    metadata.author = author;
   }
 
   // Parse time
-  const timeElement = metadataElement.querySelectorAll('time')[0];
-  if (timeElement) metadata.time = timeElement.textContent;
+  const time = getChildText(metadataElement, 'time');
+  if (time !== undefined) metadata.time = time;
+
+  // Parse keywords
+  const keywords = getChildText(metadataElement, 'keywords');
+  if (keywords !== undefined) metadata.keywords = keywords;
+
+  // Parse extensions
+  const extensions = parseGPXExtensions(metadataElement);
+  if (extensions) metadata.extensions = extensions;
 
   return Object.keys(metadata).length > 0 ? metadata : undefined;
 }
 
 /**
- * Parse waypoints from GPX element
- * @param {Element} gpxElement - The GPX root element
- * @returns {Array} Array of waypoint objects
+ * Parse a GPX point (waypoint, route point or track point)
+ * @param {Element} pointElement - The wpt, rtept or trkpt element
+ * @returns {Object} Parsed point
  */
-function parseGPXWaypoints(gpxElement) {
-  const waypoints = [];
-  const wptElements = gpxElement.querySelectorAll('wpt');
+function parseGPXPoint(pointElement) {
+  const point = {
+    lat: Number.parseFloat(pointElement.getAttribute('lat')),
+    lon: Number.parseFloat(pointElement.getAttribute('lon')),
+  };
+
+  // Parse elevation
+  const elevation = getChildText(pointElement, 'ele');
+  if (elevation !== undefined) point.elevation = Number.parseFloat(elevation);
+
+  // Parse text fields
+  const fields = {
+    time: 'time',
+    name: 'name',
+    comment: 'cmt',
+    description: 'desc',
+    symbol: 'sym',
+    type: 'type',
+  };
+  for (const [key, tagName] of Object.entries(fields)) {
+    const value = getChildText(pointElement, tagName);
+    if (value !== undefined) point[key] = value;
+  }
 
-  for (const wpt of wptElements) {
-    const waypoint = {
-      lat: Number.parseFloat(wpt.getAttribute('lat')),
-      lon: Number.parseFloat(wpt.getAttribute('lon')),
-    };
+  // Parse extensions
+  const extensions = parseGPXExtensions(pointElement);
+  if (extensions) point.extensions = extensions;
 
-    // Parse elevation
-    const eleElement = wpt.querySelectorAll('ele')[0];
-    if (eleElement) waypoint.elevation = Number.parseFloat(eleElement.textContent);
+  return point;
+}
 
-    // Parse time
-    const timeElement = wpt.querySelectorAll('time')[0];
-    if (timeElement) waypoint.time = timeElement.textContent;
+/**
+ * Parse the descriptive fields shared by GPX routes and tracks
+ * @param {Element} element - The rte or trk element
+ * @returns {Object} Parsed fields
+ */
+function parseGPXPath(element) {
+  const path = {};
 
-    // Parse name
-    const nameElement = wpt.querySelectorAll('name')[0];
-    if (nameElement) waypoint.name = nameElement.textContent;
+  const fields = { name: 'name', comment: 'cmt', description: 'desc', type: 'type' };
+  for (const [key, tagName] of Object.entries(fields)) {
+    const value = getChildText(element, tagName);
+    if (value !== undefined) path[key] = value;
+  }
 
-    // Parse description
-    const descElement = wpt.querySelectorAll('desc')[0];
-    if (descElement) waypoint.description = descElement.textContent;
+  const extensions = parseGPXExtensions(element);
+  if (extensions) path.extensions = extensions;
 
-    waypoints.push(waypoint);
-  }
+  return path;
+}
 
-  return waypoints;
+/**
+ * Parse waypoints from GPX element
+ * @param {Element} gpxElement - The GPX root element
+ * @returns {Array} Array of waypoint objects
+ */
+function parseGPXWaypoints(gpxElement) {
+  return getChildElements(gpxElement, 'wpt').map(wpt => parseGPXPoint(wpt));
 }
 
 /**
@@ -84,37 +312,14 @@ function parseGPXWaypoints(gpxElement) {
  */
 function parseGPXRoutes(gpxElement) {
   const routes = [];
-  const rteElements = gpxElement.querySelectorAll('rte');
 
-  for (const rte of rteElements) {
-    const route = {};
-
-    // Parse name
-    const nameElement = rte.querySelectorAll('name')[0];
-    if (nameElement) route.name = nameElement.textContent;
-
-    // Parse description
-    const descElement = rte.querySelectorAll('desc')[0];
-    if (descElement) route.description = descElement.textContent;
+  for (const rte of getChildElements(gpxElement, 'rte')) {
+    const route = parseGPXPath(rte);
 
     // Parse route points
-    const routePoints = [];
-    const rteptElements = rte.querySelectorAll('rtept');
-
-    for (const rtept of rteptElements) {
-      const point = {
-        lat: Number.parseFloat(rtept.getAttribute('lat')),
-        lon: Number.parseFloat(rtept.getAttribute('lon')),
-      };
-
-      // Parse elevation
-      const eleElement = rtept.querySelectorAll('ele')[0];
-      if (eleElement) point.elevation = Number.parseFloat(eleElement.textContent);
-
-      routePoints.push(point);
-    }
-
+    const routePoints = getChildElements(rte, 'rtept').map(rtept => parseGPXPoint(rtept));
     if (routePoints.length > 0) route.points = routePoints;
+
     routes.push(route);
   }
 
@@ -128,64 +333,177 @@ function parseGPXRoutes(gpxElement) {
  */
 function parseGPXTracks(gpxElement) {
   const tracks = [];
-  const trkElements = gpxElement.querySelectorAll('trk');
-
-  for (const trk of trkElements) {
-    const track = {};
 
-    // Parse name
-    const nameElement = trk.querySelectorAll('name')[0];
-    if (nameElement) track.name = nameElement.textContent;
-
-    // Parse description
-    const descElement = trk.querySelectorAll('desc')[0];
-    if (descElement) track.description = descElement.textContent;
+  for (const trk of getChildElements(gpxElement, 'trk')) {
+    const track = parseGPXPath(trk);
 
     // Parse track segments
     const segments = [];
-    const trksegElements = trk.querySelectorAll('trkseg');
-
-    for (const trkseg of trksegElements) {
-      const segment = [];
-      const trkptElements = trkseg.querySelectorAll('trkpt');
+    for (const trkseg of getChildElements(trk, 'trkseg')) {
+      const segment = getChildElements(trkseg, 'trkpt').map(trkpt => parseGPXPoint(trkpt));
+      if (segment.length > 0) segments.push(segment);
+    }
 
-      for (const trkpt of trkptElements) {
-        const point = {
-          lat: Number.parseFloat(trkpt.getAttribute('lat')),
-          lon: Number.parseFloat(trkpt.getAttribute('lon')),
-        };
+    if (segments.length > 0) track.segments = segments;
+    tracks.push(track);
+  }
 
-        // Parse elevation
-        const eleElement = trkpt.querySelectorAll('ele')[0];
-        if (eleElement) point.elevation = Number.parseFloat(eleElement.textContent);
+  return tracks;
+}
 
-        // Parse time
-        const timeElement = trkpt.querySelectorAll('time')[0];
-        if (timeElement) point.time = timeElement.textContent;
+/**
+ * Append GPX extensions to an element
+ * @param {Document} doc - The GPX document
+ * @param {Element} parent - Element receiving the <extensions> child
+ * @param {Object} [extensions] - Extensions as produced by the parser
+ * @param {Object<string, string>} namespaces - Namespace URIs keyed by prefix
+ */
+function appendGPXExtensions(doc, parent, extensions, namespaces) {
+  if (!extensions || Object.keys(extensions).length === 0) return;
 
-        segment.push(point);
+  const appendValue = (element, value) => {
+    for (const [name, childValue] of Object.entries(value)) {
+      const prefix = name.includes(':') ? name.split(':')[0] : undefined;
+      if (prefix && !namespaces[prefix]) {
+        throw new Error(
+          `Unknown namespace prefix '${prefix}' in GPX extensions; declare it in gpx.namespaces`
+        );
+      }
+      const namespace = prefix ? namespaces[prefix] : GPX_NAMESPACE;
+      for (const item of [childValue].flat()) {
+        if (item !== null && typeof item === 'object' && !(item instanceof Date)) {
+          appendValue(appendXMLElement(doc, element, name, namespace), item);
+        } else {
+          appendXMLTextElement(doc, element, name, item, namespace);
+        }
       }
-
-      if (segment.length > 0) segments.push(segment);
     }
+  };
 
-    if (segments.length > 0) track.segments = segments;
-    tracks.push(track);
+  appendValue(appendXMLElement(doc, parent, 'extensions'), extensions);
+}
+
+/**
+ * Append a GPX point (waypoint, route point or track point)
+ * @param {Document} doc - The GPX document
+ * @param {Element} parent - The parent element
+ * @param {string} tagName - wpt, rtept or trkpt
+ * @param {Object} point - The point
+ * @param {Object<string, string>} namespaces - Namespace URIs keyed by prefix
+ */
+function appendGPXPoint(doc, parent, tagName, point, namespaces) {
+  if (!Number.isFinite(point?.lat) || !Number.isFinite(point?.lon)) {
+    throw new TypeError(`Invalid GPX ${tagName}: lat and lon must be numbers`);
   }
 
-  return tracks;
+  const element = appendXMLElement(doc, parent, tagName);
+  element.setAttribute('lat', String(point.lat));
+  element.setAttribute('lon', String(point.lon));
+
+  // Child order follows the GPX 1.1 wptType sequence
+  appendXMLTextElement(doc, element, 'ele', point.elevation);
+  appendXMLTextElement(doc, element, 'time', point.time);
+  appendXMLTextElement(doc, element, 'name', point.name);
+  appendXMLTextElement(doc, element, 'cmt', point.comment);
+  appendXMLTextElement(doc, element, 'desc', point.description);
+  appendXMLTextElement(doc, element, 'sym', point.symbol);
+  appendXMLTextElement(doc, element, 'type', point.type);
+  appendGPXExtensions(doc, element, point.extensions, namespaces);
+}
+
+/**
+ * Append the descriptive fields shared by GPX routes and tracks
+ * @param {Document} doc - The GPX document
+ * @param {Element} element - The rte or trk element
+ * @param {Object} path - The route or track
+ * @param {Object<string, string>} namespaces - Namespace URIs keyed by prefix
+ */
+function appendGPXPath(doc, element, path, namespaces) {
+  appendXMLTextElement(doc, element, 'name', path.name);
+  appendXMLTextElement(doc, element, 'cmt', path.comment);
+  appendXMLTextElement(doc, element, 'desc', path.description);
+  appendXMLTextElement(doc, element, 'type', path.type);
+  appendGPXExtensions(doc, element, path.extensions, namespaces);
 }
 
 /**
  * Create GPX document from data
+ * @param {any} xmldom - The xmldom module
  * @param {Object} gpx - GPX data object
- * @param {Object} opts - Options
  * @returns {Document} XML document
  */
-function createGPXDocument(gpx, opts = {}) {
-  // This would need to be implemented with proper XML document creation
-  // For now, return a basic structure
-  throw new Error('GPX formatting not yet implemented - requires XML document creation');
+function createGPXDocument(xmldom, gpx) {
+  const namespaces = gpx.namespaces || {};
+  const doc = new xmldom.DOMImplementation().createDocument(GPX_NAMESPACE, 'gpx');
+  const root = doc.documentElement;
+
+  root.setAttribute('version', '1.1');
+  root.setAttribute('creator', gpx.creator || 'ZTF');
+  root.setAttributeNS(XMLNS_NAMESPACE, 'xmlns', GPX_NAMESPACE);
+  root.setAttributeNS(XMLNS_NAMESPACE, 'xmlns:xsi', XSI_NAMESPACE);
+  for (const [prefix, uri] of Object.entries(namespaces)) {
+    root.setAttributeNS(XMLNS_NAMESPACE, `xmlns:${prefix}`, uri);
+  }
+  root.setAttributeNS(
+    XSI_NAMESPACE,
+    'xsi:schemaLocation',
+    `${GPX_NAMESPACE} http://www.topografix.com/GPX/1/1/gpx.xsd`
+  );
+
+  // Metadata
+  if (gpx.metadata) {
+    const { metadata } = gpx;
+    const metadataElement = appendXMLElement(doc, root, 'metadata');
+    appendXMLTextElement(doc, metadataElement, 'name', metadata.name);
+    appendXMLTextElement(doc, metadataElement, 'desc', metadata.description);
+    if (metadata.author) {
+      const authorElement = appendXMLElement(doc, metadataElement, 'author');
+      appendXMLTextElement(doc, authorElement, 'name', metadata.author.name);
+      if (metadata.author.email) {
+        const [id, domain] = metadata.author.email.split('@');
+        const emailElement = appendXMLElement(doc, authorElement, 'email');
+        emailElement.setAttribute('id', id);
+        emailElement.setAttribute('domain', domain || '');
+      }
+      if (metadata.author.link) {
+        appendXMLElement(doc, authorElement, 'link').setAttribute('href', metadata.author.link);
+      }
+    }
+    appendXMLTextElement(doc, metadataElement, 'time', metadata.time);
+    appendXMLTextElement(doc, metadataElement, 'keywords', metadata.keywords);
+    appendGPXExtensions(doc, metadataElement, metadata.extensions, namespaces);
+  }
+
+  // Waypoints
+  for (const waypoint of gpx.waypoints || []) {
+    appendGPXPoint(doc, root, 'wpt', waypoint, namespaces);
+  }
+
+  // Routes
+  for (const route of gpx.routes || []) {
+    const rte = appendXMLElement(doc, root, 'rte');
+    appendGPXPath(doc, rte, route, namespaces);
+    for (const point of route.points || []) {
+      appendGPXPoint(doc, rte, 'rtept', point, namespaces);
+    }
+  }
+
+  // Tracks
+  for (const track of gpx.tracks || []) {
+    const trk = appendXMLElement(doc, root, 'trk');
+    appendGPXPath(doc, trk, track, namespaces);
+    for (const segment of track.segments || []) {
+      const trkseg = appendXMLElement(doc, trk, 'trkseg');
+      for (const point of segment) {
+        appendGPXPoint(doc, trkseg, 'trkpt', point, namespaces);
+      }
+    }
+  }
+
+  // Extensions come last in gpxType
+  appendGPXExtensions(doc, root, gpx.extensions, namespaces);
+
+  return doc;
 }
 
 /**
@@ -206,13 +524,13 @@ const gpxAdapter = {
       const doc = parser.parseFromString(input, 'text/xml');
 
       // Check for parsing errors
-      const parseError = doc.querySelectorAll('parsererror')[0];
+      const parseError = getDescendantElements(doc, 'parsererror')[0];
       if (parseError) {
         throw new Error(`GPX parsing error: ${parseError.textContent}`);
       }
 
-      const gpxElement = doc.querySelectorAll('gpx')[0];
-      if (!gpxElement) {
+      const gpxElement = doc.documentElement;
+      if (!gpxElement || (gpxElement.localName || gpxElement.nodeName) !== 'gpx') {
         throw new Error('Invalid GPX: root <gpx> element not found');
       }
 
@@ -220,10 +538,12 @@ const gpxAdapter = {
         gpx: {
           version: gpxElement.getAttribute('version') || '1.1',
           creator: gpxElement.getAttribute('creator') || 'ZTF',
+          namespaces: parseXMLNamespaces(gpxElement),
           metadata: parseGPXMetadata(gpxElement),
           waypoints: parseGPXWaypoints(gpxElement),
           routes: parseGPXRoutes(gpxElement),
           tracks: parseGPXTracks(gpxElement),
+          extensions: parseGPXExtensions(gpxElement),
         },
       };
 
@@ -250,28 +570,25 @@ const gpxAdapter = {
   async format(data, opts = {}) {
     try {
       // Dynamic import to handle optional dependency
-      const { XMLSerializer } = await import('xmldom');
+      const xmldom = await import('xmldom');
 
       if (!data || !(/** @type {any} */ (data).gpx)) {
         throw new Error('Invalid GPX data: missing gpx object');
       }
 
       const gpx = /** @type {any} */ (data).gpx;
-      const serializer = new XMLSerializer();
+      const { indent = 2 } = opts;
 
       // Create GPX document
-      const doc = createGPXDocument(gpx, opts);
-      const xmlString = serializer.serializeToString(doc);
-
-      // Add XML declaration
-      const formatted = `<?xml version="1.0" encoding="UTF-8"?>\n${xmlString}`;
+      const doc = createGPXDocument(xmldom, gpx);
+      const formatted = serializeXMLDocument(xmldom, doc, indent);
 
       return {
         data: formatted,
         metadata: {
           outputSize: formatted.length,
           format: 'gpx',
-          version: gpx.version || '1.1',
+          version: '1.1',
           waypointCount: gpx.waypoints?.length || 0,
           routeCount: gpx.routes?.length || 0,
           trackCount: gpx.tracks?.length || 0,
@@ -286,6 +603,8 @@ const gpxAdapter = {
     }
   },
 
+  extensions: ['gpx'],
+  mimeTypes: ['application/gpx+xml'],
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -297,18 +616,18 @@ const gpxAdapter = {
  * @returns {Object|null} Parsed document
  */
 function parseKMLDocument(kmlElement) {
-  const documentElement = kmlElement.querySelectorAll('Document')[0];
+  const documentElement = getChildElement(kmlElement, 'Document');
   if (!documentElement) return undefined;
 
   const document = {};
 
   // Parse name
-  const nameElement = documentElement.querySelectorAll('name')[0];
-  if (nameElement) document.name = nameElement.textContent;
+  const name = getChildText(documentElement, 'name');
+  if (name !== undefined) document.name = name;
 
   // Parse description
-  const descElement = documentElement.querySelectorAll('description')[0];
-  if (descElement) document.description = descElement.textContent;
+  const description = getChildText(documentElement, 'description');
+  if (description !== undefined) document.description = description;
 
   // Parse styles
   const styles = parseKMLStyles(documentElement);
@@ -332,27 +651,26 @@ function parseKMLDocument(kmlElement) {
  */
 function parseKMLStyles(documentElement) {
   const styles = [];
-  const styleElements = documentElement.querySelectorAll('Style');
 
-  for (const style of styleElements) {
+  for (const style of getChildElements(documentElement, 'Style')) {
     const styleObj = {
       id: style.getAttribute('id'),
     };
 
     // Parse IconStyle
-    const iconStyle = style.querySelectorAll('IconStyle')[0];
+    const iconStyle = getChildElement(style, 'IconStyle');
     if (iconStyle) {
       styleObj.iconStyle = parseKMLIconStyle(iconStyle);
     }
 
     // Parse LineStyle
-    const lineStyle = style.querySelectorAll('LineStyle')[0];
+    const lineStyle = getChildElement(style, 'LineStyle');
     if (lineStyle) {
       styleObj.lineStyle = parseKMLLineStyle(lineStyle);
     }
 
     // Parse PolyStyle
-    const polyStyle = style.querySelectorAll('PolyStyle')[0];
+    const polyStyle = getChildElement(style, 'PolyStyle');
     if (polyStyle) {
       styleObj.polyStyle = parseKMLPolyStyle(polyStyle);
     }
@@ -372,18 +690,18 @@ function parseKMLIconStyle(iconStyleElement) {
   const iconStyle = {};
 
   // Parse color
-  const colorElement = iconStyleElement.querySelectorAll('color')[0];
-  if (colorElement) iconStyle.color = colorElement.textContent;
+  const color = getChildText(iconStyleElement, 'color');
+  if (color !== undefined) iconStyle.color = color;
 
   // Parse scale
-  const scaleElement = iconStyleElement.querySelectorAll('scale')[0];
-  if (scaleElement) iconStyle.scale = Number.parseFloat(scaleElement.textContent);
+  const scale = getChildText(iconStyleElement, 'scale');
+  if (scale !== undefined) iconStyle.scale = Number.parseFloat(scale);
 
   // Parse icon
-  const iconElement = iconStyleElement.querySelectorAll('Icon')[0];
+  const iconElement = getChildElement(iconStyleElement, 'Icon');
   if (iconElement) {
-    const hrefElement = iconElement.querySelectorAll('href')[0];
-    if (hrefElement) iconStyle.href = hrefElement.textContent;
+    const href = getChildText(iconElement, 'href');
+    if (href !== undefined) iconStyle.href = href;
   }
 
   return iconStyle;
@@ -398,12 +716,12 @@ function parseKMLLineStyle(lineStyleElement) {
   const lineStyle = {};
 
   // Parse color
-  const colorElement = lineStyleElement.querySelectorAll('color')[0];
-  if (colorElement) lineStyle.color = colorElement.textContent;
+  const color = getChildText(lineStyleElement, 'color');
+  if (color !== undefined) lineStyle.color = color;
 
   // Parse width
-  const widthElement = lineStyleElement.querySelectorAll('width')[0];
-  if (widthElement) lineStyle.width = Number.parseFloat(widthElement.textContent);
+  const width = getChildText(lineStyleElement, 'width');
+  if (width !== undefined) lineStyle.width = Number.parseFloat(width);
 
   return lineStyle;
 }
@@ -417,43 +735,42 @@ function parseKMLPolyStyle(polyStyleElement) {
   const polyStyle = {};
 
   // Parse color
-  const colorElement = polyStyleElement.querySelectorAll('color')[0];
-  if (colorElement) polyStyle.color = colorElement.textContent;
+  const color = getChildText(polyStyleElement, 'color');
+  if (color !== undefined) polyStyle.color = color;
 
   // Parse fill
-  const fillElement = polyStyleElement.querySelectorAll('fill')[0];
-  if (fillElement) polyStyle.fill = fillElement.textContent === '1';
+  const fill = getChildText(polyStyleElement, 'fill');
+  if (fill !== undefined) polyStyle.fill = fill === '1';
 
   // Parse outline
-  const outlineElement = polyStyleElement.querySelectorAll('outline')[0];
-  if (outlineElement) polyStyle.outline = outlineElement.textContent === '1';
+  const outline = getChildText(polyStyleElement, 'outline');
+  if (outline !== undefined) polyStyle.outline = outline === '1';
 
   return polyStyle;
 }
 
 /**
  * Parse KML placemarks
- * @param {Element} documentElement - The Document element
+ * @param {Element} containerElement - The Document or Folder element
  * @returns {Array} Array of placemark objects
  */
-function parseKMLPlacemarks(documentElement) {
+function parseKMLPlacemarks(containerElement) {
   const placemarks = [];
-  const placemarkElements = documentElement.querySelectorAll('Placemark');
 
-  for (const placemark of placemarkElements) {
+  for (const placemark of getChildElements(containerElement, 'Placemark')) {
     const placemarkObj = {};
 
     // Parse name
-    const nameElement = placemark.querySelectorAll('name')[0];
-    if (nameElement) placemarkObj.name = nameElement.textContent;
+    const name = getChildText(placemark, 'name');
+    if (name !== undefined) placemarkObj.name = name;
 
     // Parse description
-    const descElement = placemark.querySelectorAll('description')[0];
-    if (descElement) placemarkObj.description = descElement.textContent;
+    const description = getChildText(placemark, 'description');
+    if (description !== undefined) placemarkObj.description = description;
 
     // Parse styleUrl
-    const styleUrlElement = placemark.querySelectorAll('styleUrl')[0];
-    if (styleUrlElement) placemarkObj.styleUrl = styleUrlElement.textContent;
+    const styleUrl = getChildText(placemark, 'styleUrl');
+    if (styleUrl !== undefined) placemarkObj.styleUrl = styleUrl;
 
     // Parse geometry
     const geometry = parseKMLGeometry(placemark);
@@ -466,100 +783,114 @@ function parseKMLPlacemarks(documentElement) {
 }
 
 /**
- * Parse KML geometry
- * @param {Element} placemarkElement - The Placemark element
- * @returns {Object|null} Parsed geometry
+ * Parse a KML coordinates element into [lon, lat, alt] tuples
+ * @param {Element} [coordinatesElement] - The coordinates element
+ * @returns {number[][]} Parsed coordinates
  */
-function parseKMLGeometry(placemarkElement) {
-  // Parse Point
-  const pointElement = placemarkElement.querySelectorAll('Point')[0];
-  if (pointElement) {
-    const coordinatesElement = pointElement.querySelectorAll('coordinates')[0];
-    if (coordinatesElement) {
-      const coords = coordinatesElement.textContent.trim().split(',');
+function parseKMLCoordinates(coordinatesElement) {
+  if (!coordinatesElement) return [];
+
+  return coordinatesElement.textContent
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(coord => {
+      const parts = coord.split(',');
+      return [
+        Number.parseFloat(parts[0]),
+        Number.parseFloat(parts[1]),
+        parts[2] ? Number.parseFloat(parts[2]) : 0,
+      ];
+    });
+}
+
+/**
+ * Parse a single KML geometry element
+ * @param {Element} element - Point, LineString, LinearRing, Polygon or MultiGeometry element
+ * @returns {Object|undefined} Parsed geometry
+ */
+function parseKMLGeometryElement(element) {
+  switch (element.localName || element.nodeName) {
+    case 'Point': {
+      const [coordinates] = parseKMLCoordinates(getChildElement(element, 'coordinates'));
+      return coordinates ? { type: 'Point', coordinates } : undefined;
+    }
+    case 'LineString':
+    case 'LinearRing': {
+      return {
+        type: element.localName || element.nodeName,
+        coordinates: parseKMLCoordinates(getChildElement(element, 'coordinates')),
+      };
+    }
+    case 'Polygon': {
+      const ringCoordinates = boundary =>
+        parseKMLCoordinates(
+          getChildElement(getChildElement(boundary, 'LinearRing') || boundary, 'coordinates')
+        );
+      const outer = getChildElement(element, 'outerBoundaryIs');
+      if (!outer) return undefined;
       return {
-        type: 'Point',
+        type: 'Polygon',
         coordinates: [
-          Number.parseFloat(coords[0]),
-          Number.parseFloat(coords[1]),
-          coords[2] ? Number.parseFloat(coords[2]) : 0,
+          ringCoordinates(outer),
+          ...getChildElements(element, 'innerBoundaryIs').map(inner => ringCoordinates(inner)),
         ],
       };
     }
-  }
-
-  // Parse LineString
-  const lineStringElement = placemarkElement.querySelectorAll('LineString')[0];
-  if (lineStringElement) {
-    const coordinatesElement = lineStringElement.querySelectorAll('coordinates')[0];
-    if (coordinatesElement) {
-      const coords = coordinatesElement.textContent.trim().split(/\s+/);
-      const coordinates = coords.map(coord => {
-        const parts = coord.split(',');
-        return [
-          Number.parseFloat(parts[0]),
-          Number.parseFloat(parts[1]),
-          parts[2] ? Number.parseFloat(parts[2]) : 0,
-        ];
-      });
+    case 'MultiGeometry': {
       return {
-        type: 'LineString',
-        coordinates,
+        type: 'MultiGeometry',
+        geometries: getChildElements(element)
+          .map(child => parseKMLGeometryElement(child))
+          .filter(Boolean),
       };
     }
-  }
-
-  // Parse Polygon
-  const polygonElement = placemarkElement.querySelectorAll('Polygon')[0];
-  if (polygonElement) {
-    const outerBoundaryElement = polygonElement.querySelectorAll('outerBoundaryIs')[0];
-    if (outerBoundaryElement) {
-      const coordinatesElement = outerBoundaryElement.querySelectorAll('coordinates')[0];
-      if (coordinatesElement) {
-        const coords = coordinatesElement.textContent.trim().split(/\s+/);
-        const coordinates = coords.map(coord => {
-          const parts = coord.split(',');
-          return [
-            Number.parseFloat(parts[0]),
-            Number.parseFloat(parts[1]),
-            parts[2] ? Number.parseFloat(parts[2]) : 0,
-          ];
-        });
-        return {
-          type: 'Polygon',
-          coordinates: [coordinates],
-        };
-      }
+    default: {
+      return undefined;
     }
   }
+}
 
+/**
+ * Parse KML geometry
+ * @param {Element} placemarkElement - The Placemark element
+ * @returns {Object|null} Parsed geometry
+ */
+function parseKMLGeometry(placemarkElement) {
+  for (const child of getChildElements(placemarkElement)) {
+    const geometry = parseKMLGeometryElement(child);
+    if (geometry) return geometry;
+  }
   return undefined;
 }
 
 /**
  * Parse KML folders
- * @param {Element} documentElement - The Document element
+ * @param {Element} containerElement - The Document or Folder element
  * @returns {Array} Array of folder objects
  */
-function parseKMLFolders(documentElement) {
+function parseKMLFolders(containerElement) {
   const folders = [];
-  const folderElements = documentElement.querySelectorAll('Folder');
 
-  for (const folder of folderElements) {
+  for (const folder of getChildElements(containerElement, 'Folder')) {
     const folderObj = {};
 
     // Parse name
-    const nameElement = folder.querySelectorAll('name')[0];
-    if (nameElement) folderObj.name = nameElement.textContent;
+    const name = getChildText(folder, 'name');
+    if (name !== undefined) folderObj.name = name;
 
     // Parse description
-    const descElement = folder.querySelectorAll('description')[0];
-    if (descElement) folderObj.description = descElement.textContent;
+    const description = getChildText(folder, 'description');
+    if (description !== undefined) folderObj.description = description;
 
     // Parse placemarks within folder
     const placemarks = parseKMLPlacemarks(folder);
     if (placemarks.length > 0) folderObj.placemarks = placemarks;
 
+    // Parse nested folders
+    const subfolders = parseKMLFolders(folder);
+    if (subfolders.length > 0) folderObj.folders = subfolders;
+
     folders.push(folderObj);
   }
 
@@ -572,19 +903,163 @@ function parseKMLFolders(documentElement) {
  * @returns {number} Number of placemarks
  */
 function countKMLPlacemarks(kmlElement) {
-  return kmlElement.querySelectorAll('Placemark').length;
+  return getDescendantElements(kmlElement, 'Placemark').length;
+}
+
+/**
+ * Format [lon, lat, alt] tuples as KML coordinates text
+ * @param {number[][]} coordinates - The coordinates
+ * @returns {string} The coordinates text
+ */
+function formatKMLCoordinates(coordinates) {
+  return coordinates.map(coordinate => coordinate.join(',')).join(' ');
+}
+
+/**
+ * Append a KML geometry element
+ * GeoJSON multi-geometries and geometry collections are written as MultiGeometry.
+ * @param {Document} doc - The KML document
+ * @param {Element} parent - The parent element
+ * @param {Object} geometry - The geometry
+ */
+function appendKMLGeometry(doc, parent, geometry) {
+  switch (geometry.type) {
+    case 'Point': {
+      const point = appendXMLElement(doc, parent, 'Point');
+      appendXMLTextElement(doc, point, 'coordinates', formatKMLCoordinates([geometry.coordinates]));
+      break;
+    }
+    case 'LineString':
+    case 'LinearRing': {
+      const line = appendXMLElement(doc, parent, geometry.type);
+      appendXMLTextElement(doc, line, 'coordinates', formatKMLCoordinates(geometry.coordinates));
+      break;
+    }
+    case 'Polygon': {
+      const polygon = appendXMLElement(doc, parent, 'Polygon');
+      for (const [index, ring] of geometry.coordinates.entries()) {
+        const boundary = appendXMLElement(
+          doc,
+          polygon,
+          index === 0 ? 'outerBoundaryIs' : 'innerBoundaryIs'
+        );
+        const linearRing = appendXMLElement(doc, boundary, 'LinearRing');
+        appendXMLTextElement(doc, linearRing, 'coordinates', formatKMLCoordinates(ring));
+      }
+      break;
+    }
+    case 'MultiGeometry':
+    case 'GeometryCollection': {
+      const multi = appendXMLElement(doc, parent, 'MultiGeometry');
+      for (const child of geometry.geometries || []) {
+        appendKMLGeometry(doc, multi, child);
+      }
+      break;
+    }
+    case 'MultiPoint':
+    case 'MultiLineString':
+    case 'MultiPolygon': {
+      const multi = appendXMLElement(doc, parent, 'MultiGeometry');
+      const type = geometry.type.slice('Multi'.length);
+      for (const coordinates of geometry.coordinates) {
+        appendKMLGeometry(doc, multi, { type, coordinates });
+      }
+      break;
+    }
+    default: {
+      throw new Error(`Unsupported KML geometry type: ${geometry.type}`);
+    }
+  }
+}
+
+/**
+ * Append a KML Style element
+ * @param {Document} doc - The KML document
+ * @param {Element} parent - The parent element
+ * @param {Object} style - The style
+ */
+function appendKMLStyle(doc, parent, style) {
+  const styleElement = appendXMLElement(doc, parent, 'Style');
+  if (style.id) styleElement.setAttribute('id', style.id);
+
+  if (style.iconStyle) {
+    const iconStyle = appendXMLElement(doc, styleElement, 'IconStyle');
+    appendXMLTextElement(doc, iconStyle, 'color', style.iconStyle.color);
+    appendXMLTextElement(doc, iconStyle, 'scale', style.iconStyle.scale);
+    if (style.iconStyle.href !== undefined) {
+      appendXMLTextElement(
+        doc,
+        appendXMLElement(doc, iconStyle, 'Icon'),
+        'href',
+        style.iconStyle.href
+      );
+    }
+  }
+
+  if (style.lineStyle) {
+    const lineStyle = appendXMLElement(doc, styleElement, 'LineStyle');
+    appendXMLTextElement(doc, lineStyle, 'color', style.lineStyle.color);
+    appendXMLTextElement(doc, lineStyle, 'width', style.lineStyle.width);
+  }
+
+  if (style.polyStyle) {
+    const toFlag = value => (value === undefined ? undefined : Number(Boolean(value)));
+    const polyStyle = appendXMLElement(doc, styleElement, 'PolyStyle');
+    appendXMLTextElement(doc, polyStyle, 'color', style.polyStyle.color);
+    appendXMLTextElement(doc, polyStyle, 'fill', toFlag(style.polyStyle.fill));
+    appendXMLTextElement(doc, polyStyle, 'outline', toFlag(style.polyStyle.outline));
+  }
+}
+
+/**
+ * Append KML placemarks and folders to a container
+ * @param {Document} doc - The KML document
+ * @param {Element} container - The Document or Folder element
+ * @param {Object} feature - Object with optional placemarks and folders
+ */
+function appendKMLFeatures(doc, container, feature) {
+  for (const placemark of feature.placemarks || []) {
+    const placemarkElement = appendXMLElement(doc, container, 'Placemark');
+    appendXMLTextElement(doc, placemarkElement, 'name', placemark.name);
+    appendXMLTextElement(doc, placemarkElement, 'description', placemark.description);
+    appendXMLTextElement(doc, placemarkElement, 'styleUrl', placemark.styleUrl);
+    if (placemark.geometry) {
+      appendKMLGeometry(doc, placemarkElement, placemark.geometry);
+    }
+  }
+
+  for (const folder of feature.folders || []) {
+    const folderElement = appendXMLElement(doc, container, 'Folder');
+    appendXMLTextElement(doc, folderElement, 'name', folder.name);
+    appendXMLTextElement(doc, folderElement, 'description', folder.description);
+    appendKMLFeatures(doc, folderElement, folder);
+  }
 }
 
 /**
  * Create KML document from data
+ * @param {any} xmldom - The xmldom module
  * @param {Object} kml - KML data object
- * @param {Object} opts - Options
  * @returns {Document} XML document
  */
-function createKMLDocument(kml, opts = {}) {
-  // This would need to be implemented with proper XML document creation
-  // For now, return a basic structure
-  throw new Error('KML formatting not yet implemented - requires XML document creation');
+function createKMLDocument(xmldom, kml) {
+  const namespace = kml.xmlns || KML_NAMESPACE;
+  const doc = new xmldom.DOMImplementation().createDocument(namespace, 'kml');
+  const root = doc.documentElement;
+  root.setAttributeNS(XMLNS_NAMESPACE, 'xmlns', namespace);
+
+  if (kml.document) {
+    const { document } = kml;
+    const documentElement = appendXMLElement(doc, root, 'Document');
+    appendXMLTextElement(doc, documentElement, 'name', document.name);
+    appendXMLTextElement(doc, documentElement, 'description', document.description);
+    for (const style of document.styles || []) {
+      appendKMLStyle(doc, documentElement, style);
+    }
+    appendKMLFeatures(doc, documentElement, document);
+  }
+
+  return doc;
 }
 
 /**
@@ -605,16 +1080,16 @@ const kmlAdapter = {
       const doc = parser.parseFromString(input, 'text/xml');
 
       // Check for parsing errors
-      const parseError = doc.querySelectorAll('parsererror')[0];
+      const parseError = getDescendantElements(doc, 'parsererror')[0];
       if (parseError) {
         throw new Error(`KML parsing error: ${parseError.textContent}`);
       }
 
       // Handle both KML and KMZ (compressed KML)
-      let kmlElement = doc.querySelectorAll('kml')[0];
+      let kmlElement = getDescendantElements(doc, 'kml')[0];
       if (!kmlElement) {
         // Try to find Document element directly
-        const documentElement = doc.querySelectorAll('Document')[0];
+        const documentElement = getDescendantElements(doc, 'Document')[0];
         if (documentElement) {
           kmlElement = documentElement.parentNode;
         }
@@ -626,8 +1101,8 @@ const kmlAdapter = {
 
       const result = {
         kml: {
-          version: kmlElement.getAttribute('version') || '2.2',
-          xmlns: kmlElement.getAttribute('xmlns') || 'http://www.opengis.net/kml/2.2',
+          version: kmlElement.getAttribute?.('version') || '2.2',
+          xmlns: kmlElement.getAttribute?.('xmlns') || KML_NAMESPACE,
           document: parseKMLDocument(kmlElement),
         },
       };
@@ -653,21 +1128,18 @@ const kmlAdapter = {
   async format(data, opts = {}) {
     try {
       // Dynamic import to handle optional dependency
-      const { XMLSerializer } = await import('xmldom');
+      const xmldom = await import('xmldom');
 
       if (!data || !(/** @type {any} */ (data).kml)) {
         throw new Error('Invalid KML data: missing kml object');
       }
 
       const kml = /** @type {any} */ (data).kml;
-      const serializer = new XMLSerializer();
+      const { indent = 2 } = opts;
 
       // Create KML document
-      const doc = createKMLDocument(kml, opts);
-      const xmlString = serializer.serializeToString(doc);
-
-      // Add XML declaration
-      const formatted = `<?xml version="1.0" encoding="UTF-8"?>\n${xmlString}`;
+      const doc = createKMLDocument(xmldom, kml);
+      const formatted = serializeXMLDocument(xmldom, doc, indent);
 
       return {
         data: formatted,
@@ -675,6 +1147,7 @@ const kmlAdapter = {
           outputSize: formatted.length,
           format: 'kml',
           version: kml.version || '2.2',
+          placemarkCount: countKMLPlacemarks(doc),
           ...opts,
         },
       };
@@ -686,11 +1159,54 @@ const kmlAdapter = {
     }
   },
 
+  extensions: ['kml'],
+  mimeTypes: ['application/vnd.google-earth.kml+xml'],
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
 };
 
+const GEOJSON_TYPES = new Set([
+  'FeatureCollection',
+  'Feature',
+  'Point',
+  'MultiPoint',
+  'LineString',
+  'MultiLineString',
+  'Polygon',
+  'MultiPolygon',
+  'GeometryCollection',
+]);
+
+/**
+ * Get the GeoJSON a TopoJSON object should be encoded from
+ * Objects as produced by the parser carry their GeoJSON in `geometry`; plain GeoJSON
+ * is used as is, and geometries that reference arcs are decoded with the input arcs.
+ * @param {any} topojson - The topojson-client module
+ * @param {Object} topology - The input topology
+ * @param {Object} object - The topology object
+ * @returns {Object} GeoJSON for the object
+ */
+function toTopoJSONSource(topojson, topology, object) {
+  if (object.geometry) {
+    return object.geometry;
+  }
+
+  const referencesArcs = value =>
+    value.arcs !== undefined || (value.geometries || []).some(child => referencesArcs(child));
+  if (referencesArcs(object)) {
+    if (!topology.arcs) {
+      throw new Error('Invalid TopoJSON data: missing arcs property');
+    }
+    return topojson.feature(topology, object);
+  }
+
+  if (!GEOJSON_TYPES.has(object.type)) {
+    throw new Error(`Invalid TopoJSON data: unsupported object type ${object.type}`);
+  }
+  return object;
+}
+
 /**
  * TopoJSON adapter for parsing and formatting TopoJSON files
  * @type {Adapter}
@@ -773,14 +1289,16 @@ const topojsonAdapter = {
 
   async format(data, opts = {}) {
     try {
-      // Dynamic import to handle optional dependency
+      // Dynamic import to handle optional dependencies
       const topojson = await import('topojson-client');
+      const topojsonServer = await import('topojson-server');
 
       if (!data || !(/** @type {any} */ (data).topology)) {
         throw new Error('Invalid TopoJSON data: missing topology object');
       }
 
       const topology = /** @type {any} */ (data).topology;
+      const { quantization } = opts;
 
       // Validate required properties
       if (!topology.type || topology.type !== 'Topology') {
@@ -791,39 +1309,30 @@ const topojsonAdapter = {
         throw new Error('Invalid TopoJSON data: missing objects property');
       }
 
-      if (!topology.arcs) {
-        throw new Error('Invalid TopoJSON data: missing arcs property');
+      if (quantization !== undefined && !(Number.isInteger(quantization) && quantization >= 2)) {
+        throw new Error('Invalid TopoJSON quantization: expected an integer of at least 2');
       }
 
-      // Reconstruct TopoJSON from GeoJSON objects
-      const topoData = {
-        type: 'Topology',
-        objects: {},
-        arcs: topology.arcs,
-      };
-
-      // Add optional properties
-      topoData.transform = topology.transform || undefined;
-      topoData.bbox = topology.bbox || undefined;
-
-      // Convert GeoJSON objects back to TopoJSON format
+      // Collect GeoJSON for each object; arcs are rebuilt from the coordinates
       const objectNames = Object.keys(topology.objects);
+      const geoJsonObjects = {};
       for (const objectName of objectNames) {
-        const object = topology.objects[objectName];
+        geoJsonObjects[objectName] = toTopoJSONSource(
+          topojson,
+          topology,
+          topology.objects[objectName]
+        );
+      }
 
-        // Extract TopoJSON object properties from GeoJSON
-        topoData.objects[objectName] = {
-          type: object.type,
-          properties: object.properties || {},
-          // Note: This is a simplified conversion - full TopoJSON reconstruction
-          // would require more complex arc generation
-          geometries:
-            object.geometry?.type === 'GeometryCollection'
-              ? object.geometry.geometries
-              : (object.geometry
-                ? [object.geometry]
-                : undefined),
-        };
+      // Shared borders become shared arcs; quantization also delta-encodes them
+      const topoData = topojsonServer.topology(geoJsonObjects, quantization);
+
+      // Keep object-level properties from the input
+      for (const objectName of objectNames) {
+        const properties = topology.objects[objectName].properties;
+        if (properties && Object.keys(properties).length > 0) {
+          topoData.objects[objectName].properties = properties;
+        }
       }
 
       const formatted = JSON.stringify(topoData, undefined, opts.pretty ? 2 : 0);
@@ -834,22 +1343,23 @@ const topojsonAdapter = {
           outputSize: formatted.length,
           format: 'topojson',
           objectCount: objectNames.length,
-          arcCount: topology.arcs.length,
-          hasTransform: !!topology.transform,
-          hasBbox: !!topology.bbox,
+          arcCount: topoData.arcs.length,
+          hasTransform: !!topoData.transform,
+          hasBbox: !!topoData.bbox,
           ...opts,
         },
       };
     } catch (error) {
       if (error.message.includes('Cannot resolve module')) {
         throw new Error(
-          'TopoJSON support requires topojson-client dependency. Install with: pnpm add topojson-client'
+          'TopoJSON support requires topojson-client and topojson-server dependencies. Install with: pnpm add topojson-client topojson-server'
         );
       }
       throw error;
     }
   },
 
+  extensions: ['topojson'],
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -995,6 +1505,7 @@ const wktAdapter = {
     }
   },
 
+  extensions: ['wkt'],
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -4,6 +4,37 @@
 
 import { createPackManifest, registerPack } from '../core/index.mjs';
 
+/**
+ * Order quads for deterministic output, by graph, subject, predicate and object
+ * @param {Array<{subject: string, predicate: string, object: string, graph?: string}>} quads - Quads to order
+ * @returns {Array<{subject: string, predicate: string, object: string, graph?: string}>} Sorted copy
+ */
+function sortQuads(quads) {
+  const sortKey = quad =>
+    [quad.graph ?? '', quad.subject, quad.predicate, quad.object].join('\u0000');
+  return quads
+    .map(quad => ({ quad, key: sortKey(quad) }))
+    .sort((a, b) => {
+      if (a.key === b.key) {
+        return 0;
+      }
+      return a.key < b.key ? -1 : 1;
+    })
+    .map(({ quad }) => quad);
+}
+
+/**
+ * Order prefixes by name for deterministic output
+ * @param {Record<string, string>} [prefixes] - Prefix names mapped to IRIs
+ * @returns {Record<string, string>|undefined} Sorted copy
+ */
+function sortPrefixes(prefixes) {
+  if (!prefixes) {
+    return undefined;
+  }
+  return Object.fromEntries(Object.entries(prefixes).sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
 /**
  * JSON-LD adapter for parsing and formatting JSON-LD data
  */
@@ -55,6 +86,8 @@ const jsonldAdapter = {
     }
   },
 
+  extensions: ['jsonld'],
+  mimeTypes: ['application/ld+json'],
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -94,8 +127,9 @@ const nqAdapter = {
     try {
       const n3 = await import('n3');
       const writer = new n3.Writer({ format: 'N-Quads' });
+      const quads = opts.deterministic ? sortQuads(data) : data;
 
-      for (const quad of data) {
+      for (const quad of quads) {
         const subject = quad.subject.startsWith('_:')
           ? n3.DataFactory.blankNode(quad.subject.slice(2))
           : n3.DataFactory.namedNode(quad.subject);
@@ -138,61 +172,831 @@ const nqAdapter = {
     }
   },
 
+  extensions: ['nq'],
+  mimeTypes: ['application/n-quads'],
   supportsStreaming: true,
   isAI: false,
   version: '1.0.0',
 };
 
+const PLANTUML_DIAGRAM_TYPES = new Set(['sequence', 'class', 'component', 'state']);
+
+const PLANTUML_DECLARATION_PATTERN =
+  /^(abstract\s+class|abstract|class|interface|enum|annotation|participant|actor|boundary|control|entity|database|collections|queue|component|usecase|artifact|storage|card|file|hexagon|agent|person|port|portin|portout|state|package|namespace|node|folder|frame|cloud|rectangle|box)\s+(.+)$/;
+
+const PLANTUML_PARTICIPANT_TYPES = new Set([
+  'participant',
+  'actor',
+  'boundary',
+  'control',
+  'entity',
+  'database',
+  'collections',
+  'queue',
+]);
+
+// Declarations with these keywords take a `{ ... }` member body instead of nested elements
+const PLANTUML_CLASS_TYPES = new Set([
+  'abstract class',
+  'abstract',
+  'class',
+  'interface',
+  'enum',
+  'annotation',
+  'entity',
+]);
+
+const PLANTUML_NAME = String.raw`"[^"]+"|\[\*\]|\[[^\]]+\]|\(\)\s*"[^"]+"|\(\)\s*[\w.$]+|[\w.$]+`;
+
+// Arrow heads, a solid or dotted body with optional [style] and direction, then the other head.
+// `o` and `x` heads must be separated from names so `A ->oscar` is not read as `A ->o scar`.
+const PLANTUML_ARROW = String.raw`(?:<<|<\||[<*#}+^]|[ox](?=[-.])|\/\/?|\\\\?)?(?:-|\.\.)[-.]*(?:\[[^\]]*\][-.]*)?(?:(?:up|down|left|right|u|d|l|r)[-.]+)?(?:>>|\|>|[>*#{+^]|[ox](?=\s|$)|\/\/?|\\\\?)?`;
+
+const PLANTUML_RELATIONSHIP_PATTERN = new RegExp(
+  String.raw`^(${PLANTUML_NAME})\s*(?:"([^"]*)"\s*)?(${PLANTUML_ARROW})\s*(?:"([^"]*)"\s*)?(${PLANTUML_NAME})\s*((?:\+\+|--|\*\*|!!)+)?\s*(?::\s*(.*))?$`
+);
+
+const PLANTUML_ARROW_PATTERN = new RegExp(String.raw`^${PLANTUML_ARROW}$`);
+
+const PLANTUML_MEMBER_LINE_PATTERN = new RegExp(String.raw`^(${PLANTUML_NAME})\s*:\s*(.*)$`);
+
+const PLANTUML_ACTIVATION_SHORTCUTS = {
+  '++': 'activate',
+  '--': 'deactivate',
+  '**': 'create',
+  '!!': 'destroy',
+};
+
+const PLANTUML_SHORTCUTS_BY_ACTION = Object.fromEntries(
+  Object.entries(PLANTUML_ACTIVATION_SHORTCUTS).map(([shortcut, action]) => [action, shortcut])
+);
+
 /**
- * PlantUML adapter for parsing and formatting PlantUML diagrams
+ * Strip PlantUML quoting from an element reference
+ * @param {string} reference - Reference as written in the source
+ * @returns {string} Element name
  */
-const plantumlAdapter = {
-  async parse(input, opts = {}) {
-    // Simple PlantUML parsing - extract basic structure
-    const lines = input.split('\n');
-    const data = {
-      type: 'unknown',
-      title: '',
-      participants: [],
-      relationships: [],
-      notes: [],
-      raw: input,
+function unquotePlantUMLName(reference) {
+  const name = reference.trim().replace(/^\(\)\s*/, '');
+  if (name === '[*]') {
+    return name;
+  }
+  if (
+    (name.startsWith('"') && name.endsWith('"')) ||
+    (name.startsWith('[') && name.endsWith(']'))
+  ) {
+    return name.slice(1, -1);
+  }
+  return name;
+}
+
+/**
+ * Parse the part of a declaration after its keyword
+ * @param {string} text - Declaration text, e.g. `"Long Name" as L <<Service>> #red {`
+ * @returns {{name: string, label?: string, stereotype?: string, opensBlock: boolean} | undefined} Parsed declaration
+ */
+function parsePlantUMLDeclaration(text) {
+  let rest = text.trim();
+  const opensBlock = rest.endsWith('{');
+  if (opensBlock) {
+    rest = rest.slice(0, -1).trim();
+  }
+
+  let stereotype;
+  rest = rest.replace(/<<\s*(.+?)\s*>>/, (_, value) => {
+    stereotype = value;
+    return '';
+  });
+  // Colors and participant ordering only affect rendering
+  rest = rest
+    .replace(/\s+order\s+-?\d+/, '')
+    .replaceAll(/\s+#\S+/g, '')
+    .trim();
+
+  const match = /^(?:"([^"]+)"|\[([^\]]+)\]|([^\s"]+))(?:\s+as\s+(?:"([^"]+)"|(\S+)))?$/.exec(rest);
+  if (!match) {
+    return undefined;
+  }
+
+  const [, quoted, bracketed, bare, quotedAlias, bareAlias] = match;
+  const written = quoted ?? bracketed ?? bare;
+  if (bareAlias !== undefined) {
+    return { name: bareAlias, label: written, stereotype, opensBlock };
+  }
+  return { name: written, label: quotedAlias, stereotype, opensBlock };
+}
+
+/**
+ * Parse a class member such as `+getName(id: string) : String` or `-int count`
+ * @param {string} text - Member line
+ * @returns {Object} Member with name, visibility, modifier, type and parameters (methods only)
+ */
+function parsePlantUMLMember(text) {
+  const [, visibility, modifier, body] =
+    /^([#+~-])?\s*(?:\{(static|abstract|classifier)\}\s*)?(.*)$/.exec(text.trim());
+
+  let declaration = body;
+  let type;
+  let parameters;
+  const method = /^(.*?)\(([^)]*)\)\s*(?::\s*(.+))?$/.exec(body);
+  if (method) {
+    [, declaration, parameters, type] = method;
+    parameters = parameters.trim();
+  } else {
+    const typed = /^(.*?)\s*:\s*(.+)$/.exec(body);
+    if (typed) {
+      [, declaration, type] = typed;
+    }
+  }
+
+  // Java-style members put the type before the name
+  const words = declaration.trim().split(/\s+/);
+  const name = words.pop();
+  if (type === undefined && words.length > 0) {
+    type = words.join(' ');
+  }
+
+  return { name, visibility, modifier, type: type?.trim(), parameters };
+}
+
+/**
+ * Parse a single-line note header
+ * @param {string} line - Line starting with `note`
+ * @returns {Object | undefined} Note, with `text` undefined when the body follows on later lines
+ */
+function parsePlantUMLNote(line) {
+  const floating = /^note\s+"([^"]*)"\s+as\s+(\S+)$/.exec(line);
+  if (floating) {
+    return { text: floating[1], alias: floating[2] };
+  }
+
+  const floatingBlock = /^note\s+as\s+(\S+)$/.exec(line);
+  if (floatingBlock) {
+    return { alias: floatingBlock[1] };
+  }
+
+  const attached =
+    /^note\s+(left|right|top|bottom|over)\b(?:\s+of\b)?\s*([^:]*?)\s*(?::\s*(.*))?$/.exec(line);
+  if (attached) {
+    const [, position, targets, text] = attached;
+    return {
+      position,
+      targets: targets ? targets.split(',').map(target => unquotePlantUMLName(target)) : [],
+      text,
     };
+  }
+
+  return undefined;
+}
 
-    for (const line of lines) {
-      const trimmed = line.trim();
+/**
+ * Collect the lines of a multi-line block such as `note ... end note`
+ * @param {string[]} lines - All source lines
+ * @param {number} start - Index of the line opening the block
+ * @param {RegExp} endPattern - Pattern matching the trimmed closing line
+ * @returns {{body: string[], end: number}} Trimmed body lines and the index of the closing line
+ */
+function collectPlantUMLBlock(lines, start, endPattern) {
+  const body = [];
+  for (let index = start + 1; index < lines.length; index++) {
+    const trimmed = lines[index].trim();
+    if (endPattern.test(trimmed)) {
+      return { body, end: index };
+    }
+    body.push(trimmed);
+  }
+  throw new Error(`unclosed '${lines[start].trim()}' block started on line ${start + 1}`);
+}
+
+/**
+ * Guess the diagram type from the keywords and arrows a diagram uses
+ * @param {string[]} lines - Trimmed source lines
+ * @returns {string} sequence, class, component, state or unknown
+ */
+function detectPlantUMLDiagramType(lines) {
+  const scores = { sequence: 0, class: 0, component: 0, state: 0 };
+  for (const line of lines) {
+    if (
+      /^(participant|actor|boundary|control|collections|queue|activate|deactivate|destroy|autonumber|box|alt|loop|return)\b/.test(
+        line
+      ) ||
+      line.includes('->>')
+    ) {
+      scores.sequence++;
+    }
+    if (
+      /^(abstract|class|enum|annotation)\b/.test(line) ||
+      /<\||\|>|[*o]--|--[*o](\s|$)/.test(line)
+    ) {
+      scores.class++;
+    }
+    if (/^(component|node|cloud|folder|frame|artifact|\[[^*\]]|\(\))/.test(line)) {
+      scores.component++;
+    }
+    if (/^state\b/.test(line) || line.includes('[*]')) {
+      scores.state++;
+    }
+  }
+
+  // Stable sort, so ties go to the type listed first
+  const [[best, score]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (score > 0) {
+    return best;
+  }
+  // PlantUML renders plain `A -> B` diagrams as sequence diagrams
+  return lines.some(line => PLANTUML_RELATIONSHIP_PATTERN.test(line)) ? 'sequence' : 'unknown';
+}
+
+/**
+ * Parse PlantUML source into a diagram model
+ * @param {string} input - PlantUML source
+ * @param {string} [diagramType] - Diagram type, detected from the source when omitted
+ * @returns {Object} Diagram model
+ */
+function parsePlantUML(input, diagramType) {
+  const lines = input.split('\n');
+  const data = {
+    type: 'unknown',
+    diagramType: diagramType ?? detectPlantUMLDiagramType(lines.map(line => line.trim())),
+    title: '',
+    participants: [],
+    elements: [],
+    packages: [],
+    relationships: [],
+    activations: [],
+    notes: [],
+    directives: [],
+    raw: input,
+  };
+
+  const sequence = data.diagramType === 'sequence';
+  // Sequence diagrams are ordered, so notes, activations and directives record how many messages precede them
+  const position = () => (sequence ? data.relationships.length : undefined);
+  const stack = [];
+  const currentParent = () => stack.findLast(entry => entry.container)?.name;
+
+  const findOrCreateElement = (name, type) => {
+    let element = data.elements.find(candidate => candidate.name === name);
+    if (!element) {
+      element =
+        type === 'state'
+          ? { type, name, parent: currentParent(), descriptions: [] }
+          : { type, name, parent: currentParent(), members: [] };
+      data.elements.push(element);
+    }
+    return element;
+  };
 
-      if (trimmed.startsWith('@startuml')) {
-        data.type = 'diagram';
+  for (let index = 0; index < lines.length; index++) {
+    const lineNumber = index + 1;
+    const trimmed = lines[index].trim();
+
+    if (!trimmed || trimmed.startsWith("'")) {
+      continue;
+    }
+
+    if (trimmed.startsWith("/'")) {
+      while (index < lines.length && !lines[index].includes("'/")) {
+        index++;
+      }
+      continue;
+    }
+
+    if (trimmed.startsWith('@startuml')) {
+      data.type = 'diagram';
+      continue;
+    }
+
+    if (trimmed.startsWith('@enduml')) {
+      break;
+    }
+
+    const top = stack.at(-1);
+    if (top?.kind === 'members') {
+      if (trimmed === '}') {
+        stack.pop();
+      } else if (!/^(--|\.\.|==|__)/.test(trimmed)) {
+        top.element.members.push(parsePlantUMLMember(trimmed));
+      }
+      continue;
+    }
+
+    if (trimmed === '}') {
+      if (!top || top.kind === 'box') {
+        throw new Error(`unexpected '}' on line ${lineNumber}`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    if (/^end\s*box$/.test(trimmed)) {
+      if (top?.kind !== 'box') {
+        throw new Error(`unexpected 'end box' on line ${lineNumber}`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    if (/^title\b/.test(trimmed)) {
+      data.title = trimmed.replace(/^title\s*/, '');
+      continue;
+    }
+
+    if (/^note\b/.test(trimmed)) {
+      const note = parsePlantUMLNote(trimmed);
+      if (note) {
+        if (note.text === undefined) {
+          const block = collectPlantUMLBlock(lines, index, /^end\s*note$/);
+          note.text = block.body.join('\n');
+          index = block.end;
+        }
+        data.notes.push({ ...note, parent: currentParent(), after: position() });
         continue;
       }
+    }
+
+    // Blocks we keep verbatim: legends, skinparam groups and note forms without a model
+    const rawBlockEnd =
+      (/^legend\b/.test(trimmed) && /^end\s*legend$/) ||
+      (/^skinparam\b.*\{$/.test(trimmed) && /^}$/) ||
+      (/^note\b/.test(trimmed) && !trimmed.includes(':') && /^end\s*note$/);
+    if (rawBlockEnd) {
+      const block = collectPlantUMLBlock(lines, index, rawBlockEnd);
+      data.directives.push({
+        text: [trimmed, ...block.body, lines[block.end].trim()].join('\n'),
+        after: position(),
+      });
+      index = block.end;
+      continue;
+    }
+
+    const activation = /^(activate|deactivate|destroy|create)\s+("[^"]+"|\S+)$/.exec(trimmed);
+    if (activation) {
+      data.activations.push({
+        participant: unquotePlantUMLName(activation[2]),
+        action: activation[1],
+        after: position(),
+      });
+      continue;
+    }
+
+    const declaration = PLANTUML_DECLARATION_PATTERN.exec(trimmed);
+    if (declaration) {
+      const type = declaration[1].replaceAll(/\s+/g, ' ');
+      let text = declaration[2];
+      let description;
+      if (type === 'state') {
+        const described = /^(.*?)\s*:\s*(.*)$/.exec(text);
+        if (described) {
+          [, text, description] = described;
+        }
+      }
 
-      if (trimmed.startsWith('@enduml')) {
-        break;
+      const parsed = parsePlantUMLDeclaration(text);
+      if (!parsed) {
+        throw new Error(`invalid ${type} declaration on line ${lineNumber}: ${trimmed}`);
       }
 
-      if (trimmed.startsWith('title')) {
-        data.title = trimmed.replace(/^title\s+/, '');
+      const { name, label, stereotype, opensBlock } = parsed;
+      const parent = currentParent();
+      // Component diagrams use `interface` for provided interfaces, which have no members
+      const hasMembers = PLANTUML_CLASS_TYPES.has(type) && data.diagramType !== 'component';
+
+      if (
+        type === 'box' ||
+        type === 'package' ||
+        type === 'namespace' ||
+        (opensBlock && type !== 'state' && !hasMembers)
+      ) {
+        data.packages.push({ type, name, label, stereotype, parent });
+        if (type === 'box' || opensBlock) {
+          stack.push({
+            kind: type === 'box' ? 'box' : 'package',
+            name,
+            container: true,
+            line: lineNumber,
+          });
+        }
         continue;
       }
 
-      if (trimmed.includes('->') || trimmed.includes('-->')) {
-        data.relationships.push(trimmed);
+      if (sequence && PLANTUML_PARTICIPANT_TYPES.has(type)) {
+        data.participants.push({ type, name, label, stereotype, parent });
         continue;
       }
 
-      if (trimmed.startsWith('participant') || trimmed.startsWith('actor')) {
-        const match = trimmed.match(/(participant|actor)\s+(\w+)/);
-        if (match) {
-          data.participants.push({ type: match[1], name: match[2] });
-        }
+      const element = { type, name, label, stereotype, parent };
+      if (hasMembers) {
+        element.members = [];
+      } else if (type === 'state') {
+        element.descriptions = description === undefined ? [] : [description];
+      }
+      data.elements.push(element);
+
+      if (opensBlock) {
+        stack.push(
+          type === 'state'
+            ? { kind: 'state', name, container: true, line: lineNumber }
+            : { kind: 'members', element, line: lineNumber }
+        );
+      }
+      continue;
+    }
+
+    const relationship = PLANTUML_RELATIONSHIP_PATTERN.exec(trimmed);
+    if (relationship) {
+      const [, from, fromMultiplicity, arrow, toMultiplicity, to, shortcuts = '', label] =
+        relationship;
+      const actions = (shortcuts.match(/.{2}/g) ?? []).map(
+        shortcut => PLANTUML_ACTIVATION_SHORTCUTS[shortcut]
+      );
+      const activate = action => ({
+        participant: unquotePlantUMLName(action === 'deactivate' ? from : to),
+        action,
+        after: position(),
+        inline: true,
+      });
+
+      // `A -> B **` creates B before the message; the other shortcuts apply once it is sent
+      data.activations.push(
+        ...actions.filter(action => action === 'create').map(action => activate(action))
+      );
+      data.relationships.push({
+        from: unquotePlantUMLName(from),
+        to: unquotePlantUMLName(to),
+        arrow,
+        label,
+        fromMultiplicity,
+        toMultiplicity,
+        parent: currentParent(),
+      });
+      data.activations.push(
+        ...actions.filter(action => action !== 'create').map(action => activate(action))
+      );
+      continue;
+    }
+
+    const shorthand = /^(\[[^\]*]+\]|\(\))\s*(.*)$/.exec(trimmed);
+    if (shorthand) {
+      const isInterface = shorthand[1] === '()';
+      const parsed = parsePlantUMLDeclaration(isInterface ? shorthand[2] : trimmed);
+      if (parsed) {
+        const { name, label, stereotype } = parsed;
+        data.elements.push({
+          type: isInterface ? 'interface' : 'component',
+          name,
+          label,
+          stereotype,
+          parent: currentParent(),
+        });
         continue;
       }
+    }
+
+    const memberLine = sequence ? undefined : PLANTUML_MEMBER_LINE_PATTERN.exec(trimmed);
+    if (memberLine && (data.diagramType === 'class' || data.diagramType === 'state')) {
+      const name = unquotePlantUMLName(memberLine[1]);
+      if (data.diagramType === 'state') {
+        findOrCreateElement(name, 'state').descriptions.push(memberLine[2]);
+      } else {
+        findOrCreateElement(name, 'class').members.push(parsePlantUMLMember(memberLine[2]));
+      }
+      continue;
+    }
+
+    data.directives.push({ text: trimmed, after: position() });
+  }
+
+  const unclosed = stack.at(-1);
+  if (unclosed) {
+    throw new Error(
+      `unclosed '${unclosed.name ?? unclosed.element.name}' block started on line ${unclosed.line}`
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Infer the diagram type of a model that does not declare one
+ * @param {Object} data - Diagram model
+ * @returns {string | undefined} Diagram type
+ */
+function inferPlantUMLDiagramType(data) {
+  const { participants = [], elements = [], relationships = [] } = data;
+  if (participants.length > 0) {
+    return 'sequence';
+  }
+  if (elements.some(element => PLANTUML_CLASS_TYPES.has(element.type))) {
+    return 'class';
+  }
+  if (elements.some(element => element.type === 'state')) {
+    return 'state';
+  }
+  if (elements.length > 0) {
+    return 'component';
+  }
+  return relationships.length > 0 ? 'sequence' : undefined;
+}
+
+/**
+ * Write an element reference, quoting names that are not plain identifiers
+ * @param {string} name - Element name
+ * @param {string} [diagramType] - Diagram type
+ * @returns {string} Reference
+ */
+function formatPlantUMLReference(name, diagramType) {
+  if (name === '[*]' || /^[\w.$]+$/.test(name)) {
+    return name;
+  }
+  return diagramType === 'component' ? `[${name}]` : `"${name}"`;
+}
+
+/**
+ * Write the name part of a declaration, using `"label" as name` when they differ
+ * @param {Object} item - Participant, element or package
+ * @returns {string} Declaration name with stereotype
+ */
+function formatPlantUMLDeclaration(item) {
+  if (typeof item.name !== 'string' || item.name === '') {
+    throw new Error(`PlantUML ${item.type ?? 'element'} is missing a name`);
+  }
+
+  let declaration = formatPlantUMLReference(item.name);
+  if (item.label !== undefined && item.label !== item.name) {
+    if (!/^[\w.$]+$/.test(item.name)) {
+      throw new Error(`PlantUML alias '${item.name}' must be a plain identifier`);
+    }
+    declaration = `"${item.label}" as ${item.name}`;
+  }
+  return item.stereotype ? `${declaration} <<${item.stereotype}>>` : declaration;
+}
 
-      if (trimmed.startsWith('note')) {
-        data.notes.push(trimmed);
+/**
+ * Write a class member
+ * @param {Object | string} member - Member model or raw member line
+ * @returns {string} Member line
+ */
+function formatPlantUMLMember(member) {
+  if (typeof member === 'string') {
+    return member;
+  }
+
+  const { name, visibility = '', modifier, type, parameters } = member;
+  let line = `${visibility}${modifier ? `{${modifier}} ` : ''}${name}`;
+  if (parameters !== undefined) {
+    line += `(${parameters})`;
+  }
+  return type ? `${line} : ${type}` : line;
+}
+
+/**
+ * Write a relationship or sequence message
+ * @param {Object | string} relationship - Relationship model or raw line
+ * @param {string} [diagramType] - Diagram type
+ * @param {Object[]} [inlineActivations] - Activations written as `++`/`--` shortcuts on the message
+ * @returns {string} Relationship line
+ */
+function formatPlantUMLRelationship(relationship, diagramType, inlineActivations = []) {
+  if (typeof relationship === 'string') {
+    return relationship;
+  }
+
+  const { from, to, label, fromMultiplicity, toMultiplicity } = relationship;
+  const arrow = relationship.arrow ?? (diagramType === 'sequence' ? '->' : '-->');
+  if (typeof from !== 'string' || typeof to !== 'string') {
+    throw new TypeError("PlantUML relationships need 'from' and 'to' names");
+  }
+  if (!PLANTUML_ARROW_PATTERN.test(arrow)) {
+    throw new Error(`Invalid PlantUML arrow '${arrow}'`);
+  }
+
+  const parts = [formatPlantUMLReference(from, diagramType)];
+  if (fromMultiplicity !== undefined) {
+    parts.push(`"${fromMultiplicity}"`);
+  }
+  parts.push(arrow);
+  if (toMultiplicity !== undefined) {
+    parts.push(`"${toMultiplicity}"`);
+  }
+  parts.push(formatPlantUMLReference(to, diagramType));
+  if (inlineActivations.length > 0) {
+    parts.push(
+      inlineActivations.map(activation => PLANTUML_SHORTCUTS_BY_ACTION[activation.action]).join('')
+    );
+  }
+
+  const line = parts.join(' ');
+  return label ? `${line} : ${label}` : line;
+}
+
+/**
+ * Write a note
+ * @param {Object | string} note - Note model or raw note
+ * @param {string} [diagramType] - Diagram type
+ * @returns {string} Note source, possibly spanning several lines
+ */
+function formatPlantUMLNote(note, diagramType) {
+  if (typeof note === 'string') {
+    return note;
+  }
+
+  const { position, targets = [], alias, text = '' } = note;
+  const multiline = text.includes('\n');
+  if (alias) {
+    return multiline ? `note as ${alias}\n${text}\nend note` : `note "${text}" as ${alias}`;
+  }
+  if (!position) {
+    throw new Error('PlantUML notes need a position or an alias');
+  }
+
+  const anchor = targets.map(target => formatPlantUMLReference(target, diagramType)).join(', ');
+  let header = `note ${position}`;
+  if (anchor) {
+    header += position === 'over' ? ` ${anchor}` : ` of ${anchor}`;
+  }
+  return multiline ? `${header}\n${text}\nend note` : `${header} : ${text}`;
+}
+
+/**
+ * Generate PlantUML source from a diagram model
+ * @param {Object} data - Diagram model, as produced by parsing
+ * @returns {{source: string, diagramType: string | undefined}} Source and the diagram type used
+ */
+function formatPlantUML(data) {
+  const {
+    title = '',
+    participants = [],
+    elements = [],
+    packages = [],
+    relationships = [],
+    activations = [],
+    notes = [],
+    directives = [],
+  } = data;
+
+  const diagramType =
+    data.diagramType && data.diagramType !== 'unknown'
+      ? data.diagramType
+      : inferPlantUMLDiagramType(data);
+  if (diagramType !== undefined && !PLANTUML_DIAGRAM_TYPES.has(diagramType)) {
+    throw new Error(`Unsupported PlantUML diagram type '${diagramType}'`);
+  }
+
+  const sequence = diagramType === 'sequence';
+  const nodes = [...participants, ...elements];
+  const containers = new Map([
+    ...packages.map(item => [item.name, item]),
+    ...elements.filter(item => item.type === 'state').map(item => [item.name, item]),
+  ]);
+  for (const item of [...packages, ...nodes, ...relationships, ...notes]) {
+    if (item.parent !== undefined && !containers.has(item.parent)) {
+      throw new Error(
+        `Unknown PlantUML container '${item.parent}' for '${item.name ?? item.from ?? item.text}'`
+      );
+    }
+  }
+
+  // Containers are written where their first member is declared, which keeps participant order intact
+  const ancestors = item => {
+    const names = [];
+    for (let parent = item.parent; parent !== undefined; parent = containers.get(parent)?.parent) {
+      names.push(parent);
+    }
+    return names;
+  };
+  const firstMember = new Map();
+  for (const [index, node] of nodes.entries()) {
+    for (const name of ancestors(node)) {
+      if (!firstMember.has(name)) {
+        firstMember.set(name, index);
+      }
+    }
+  }
+
+  const lines = ['@startuml'];
+  if (title) {
+    lines.push(`title ${title}`);
+  }
+  if (!sequence) {
+    lines.push(
+      ...directives.map(directive => (typeof directive === 'string' ? directive : directive.text))
+    );
+  }
+
+  const emit = (parent, depth) => {
+    const indent = '  '.repeat(depth);
+    const entries = [
+      ...packages
+        .filter(item => item.parent === parent)
+        .map(item => ({ item, container: true, order: firstMember.get(item.name) ?? Infinity })),
+      ...nodes
+        .map((item, order) => ({ item, order }))
+        .filter(entry => entry.item.parent === parent),
+    ].sort((a, b) => a.order - b.order);
+
+    for (const { item, container } of entries) {
+      if (container && item.type === 'box') {
+        lines.push(`${indent}box "${item.label ?? item.name}"`);
+        emit(item.name, depth + 1);
+        lines.push(`${indent}end box`);
+        continue;
+      }
+
+      if (container) {
+        lines.push(`${indent}${item.type ?? 'package'} ${formatPlantUMLDeclaration(item)} {`);
+        emit(item.name, depth + 1);
+        lines.push(`${indent}}`);
         continue;
       }
+
+      const type = item.type ?? (sequence ? 'participant' : 'component');
+      const declaration = `${indent}${type} ${formatPlantUMLDeclaration(item)}`;
+      const hasChildren =
+        type === 'state' &&
+        [...nodes, ...relationships, ...notes].some(candidate => candidate.parent === item.name);
+
+      if (item.members?.length > 0) {
+        lines.push(`${declaration} {`);
+        for (const member of item.members) {
+          lines.push(`${indent}  ${formatPlantUMLMember(member)}`);
+        }
+        lines.push(`${indent}}`);
+      } else if (hasChildren) {
+        lines.push(`${declaration} {`);
+        emit(item.name, depth + 1);
+        lines.push(`${indent}}`);
+      } else {
+        lines.push(declaration);
+      }
+
+      for (const description of item.descriptions ?? []) {
+        lines.push(`${indent}${formatPlantUMLReference(item.name)} : ${description}`);
+      }
+    }
+
+    if (!sequence) {
+      lines.push(
+        ...relationships
+          .filter(relationship => relationship.parent === parent)
+          .map(relationship => indent + formatPlantUMLRelationship(relationship, diagramType)),
+        ...notes
+          .filter(note => note.parent === parent)
+          .map(note => indent + formatPlantUMLNote(note, diagramType))
+      );
+    }
+  };
+  emit(undefined, 0);
+
+  if (sequence) {
+    const end = relationships.length;
+    const at = (items, slot, fallback) => items.filter(item => (item.after ?? fallback) === slot);
+    const positionedDirectives = directives.map(directive =>
+      typeof directive === 'string' ? { text: directive } : directive
+    );
+    const standalone = activations.filter(activation => !activation.inline);
+
+    for (let slot = 0; slot <= end; slot++) {
+      const slotDirectives = at(positionedDirectives, slot, 0);
+      // Group closers belong to the previous message, openers to the next one
+      const closing = slotDirectives.filter(directive => /^(end|else)\b/.test(directive.text));
+      lines.push(
+        ...closing.map(directive => directive.text),
+        ...at(standalone, slot, end).map(
+          activation => `${activation.action} ${formatPlantUMLReference(activation.participant)}`
+        ),
+        ...at(notes, slot, end).map(note => formatPlantUMLNote(note, diagramType)),
+        ...slotDirectives
+          .filter(directive => !closing.includes(directive))
+          .map(directive => directive.text)
+      );
+
+      if (slot < end) {
+        // Inline creation happens before the message, the other shortcuts after it
+        const inline = activations.filter(
+          activation =>
+            activation.inline &&
+            activation.after === (activation.action === 'create' ? slot : slot + 1)
+        );
+        lines.push(formatPlantUMLRelationship(relationships[slot], diagramType, inline));
+      }
+    }
+  }
+
+  lines.push('@enduml');
+  return { source: lines.join('\n'), diagramType };
+}
+
+/**
+ * PlantUML adapter for parsing and formatting sequence, class, component and state diagrams
+ */
+const plantumlAdapter = {
+  async parse(input, opts = {}) {
+    let data;
+    try {
+      data = parsePlantUML(input, opts.diagramType);
+    } catch (error) {
+      throw new Error(`Invalid PlantUML: ${error.message}`);
     }
 
     return {
@@ -200,74 +1004,267 @@ const plantumlAdapter = {
       metadata: {
         format: 'plantuml',
         type: data.type,
+        diagramType: data.diagramType,
         participantCount: data.participants.length,
+        elementCount: data.elements.length,
+        packageCount: data.packages.length,
         relationshipCount: data.relationships.length,
+        noteCount: data.notes.length,
         ...opts,
       },
     };
   },
 
   async format(data, opts = {}) {
-    const {
-      type = 'diagram',
-      title = '',
-      participants = [],
-      relationships = [],
-      notes = [],
-    } = data;
-
-    let plantuml = '@startuml\n';
-
-    if (title) {
-      plantuml += `title ${title}\n`;
-    }
-
-    for (const participant of participants) {
-      plantuml += `${participant.type} ${participant.name}\n`;
-    }
-
-    for (const relationship of relationships) {
-      plantuml += `${relationship}\n`;
-    }
-
-    for (const note of notes) {
-      plantuml += `${note}\n`;
+    let result;
+    try {
+      result = formatPlantUML(data);
+    } catch (error) {
+      throw new Error(`PlantUML formatting failed: ${error.message}`);
     }
 
-    plantuml += '@enduml';
-
     return {
-      data: plantuml,
+      data: result.source,
       metadata: {
         format: 'plantuml',
-        outputSize: plantuml.length,
-        type,
+        outputSize: result.source.length,
+        type: data.type ?? 'diagram',
+        diagramType: result.diagramType,
         ...opts,
       },
     };
   },
 
+  extensions: ['puml', 'plantuml', 'pu'],
+  mimeTypes: ['text/x-plantuml'],
   supportsStreaming: false,
   isAI: false,
-  version: '1.0.0',
+  version: '1.1.0',
 };
 
+const RDF_NAMESPACE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+
+// Datatype of plain literals, which RDF/XML writes without rdf:datatype
+const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string';
+
+// Property elements must be written as QNames, so the local name has to be a valid NCName
+const RDF_PROPERTY_PATTERN = /^(.*[#/:])([A-Z_a-z][\w.-]*)$/;
+
 /**
- * RDF/XML adapter placeholder
- * Note: Would require rdfxml-streaming-parser library
+ * Load the optional RDF/XML parser
+ * @returns {Promise<any>} The RdfXmlParser class
+ */
+async function loadRdfXmlParser() {
+  try {
+    const { RdfXmlParser } = await import('rdfxml-streaming-parser');
+    return RdfXmlParser;
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new Error(
+        'RDF/XML support requires additional dependencies (rdfxml-streaming-parser). Install with: pnpm add rdfxml-streaming-parser'
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Escape a value for use in XML text or attribute content
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeXML(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;');
+}
+
+/**
+ * Build a QName for an RDF/XML property, declaring a namespace prefix when needed
+ * @param {string} predicate - Predicate IRI
+ * @param {Map<string, string>} namespaces - Namespace IRI to prefix map, updated in place
+ * @returns {string} Prefixed property name
+ */
+function toRdfXmlPropertyName(predicate, namespaces) {
+  const match = RDF_PROPERTY_PATTERN.exec(predicate);
+  if (!match) {
+    throw new Error(`Predicate '${predicate}' cannot be written as an RDF/XML property name`);
+  }
+
+  const [, namespace, localName] = match;
+  if (!namespaces.has(namespace)) {
+    const prefixes = new Set(namespaces.values());
+    let index = 0;
+    while (prefixes.has(`ns${index}`)) {
+      index++;
+    }
+    namespaces.set(namespace, `ns${index}`);
+  }
+  return `${namespaces.get(namespace)}:${localName}`;
+}
+
+/**
+ * Build the attribute identifying an RDF/XML node
+ * @param {string} value - IRI or `_:`-prefixed blank node label
+ * @param {string} iriAttribute - Attribute used for IRIs (rdf:about or rdf:resource)
+ * @returns {string} Serialized attribute
+ */
+function toRdfXmlNodeAttribute(value, iriAttribute) {
+  return value.startsWith('_:')
+    ? `rdf:nodeID="${escapeXML(value.slice(2))}"`
+    : `${iriAttribute}="${escapeXML(value)}"`;
+}
+
+/**
+ * Build the property element of a statement
+ * Objects with a datatype or language, or that are neither IRIs nor blank nodes, are literals.
+ * @param {string} property - Prefixed property name
+ * @param {{object: string, datatype?: string, language?: string}} quad - Statement
+ * @returns {string} Serialized property element
+ */
+function toRdfXmlPropertyElement(property, quad) {
+  const { object, datatype, language } = quad;
+  if (!datatype && !language && (object.startsWith('_:') || object.startsWith('http'))) {
+    return `<${property} ${toRdfXmlNodeAttribute(object, 'rdf:resource')}/>`;
+  }
+  let attribute = '';
+  if (language) {
+    attribute = ` xml:lang="${escapeXML(language)}"`;
+  } else if (datatype && datatype !== XSD_STRING) {
+    attribute = ` rdf:datatype="${escapeXML(datatype)}"`;
+  }
+  return `<${property}${attribute}>${escapeXML(object)}</${property}>`;
+}
+
+/**
+ * RDF/XML adapter for parsing and formatting RDF/XML documents
+ * Literal objects carry their `datatype` and `language`, when they have one, next to `object`.
+ * RDF/XML has no named graphs, so format rejects quads with a `graph`.
  */
 const rdfxmlAdapter = {
   async parse(input, opts = {}) {
-    throw new Error('RDF/XML support requires additional dependencies (rdfxml-streaming-parser)');
+    const RdfXmlParser = await loadRdfXmlParser();
+    const { baseIRI = '' } = opts;
+
+    try {
+      const quads = await new Promise((resolve, reject) => {
+        const parser = new RdfXmlParser({ baseIRI });
+        const parsed = [];
+        parser.on('data', quad => parsed.push(quad));
+        parser.on('error', reject);
+        parser.on('end', () => resolve(parsed));
+        parser.end(input);
+      });
+
+      const data = quads.map(quad => {
+        const { object } = quad;
+        const literal = object.termType === 'Literal';
+        return {
+          subject:
+            quad.subject.termType === 'BlankNode' ? `_:${quad.subject.value}` : quad.subject.value,
+          predicate: quad.predicate.value,
+          object: object.termType === 'BlankNode' ? `_:${object.value}` : object.value,
+          ...(literal && object.language && { language: object.language }),
+          ...(literal &&
+            !object.language &&
+            object.datatype.value !== XSD_STRING && { datatype: object.datatype.value }),
+          graph: quad.graph ? quad.graph.value : undefined,
+        };
+      });
+
+      return {
+        data,
+        metadata: {
+          format: 'rdfxml',
+          quadCount: quads.length,
+          ...opts,
+        },
+      };
+    } catch (error) {
+      throw new Error(`Invalid RDF/XML: ${error.message}`);
+    }
   },
 
   async format(data, opts = {}) {
-    throw new Error('RDF/XML support requires additional dependencies (rdfxml-streaming-parser)');
+    try {
+      const { prefixes = {}, indent = 2, deterministic = false } = opts;
+
+      const namespaces = new Map([[RDF_NAMESPACE, 'rdf']]);
+      const declaredPrefixes = deterministic ? sortPrefixes(prefixes) : prefixes;
+      for (const [prefix, namespace] of Object.entries(declaredPrefixes)) {
+        if (!namespaces.has(namespace)) {
+          namespaces.set(namespace, prefix);
+        }
+      }
+
+      // Group statements by subject, keeping the order subjects first appear in
+      const subjects = new Map();
+      for (const quad of deterministic ? sortQuads(data) : data) {
+        if (quad.graph) {
+          throw new Error(
+            `RDF/XML cannot represent named graphs; the statement about ${quad.subject} is in graph ${quad.graph}`
+          );
+        }
+        if (!subjects.has(quad.subject)) {
+          subjects.set(quad.subject, []);
+        }
+        subjects.get(quad.subject).push(quad);
+      }
+
+      const space = ' '.repeat(indent);
+      const usedPrefixes = new Set(['rdf']);
+      const descriptions = [];
+      for (const [subject, quads] of subjects) {
+        descriptions.push(
+          `${space}<rdf:Description ${toRdfXmlNodeAttribute(subject, 'rdf:about')}>`
+        );
+        for (const quad of quads) {
+          const property = toRdfXmlPropertyName(quad.predicate, namespaces);
+          usedPrefixes.add(property.slice(0, property.indexOf(':')));
+          descriptions.push(`${space}${space}${toRdfXmlPropertyElement(property, quad)}`);
+        }
+        descriptions.push(`${space}</rdf:Description>`);
+      }
+
+      // Only declare the namespaces the document actually uses
+      const declared = [...namespaces].filter(([, prefix]) => usedPrefixes.has(prefix));
+      const declarations = declared.map(
+        ([namespace, prefix]) => `xmlns:${prefix}="${escapeXML(namespace)}"`
+      );
+
+      const result = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<rdf:RDF ${declarations.join(' ')}>`,
+        ...descriptions,
+        '</rdf:RDF>',
+        '',
+      ].join('\n');
+
+      return {
+        data: result,
+        metadata: {
+          format: 'rdfxml',
+          outputSize: result.length,
+          quadCount: data.length,
+          subjectCount: subjects.size,
+          namespaces: Object.fromEntries(
+            declared.map(([namespace, prefix]) => [prefix, namespace])
+          ),
+          ...opts,
+        },
+      };
+    } catch (error) {
+      throw new Error(`RDF/XML formatting failed: ${error.message}`);
+    }
   },
 
+  extensions: ['rdf', 'owl'],
+  mimeTypes: ['application/rdf+xml'],
   supportsStreaming: true,
   isAI: false,
-  version: '1.0.0',
+  version: '1.1.0',
 };
 
 /**
@@ -303,9 +1300,14 @@ const ttlAdapter = {
   async format(data, opts = {}) {
     try {
       const n3 = await import('n3');
-      const writer = new n3.Writer({ format: 'Turtle' });
+      const { prefixes, deterministic = false } = opts;
+      const writer = new n3.Writer({
+        format: 'Turtle',
+        prefixes: deterministic ? sortPrefixes(prefixes) : prefixes,
+      });
+      const quads = deterministic ? sortQuads(data) : data;
 
-      for (const quad of data) {
+      for (const quad of quads) {
         const subject = quad.subject.startsWith('_:')
           ? n3.DataFactory.blankNode(quad.subject.slice(2))
           : n3.DataFactory.namedNode(quad.subject);
@@ -348,6 +1350,8 @@ const ttlAdapter = {
     }
   },
 
+  extensions: ['ttl', 'turtle'],
+  mimeTypes: ['text/turtle'],
   supportsStreaming: true,
   isAI: false,
   version: '1.0.0',
@@ -360,7 +1364,7 @@ const packManifest = createPackManifest(
   {
     version: '1.0.0',
     description: 'Graph & Knowledge format adapters for ZTF',
-    dependencies: ['jsonld', 'n3'],
+    dependencies: ['jsonld', 'n3', 'rdfxml-streaming-parser'],
   }
 );
 
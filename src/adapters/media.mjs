@@ -208,6 +208,10 @@ const exifAdapter = {
     }
   },
 
+  extensions: ['jpg', 'jpeg', 'tif', 'tiff', 'heic'],
+  mimeTypes: ['image/jpeg', 'image/tiff', 'image/heic'],
+  binary: true,
+  parseOnly: true,
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -445,6 +449,9 @@ const id3Adapter = {
     }
   },
 
+  extensions: ['mp3'],
+  mimeTypes: ['audio/mpeg'],
+  binary: true,
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -609,6 +616,10 @@ const pdfTextAdapter = {
     }
   },
 
+  extensions: ['pdf'],
+  mimeTypes: ['application/pdf'],
+  binary: true,
+  parseOnly: true,
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -827,11 +838,19 @@ const tarAdapter = {
     }
   },
 
+  extensions: ['tar'],
+  mimeTypes: ['application/x-tar'],
+  binary: true,
   supportsStreaming: true,
   isAI: false,
   version: '1.0.0',
 };
 
+/**
+ * Compression method names of ZIP entries, keyed by the magic bytes JSZip identifies them with
+ */
+const ZIP_COMPRESSION_METHODS = { '\u0000\u0000': 'store', '\b\u0000': 'deflate' };
+
 /**
  * ZIP adapter for reading and creating ZIP archives
  * Uses jszip library for comprehensive ZIP archive operations
@@ -886,7 +905,7 @@ const zipAdapter = {
             name: relativePath,
             type: 'file',
             size: zipEntry._data?.uncompressedSize || 0,
-            compression: zipEntry._data?.compression || null,
+            compression: ZIP_COMPRESSION_METHODS[zipEntry._data?.compression?.magic] || null,
             crc32: zipEntry._data?.crc32 || null,
             content: null,
             lastModified: zipEntry.date ? zipEntry.date.toISOString() : null,
@@ -1017,6 +1036,9 @@ const zipAdapter = {
     }
   },
 
+  extensions: ['zip'],
+  mimeTypes: ['application/zip'],
+  binary: true,
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
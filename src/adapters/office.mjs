@@ -10,6 +10,23 @@
 import { createPackManifest, registerPack } from '../core/index.mjs';
 import { csvAdapter as dataCsvAdapter } from './data.mjs';
 
+/**
+ * Convert a record's booleans to 'true' or 'false' for office compatibility
+ * @param {Record<string, unknown>} record - Record to write
+ * @returns {Record<string, unknown>} Converted record
+ */
+function toOfficeCSVRecord(record) {
+  const converted = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (typeof value === 'boolean') {
+      converted[key] = value ? 'true' : 'false';
+    } else {
+      converted[key] = value;
+    }
+  }
+  return converted;
+}
+
 /**
  * CSV adapter wrapper for office pack compatibility
  */
@@ -28,21 +45,34 @@ const csvAdapter = {
     const items = Array.isArray(data) ? data : data.items || data;
 
     // Convert boolean values to string representations for office compatibility
-    const convertedItems = items.map(record => {
-      const converted = {};
-      for (const [key, value] of Object.entries(record)) {
-        if (typeof value === 'boolean') {
-          converted[key] = value ? 'true' : 'false';
-        } else {
-          converted[key] = value;
-        }
-      }
-      return converted;
-    });
+    const convertedItems = items.map(record => toOfficeCSVRecord(record));
 
     return await dataCsvAdapter.format(convertedItems, opts);
   },
 
+  async *formatStream(data, opts = {}) {
+    const items = Array.isArray(data) ? data : data.items || data;
+    const convertedItems = items.map(record => toOfficeCSVRecord(record));
+    yield* dataCsvAdapter.formatStream(convertedItems, opts);
+  },
+
+  locate(input, opts = {}) {
+    // Records are wrapped in `items`, so their pointers are too
+    const positions = {};
+    for (const [pointer, position] of Object.entries(dataCsvAdapter.locate(input, opts))) {
+      positions[`/items${pointer}`] = position;
+    }
+    return positions;
+  },
+
+  extensions: ['csv', 'tsv'],
+  mimeTypes: ['text/csv', 'text/tab-separated-values'],
+  lossless: {
+    types: ['string', 'number', 'object', 'array'],
+    wrapper: 'items',
+    root: 'array',
+    maxDepth: 2,
+  },
   supportsStreaming: true,
   isAI: false,
   version: '1.0.0',
@@ -156,6 +186,8 @@ const htmlAdapter = {
     };
   },
 
+  extensions: ['html', 'htm'],
+  mimeTypes: ['text/html'],
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -286,6 +318,8 @@ const mdAdapter = {
     };
   },
 
+  extensions: ['md', 'markdown'],
+  mimeTypes: ['text/markdown'],
   supportsStreaming: true,
   isAI: false,
   version: '1.0.0',
@@ -440,6 +474,9 @@ const docxTableAdapter = {
     }
   },
 
+  extensions: ['docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  binary: true,
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -607,6 +644,9 @@ const pdfTableAdapter = {
     }
   },
 
+  extensions: ['pdf'],
+  mimeTypes: ['application/pdf'],
+  binary: true,
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -751,6 +791,9 @@ const pptxSlidesAdapter = {
     }
   },
 
+  extensions: ['pptx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  binary: true,
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -898,6 +941,9 @@ const xlsxAdapter = {
     }
   },
 
+  extensions: ['xlsx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  binary: true,
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
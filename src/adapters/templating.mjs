@@ -9,48 +9,440 @@
 
 import { createPackManifest, registerPack } from '../core/index.mjs';
 
+// Functions Nunjucks provides to every template
+const NUNJUCKS_GLOBALS = ['range', 'cycler', 'joiner'];
+
+// Statement nodes reported as template blocks
+const NUNJUCKS_BLOCK_TYPES = new Set([
+  'If',
+  'For',
+  'Macro',
+  'Caller',
+  'Set',
+  'Block',
+  'Extends',
+  'Include',
+  'Import',
+  'FromImport',
+  'Switch',
+  'FilterAsync',
+]);
+
+/**
+ * Load the optional Nunjucks library
+ * @returns {Promise<any>} The nunjucks module
+ */
+async function loadNunjucks() {
+  try {
+    const { default: nunjucks } = await import('nunjucks');
+    return nunjucks;
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' || error.message.includes('Cannot resolve module')) {
+      throw new Error(
+        'Nunjucks support requires additional dependencies (nunjucks). Install with: pnpm add nunjucks'
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Unwrap Zod wrappers that do not change which properties a value has
+ * @param {import('zod').ZodTypeAny} schema - Zod schema
+ * @returns {import('zod').ZodTypeAny} Innermost schema
+ */
+function unwrapTemplateSchema(schema) {
+  let current = schema;
+  while (current?._def) {
+    const def = current._def;
+    switch (def.typeName) {
+      case 'ZodOptional':
+      case 'ZodNullable':
+      case 'ZodDefault':
+      case 'ZodCatch':
+      case 'ZodReadonly': {
+        current = def.innerType;
+        break;
+      }
+      case 'ZodEffects': {
+        current = def.schema;
+        break;
+      }
+      case 'ZodLazy': {
+        current = def.getter();
+        break;
+      }
+      case 'ZodBranded': {
+        current = def.type;
+        break;
+      }
+      case 'ZodPipeline': {
+        current = def.out;
+        break;
+      }
+      default: {
+        return current;
+      }
+    }
+  }
+  return current;
+}
+
+/**
+ * Check whether a variable path exists in a Zod schema
+ * @param {import('zod').ZodTypeAny} schema - Schema of the template context
+ * @param {Array<string|number>} segments - Property names; `[]` stands for any element of a collection
+ * @returns {boolean} Whether the schema defines the path
+ */
+function schemaDefinesPath(schema, segments) {
+  const type = unwrapTemplateSchema(schema);
+  if (segments.length === 0 || !type?._def) {
+    return true;
+  }
+
+  const [segment, ...rest] = segments;
+  const def = type._def;
+  switch (def.typeName) {
+    case 'ZodObject': {
+      const shape = def.shape();
+      if (Object.hasOwn(shape, segment)) {
+        return schemaDefinesPath(shape[segment], rest);
+      }
+      if (segment === '[]') {
+        return Object.values(shape).some(value => schemaDefinesPath(value, rest));
+      }
+      return def.unknownKeys === 'passthrough' || def.catchall?._def.typeName !== 'ZodNever';
+    }
+    case 'ZodRecord':
+    case 'ZodMap': {
+      return schemaDefinesPath(def.valueType, rest);
+    }
+    case 'ZodArray':
+    case 'ZodSet': {
+      const element = def.typeName === 'ZodArray' ? def.type : def.valueType;
+      // Other properties are array members such as `length`
+      return segment === '[]' || typeof segment === 'number'
+        ? schemaDefinesPath(element, rest)
+        : true;
+    }
+    case 'ZodTuple': {
+      if (segment === '[]') {
+        return def.items.some(item => schemaDefinesPath(item, rest));
+      }
+      return typeof segment === 'number'
+        ? segment < def.items.length && schemaDefinesPath(def.items[segment], rest)
+        : true;
+    }
+    case 'ZodUnion':
+    case 'ZodDiscriminatedUnion': {
+      return [...def.options.values()].some(option => schemaDefinesPath(option, segments));
+    }
+    case 'ZodIntersection': {
+      return schemaDefinesPath(def.left, segments) || schemaDefinesPath(def.right, segments);
+    }
+    default: {
+      // Primitives expose methods like `upper()`, and any/unknown accept everything
+      return true;
+    }
+  }
+}
+
 /**
- * Nunjucks adapter for parsing and formatting Nunjucks templates
+ * Resolve a symbol or static property lookup to a context path
+ * @param {Object} node - Nunjucks AST node
+ * @param {Map<string, Array<string|number>|false>} scope - Local names, mapped to the context path they alias
+ * @returns {{segments: Array<string|number>, written: string} | false | undefined} Context path, `false` for a
+ *   template-local value, or undefined for dynamic lookups
+ */
+function resolveNunjucksPath(node, scope) {
+  if (node.typename === 'Symbol') {
+    if (scope.has(node.value)) {
+      const alias = scope.get(node.value);
+      return alias && { segments: alias, written: node.value };
+    }
+    return { segments: [node.value], written: node.value };
+  }
+
+  if (node.typename === 'LookupVal' && node.val.typename === 'Literal') {
+    const target = resolveNunjucksPath(node.target, scope);
+    if (!target) {
+      return target;
+    }
+    const key = node.val.value;
+    return {
+      segments: [...target.segments, key],
+      written: typeof key === 'number' ? `${target.written}[${key}]` : `${target.written}.${key}`,
+    };
+  }
+
+  return undefined;
+}
+
+/**
+ * Collect the context variables a template reads, following loop and `set` aliases
+ * @param {Object} root - Parsed template
+ * @param {string[]} globals - Names provided by the environment rather than the context
+ * @returns {{variables: Map<string, Object>, blocks: Object[], hasFilters: boolean}} Analysis
+ */
+function collectNunjucksVariables(root, globals) {
+  const variables = new Map();
+  const blocks = [];
+  let hasFilters = false;
+
+  const record = (path, node) => {
+    // Report where the expression starts rather than its last property lookup
+    let origin = node;
+    while (origin.typename === 'LookupVal') {
+      origin = origin.target;
+    }
+    const key = path.segments
+      .map(segment => (typeof segment === 'number' ? '[]' : segment))
+      .join('.');
+    const name = key.replaceAll('.[]', '[]');
+    if (!variables.has(name)) {
+      variables.set(name, {
+        path: name,
+        segments: path.segments,
+        expression: path.written,
+        line: origin.lineno + 1,
+        column: origin.colno + 1,
+      });
+    }
+  };
+
+  const bindTargets = (targets, scope, alias) => {
+    for (const target of targets) {
+      if (target?.typename === 'Symbol') {
+        scope.set(target.value, alias);
+      }
+    }
+  };
+
+  const childScope = scope => new Map(scope);
+
+  const visitArguments = (args, scope) => {
+    for (const arg of args?.children ?? []) {
+      if (arg.typename === 'KeywordArgs') {
+        for (const pair of arg.children) {
+          visit(pair.value, scope);
+        }
+      } else {
+        visit(arg, scope);
+      }
+    }
+  };
+
+  const bindParameters = (args, scope) => {
+    for (const arg of args?.children ?? []) {
+      if (arg.typename === 'Symbol') {
+        scope.set(arg.value, false);
+      } else if (arg.typename === 'KeywordArgs') {
+        for (const pair of arg.children) {
+          scope.set(pair.key.value, false);
+        }
+      }
+    }
+  };
+
+  const visit = (node, scope) => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    if (NUNJUCKS_BLOCK_TYPES.has(node.typename)) {
+      blocks.push({ type: node.typename.toLowerCase(), line: node.lineno + 1 });
+    }
+
+    switch (node.typename) {
+      case 'Symbol':
+      case 'LookupVal': {
+        const path = resolveNunjucksPath(node, scope);
+        if (path) {
+          record(path, node);
+        } else if (path === undefined && node.typename === 'LookupVal') {
+          // Dynamic lookups such as `user[key]` still read `user` and `key`
+          visit(node.target, scope);
+          visit(node.val, scope);
+        }
+        return;
+      }
+      case 'Filter':
+      case 'FilterAsync': {
+        hasFilters = true;
+        visitArguments(node.args, scope);
+        return;
+      }
+      case 'FunCall': {
+        // Calling a macro or global is not a context read, but method calls like `user.greet()` are
+        if (node.name.typename !== 'Symbol' || !scope.has(node.name.value)) {
+          visit(node.name, scope);
+        }
+        visitArguments(node.args, scope);
+        return;
+      }
+      case 'Is': {
+        // The right-hand side names a test such as `defined`
+        visit(node.left, scope);
+        return;
+      }
+      case 'For':
+      case 'AsyncEach':
+      case 'AsyncAll': {
+        visit(node.arr, scope);
+        const source = resolveNunjucksPath(node.arr, scope);
+        const inner = childScope(scope);
+        inner.set('loop', false);
+        const element = source ? [...source.segments, '[]'] : false;
+        if (node.name.typename === 'Array') {
+          // `for key, value in object`
+          const [key, value] = node.name.children;
+          bindTargets([key], inner, false);
+          bindTargets([value], inner, element);
+        } else {
+          bindTargets([node.name], inner, element);
+        }
+        visit(node.body, inner);
+        visit(node.else_, scope);
+        return;
+      }
+      case 'Set': {
+        visit(node.value, scope);
+        const source = node.value && resolveNunjucksPath(node.value, scope);
+        bindTargets(node.targets, scope, source ? source.segments : false);
+        return;
+      }
+      case 'Macro':
+      case 'Caller': {
+        if (node.name?.typename === 'Symbol') {
+          scope.set(node.name.value, false);
+        }
+        const inner = childScope(scope);
+        inner.set('caller', false);
+        bindParameters(node.args, inner);
+        // Only default values are expressions; the other arguments are parameter names
+        visitArguments(
+          { children: node.args.children.filter(arg => arg.typename === 'KeywordArgs') },
+          scope
+        );
+        visit(node.body, inner);
+        return;
+      }
+      case 'Import': {
+        visit(node.template, scope);
+        bindTargets([node.target], scope, false);
+        return;
+      }
+      case 'FromImport': {
+        visit(node.template, scope);
+        for (const name of node.names.children) {
+          bindTargets([name.typename === 'Pair' ? name.value : name], scope, false);
+        }
+        return;
+      }
+      case 'Block': {
+        visit(node.body, scope);
+        return;
+      }
+      case 'Dict': {
+        for (const pair of node.children) {
+          visit(pair.value, scope);
+        }
+        return;
+      }
+      case 'Super': {
+        return;
+      }
+      default: {
+        for (const field of node.fields ?? []) {
+          const value = node[field];
+          if (Array.isArray(value)) {
+            for (const child of value) {
+              visit(child, scope);
+            }
+          } else {
+            visit(value, scope);
+          }
+        }
+      }
+    }
+  };
+
+  visit(root, new Map(globals.map(name => [name, false])));
+  return { variables, blocks, hasFilters };
+}
+
+/**
+ * Analyze the variables a Nunjucks template reads from its context
+ * @param {string} template - Template source
+ * @param {Object} [opts] - Analysis options
+ * @param {import('zod').ZodTypeAny} [opts.schema] - Context schema to check the variables against
+ * @param {string[]} [opts.globals] - Extra global names available to the template
+ * @returns {Promise<{variables: Object[], undefinedVariables: Object[], blocks: Object[], hasFilters: boolean}>}
+ *   Variables as `{path, expression, line, column}`, where `items[].title` is read through a loop over `items`
+ */
+async function analyzeNunjucksTemplate(template, opts = {}) {
+  const nunjucks = await loadNunjucks();
+  return analyzeParsedNunjucksTemplate(nunjucks, template, opts);
+}
+
+/**
+ * Analyze a template with an already loaded Nunjucks module
+ * @param {any} nunjucks - The nunjucks module
+ * @param {string} template - Template source
+ * @param {Object} opts - See analyzeNunjucksTemplate
+ * @returns {Object} Template analysis
+ */
+function analyzeParsedNunjucksTemplate(nunjucks, template, opts) {
+  const { schema, globals = [] } = opts;
+  const root = nunjucks.parser.parse(template);
+  const { variables, blocks, hasFilters } = collectNunjucksVariables(root, [
+    ...NUNJUCKS_GLOBALS,
+    ...globals,
+  ]);
+
+  const list = [...variables.values()].map(({ segments, ...variable }) => variable);
+  const undefinedVariables = schema
+    ? [...variables.values()]
+        .filter(variable => !schemaDefinesPath(schema, variable.segments))
+        .map(({ segments, ...variable }) => variable)
+    : [];
+
+  return { variables: list, undefinedVariables, blocks, hasFilters };
+}
+
+/**
+ * Describe variables for error messages
+ * @param {Object[]} variables - Variables from the template analysis
+ * @returns {string} Comma separated paths with their line numbers
+ */
+function describeNunjucksVariables(variables) {
+  return variables.map(variable => `${variable.expression} (line ${variable.line})`).join(', ');
+}
+
+/**
+ * Nunjucks adapter for analyzing and rendering Nunjucks templates
  */
 const nunjucksAdapter = {
   async parse(input, opts = {}) {
-    try {
-      const nunjucks = await import('nunjucks');
-
-      // For parsing, we extract template variables and structure
-      // This is a simplified approach - in practice, you'd need a more sophisticated parser
-      const template = input;
-
-      // Extract variables from template using regex
-      const variableMatches = template.match(/\{\{\s*([^}]+)\s*\}\}/g) || [];
-      const variables = variableMatches.map(match => {
-        const content = match.replace(/\{\{\s*|\s*\}\}/g, '');
-        return {
-          fullMatch: match,
-          content: content.trim(),
-          type: content.includes('|') ? 'filter' : 'variable',
-        };
-      });
+    const nunjucks = await loadNunjucks();
+    // The injected schema describes the analysis result; drift checks use `contextSchema`
+    const { schema, contextSchema, globals, ...options } = opts;
 
-      // Extract block structures
-      const blockMatches = template.match(/\{%\s*([^%]+)\s*%\}/g) || [];
-      const blocks = blockMatches.map(match => {
-        const content = match.replace(/\{%\s*|\s*%\}/g, '');
-        return {
-          fullMatch: match,
-          content: content.trim(),
-          type: content.startsWith('end') ? 'end' : 'start',
-        };
+    try {
+      const analysis = analyzeParsedNunjucksTemplate(nunjucks, input, {
+        schema: contextSchema,
+        globals,
       });
 
       const data = {
-        template,
-        variables,
-        blocks,
+        template: input,
+        variables: analysis.variables,
+        undefinedVariables: analysis.undefinedVariables,
+        blocks: analysis.blocks,
         metadata: {
-          variableCount: variables.length,
-          blockCount: blocks.length,
-          hasFilters: variables.some(v => v.type === 'filter'),
+          variableCount: analysis.variables.length,
+          blockCount: analysis.blocks.length,
+          hasFilters: analysis.hasFilters,
         },
       };
 
@@ -58,36 +450,57 @@ const nunjucksAdapter = {
         data,
         metadata: {
           format: 'nunjucks',
-          templateLength: template.length,
-          variableCount: variables.length,
-          blockCount: blocks.length,
-          ...opts,
+          templateLength: input.length,
+          variableCount: analysis.variables.length,
+          blockCount: analysis.blocks.length,
+          ...options,
         },
       };
     } catch (error) {
-      if (error.message.includes('Cannot resolve module')) {
-        throw new Error('Nunjucks support requires additional dependencies (nunjucks)');
-      }
       throw new Error(`Nunjucks parsing failed: ${error.message}`);
     }
   },
 
   async format(data, opts = {}) {
-    try {
-      const nunjucks = await import('nunjucks');
+    const nunjucks = await loadNunjucks();
+    const {
+      schema,
+      template,
+      autoescape = true,
+      throwOnUndefined = false,
+      strict = false,
+      filters = {},
+      globals = {},
+      ...options
+    } = opts;
 
-      const { template, context = {} } = data;
-      const { autoescape = true, throwOnUndefined = false } = opts;
+    try {
+      // Without a template option the data carries its own `{ template, context }`
+      const source = template ?? data.template;
+      const context = template === undefined ? (data.context ?? {}) : data;
+      if (typeof source !== 'string') {
+        throw new TypeError('a template string is required (pass it as the template option)');
+      }
 
-      // Configure Nunjucks environment
-      const env = nunjucks.configure({
-        autoescape,
-        throwOnUndefined,
-        noCache: true, // Disable caching for dynamic content
+      const analysis = analyzeParsedNunjucksTemplate(nunjucks, source, {
+        schema: template === undefined ? undefined : schema,
+        globals: Object.keys(globals),
       });
+      if (strict && analysis.undefinedVariables.length > 0) {
+        throw new Error(
+          `template uses variables the schema does not define: ${describeNunjucksVariables(analysis.undefinedVariables)}`
+        );
+      }
 
-      // Render the template with the provided context
-      const rendered = env.renderString(template, context);
+      const env = new nunjucks.Environment(undefined, { autoescape, throwOnUndefined });
+      for (const [name, filter] of Object.entries(filters)) {
+        env.addFilter(name, filter);
+      }
+      for (const [name, value] of Object.entries(globals)) {
+        env.addGlobal(name, value);
+      }
+
+      const rendered = env.renderString(source, context);
 
       return {
         data: rendered,
@@ -95,21 +508,22 @@ const nunjucksAdapter = {
           format: 'nunjucks',
           outputSize: rendered.length,
           contextKeys: Object.keys(context),
-          templateLength: template.length,
-          ...opts,
+          templateLength: source.length,
+          variables: analysis.variables.map(variable => variable.path),
+          undefinedVariables: analysis.undefinedVariables.map(variable => variable.path),
+          ...options,
         },
       };
     } catch (error) {
-      if (error.message.includes('Cannot resolve module')) {
-        throw new Error('Nunjucks support requires additional dependencies (nunjucks)');
-      }
       throw new Error(`Nunjucks formatting failed: ${error.message}`);
     }
   },
 
+  extensions: ['njk', 'nunjucks'],
   supportsStreaming: false,
   isAI: false,
-  version: '1.0.0',
+  schemaAware: true,
+  version: '1.1.0',
 };
 
 /**
@@ -258,4 +672,4 @@ const adapters = {
 
 registerPack(packManifest, adapters);
 
-export { frontmatterAdapter, nunjucksAdapter };
+export { analyzeNunjucksTemplate, frontmatterAdapter, nunjucksAdapter };
@@ -16,8 +16,11 @@ import * as auditCommands from './commands/audit.mjs';
 import * as schemaCommands from './commands/schema.mjs';
 import * as testCommands from './commands/test.mjs';
 
-// Import adapters to register them
-import '../adapters/data.mjs';
+// Register the built-in adapter packs; each loads on first use of one of its formats
+import { registerBuiltinPacks } from '../packs.mjs';
+import { registerPlugins } from '../core/index.mjs';
+
+registerBuiltinPacks();
 
 /**
  * CLI configuration and options
@@ -33,8 +36,10 @@ import '../adapters/data.mjs';
  * @property {boolean} deterministic - Enforce deterministic output
  * @property {boolean} streaming - Use streaming for large datasets
  * @property {string} format - Output format for audit export
- * @property {string} type - Test type (round-trip, fuzz, etc.)
+ * @property {string} type - Test type (adapter test: a conformance check or all)
  * @property {string} name - Adapter name for info command
+ * @property {string} runs - Number of values generated for test run
+ * @property {string} seed - Seed of the values generated for test run
  */
 
 /**
@@ -141,6 +146,9 @@ EXAMPLES:
   # Run round-trip test
   ztf test run --type round-trip --schema ./schemas/data.mjs#DataSchema --format yaml --in data.yaml
 
+  # Round-trip values generated from the schema through every adapter
+  ztf test run --type round-trip --schema ./schemas/data.mjs#DataSchema --runs 50 --seed 42
+
 OPTIONS:
   --schema <path>     Path to schema file (required for artifact operations)
   --from <format>     Source format
@@ -153,7 +161,9 @@ OPTIONS:
   --deterministic     Enforce deterministic output
   --streaming         Use streaming for large datasets
   --format <format>   Output format for audit export
-  --type <name>       Test type (round-trip, fuzz, etc.)
+  --type <name>       Test type (adapter test: metadata, round-trip, malformed-input, determinism, streaming)
+  --runs <n>          Values generated for test run without --in (default 25)
+  --seed <n>          Seed of the generated values, to replay a test run
 
 For more information, visit: https://github.com/unjs/zod-to-from
 `);
@@ -172,6 +182,13 @@ async function main() {
 
   const { command, options } = parseArgs(args);
 
+  // Register adapter packs published as dependencies of the current project
+  try {
+    await registerPlugins();
+  } catch (error) {
+    console.warn(`⚠️  Plugin discovery failed: ${error.message}`);
+  }
+
   // Validate required options based on command
   if (
     ['artifact convert', 'artifact parse', 'artifact format'].includes(command) &&
@@ -4,8 +4,14 @@
  */
 
 import { readFile, writeFile } from 'node:fs/promises';
-import { extname, resolve } from 'node:path';
-import { convert as coreConvert, formatTo, parseFrom } from '../../core/index.mjs';
+import { resolve } from 'node:path';
+import {
+  convert as coreConvert,
+  findByExtension,
+  formatTo,
+  loadAdapters,
+  parseFrom,
+} from '../../core/index.mjs';
 
 /**
  * Load a schema from a file path
@@ -36,26 +42,14 @@ async function loadSchema(schemaPath) {
 
 /**
  * Get format from file extension
+ * Uses the extensions registered adapters declare, defaulting to JSON. Lazily registered packs are
+ * loaded first, since their extensions are only known once loaded.
  * @param {string} filePath - File path
- * @returns {string} Format name
+ * @returns {Promise<string>} Format name
  */
-function getFormatFromPath(filePath) {
-  const ext = extname(filePath).toLowerCase();
-  const formatMap = {
-    '.json': 'json',
-    '.yaml': 'yaml',
-    '.yml': 'yaml',
-    '.toml': 'toml',
-    '.csv': 'csv',
-    '.tsv': 'csv',
-    '.ndjson': 'ndjson',
-    '.jsonl': 'ndjson',
-    '.ttl': 'ttl',
-    '.turtle': 'ttl',
-    '.xml': 'xml',
-  };
-
-  return formatMap[ext] || 'json';
+async function getFormatFromPath(filePath) {
+  await loadAdapters();
+  return findByExtension(filePath)[0] || 'json';
 }
 
 /**
@@ -84,8 +78,8 @@ export async function convert(options) {
     const input = await readFile(inputPath, 'utf8');
 
     // Determine formats
-    const sourceFormat = from || getFormatFromPath(inputPath);
-    const targetFormat = to || getFormatFromPath(outputPath);
+    const sourceFormat = from || (await getFormatFromPath(inputPath));
+    const targetFormat = to || (await getFormatFromPath(outputPath));
 
     // Convert with options
     const convertOptions = {
@@ -144,7 +138,7 @@ export async function parse(options) {
     const input = await readFile(inputPath, 'utf8');
 
     // Determine format
-    const format = from || getFormatFromPath(inputPath);
+    const format = from || (await getFormatFromPath(inputPath));
 
     // Parse with options
     const parseOptions = {
@@ -198,7 +192,7 @@ export async function format(options) {
     const data = JSON.parse(input);
 
     // Determine format
-    const format = to || getFormatFromPath(outputPath);
+    const format = to || (await getFormatFromPath(outputPath));
 
     // Format with options
     const formatOptions = {
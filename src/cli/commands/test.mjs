@@ -5,7 +5,19 @@
 
 import { readFile, writeFile } from 'node:fs/promises';
 import { resolve } from 'node:path';
-import { formatTo, parseFrom } from '../../core/index.mjs';
+import { inspect } from 'node:util';
+import {
+  ConformanceCheck,
+  canRepresent,
+  checkProperty,
+  formatTo,
+  generateSamples,
+  listAdaptersWithInfo,
+  loadAdapter,
+  loadAdapters,
+  parseFrom,
+  testAdapter,
+} from '../../core/index.mjs';
 
 /**
  * Load a schema from a file path
@@ -34,8 +46,29 @@ async function loadSchema(schemaPath) {
   }
 }
 
+/**
+ * Parse an integer option
+ * @param {string|undefined} value - Option value
+ * @param {string} name - Option name, for errors
+ * @param {number} fallback - Value when the option is absent
+ * @returns {number} Integer
+ */
+function integerOption(value, name, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new TypeError(`--${name} must be an integer, got ${value}`);
+  }
+  return number;
+}
+
 /**
  * Run command - Execute a named test contract
+ * Without `--in`, round-trip and fuzz tests generate their data from the schema, seeded by
+ * `--seed` so a failure can be replayed; round-trip tests then cover every adapter unless
+ * `--format` names one.
  * @param {Object} options - Command options
  */
 export async function run(options) {
@@ -50,17 +83,27 @@ export async function run(options) {
   try {
     // Load schema
     const schema = await loadSchema(schemaPath);
+    const generation = {
+      seed: integerOption(options.seed, 'seed', Math.floor(Math.random() * 4_294_967_296)),
+      runs: integerOption(options.runs, 'runs', 25),
+    };
 
     // Read input data
-    const input = await readFile(inputPath, 'utf8');
+    const input = inputPath === undefined ? undefined : await readFile(inputPath, 'utf8');
+    if (input === undefined && testType === 'validation') {
+      throw new Error('--in is required for validation tests');
+    }
 
     switch (testType) {
-      case 'round-trip': {
-        await runRoundTripTest(schema, testFormat, input, outputPath);
+      case 'round-trip':
+      case 'roundtrip': {
+        await (input === undefined
+          ? runPropertyRoundTripTest(schema, testFormat, generation, outputPath)
+          : runRoundTripTest(schema, testFormat, input, outputPath));
         break;
       }
       case 'fuzz': {
-        await runFuzzTest(schema, testFormat, input, outputPath);
+        await runFuzzTest(schema, testFormat, input, outputPath, generation);
         break;
       }
       case 'validation': {
@@ -126,24 +169,101 @@ async function runRoundTripTest(schema, format, input, outputPath) {
   }
 }
 
+/**
+ * Run round-trip tests on data generated from the schema
+ * Each failure is shrunk to the smallest value that still fails, and reported with the seed.
+ * @param {Object} schema - Zod schema
+ * @param {string} [format] - Format to test, defaults to every adapter that parses and formats
+ * @param {{seed: number, runs: number}} generation - Seed and number of generated values
+ * @param {string} [outputPath] - Output path for results
+ */
+async function runPropertyRoundTripTest(schema, format, { seed, runs }, outputPath) {
+  await loadAdapters();
+  const formats =
+    format === undefined
+      ? listAdaptersWithInfo()
+          .filter(info => !info.isAI && !info.parseOnly && !info.formatOnly)
+          .map(info => info.name)
+      : [format];
+  console.log(
+    `🔄 Running round-trip tests on ${runs} generated values for ${formats.length} format(s) (seed ${seed})`
+  );
+
+  const results = [];
+  for (const name of formats) {
+    const adapter = await loadAdapter(name);
+    if (!adapter) {
+      throw new Error(`No adapter found for format: ${name}`);
+    }
+    const representation = canRepresent(schema, name);
+    if (!representation.ok) {
+      console.log(`⏭️  ${name}: skipped, ${representation.issues[0].message}`);
+      results.push({ format: name, status: 'skipped', reason: representation.issues[0].message });
+      continue;
+    }
+
+    const result = await checkProperty(
+      schema,
+      async value => {
+        const report = await testAdapter(adapter, {
+          name,
+          schemas: { generated: schema },
+          samples: { generated: [value] },
+          checks: [ConformanceCheck.ROUND_TRIP],
+        });
+        if (!report.passed) {
+          throw new Error(report.failures[0].message);
+        }
+      },
+      { seed, runs }
+    );
+    if (result.passed) {
+      console.log(`✅ ${name}: ${result.runs} values round-tripped`);
+      results.push({ format: name, status: 'passed', runs: result.runs });
+    } else {
+      const { run, shrunk, message } = result.failure;
+      console.log(`❌ ${name}: failed on value ${run + 1}: ${message}`);
+      console.log(`   Smallest failing value: ${inspect(shrunk, { depth: 6, breakLength: 100 })}`);
+      results.push({ format: name, status: 'failed', run, message, value: inspect(shrunk) });
+    }
+  }
+
+  const failed = results.filter(result => result.status === 'failed').length;
+  console.log(
+    `📋 ${results.length - failed} of ${results.length} format(s) passed or skipped; replay with --seed ${seed}`
+  );
+  if (outputPath) {
+    const summary = {
+      testType: 'round-trip',
+      seed,
+      runs,
+      results,
+      timestamp: new Date().toISOString(),
+    };
+    await writeFile(outputPath, JSON.stringify(summary, undefined, 2), 'utf8');
+    console.log(`📋 Test results written to: ${outputPath}`);
+  }
+  if (failed > 0) {
+    throw new Error(`Round-trip failed for ${failed} format(s)`);
+  }
+}
+
 /**
  * Run a fuzz test with random data
  * @param {Object} schema - Zod schema
  * @param {string} format - Test format
- * @param {string} input - Input data
+ * @param {string} [input] - Input data, tested along with the generated values
  * @param {string} outputPath - Output path for results
+ * @param {{seed: number, runs: number}} generation - Seed and number of generated values
  */
-async function runFuzzTest(schema, format, input, outputPath) {
-  console.log(`🎲 Running fuzz test for format: ${format}`);
+async function runFuzzTest(schema, format, input, outputPath, { seed, runs }) {
+  console.log(`🎲 Running fuzz test for format: ${format} (seed ${seed})`);
 
   try {
-    // Parse input to get valid data structure
-    const validData = await parseFrom(schema, format, input);
-
-    // Generate variations (placeholder for actual fuzzing)
+    // Values generated from the schema, after the input's data when given
     const variations = [
-      validData,
-      // Add more variations here
+      ...(input === undefined ? [] : [await parseFrom(schema, format, input)]),
+      ...generateSamples(schema, { seed, count: runs }),
     ];
 
     let passed = 0;
@@ -173,6 +293,7 @@ async function runFuzzTest(schema, format, input, outputPath) {
       passed,
       failed,
       total: variations.length,
+      seed,
       timestamp: new Date().toISOString(),
     };
 
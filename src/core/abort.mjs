@@ -0,0 +1,111 @@
+/**
+ * Cancellation - AbortSignal and timeout handling for conversions
+ * @fileoverview Combines caller signals with timeouts and turns aborts into ZTFAbortError
+ */
+
+import { createProvenance } from './registry.mjs';
+import { ZTFAbortError } from './errors.mjs';
+
+/**
+ * Where an operation was when it was interrupted
+ * @typedef {Object} AbortDetails
+ * @property {string} phase - Pipeline phase, one of ZTFErrorPhase or a pipeline step type
+ * @property {string} [adapter] - Adapter involved
+ */
+
+/**
+ * Combine a caller's signal with a timeout
+ * @param {{signal?: AbortSignal, timeoutMs?: number}} [opts] - Operation options
+ * @returns {AbortSignal|undefined} Signal for the operation, or undefined when it cannot be cancelled
+ */
+export function createOperationSignal(opts = {}) {
+  const { signal, timeoutMs } = opts;
+  if (timeoutMs === undefined) {
+    return signal;
+  }
+  if (!Number.isFinite(timeoutMs) || timeoutMs < 0) {
+    throw new RangeError(`timeoutMs must be a non-negative number, got ${timeoutMs}`);
+  }
+  const timeout = AbortSignal.timeout(timeoutMs);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+/**
+ * Create the error for an aborted signal
+ * @param {AbortSignal} signal - Aborted signal
+ * @param {AbortDetails} details - Where the operation was interrupted
+ * @returns {ZTFAbortError} Abort error, with provenance marked as aborted
+ */
+export function createAbortError(signal, { phase, adapter }) {
+  const reason = signal.reason;
+  const timedOut = reason?.name === 'TimeoutError';
+  let message = `Operation ${timedOut ? 'timed out' : 'aborted'} during ${phase}`;
+  if (!timedOut && reason !== undefined && reason?.name !== 'AbortError') {
+    message += `: ${reason instanceof Error ? reason.message : String(reason)}`;
+  }
+
+  const provenance = {
+    ...createProvenance(adapter ?? 'unknown', undefined, undefined),
+    aborted: true,
+    abortedPhase: phase,
+    abortReason: message,
+  };
+  return new ZTFAbortError(message, { phase, adapter, timedOut, provenance, cause: reason });
+}
+
+/**
+ * Throw if the signal has been aborted
+ * @param {AbortSignal|undefined} signal - Operation signal
+ * @param {AbortDetails} details - Where the operation is
+ * @throws {ZTFAbortError} When the signal is aborted
+ */
+export function throwIfAborted(signal, details) {
+  if (signal?.aborted) {
+    throw createAbortError(signal, details);
+  }
+}
+
+/**
+ * Wait for a promise unless the signal aborts first
+ * Work that ignores the signal keeps running, but the caller stops waiting for it.
+ * @template T
+ * @param {Promise<T>} promise - Work to wait for
+ * @param {AbortSignal|undefined} signal - Operation signal
+ * @param {AbortDetails} details - Where the operation is
+ * @returns {Promise<T>} Result of the work
+ * @throws {ZTFAbortError} When the signal aborts before the work settles
+ */
+export async function withAbort(promise, signal, details) {
+  if (!signal) {
+    return promise;
+  }
+  // Abandoned work may still fail; that failure is no longer the caller's concern
+  Promise.resolve(promise).catch(() => {});
+  throwIfAborted(signal, details);
+
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(createAbortError(signal, details));
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  try {
+    return await Promise.race([promise, aborted]);
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Wait for a delay unless the signal aborts first
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|undefined} signal - Operation signal
+ * @param {AbortDetails} details - Where the operation is
+ * @returns {Promise<void>} Resolves after the delay
+ */
+export function abortableDelay(ms, signal, details) {
+  let timer;
+  const delay = new Promise(resolve => {
+    timer = setTimeout(resolve, ms);
+  });
+  return withAbort(delay, signal, details).finally(() => clearTimeout(timer));
+}
@@ -8,6 +8,9 @@ import { Worker } from 'node:worker_threads';
 import { EventEmitter } from 'node:events';
 import { parseFrom, formatTo, convert } from './main.mjs';
 import { createProvenance, simpleHash } from './registry.mjs';
+import { detectFormats } from './detect.mjs';
+import { abortableDelay, createAbortError } from './abort.mjs';
+import { ZTFAbortError } from './errors.mjs';
 
 /**
  * @typedef {import('zod').ZodSchema} ZodSchema
@@ -30,6 +33,7 @@ import { createProvenance, simpleHash } from './registry.mjs';
  * @property {boolean} success - Whether the operation succeeded
  * @property {any} [data] - The result data if successful
  * @property {Error} [error] - The error if failed
+ * @property {boolean} [aborted] - Whether the item was cancelled, timed out or never started because the batch was cancelled
  * @property {Provenance} [provenance] - Provenance metadata if requested
  * @property {number} duration - Processing time in milliseconds
  */
@@ -55,6 +59,8 @@ import { createProvenance, simpleHash } from './registry.mjs';
  * @property {function(number, number): void} [onProgress] - Progress callback (done, total)
  * @property {function(BatchResult): void} [onItemComplete] - Called when each item completes
  * @property {boolean} [detailedErrors] - Include full error details in results
+ * @property {AbortSignal} [signal] - Signal that cancels the batch, including items in flight
+ * @property {number} [timeoutMs] - Time limit for each item, overridable per item
  */
 
 /**
@@ -169,6 +175,8 @@ export class BatchProcessor extends EventEmitter {
       const opts = {
         ...item.options,
         includeProvenance: this.options.includeProvenance,
+        signal: item.options.signal ?? this.options.signal,
+        timeoutMs: item.options.timeoutMs ?? this.options.timeoutMs,
       };
 
       let output;
@@ -210,15 +218,33 @@ export class BatchProcessor extends EventEmitter {
       result.success = true;
     } catch (error) {
       result.success = false;
-      result.error = this.options.detailedErrors
-        ? error
-        : new Error(error.message || 'Processing failed');
+      if (error instanceof ZTFAbortError) {
+        this._markAborted(result, error);
+      } else {
+        result.error = this.options.detailedErrors
+          ? error
+          : new Error(error.message || 'Processing failed');
+      }
     }
 
     result.duration = Date.now() - startTime;
     return result;
   }
 
+  /**
+   * Record a cancellation on an item result
+   * @param {BatchResult} result - Item result
+   * @param {ZTFAbortError} error - Abort error
+   * @private
+   */
+  _markAborted(result, error) {
+    result.error = error;
+    result.aborted = true;
+    if (this.options.includeProvenance) {
+      result.provenance = error.provenance;
+    }
+  }
+
   /**
    * Process items in parallel chunks
    * @param {BatchItem[]} items - Items to process
@@ -234,7 +260,18 @@ export class BatchProcessor extends EventEmitter {
       chunks.push(items.slice(i, i + this.options.parallel));
     }
 
-    for (const chunk of chunks) {
+    for (const [index, chunk] of chunks.entries()) {
+      // Items not started before the batch was cancelled are reported as aborted
+      if (this.options.signal?.aborted) {
+        const error = createAbortError(this.options.signal, { phase: 'batch' });
+        for (const item of chunks.slice(index).flat()) {
+          const result = { id: item.id, success: false, duration: 0 };
+          this._markAborted(result, error);
+          results.push(result);
+        }
+        break;
+      }
+
       // Process chunk in parallel
       const chunkResults = await Promise.all(
         chunk.map(async (item) => {
@@ -267,9 +304,11 @@ export class BatchProcessor extends EventEmitter {
 
       results.push(...chunkResults);
 
-      // Apply throttling between chunks
-      if (this.options.throttleMs > 0 && chunks.indexOf(chunk) < chunks.length - 1) {
-        await new Promise((resolve) => setTimeout(resolve, this.options.throttleMs));
+      // Apply throttling between chunks, cut short when the batch is cancelled
+      if (this.options.throttleMs > 0 && index < chunks.length - 1) {
+        await abortableDelay(this.options.throttleMs, this.options.signal, {
+          phase: 'batch',
+        }).catch(() => {});
       }
 
       // Check if we should stop on error
@@ -307,6 +346,8 @@ export class BatchProcessor extends EventEmitter {
       totalItems: results.length,
       successfulItems: successful.length,
       failedItems: failed.length,
+      abortedItems: results.filter((r) => r.aborted).length,
+      aborted: this.options.signal?.aborted === true,
       parallelism: this.options.parallel,
       processingTime: Date.now() - this.startTime,
       formats: [...new Set(this.items.map((item) => item.format || item.sourceFormat))],
@@ -484,17 +525,11 @@ export function detectFormat(filename, content) {
     return formatMap[ext];
   }
 
-  // Content-based detection (basic heuristics)
+  // Content-based detection
   if (content) {
-    const trimmed = content.trim();
-    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
-      return 'json';
-    }
-    if (trimmed.startsWith('---') || /^\w+:\s/m.test(trimmed)) {
-      return 'yaml';
-    }
-    if (trimmed.startsWith('<?xml') || trimmed.startsWith('<')) {
-      return 'xml';
+    const [candidate] = detectFormats(content);
+    if (candidate) {
+      return candidate.format;
     }
   }
 
@@ -0,0 +1,245 @@
+/**
+ * Capabilities - Pre-flight checks of what a format can represent
+ * @fileoverview canRepresent compares a Zod schema with an adapter's lossless profile
+ */
+
+import { getAdapter } from './registry.mjs';
+
+/**
+ * @typedef {import('zod').ZodTypeAny} ZodTypeAny
+ * @typedef {import('./registry.mjs').LosslessProfile} LosslessProfile
+ */
+
+/**
+ * A schema location the format cannot represent without loss
+ * @typedef {Object} RepresentationIssue
+ * @property {Array<string|number>} path - Schema path, with '*' standing for any array element or record value
+ * @property {string} type - The offending value kind
+ * @property {string} message - Human-readable explanation
+ */
+
+/**
+ * Result of a representation check
+ * @typedef {Object} RepresentationReport
+ * @property {string} format - Format checked
+ * @property {boolean} ok - Whether the schema round-trips without loss, optimistically true when undeclared
+ * @property {boolean} declared - Whether the adapter declares a lossless profile
+ * @property {RepresentationIssue[]} issues - Problems found
+ */
+
+/**
+ * Wrappers whose inner schema determines the represented value
+ */
+const WRAPPER_INNER = {
+  ZodOptional: def => def.innerType,
+  ZodDefault: def => def.innerType,
+  ZodCatch: def => def.innerType,
+  ZodReadonly: def => def.innerType,
+  ZodBranded: def => def.type,
+  ZodEffects: def => def.schema,
+  ZodPipeline: def => def.in,
+};
+
+/**
+ * Value kinds of scalar Zod types
+ */
+const SCALAR_KINDS = {
+  ZodString: 'string',
+  ZodNumber: 'number',
+  ZodNaN: 'number',
+  ZodBigInt: 'bigint',
+  ZodBoolean: 'boolean',
+  ZodDate: 'date',
+  ZodNull: 'null',
+  ZodEnum: 'string',
+};
+
+/**
+ * Value kind of a literal
+ * @param {unknown} value - Literal value
+ * @returns {string} Value kind
+ */
+function literalKind(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return value instanceof Date ? 'date' : typeof value;
+}
+
+/**
+ * Visit every value kind a schema can produce
+ * @param {ZodTypeAny} schema - Schema to walk
+ * @param {function(string, Array<string|number>, number): void} visit - Called with kind, path and container depth
+ * @param {Array<string|number>} [path] - Current path
+ * @param {number} [depth] - Containers enclosing the current value
+ * @param {Set<ZodTypeAny>} [seen] - Lazy schemas already expanded
+ */
+function walkSchema(schema, visit, path = [], depth = 0, seen = new Set()) {
+  const def = schema?._def;
+  const typeName = def?.typeName;
+  if (!typeName) {
+    return;
+  }
+
+  if (WRAPPER_INNER[typeName]) {
+    walkSchema(WRAPPER_INNER[typeName](def), visit, path, depth, seen);
+    return;
+  }
+
+  switch (typeName) {
+    case 'ZodNullable': {
+      visit('null', path, depth);
+      walkSchema(def.innerType, visit, path, depth, seen);
+      return;
+    }
+    case 'ZodLazy': {
+      if (!seen.has(schema)) {
+        seen.add(schema);
+        walkSchema(def.getter(), visit, path, depth, seen);
+      }
+      return;
+    }
+    case 'ZodLiteral': {
+      visit(literalKind(def.value), path, depth);
+      return;
+    }
+    case 'ZodNativeEnum': {
+      for (const kind of new Set(Object.values(def.values).map(value => typeof value))) {
+        visit(kind, path, depth);
+      }
+      return;
+    }
+    case 'ZodObject': {
+      visit('object', path, depth + 1);
+      for (const [key, value] of Object.entries(def.shape())) {
+        walkSchema(value, visit, [...path, key], depth + 1, seen);
+      }
+      return;
+    }
+    case 'ZodRecord':
+    case 'ZodMap': {
+      visit('object', path, depth + 1);
+      walkSchema(def.valueType, visit, [...path, '*'], depth + 1, seen);
+      return;
+    }
+    case 'ZodArray':
+    case 'ZodSet': {
+      visit('array', path, depth + 1);
+      walkSchema(def.type ?? def.valueType, visit, [...path, '*'], depth + 1, seen);
+      return;
+    }
+    case 'ZodTuple': {
+      visit('array', path, depth + 1);
+      for (const [index, item] of def.items.entries()) {
+        walkSchema(item, visit, [...path, index], depth + 1, seen);
+      }
+      return;
+    }
+    case 'ZodUnion':
+    case 'ZodDiscriminatedUnion': {
+      for (const option of def.options.values()) {
+        walkSchema(option, visit, path, depth, seen);
+      }
+      return;
+    }
+    case 'ZodIntersection': {
+      walkSchema(def.left, visit, path, depth, seen);
+      walkSchema(def.right, visit, path, depth, seen);
+      return;
+    }
+    default: {
+      // Any, unknown and other types put no requirement on the format
+      if (SCALAR_KINDS[typeName]) {
+        visit(SCALAR_KINDS[typeName], path, depth);
+      }
+    }
+  }
+}
+
+/**
+ * Find the object schema inside wrappers such as optional or effects
+ * @param {ZodTypeAny} schema - Schema
+ * @returns {ZodTypeAny|undefined} The object schema, if the schema is one
+ */
+function unwrapObject(schema) {
+  const def = schema?._def;
+  if (WRAPPER_INNER[def?.typeName]) {
+    return unwrapObject(WRAPPER_INNER[def.typeName](def));
+  }
+  return def?.typeName === 'ZodObject' ? schema : undefined;
+}
+
+/**
+ * Check whether a format can represent every value a schema allows without loss
+ * Relies on the adapter's `lossless` profile; adapters without one are assumed capable.
+ * Adapters of lazily registered packs must be loaded first.
+ * @param {ZodTypeAny} schema - Zod schema of the data
+ * @param {string} format - Format name
+ * @returns {RepresentationReport} Representation report
+ */
+export function canRepresent(schema, format) {
+  const adapter = getAdapter(format);
+  if (!adapter) {
+    throw new Error(`No adapter found for format: ${format}`);
+  }
+  if (adapter.pack) {
+    throw new Error(`Adapter '${format}' is not loaded yet; await loadAdapter('${format}') first`);
+  }
+
+  /** @type {LosslessProfile|undefined} */
+  const profile = adapter.lossless;
+  if (!profile) {
+    return { format, ok: true, declared: false, issues: [] };
+  }
+
+  const issues = new Map();
+  const report = (path, type, message) => {
+    // Union options revisit the same locations, so keep one issue per message
+    if (!issues.has(message)) {
+      issues.set(message, { path, type, message });
+    }
+  };
+
+  // Formats that wrap their value describe the wrapped field, the only one they keep
+  let root = schema;
+  const rootPath = [];
+  if (profile.wrapper) {
+    const shape = unwrapObject(schema)?._def.shape();
+    if (!shape?.[profile.wrapper]) {
+      report(
+        [],
+        'object',
+        `${format} requires a top-level object with the '${profile.wrapper}' field`
+      );
+      return { format, ok: false, declared: true, issues: [...issues.values()] };
+    }
+    for (const key of Object.keys(shape).filter(key => key !== profile.wrapper)) {
+      report([key], 'object', `${format} keeps only the '${profile.wrapper}' field, not ${key}`);
+    }
+    root = shape[profile.wrapper];
+    rootPath.push(profile.wrapper);
+  }
+
+  walkSchema(
+    root,
+    (kind, path, depth) => {
+      const at = path.length > 0 ? ` at ${path.join('.')}` : '';
+      if (!profile.types.includes(kind)) {
+        report(path, kind, `${format} cannot represent ${kind} values${at} losslessly`);
+      }
+      if (path.length === rootPath.length && profile.root && kind !== profile.root) {
+        report(path, kind, `${format} requires a top-level ${profile.root}${at}, got ${kind}`);
+      }
+      if (profile.maxDepth !== undefined && depth > profile.maxDepth) {
+        report(
+          path,
+          kind,
+          `${format} supports nesting up to depth ${profile.maxDepth}, got a nested ${kind}${at}`
+        );
+      }
+    },
+    rootPath
+  );
+
+  return { format, ok: issues.size === 0, declared: true, issues: [...issues.values()] };
+}
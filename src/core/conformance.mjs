@@ -0,0 +1,478 @@
+/**
+ * Conformance Kit - Checks any adapter against the contract the core API relies on
+ * @fileoverview testAdapter runs round-trip, malformed input, determinism, streaming and metadata checks and reports the results
+ */
+
+import { isDeepStrictEqual } from 'node:util';
+import { createLossReport } from './loss.mjs';
+import { canonicalize, loadAdapter } from './registry.mjs';
+
+/**
+ * @typedef {import('zod').ZodTypeAny} ZodTypeAny
+ * @typedef {import('./registry.mjs').Adapter} Adapter
+ */
+
+/**
+ * Checks run by testAdapter
+ */
+export const ConformanceCheck = {
+  METADATA: 'metadata',
+  ROUND_TRIP: 'round-trip',
+  MALFORMED_INPUT: 'malformed-input',
+  DETERMINISM: 'determinism',
+  STREAMING: 'streaming',
+};
+
+/**
+ * Outcome of one check, for one sample when the check runs per sample
+ * @typedef {Object} ConformanceResult
+ * @property {string} check - One of ConformanceCheck
+ * @property {'passed'|'failed'|'skipped'} status - Outcome
+ * @property {string} [sample] - Sample checked, as `<set>[<index>]`, or `malformed[<index>]`
+ * @property {string} [message] - Why the check failed or was skipped
+ */
+
+/**
+ * Conformance report of an adapter
+ * @typedef {Object} ConformanceReport
+ * @property {string} adapter - Adapter name
+ * @property {boolean} passed - Whether no check failed
+ * @property {ConformanceResult[]} results - Outcome of every check
+ * @property {ConformanceResult[]} failures - Failed checks
+ * @property {{passed: number, failed: number, skipped: number}} summary - Number of results per status
+ */
+
+/**
+ * Options of testAdapter
+ * @typedef {Object} ConformanceOptions
+ * @property {Record<string, ZodTypeAny>} [schemas] - Schemas of the sample sets, keyed by set name
+ * @property {Record<string, unknown[]>} [samples] - Data samples the adapter must round-trip, keyed by the name of the schema they satisfy
+ * @property {Array<string|Uint8Array>} [malformed] - Inputs the adapter's parse must reject
+ * @property {string[]} [checks] - Checks to run, defaults to all of ConformanceCheck
+ * @property {Record<string, unknown>} [adapterOptions] - Options passed to every parse and format call; schemaAware adapters also get the sample set's schema
+ * @property {string} [name] - Adapter name for the report, defaults to the registered name or 'adapter'
+ */
+
+const BOOLEAN_FLAGS = [
+  'supportsStreaming',
+  'isAI',
+  'schemaAware',
+  'abortable',
+  'binary',
+  'parseOnly',
+  'formatOnly',
+];
+
+const LOSSLESS_KINDS = new Set([
+  'string',
+  'number',
+  'bigint',
+  'boolean',
+  'date',
+  'null',
+  'object',
+  'array',
+]);
+
+/**
+ * Whether parsed data equals the sample
+ * Parsers may build objects without a prototype, so values are compared as structured clones,
+ * which keep types such as Date, Map and bigint but not prototypes.
+ * @param {unknown} actual - Parsed data
+ * @param {unknown} expected - Sample
+ * @returns {boolean} Whether the data is equal
+ */
+function sameData(actual, expected) {
+  return isDeepStrictEqual(structuredClone(actual), structuredClone(expected));
+}
+
+/**
+ * Whether two serialized outputs are identical
+ * @param {string|Uint8Array} left - Output
+ * @param {string|Uint8Array} right - Output
+ * @returns {boolean} Whether they have the same characters or bytes
+ */
+function sameOutput(left, right) {
+  if (left instanceof Uint8Array && right instanceof Uint8Array) {
+    return Buffer.compare(left, right) === 0;
+  }
+  return left === right;
+}
+
+/**
+ * Join output chunks the way formatToStream consumers would
+ * @param {Array<string|Uint8Array>} chunks - Chunks
+ * @returns {string|Buffer} Joined output
+ */
+function joinChunks(chunks) {
+  return chunks.every(chunk => typeof chunk === 'string')
+    ? chunks.join('')
+    : Buffer.concat(chunks.map(chunk => (typeof chunk === 'string' ? Buffer.from(chunk) : chunk)));
+}
+
+/**
+ * Check the envelope of a parse or format result
+ * @param {string} method - 'parse' or 'format'
+ * @param {unknown} result - Result of the call
+ * @param {boolean} binary - Whether the adapter declares a binary serialized form
+ * @returns {string[]} Problems found
+ */
+function envelopeProblems(method, result, binary) {
+  if (!result || typeof result !== 'object' || !('data' in result)) {
+    return [`${method} must resolve to { data, metadata? }`];
+  }
+  const problems = [];
+  if (
+    result.metadata !== undefined &&
+    (typeof result.metadata !== 'object' ||
+      result.metadata === null ||
+      Array.isArray(result.metadata))
+  ) {
+    problems.push(`${method} metadata must be an object`);
+  }
+  if (method === 'format') {
+    if (binary && !(result.data instanceof Uint8Array) && typeof result.data !== 'string') {
+      problems.push('format data of a binary adapter must be a Buffer, Uint8Array or string');
+    }
+    if (!binary && typeof result.data !== 'string') {
+      problems.push('format data must be a string, or the adapter must declare binary: true');
+    }
+  }
+  return problems;
+}
+
+/**
+ * Check the declared capabilities and metadata of an adapter
+ * @param {Adapter} adapter - Adapter to check
+ * @returns {string[]} Problems found
+ */
+function declarationProblems(adapter) {
+  const problems = [];
+  const hasParse = typeof adapter.parse === 'function';
+  const hasFormat = typeof adapter.format === 'function';
+  if (!hasParse && !hasFormat) {
+    problems.push('adapter must implement parse, format or both');
+  }
+  if (adapter.parseOnly === true && adapter.formatOnly === true) {
+    problems.push('adapter cannot be both parseOnly and formatOnly');
+  }
+  if (adapter.parseOnly === true && !hasParse) {
+    problems.push('parseOnly adapter must implement parse');
+  }
+  if (adapter.formatOnly === true && !hasFormat) {
+    problems.push('formatOnly adapter must implement format');
+  }
+  for (const method of ['formatStream', 'locate']) {
+    if (adapter[method] !== undefined && typeof adapter[method] !== 'function') {
+      problems.push(`${method} must be a function`);
+    }
+  }
+  for (const flag of BOOLEAN_FLAGS) {
+    if (adapter[flag] !== undefined && typeof adapter[flag] !== 'boolean') {
+      problems.push(`${flag} must be a boolean`);
+    }
+  }
+  if (adapter.version !== undefined && !/^\d+\.\d+\.\d+/.test(String(adapter.version))) {
+    problems.push(`version must be a semantic version, got ${JSON.stringify(adapter.version)}`);
+  }
+  if (adapter.extensions !== undefined) {
+    const valid =
+      Array.isArray(adapter.extensions) &&
+      adapter.extensions.every(
+        extension => typeof extension === 'string' && /^[\da-z][\d.a-z-]*$/.test(extension)
+      );
+    if (!valid) {
+      problems.push('extensions must be lowercase extensions without the leading dot');
+    }
+  }
+  if (adapter.mimeTypes !== undefined) {
+    const valid =
+      Array.isArray(adapter.mimeTypes) &&
+      adapter.mimeTypes.every(
+        mimeType => typeof mimeType === 'string' && /^[a-z]+\/[\d+.a-z-]+$/.test(mimeType)
+      );
+    if (!valid) {
+      problems.push('mimeTypes must be lowercase type/subtype MIME types without parameters');
+    }
+  }
+  if (adapter.lossless !== undefined) {
+    const { types, root, maxDepth, wrapper } = adapter.lossless ?? {};
+    if (!Array.isArray(types) || !types.every(kind => LOSSLESS_KINDS.has(kind))) {
+      problems.push(
+        `lossless.types must list value kinds among: ${[...LOSSLESS_KINDS].join(', ')}`
+      );
+    }
+    if (root !== undefined && root !== 'object' && root !== 'array') {
+      problems.push("lossless.root must be 'object' or 'array'");
+    }
+    if (maxDepth !== undefined && !(Number.isInteger(maxDepth) && maxDepth > 0)) {
+      problems.push('lossless.maxDepth must be a positive integer');
+    }
+    if (wrapper !== undefined && (typeof wrapper !== 'string' || wrapper === '')) {
+      problems.push('lossless.wrapper must be a field name');
+    }
+  }
+  return problems;
+}
+
+// Errors standing for a synchronous throw, which breaks the contract even for malformed input
+const synchronousThrows = new WeakSet();
+
+/**
+ * Run an adapter method, turning a synchronous throw into a failure of the contract
+ * @param {Adapter} adapter - Adapter
+ * @param {string} method - Method to call
+ * @param {unknown[]} args - Arguments
+ * @returns {Promise<unknown>} Result of the call
+ */
+async function callAdapter(adapter, method, args) {
+  let pending;
+  try {
+    pending = adapter[method](...args);
+  } catch (error) {
+    const failure = new Error(
+      `${method} threw synchronously instead of rejecting: ${error?.message ?? error}`,
+      { cause: error }
+    );
+    synchronousThrows.add(failure);
+    throw failure;
+  }
+  return pending;
+}
+
+/**
+ * Run the conformance checks of an adapter
+ * Adapter authors can run it in their own test suites, for example with
+ * `expect(report.failures).toEqual([])`. Checks that do not apply, such as streaming for an
+ * adapter without formatStream or round-trips for a parse-only adapter, are reported as skipped.
+ * @param {Adapter|string} adapter - Adapter to check, or the name of a registered adapter
+ * @param {ConformanceOptions} [options] - Samples and checks to run
+ * @returns {Promise<ConformanceReport>} Conformance report
+ */
+export async function testAdapter(adapter, options = {}) {
+  const {
+    schemas = {},
+    samples = {},
+    malformed = [],
+    checks = Object.values(ConformanceCheck),
+    adapterOptions = {},
+  } = options;
+  const name = options.name ?? (typeof adapter === 'string' ? adapter : 'adapter');
+  const implementation = typeof adapter === 'string' ? await loadAdapter(adapter) : adapter;
+  if (!implementation) {
+    throw new Error(`No adapter found for format: ${adapter}`);
+  }
+  for (const check of checks) {
+    if (!Object.values(ConformanceCheck).includes(check)) {
+      throw new Error(
+        `Unknown conformance check: ${check}. Expected one of: ${Object.values(ConformanceCheck).join(', ')}`
+      );
+    }
+  }
+  for (const set of Object.keys(samples)) {
+    if (!schemas[set]) {
+      throw new Error(`Sample set '${set}' has no schema; add it to options.schemas`);
+    }
+  }
+
+  const results = [];
+  const record = (check, status, sample, message) => {
+    results.push({
+      check,
+      status,
+      ...(sample === undefined ? {} : { sample }),
+      ...(message === undefined ? {} : { message }),
+    });
+  };
+  const canParse = typeof implementation.parse === 'function' && !implementation.formatOnly;
+  const canFormat = typeof implementation.format === 'function' && !implementation.parseOnly;
+  const binary = implementation.binary === true;
+  // Schema-aware adapters receive the sample set's schema, as the core API passes it
+  const optionsFor = schema =>
+    implementation.schemaAware && schema && adapterOptions.schema === undefined
+      ? { ...adapterOptions, schema }
+      : { ...adapterOptions };
+  const format = (data, schema) =>
+    callAdapter(implementation, 'format', [data, optionsFor(schema)]);
+  const parse = (input, schema) =>
+    callAdapter(implementation, 'parse', [input, optionsFor(schema)]);
+  const sampleEntries = Object.entries(samples).flatMap(([set, values]) =>
+    values.map((data, index) => ({ id: `${set}[${index}]`, schema: schemas[set], data }))
+  );
+
+  /**
+   * Run a check once per sample
+   * @param {string} check - Check name
+   * @param {string|undefined} skipReason - Why the check does not apply, if it does not
+   * @param {function({schema: ZodTypeAny, data: unknown}): Promise<string|undefined>} run - Returns why the sample failed, if it did
+   */
+  const perSample = async (check, skipReason, run) => {
+    if (!checks.includes(check)) {
+      return;
+    }
+    const reason = skipReason ?? (sampleEntries.length === 0 ? 'no samples given' : undefined);
+    if (reason) {
+      record(check, 'skipped', undefined, reason);
+      return;
+    }
+    for (const sample of sampleEntries) {
+      try {
+        const failure = await run(sample);
+        record(check, failure ? 'failed' : 'passed', sample.id, failure);
+      } catch (error) {
+        record(check, 'failed', sample.id, error.message);
+      }
+    }
+  };
+
+  if (checks.includes(ConformanceCheck.METADATA)) {
+    const problems = declarationProblems(implementation);
+    const [first] = sampleEntries;
+    if (first && canFormat) {
+      try {
+        const formatted = await format(first.data, first.schema);
+        problems.push(...envelopeProblems('format', formatted, binary));
+        if (canParse && problems.length === 0) {
+          const parsed = await parse(formatted.data, first.schema);
+          problems.push(...envelopeProblems('parse', parsed, binary));
+        }
+      } catch (error) {
+        problems.push(error.message);
+      }
+    }
+    record(
+      ConformanceCheck.METADATA,
+      problems.length > 0 ? 'failed' : 'passed',
+      undefined,
+      problems.length > 0 ? problems.join('; ') : undefined
+    );
+  }
+
+  await perSample(
+    ConformanceCheck.ROUND_TRIP,
+    canParse && canFormat ? undefined : 'adapter cannot both parse and format',
+    async ({ schema, data }) => {
+      const expected = schema.parse(data);
+      const formatted = await format(expected, schema);
+      const parsed = await parse(formatted.data, schema);
+      const validated = schema.safeParse(parsed?.data);
+      if (!validated.success) {
+        const [issue] = validated.error.issues;
+        return `parsed data does not match the schema: ${issue.path.join('.') || 'root'}: ${issue.message}`;
+      }
+      if (sameData(validated.data, expected)) {
+        return undefined;
+      }
+      const { losses } = createLossReport({
+        from: name,
+        to: name,
+        data: expected,
+        readBack: { data: validated.data },
+      });
+      return losses.length > 0
+        ? losses.map(loss => loss.message).join('; ')
+        : 'parsed data differs from the sample';
+    }
+  );
+
+  if (checks.includes(ConformanceCheck.MALFORMED_INPUT)) {
+    if (!canParse) {
+      record(ConformanceCheck.MALFORMED_INPUT, 'skipped', undefined, 'adapter cannot parse');
+    } else if (malformed.length === 0) {
+      record(ConformanceCheck.MALFORMED_INPUT, 'skipped', undefined, 'no malformed inputs given');
+    }
+    for (const [index, input] of (canParse ? malformed : []).entries()) {
+      const sample = `malformed[${index}]`;
+      try {
+        await parse(input);
+        record(
+          ConformanceCheck.MALFORMED_INPUT,
+          'failed',
+          sample,
+          'parse accepted malformed input'
+        );
+      } catch (error) {
+        if (synchronousThrows.has(error)) {
+          record(ConformanceCheck.MALFORMED_INPUT, 'failed', sample, error.message);
+        } else if (error instanceof Error && error.message !== '') {
+          record(ConformanceCheck.MALFORMED_INPUT, 'passed', sample);
+        } else {
+          record(
+            ConformanceCheck.MALFORMED_INPUT,
+            'failed',
+            sample,
+            error instanceof Error
+              ? 'parse rejected with an Error without a message'
+              : `parse rejected with ${typeof error} instead of an Error`
+          );
+        }
+      }
+    }
+  }
+
+  await perSample(
+    ConformanceCheck.DETERMINISM,
+    canFormat ? undefined : 'adapter cannot format',
+    async ({ schema, data }) => {
+      // Deterministic formatting receives canonical data, as formatTo passes it with `deterministic: true`
+      const canonical = canonicalize(schema.parse(data));
+      const deterministic = () =>
+        callAdapter(implementation, 'format', [
+          canonical,
+          { ...optionsFor(schema), deterministic: true },
+        ]);
+      const [first, second] = [await deterministic(), await deterministic()];
+      return sameOutput(first.data, second.data)
+        ? undefined
+        : 'deterministic formatting of the same data gave different output';
+    }
+  );
+
+  await perSample(
+    ConformanceCheck.STREAMING,
+    typeof implementation.formatStream === 'function' && canFormat
+      ? undefined
+      : 'adapter has no formatStream',
+    async ({ schema, data }) => {
+      const expected = schema.parse(data);
+      const chunks = [];
+      for await (const chunk of implementation.formatStream(expected, optionsFor(schema))) {
+        chunks.push(chunk);
+      }
+      const batch = await format(expected, schema);
+      return sameOutput(joinChunks(chunks), batch.data)
+        ? undefined
+        : 'formatStream chunks differ from format output';
+    }
+  );
+
+  const failures = results.filter(result => result.status === 'failed');
+  return {
+    adapter: name,
+    passed: failures.length === 0,
+    results,
+    failures,
+    summary: {
+      passed: results.filter(result => result.status === 'passed').length,
+      failed: failures.length,
+      skipped: results.filter(result => result.status === 'skipped').length,
+    },
+  };
+}
+
+/**
+ * Render a conformance report as text
+ * @param {ConformanceReport} report - Report to render
+ * @returns {string} One line per result, then a summary line
+ */
+export function formatConformanceReport(report) {
+  const symbols = { passed: '✅', failed: '❌', skipped: '⏭️ ' };
+  const lines = report.results.map(result => {
+    const sample = result.sample ? ` ${result.sample}` : '';
+    const message = result.message ? `: ${result.message}` : '';
+    return `${symbols[result.status]} ${result.check}${sample}${message}`;
+  });
+  const { passed, failed, skipped } = report.summary;
+  lines.push(`${report.adapter}: ${passed} passed, ${failed} failed, ${skipped} skipped`);
+  return lines.join('\n');
+}
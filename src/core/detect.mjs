@@ -0,0 +1,593 @@
+/**
+ * Format Detection - Sniff the format of an input from its content
+ * @fileoverview Magic-byte and textual-signature detection returning ranked candidates
+ */
+
+/**
+ * A possible format of an input
+ * @typedef {Object} FormatCandidate
+ * @property {string} format - Adapter name
+ * @property {number} confidence - Confidence between 0 and 1
+ * @property {string} reason - The evidence that matched
+ */
+
+/**
+ * Format detection options
+ * @typedef {Object} DetectOptions
+ * @property {string[]} [formats] - Only consider these formats
+ * @property {string} [filename] - File name whose extension counts as additional evidence
+ * @property {number} [sampleSize=65536] - Number of leading bytes or characters inspected
+ * @property {boolean} [partial=false] - Whether the input is a truncated sample of a larger document
+ */
+
+/**
+ * Formats implied by common file extensions
+ */
+const EXTENSION_FORMATS = {
+  json: 'json',
+  ndjson: 'ndjson',
+  jsonl: 'ndjson',
+  yaml: 'yaml',
+  yml: 'yaml',
+  toml: 'toml',
+  ini: 'ini',
+  env: 'env',
+  csv: 'csv',
+  xml: 'xml',
+  ics: 'ics',
+  vcf: 'vcard',
+  eml: 'eml',
+  puml: 'plantuml',
+  plantuml: 'plantuml',
+  md: 'md',
+  html: 'html',
+  gpx: 'gpx',
+  kml: 'kml',
+  rdf: 'rdfxml',
+  ttl: 'ttl',
+  nq: 'nq',
+  xlsx: 'xlsx',
+  docx: 'docx-table',
+  pptx: 'pptx-slides',
+  pdf: 'pdf-text',
+  zip: 'zip',
+  tar: 'tar',
+  sqlite: 'sqlite',
+  db: 'sqlite',
+  parquet: 'parquet',
+  arrow: 'arrow',
+  avro: 'avro',
+  msgpack: 'msgpack',
+  mp3: 'id3',
+};
+
+/**
+ * Header names defined by RFC 822 and its successors, used to recognise email messages
+ */
+const EMAIL_HEADERS = new Set([
+  'from',
+  'to',
+  'cc',
+  'bcc',
+  'subject',
+  'date',
+  'message-id',
+  'mime-version',
+  'received',
+  'return-path',
+  'reply-to',
+  'content-type',
+  'in-reply-to',
+  'references',
+]);
+
+/**
+ * Values TOML accepts on the right-hand side of an assignment
+ */
+const TOML_VALUE_PATTERN =
+  /^(?:"[^"]*"|'[^']*'|"""|'''|true|false|[+-]?(?:\d[\d_]*)(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?|0x[\da-fA-F_]+|[+-]?(?:inf|nan)|\d{4}-\d{2}-\d{2}\S*|\d{2}:\d{2}:\d{2}\S*|\[.*|\{.*)\s*(?:#.*)?$/;
+
+/**
+ * Convert binary input to bytes
+ * @param {unknown} input - Input value
+ * @returns {Uint8Array | undefined} Bytes, or undefined for non-binary input
+ */
+function toBytes(input) {
+  if (input instanceof Uint8Array) {
+    return input;
+  }
+  if (input instanceof ArrayBuffer) {
+    return new Uint8Array(input);
+  }
+  return undefined;
+}
+
+/**
+ * Check whether bytes contain an ASCII signature at an offset
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {string} signature - Signature, one character per byte
+ * @param {number} [offset=0] - Byte offset
+ * @returns {boolean} Whether the signature matches
+ */
+function hasSignature(bytes, signature, offset = 0) {
+  if (bytes.length < offset + signature.length) {
+    return false;
+  }
+  for (const [index, char] of [...signature].entries()) {
+    if (bytes[offset + index] !== char.codePointAt(0)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Find the end offset of the MessagePack value starting at an offset
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {number} offset - Start offset
+ * @param {number} [depth=0] - Nesting depth
+ * @returns {number} End offset, or -1 when the bytes are not well-formed MessagePack
+ */
+function msgpackEnd(bytes, offset, depth = 0) {
+  if (offset >= bytes.length || depth > 64) {
+    return -1;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const type = bytes[offset];
+  const readLength = size => {
+    if (offset + 1 + size > bytes.length) {
+      return -1;
+    }
+    switch (size) {
+      case 1: {
+        return bytes[offset + 1];
+      }
+      case 2: {
+        return view.getUint16(offset + 1);
+      }
+      default: {
+        return view.getUint32(offset + 1);
+      }
+    }
+  };
+  const skip = length => (offset + length <= bytes.length ? offset + length : -1);
+  const collection = (count, headerSize, perEntry) => {
+    let position = offset + headerSize;
+    for (let item = 0; item < count * perEntry && position !== -1; item++) {
+      position = msgpackEnd(bytes, position, depth + 1);
+    }
+    return position;
+  };
+
+  if (type <= 0x7f || type >= 0xe0 || type === 0xc0 || type === 0xc2 || type === 0xc3) {
+    return offset + 1;
+  }
+  if (type >= 0x80 && type <= 0x8f) {
+    return collection(type & 0x0f, 1, 2);
+  }
+  if (type >= 0x90 && type <= 0x9f) {
+    return collection(type & 0x0f, 1, 1);
+  }
+  if (type >= 0xa0 && type <= 0xbf) {
+    return skip(1 + (type & 0x1f));
+  }
+
+  const sized = { 0xc4: 1, 0xc5: 2, 0xc6: 4, 0xd9: 1, 0xda: 2, 0xdb: 4 };
+  if (sized[type]) {
+    const length = readLength(sized[type]);
+    return length === -1 ? -1 : skip(1 + sized[type] + length);
+  }
+  const extensions = { 0xc7: 1, 0xc8: 2, 0xc9: 4 };
+  if (extensions[type]) {
+    const length = readLength(extensions[type]);
+    return length === -1 ? -1 : skip(2 + extensions[type] + length);
+  }
+  const fixed = { 0xca: 5, 0xcb: 9, 0xcc: 2, 0xcd: 3, 0xce: 5, 0xcf: 9, 0xd0: 2, 0xd1: 3 };
+  Object.assign(fixed, { 0xd2: 5, 0xd3: 9, 0xd4: 3, 0xd5: 4, 0xd6: 6, 0xd7: 10, 0xd8: 18 });
+  if (fixed[type]) {
+    return skip(fixed[type]);
+  }
+  const collections = { 0xdc: [2, 1], 0xdd: [4, 1], 0xde: [2, 2], 0xdf: [4, 2] };
+  if (collections[type]) {
+    const [size, perEntry] = collections[type];
+    const count = readLength(size);
+    return count === -1 ? -1 : collection(count, 1 + size, perEntry);
+  }
+  return -1;
+}
+
+/**
+ * Detect binary formats from their magic bytes
+ * @param {Uint8Array} bytes - Input sample
+ * @param {boolean} complete - Whether the sample is the whole input
+ * @returns {FormatCandidate[]} Candidates
+ */
+function detectBinary(bytes, complete) {
+  if (hasSignature(bytes, 'PK\u0003\u0004') || hasSignature(bytes, 'PK\u0005\u0006')) {
+    // Local file headers store entry names uncompressed, so OOXML parts show up in the raw bytes
+    const names = new TextDecoder('latin1').decode(bytes);
+    const packages = [
+      ['word/', 'docx-table', 'zip containing word/ parts'],
+      ['xl/', 'xlsx', 'zip containing xl/ parts'],
+      ['ppt/', 'pptx-slides', 'zip containing ppt/ parts'],
+    ];
+    const candidates = packages
+      .filter(([prefix]) => names.includes(prefix))
+      .map(([, format, reason]) => ({ format, confidence: 0.95, reason }));
+    candidates.push({
+      format: 'zip',
+      confidence: candidates.length > 0 ? 0.6 : 0.95,
+      reason: 'zip local file header',
+    });
+    return candidates;
+  }
+
+  const signatures = [
+    ['%PDF-', 0, 'pdf-text', 0.95],
+    ['%PDF-', 0, 'pdf-table', 0.9],
+    ['SQLite format 3\u0000', 0, 'sqlite', 0.99],
+    ['ustar', 257, 'tar', 0.95],
+    ['ARROW1', 0, 'arrow', 0.95],
+    ['Obj\u0001', 0, 'avro', 0.95],
+    ['ID3', 0, 'id3', 0.9],
+    ['\u00FF\u00D8\u00FF', 0, 'exif', 0.8],
+  ];
+  const candidates = signatures
+    .filter(([signature, offset]) => hasSignature(bytes, signature, offset))
+    .map(([signature, offset, format, confidence]) => ({
+      format,
+      confidence,
+      reason: `magic bytes ${JSON.stringify(signature)} at offset ${offset}`,
+    }));
+
+  if (hasSignature(bytes, 'PAR1')) {
+    const footer = complete && hasSignature(bytes, 'PAR1', bytes.length - 4);
+    candidates.push({
+      format: 'parquet',
+      confidence: footer ? 0.99 : 0.9,
+      reason: footer ? 'PAR1 header and footer' : 'PAR1 header',
+    });
+  }
+
+  // MessagePack has no magic number; accept documents that are a single well-formed map or array
+  const first = bytes[0];
+  const isCollection = (first >= 0x80 && first <= 0x9f) || (first >= 0xdc && first <= 0xdf);
+  if (candidates.length === 0 && isCollection) {
+    const end = msgpackEnd(bytes, 0);
+    if (end === bytes.length || (!complete && end === -1 && bytes.length > 1)) {
+      candidates.push({
+        format: 'msgpack',
+        confidence: end === bytes.length ? 0.85 : 0.5,
+        reason: 'well-formed MessagePack map or array',
+      });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Detect JSON and NDJSON documents
+ * @param {string} text - Trimmed input text
+ * @param {boolean} complete - Whether the text is the whole input
+ * @returns {FormatCandidate[]} Candidates
+ */
+function detectJSON(text, complete) {
+  if (!/^[[{]/.test(text)) {
+    return [];
+  }
+  if (complete) {
+    try {
+      JSON.parse(text);
+      return [{ format: 'json', confidence: 0.99, reason: 'parses as JSON' }];
+    } catch {
+      // Not a single document, possibly newline-delimited
+    }
+  }
+
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  const checked = complete ? lines : lines.slice(0, -1);
+  const isRecordStream =
+    lines.length > 1 &&
+    checked.length > 0 &&
+    checked.every(line => {
+      try {
+        JSON.parse(line);
+        return true;
+      } catch {
+        return false;
+      }
+    });
+  if (isRecordStream) {
+    return [{ format: 'ndjson', confidence: 0.97, reason: 'every line parses as JSON' }];
+  }
+  // A whole input that does not parse is something else, such as a TOML or INI [section]
+  if (complete || !/^(?:\{\s*(?:"|\}|$)|\[\s*(?:[[{"\d\]-]|true|false|null|$))/.test(text)) {
+    return [];
+  }
+  return [{ format: 'json', confidence: 0.8, reason: 'starts like JSON' }];
+}
+
+/**
+ * Detect XML documents by their root element
+ * @param {string} text - Trimmed input text
+ * @returns {FormatCandidate[]} Candidates
+ */
+function detectXML(text) {
+  if (!text.startsWith('<')) {
+    return [];
+  }
+  if (/^<!doctype html|^<html[\s>]/i.test(text)) {
+    return [{ format: 'html', confidence: 0.95, reason: 'HTML document element' }];
+  }
+
+  const root = text.match(/<(?![?!])([\w:.-]+)/)?.[1];
+  const roots = { gpx: 'gpx', kml: 'kml', 'rdf:RDF': 'rdfxml' };
+  if (root && roots[root]) {
+    return [{ format: roots[root], confidence: 0.95, reason: `<${root}> root element` }];
+  }
+  return [
+    {
+      format: 'xml',
+      confidence: text.startsWith('<?xml') ? 0.9 : 0.7,
+      reason: text.startsWith('<?xml') ? 'XML declaration' : 'starts with an element',
+    },
+  ];
+}
+
+/**
+ * Detect an email message from its RFC 822 header block
+ * @param {string[]} lines - Input lines
+ * @returns {FormatCandidate[]} Candidates
+ */
+function detectEmail(lines) {
+  let known = 0;
+  let headers = 0;
+  for (const line of lines) {
+    if (line === '') {
+      break;
+    }
+    if (/^[\t ]/.test(line) && headers > 0) {
+      continue;
+    }
+    const name = line.match(/^([A-Za-z][\w-]*):/)?.[1];
+    if (!name) {
+      return [];
+    }
+    headers++;
+    if (EMAIL_HEADERS.has(name.toLowerCase())) {
+      known++;
+    }
+  }
+  if (known >= 2) {
+    return [{ format: 'eml', confidence: 0.9, reason: `${known} RFC 822 headers` }];
+  }
+  return [];
+}
+
+/**
+ * Detect line-oriented configuration formats: YAML, TOML, INI and .env
+ * @param {string[]} lines - Input lines
+ * @returns {FormatCandidate[]} Candidates
+ */
+function detectConfig(lines) {
+  const candidates = [];
+  const content = lines.map(line => line.trim()).filter(line => line !== '');
+  const meaningful = content.filter(line => !/^[#;]/.test(line));
+  if (meaningful.length === 0) {
+    return candidates;
+  }
+
+  // YAML: mappings and sequences
+  const yamlLines = meaningful.filter(
+    line => /^(?:-\s|-$)/.test(line) || /^(?:"[^"]*"|'[^']*'|[^\s"'=[{#][^=]*?):(?:\s|$)/.test(line)
+  );
+  if (
+    yamlLines.length / meaningful.length >= 0.8 &&
+    yamlLines.some(line => !line.startsWith('-'))
+  ) {
+    candidates.push({ format: 'yaml', confidence: 0.75, reason: 'key: value lines' });
+  }
+
+  // TOML, INI and .env: sections and assignments
+  const sections = meaningful.filter(line => /^\[\[?[^\]]+]]?$/.test(line));
+  const assignments = meaningful
+    .map(line => line.match(/^(?:export\s+)?(?<key>[\w."' -]+?)\s*=\s*(?<value>.*)$/)?.groups)
+    .filter(Boolean);
+  if (
+    assignments.length === 0 ||
+    (sections.length + assignments.length) / meaningful.length < 0.8
+  ) {
+    return candidates;
+  }
+
+  const tomlValues = assignments.every(({ value }) => TOML_VALUE_PATTERN.test(value));
+  const hasSections = sections.length > 0;
+  const iniComments = content.some(line => line.startsWith(';'));
+  if (tomlValues && !iniComments) {
+    candidates.push({
+      format: 'toml',
+      confidence: hasSections ? 0.9 : 0.7,
+      reason: hasSections ? 'tables with TOML values' : 'assignments with TOML values',
+    });
+  }
+  if (!sections.some(line => line.startsWith('[['))) {
+    candidates.push({
+      format: 'ini',
+      confidence: (hasSections ? 0.85 : 0.5) - (tomlValues ? 0.25 : 0),
+      reason: hasSections ? 'sections with key=value pairs' : 'key=value pairs',
+    });
+  }
+  if (!hasSections) {
+    const envKeys = assignments.every(({ key }) => /^[A-Z_][A-Z\d_]*$/.test(key));
+    candidates.push({
+      format: 'env',
+      confidence: envKeys ? 0.85 : 0.45,
+      reason: envKeys ? 'upper-case variable assignments' : 'variable assignments',
+    });
+  }
+  return candidates;
+}
+
+/**
+ * Count delimiters outside quoted fields
+ * @param {string} line - CSV line
+ * @param {string} delimiter - Delimiter character
+ * @returns {number} Delimiter count
+ */
+function countDelimiters(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === delimiter && !quoted) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Detect delimited tables by a consistent delimiter count per line
+ * @param {string[]} lines - Input lines
+ * @param {boolean} complete - Whether the lines are the whole input
+ * @returns {FormatCandidate[]} Candidates
+ */
+function detectDelimited(lines, complete) {
+  const rows = lines.filter(line => line.trim() !== '').slice(0, 20);
+  const sample = complete || rows.length < 20 ? rows : rows.slice(0, -1);
+  for (const [delimiter, name] of [
+    [',', 'comma'],
+    ['\t', 'tab'],
+    [';', 'semicolon'],
+  ]) {
+    const counts = sample.map(line => countDelimiters(line, delimiter));
+    if (counts.length > 1 && counts[0] > 0 && counts.every(count => count === counts[0])) {
+      return [
+        {
+          format: 'csv',
+          confidence: delimiter === ',' ? 0.8 : 0.6,
+          reason: `${counts[0] + 1} ${name}-separated columns on every line`,
+        },
+      ];
+    }
+  }
+  return [];
+}
+
+/**
+ * Detect text formats from their signatures
+ * @param {string} text - Input text
+ * @param {boolean} complete - Whether the text is the whole input
+ * @returns {FormatCandidate[]} Candidates
+ */
+function detectText(text, complete) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (trimmed === '') {
+    return [];
+  }
+
+  const signatures = [
+    [/^BEGIN:VCALENDAR\r?$/im, 'ics', 'BEGIN:VCALENDAR'],
+    [/^BEGIN:VCARD\r?$/im, 'vcard', 'BEGIN:VCARD'],
+    [/^@start\w+/, 'plantuml', '@start directive'],
+  ];
+  for (const [pattern, format, reason] of signatures) {
+    if (pattern.test(trimmed)) {
+      return [{ format, confidence: 0.99, reason }];
+    }
+  }
+
+  const lines = trimmed.split(/\r?\n/);
+  const candidates = [...detectJSON(trimmed, complete), ...detectXML(trimmed)];
+  if (candidates.length > 0) {
+    return candidates;
+  }
+
+  if (trimmed.startsWith('%YAML')) {
+    return [{ format: 'yaml', confidence: 0.95, reason: '%YAML directive' }];
+  }
+  if (lines[0].trim() === '---') {
+    const close = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+    const body = close === -1 ? [] : lines.slice(close + 1).filter(line => line.trim() !== '');
+    const hasProse = body.length > 0 && detectConfig(body).length === 0;
+    if (hasProse) {
+      candidates.push({ format: 'frontmatter', confidence: 0.85, reason: 'front matter block' });
+    }
+    candidates.push({
+      format: 'yaml',
+      confidence: hasProse ? 0.5 : 0.9,
+      reason: 'YAML document marker',
+    });
+    return candidates;
+  }
+
+  if (/^FROM\s+\S+/im.test(trimmed) && /^(?:RUN|CMD|COPY|ENTRYPOINT|WORKDIR)\s/im.test(trimmed)) {
+    candidates.push({
+      format: 'dockerfile',
+      confidence: 0.9,
+      reason: 'FROM and build instructions',
+    });
+  }
+  candidates.push(
+    ...detectEmail(lines),
+    ...detectConfig(lines),
+    ...detectDelimited(lines, complete)
+  );
+  if (candidates.length === 0 && /^#{1,6}\s\S/m.test(trimmed)) {
+    candidates.push({ format: 'md', confidence: 0.5, reason: 'Markdown headings' });
+  }
+  return candidates;
+}
+
+/**
+ * Detect the likely formats of an input
+ * Binary inputs are matched on magic bytes (zip containers, PDF, SQLite, tar, Parquet, MessagePack, ...),
+ * text on signatures such as JSON syntax, YAML documents, TOML tables, BEGIN:VCALENDAR or email headers.
+ * @param {string|Uint8Array|ArrayBuffer} input - Input to inspect
+ * @param {DetectOptions} [opts] - Detection options
+ * @returns {FormatCandidate[]} Candidates ranked by descending confidence
+ */
+export function detectFormats(input, opts = {}) {
+  const { formats, filename, sampleSize = 65_536, partial = false } = opts;
+
+  const bytes = toBytes(input);
+  let candidates = [];
+  if (bytes) {
+    const sample = bytes.subarray(0, sampleSize);
+    const complete = !partial && sample.length === bytes.length;
+    candidates = detectBinary(sample, complete);
+    if (candidates.length === 0) {
+      try {
+        const text = new TextDecoder('utf8', { fatal: true }).decode(sample);
+        candidates = text.includes('\u0000') ? [] : detectText(text, complete);
+      } catch {
+        // Not UTF-8 text, and no known binary signature
+      }
+    }
+  } else if (typeof input === 'string') {
+    candidates = detectText(input.slice(0, sampleSize), !partial && input.length <= sampleSize);
+  }
+
+  const extension = filename?.split('.').pop()?.toLowerCase();
+  if (extension && EXTENSION_FORMATS[extension]) {
+    candidates.push({
+      format: EXTENSION_FORMATS[extension],
+      confidence: 0.5,
+      reason: `.${extension} file extension`,
+    });
+  }
+
+  const best = new Map();
+  for (const candidate of candidates) {
+    if (formats && !formats.includes(candidate.format)) {
+      continue;
+    }
+    const current = best.get(candidate.format);
+    if (!current || candidate.confidence > current.confidence) {
+      best.set(candidate.format, candidate);
+    }
+  }
+  return [...best.values()].sort((a, b) => b.confidence - a.confidence);
+}
@@ -0,0 +1,156 @@
+/**
+ * Core Errors - Structured failures of the parse, transform, validate and format pipeline
+ * @fileoverview ZTFError and the pipeline phases it reports
+ */
+
+import { ZodError } from 'zod';
+
+/**
+ * Pipeline phases a ZTFError can originate from
+ */
+export const ZTFErrorPhase = {
+  ADAPTER_PARSE: 'adapter-parse',
+  TRANSFORM: 'transform',
+  VALIDATE: 'validate',
+  ADAPTER_FORMAT: 'adapter-format',
+};
+
+/**
+ * Error returned by the safe* API, describing where a conversion failed
+ */
+export class ZTFError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {string} details.phase - Pipeline phase, one of ZTFErrorPhase
+   * @param {string} details.adapter - Name of the adapter involved
+   * @param {import('zod').ZodIssue[]} [details.issues] - Zod issues of a validation failure
+   * @param {string[]} [details.warnings] - Transform warnings collected before the failure
+   * @param {unknown} [details.cause] - The original error
+   */
+  constructor(message, { phase, adapter, issues = [], warnings = [], cause }) {
+    super(message, { cause });
+    this.name = 'ZTFError';
+    this.phase = phase;
+    this.adapter = adapter;
+    this.issues = issues;
+    this.warnings = warnings;
+  }
+
+  /**
+   * Wrap an error thrown by a pipeline phase
+   * Errors that are already structured, such as ZTFAbortError, are returned as they are.
+   * @param {unknown} error - Thrown value
+   * @param {Object} details - Phase, adapter and warnings, as in the constructor
+   * @returns {ZTFError} Structured error
+   */
+  static from(error, details) {
+    if (error instanceof ZTFError) {
+      return error;
+    }
+    const message = error instanceof Error ? error.message : String(error);
+    const issues = error instanceof ZodError ? error.issues : [];
+    return new ZTFError(message, { ...details, issues, cause: error });
+  }
+
+  /**
+   * Serializable form, suitable for API responses
+   * @returns {{name: string, message: string, phase: string, adapter: string, issues: Object[], warnings: string[]}} Plain object
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      phase: this.phase,
+      adapter: this.adapter,
+      issues: this.issues,
+      warnings: this.warnings,
+    };
+  }
+}
+
+/**
+ * Error thrown when an operation is cancelled through its `signal` or exceeds its `timeoutMs`
+ * Named 'AbortError' like the errors of fetch and Node.js streams, so existing abort checks keep working.
+ */
+export class ZTFAbortError extends ZTFError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Abort details
+   * @param {string} details.phase - Pipeline phase that was interrupted, one of ZTFErrorPhase
+   * @param {string} [details.adapter] - Name of the adapter involved
+   * @param {boolean} details.timedOut - Whether the operation exceeded its timeout
+   * @param {Object} details.provenance - Provenance of the interrupted operation, marked as aborted
+   * @param {unknown} [details.cause] - The abort reason
+   */
+  constructor(message, { phase, adapter, timedOut, provenance, cause }) {
+    super(message, { phase, adapter, cause });
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+    this.timedOut = timedOut;
+    this.provenance = provenance;
+  }
+
+  /**
+   * Serializable form, suitable for API responses
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return { ...super.toJSON(), timedOut: this.timedOut, provenance: this.provenance };
+  }
+}
+
+/**
+ * Error thrown when a strictLossless conversion loses data or cannot prove it did not
+ */
+export class ZTFLossError extends Error {
+  /**
+   * @param {import('./loss.mjs').LossReport} report - Loss report of the conversion
+   */
+  constructor(report) {
+    const details = report.verified
+      ? report.losses.map(loss => `${loss.kind}: ${loss.message}`)
+      : [report.reason];
+    super(`Lossy conversion from ${report.from} to ${report.to}:\n${details.join('\n')}`);
+    this.name = 'ZTFLossError';
+    this.report = report;
+  }
+}
+
+/**
+ * Error thrown when registering a schema version that breaks its subject's compatibility mode
+ */
+export class ZTFCompatibilityError extends Error {
+  /**
+   * @param {string} subject - Schema name and version, such as 'User@2.0.0'
+   * @param {import('./schema-registry.mjs').VersionDiff} result - Compatibility check that failed
+   */
+  constructor(subject, result) {
+    super(
+      `Schema ${subject} is not ${result.mode} compatible:\n${result.breakingChanges.join('\n')}`
+    );
+    this.name = 'ZTFCompatibilityError';
+    this.subject = subject;
+    this.result = result;
+  }
+}
+
+/**
+ * Error thrown when an isolated adapter or transform exceeds its limits or its worker crashes
+ * Errors thrown by the isolated code itself are rethrown as they were thrown in the worker.
+ */
+export class ZTFSandboxError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {'timeout'|'memory'|'crash'} details.reason - Limit exceeded, or 'crash' when the worker died
+   * @param {string} details.target - Isolated code, such as `adapter 'zip'` or `transform 'slugify'`
+   * @param {unknown} [details.cause] - The worker error
+   */
+  constructor(message, { reason, target, cause }) {
+    super(message, { cause });
+    this.name = 'ZTFSandboxError';
+    this.reason = reason;
+    this.target = target;
+  }
+}
@@ -0,0 +1,732 @@
+/**
+ * Generate - Seeded random data that satisfies a Zod schema
+ * @fileoverview generateSamples walks a Zod schema to build valid random instances, and checkProperty runs a property against them and shrinks failures
+ */
+
+/**
+ * @typedef {import('zod').ZodTypeAny} ZodTypeAny
+ */
+
+/**
+ * Options of generateSample and generateSamples
+ * @typedef {Object} GenerateOptions
+ * @property {number} [seed] - Seed of the random sequence; the same seed and schema give the same values (default random)
+ * @property {number} [maxDepth] - Nesting of objects and arrays past which containers get their fewest items and optional values are left out (default 4)
+ * @property {number} [maxItems] - Most items of arrays, sets, maps and records without a larger minimum (default 5)
+ * @property {number} [maxAttempts] - Candidates tried for each refinement before giving up (default 100)
+ */
+
+/**
+ * Failing value found by checkProperty
+ * @typedef {Object} PropertyFailure
+ * @property {number} run - Index of the failing run; generateSamples with the same seed and `count: run + 1` yields the value last
+ * @property {unknown} value - Generated value the property failed for
+ * @property {unknown} shrunk - Smallest variant of the value found that still fails
+ * @property {number} shrinks - Shrinking steps taken
+ * @property {string} message - Why the property failed for the shrunk value
+ */
+
+/**
+ * Result of checkProperty
+ * @typedef {Object} PropertyResult
+ * @property {boolean} passed - Whether the property held for every run
+ * @property {number} runs - Runs made, up to and including the failing one
+ * @property {number} seed - Seed used, to reproduce the runs
+ * @property {PropertyFailure} [failure] - First failure, when the property did not hold
+ */
+
+const DEFAULTS = { maxDepth: 4, maxItems: 5, maxAttempts: 100 };
+
+const WORDS = ['alpha', 'bravo', 'delta', 'echo', 'kilo', 'lima', 'oscar', 'sierra', 'tango'];
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+const CHARACTERS = `${LETTERS}ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789`;
+// Characters that commonly need quoting or escaping in text formats
+const TRICKY_CHARACTERS = [' ', '"', "'", ',', ':', '#', '\\', '\n', '\t', 'é', 'ß', '中', '😀'];
+const DEFAULT_DATE_RANGE = [Date.UTC(2000, 0, 1), Date.UTC(2030, 11, 31)];
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {function(): number} Generator of numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d_2b_79_f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4_294_967_296;
+  };
+}
+
+/**
+ * Describe a schema path for error messages
+ * @param {Array<string|number>} path - Path
+ * @returns {string} Dotted path, or 'root'
+ */
+function describePath(path) {
+  return path.length > 0 ? path.join('.') : 'root';
+}
+
+/**
+ * Find a check of a Zod string, number, bigint or date schema
+ * @param {Object} def - Schema definition
+ * @param {string} kind - Check kind
+ * @returns {Object|undefined} The check
+ */
+function findCheck(def, kind) {
+  return def.checks?.find(check => check.kind === kind);
+}
+
+/**
+ * Compile a regular expression into a generator of matching strings
+ * Supports literals, escapes, classes, groups, alternation and quantifiers, which covers the
+ * patterns schemas usually carry; lookarounds and backreferences throw.
+ * @param {string} source - Pattern source
+ * @param {{integer: function(number, number): number, pick: function(Array): any}} random - Random helpers
+ * @returns {function(): string} Generator of strings matching the pattern
+ */
+function compilePattern(source, { integer, pick }) {
+  const DIGITS = [...'0123456789'];
+  const WORD = [...CHARACTERS, '_'];
+  const ESCAPES = { d: DIGITS, w: WORD, s: [' '] };
+  const LITERAL_ESCAPES = { n: '\n', t: '\t', r: '\r', f: '\f', v: '\v' };
+  let index = 0;
+
+  const fail = () => {
+    throw new Error(`Unsupported pattern construct at ${index} in /${source}/`);
+  };
+  const negate = excluded =>
+    [...CHARACTERS, ' ', '-', '_'].filter(char => !excluded.includes(char));
+
+  const escape = () => {
+    const char = source[index++];
+    if (ESCAPES[char]) {
+      return ESCAPES[char];
+    }
+    if (ESCAPES[char.toLowerCase()]) {
+      return negate(ESCAPES[char.toLowerCase()]);
+    }
+    if (/\d/.test(char) || char === 'k' || char === 'u' || char === 'x' || char === 'p') {
+      fail();
+    }
+    return [LITERAL_ESCAPES[char] ?? char];
+  };
+
+  const characterClass = () => {
+    const negated = source[index] === '^';
+    index += negated ? 1 : 0;
+    const chars = [];
+    while (index < source.length && source[index] !== ']') {
+      const start = source[index++];
+      const first = start === '\\' ? escape() : [start];
+      if (first.length === 1 && source[index] === '-' && source[index + 1] !== ']') {
+        const end = source[index + 1] === '\\' ? (index++, escape()[0]) : source[index + 1];
+        index += source[index] === '-' ? 2 : 1;
+        for (let code = first[0].codePointAt(0); code <= end.codePointAt(0); code++) {
+          chars.push(String.fromCodePoint(code));
+        }
+      } else {
+        chars.push(...first);
+      }
+    }
+    index++;
+    return negated ? negate(chars) : chars;
+  };
+
+  const atom = () => {
+    const char = source[index++];
+    switch (char) {
+      case '(': {
+        if (source[index] === '?') {
+          if (source[index + 1] !== ':') {
+            fail();
+          }
+          index += 2;
+        }
+        const inner = alternation();
+        if (source[index++] !== ')') {
+          fail();
+        }
+        return inner;
+      }
+      case '[': {
+        const chars = characterClass();
+        return () => pick(chars);
+      }
+      case '.': {
+        return () => pick([...CHARACTERS]);
+      }
+      case '^':
+      case '$': {
+        return () => '';
+      }
+      case '\\': {
+        if (source[index] === 'b' || source[index] === 'B') {
+          index++;
+          return () => '';
+        }
+        const chars = escape();
+        return () => pick(chars);
+      }
+      default: {
+        return () => char;
+      }
+    }
+  };
+
+  const quantified = generator => {
+    const char = source[index];
+    const bounds = /^{(\d+)(,(\d*))?}/.exec(source.slice(index));
+    let range;
+    if (char === '*' || char === '+' || char === '?') {
+      range = { '*': [0, 3], '+': [1, 4], '?': [0, 1] }[char];
+      index++;
+    } else if (char === '{' && bounds) {
+      const [match, low, comma, high] = bounds;
+      const min = Number(low);
+      const max = high === '' ? min + 3 : Number(high);
+      range = [min, comma === undefined ? min : max];
+      index += match.length;
+    } else {
+      return generator;
+    }
+    // Lazy quantifiers match the same strings
+    if (source[index] === '?') {
+      index++;
+    }
+    return () => Array.from({ length: integer(...range) }, () => generator()).join('');
+  };
+
+  const sequence = () => {
+    const parts = [];
+    while (index < source.length && source[index] !== '|' && source[index] !== ')') {
+      parts.push(quantified(atom()));
+    }
+    return () => parts.map(part => part()).join('');
+  };
+
+  function alternation() {
+    const branches = [sequence()];
+    while (source[index] === '|') {
+      index++;
+      branches.push(sequence());
+    }
+    return () => pick(branches)();
+  }
+
+  const generator = alternation();
+  if (index < source.length) {
+    fail();
+  }
+  return generator;
+}
+
+/**
+ * Build a generator bound to one random sequence
+ * @param {function(): number} random - Random number generator
+ * @param {Required<Omit<GenerateOptions, 'seed'>>} limits - Generation limits
+ * @returns {function(ZodTypeAny): unknown} Generator of valid values
+ */
+function createGenerator(random, limits) {
+  const integer = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const pick = items => items[integer(0, items.length - 1)];
+  const chance = probability => random() < probability;
+  const hex = length => Array.from({ length }, () => integer(0, 15).toString(16)).join('');
+
+  const text = (min, max) => {
+    const length = integer(min, max);
+    return Array.from({ length }, () =>
+      chance(0.1) ? pick(TRICKY_CHARACTERS) : pick([...CHARACTERS])
+    ).join('');
+  };
+
+  const date = (min = DEFAULT_DATE_RANGE[0], max = DEFAULT_DATE_RANGE[1]) =>
+    new Date(integer(Math.ceil(min / 1000), Math.floor(max / 1000)) * 1000);
+
+  const itemCount = (min, max, depth) => {
+    const low = min ?? 0;
+    if (depth >= limits.maxDepth) {
+      return low;
+    }
+    return integer(low, max ?? Math.max(low, limits.maxItems));
+  };
+
+  const formattedString = def => {
+    const checks = new Set(def.checks.map(check => check.kind));
+    if (checks.has('email')) {
+      return `${pick(WORDS)}.${integer(1, 999)}@${pick(WORDS)}.example`;
+    }
+    if (checks.has('url')) {
+      return `https://${pick(WORDS)}.example/${pick(WORDS)}?id=${integer(1, 999)}`;
+    }
+    if (checks.has('uuid')) {
+      return `${hex(8)}-${hex(4)}-4${hex(3)}-${pick(['8', '9', 'a', 'b'])}${hex(3)}-${hex(12)}`;
+    }
+    if (checks.has('cuid')) {
+      return `c${Array.from({ length: 24 }, () => pick([...LETTERS, ...'0123456789'])).join('')}`;
+    }
+    if (checks.has('cuid2')) {
+      return `${pick([...LETTERS])}${Array.from({ length: 23 }, () => pick([...LETTERS, ...'0123456789'])).join('')}`;
+    }
+    if (checks.has('ulid')) {
+      return Array.from({ length: 26 }, () => pick([...'0123456789ABCDEFGHJKMNPQRSTVWXYZ'])).join(
+        ''
+      );
+    }
+    if (checks.has('nanoid')) {
+      return Array.from({ length: 21 }, () => pick([...CHARACTERS, '_', '-'])).join('');
+    }
+    if (checks.has('datetime')) {
+      return date().toISOString();
+    }
+    if (checks.has('date')) {
+      return date().toISOString().slice(0, 10);
+    }
+    if (checks.has('time')) {
+      return date().toISOString().slice(11, 19);
+    }
+    if (checks.has('ip')) {
+      return findCheck(def, 'ip').version === 'v6'
+        ? Array.from({ length: 8 }, () => hex(4)).join(':')
+        : Array.from({ length: 4 }, () => integer(0, 255)).join('.');
+    }
+    if (checks.has('base64')) {
+      return Buffer.from(text(1, 12)).toString('base64');
+    }
+    return undefined;
+  };
+
+  const string = def => {
+    const length = findCheck(def, 'length')?.value;
+    const min = length ?? findCheck(def, 'min')?.value ?? 0;
+    const max = length ?? findCheck(def, 'max')?.value ?? min + 12;
+    const prefix = findCheck(def, 'startsWith')?.value ?? '';
+    const suffix = findCheck(def, 'endsWith')?.value ?? '';
+    const infix = findCheck(def, 'includes')?.value ?? '';
+    const formatted = formattedString(def);
+    if (formatted !== undefined) {
+      return formatted;
+    }
+    const fixed = prefix.length + infix.length + suffix.length;
+    const body = text(Math.max(0, min - fixed), Math.max(0, max - fixed));
+    const cut = integer(0, body.length);
+    return `${prefix}${body.slice(0, cut)}${infix}${body.slice(cut)}${suffix}`;
+  };
+
+  const patterns = new Map();
+  // Strings matching a pattern, or random strings when the pattern uses unsupported constructs
+  const patternString = (pattern, def) => {
+    if (!patterns.has(pattern.source)) {
+      try {
+        patterns.set(pattern.source, compilePattern(pattern.source, { integer, pick }));
+      } catch {
+        patterns.set(pattern.source, () => string(def));
+      }
+    }
+    return patterns.get(pattern.source);
+  };
+
+  const number = def => {
+    const isInteger = Boolean(findCheck(def, 'int'));
+    const minCheck = findCheck(def, 'min');
+    const maxCheck = findCheck(def, 'max');
+    let min = minCheck?.value ?? (maxCheck ? maxCheck.value - 1000 : -1000);
+    let max = maxCheck?.value ?? min + 2000;
+    if (isInteger) {
+      min = minCheck && !minCheck.inclusive ? Math.floor(min) + 1 : Math.ceil(min);
+      max = maxCheck && !maxCheck.inclusive ? Math.ceil(max) - 1 : Math.floor(max);
+    }
+    const step = findCheck(def, 'multipleOf')?.value;
+    if (step !== undefined) {
+      return integer(Math.ceil(min / step), Math.floor(max / step)) * step || 0;
+    }
+    if (isInteger) {
+      const edges = [min, max, 0].filter(edge => edge >= min && edge <= max);
+      return chance(0.2) ? pick(edges) : integer(min, max);
+    }
+    const edges = [
+      minCheck?.inclusive === false ? undefined : min,
+      maxCheck?.inclusive === false ? undefined : max,
+      0,
+    ].filter(edge => edge !== undefined && edge >= min && edge <= max);
+    return chance(0.2) && edges.length > 0 ? pick(edges) : min + random() * (max - min);
+  };
+
+  const bigint = def => {
+    const minCheck = findCheck(def, 'min');
+    const maxCheck = findCheck(def, 'max');
+    const min = minCheck ? minCheck.value + (minCheck.inclusive ? 0n : 1n) : -1000n;
+    const max = maxCheck ? maxCheck.value - (maxCheck.inclusive ? 0n : 1n) : min + 2000n;
+    const span = Number(max - min);
+    return min + BigInt(integer(0, Math.min(span, Number.MAX_SAFE_INTEGER)));
+  };
+
+  const anything = depth => {
+    const kinds =
+      depth >= limits.maxDepth
+        ? ['string', 'number', 'boolean', 'null']
+        : ['string', 'number', 'boolean', 'null', 'array', 'object'];
+    switch (pick(kinds)) {
+      case 'string': {
+        return text(0, 8);
+      }
+      case 'number': {
+        return integer(-1000, 1000);
+      }
+      case 'boolean': {
+        return chance(0.5);
+      }
+      case 'array': {
+        return Array.from({ length: integer(0, 3) }, () => anything(depth + 1));
+      }
+      case 'object': {
+        return Object.fromEntries(
+          Array.from({ length: integer(0, 3) }, () => [pick(WORDS), anything(depth + 1)])
+        );
+      }
+      default: {
+        return null;
+      }
+    }
+  };
+
+  /**
+   * Generate a value that passes a schema, retrying the candidates of a generator
+   * @param {ZodTypeAny} schema - Schema the value must pass
+   * @param {function(): unknown} candidate - Generator of candidates
+   * @param {Array<string|number>} path - Schema path, for errors
+   * @param {string} what - What could not be satisfied, for errors
+   * @returns {unknown} Valid value
+   */
+  const satisfy = (schema, candidate, path, what) => {
+    for (let attempt = 0; attempt < limits.maxAttempts; attempt++) {
+      const value = candidate();
+      if (schema.safeParse(value).success) {
+        return value;
+      }
+    }
+    throw new Error(
+      `Cannot generate a value satisfying ${what} at ${describePath(path)} after ${limits.maxAttempts} attempts`
+    );
+  };
+
+  /**
+   * Generate a candidate value for a schema
+   * @param {ZodTypeAny} schema - Schema
+   * @param {Array<string|number>} path - Schema path
+   * @param {number} depth - Containers enclosing the value
+   * @returns {unknown} Value
+   */
+  const generate = (schema, path, depth) => {
+    const def = schema._def;
+    switch (def.typeName) {
+      case 'ZodString': {
+        const pattern = findCheck(def, 'regex')?.regex;
+        if (!pattern) {
+          return string(def);
+        }
+        return satisfy(schema, patternString(pattern, def), path, 'the string pattern');
+      }
+      case 'ZodNumber': {
+        return number(def);
+      }
+      case 'ZodBigInt': {
+        return bigint(def);
+      }
+      case 'ZodBoolean': {
+        return chance(0.5);
+      }
+      case 'ZodDate': {
+        return date(findCheck(def, 'min')?.value, findCheck(def, 'max')?.value);
+      }
+      case 'ZodNull': {
+        return null;
+      }
+      case 'ZodUndefined':
+      case 'ZodVoid': {
+        return undefined;
+      }
+      case 'ZodNaN': {
+        return Number.NaN;
+      }
+      case 'ZodAny':
+      case 'ZodUnknown': {
+        return anything(depth);
+      }
+      case 'ZodLiteral': {
+        return def.value;
+      }
+      case 'ZodEnum': {
+        return pick(def.values);
+      }
+      case 'ZodNativeEnum': {
+        // Numeric enums map their values back to their names; skip those reverse entries
+        return pick(
+          Object.keys(def.values)
+            .filter(key => typeof def.values[def.values[key]] !== 'number')
+            .map(key => def.values[key])
+        );
+      }
+      case 'ZodOptional': {
+        return depth >= limits.maxDepth || chance(0.2)
+          ? undefined
+          : generate(def.innerType, path, depth);
+      }
+      case 'ZodNullable': {
+        if (depth >= limits.maxDepth || chance(0.15)) {
+          return null;
+        }
+        return generate(def.innerType, path, depth);
+      }
+      case 'ZodDefault':
+      case 'ZodCatch':
+      case 'ZodReadonly': {
+        return generate(def.innerType, path, depth);
+      }
+      case 'ZodBranded': {
+        return generate(def.type, path, depth);
+      }
+      case 'ZodLazy': {
+        return generate(def.getter(), path, depth);
+      }
+      case 'ZodPipeline': {
+        return generate(def.in, path, depth);
+      }
+      case 'ZodEffects': {
+        if (def.effect.type !== 'refinement') {
+          // Generate the input of transforms and preprocessing; the output follows from it
+          return generate(def.schema, path, depth);
+        }
+        return satisfy(schema, () => generate(def.schema, path, depth), path, 'the refinement');
+      }
+      case 'ZodObject': {
+        const entries = Object.entries(def.shape()).map(([key, value]) => [
+          key,
+          generate(value, [...path, key], depth + 1),
+        ]);
+        return Object.fromEntries(entries.filter(([, value]) => value !== undefined));
+      }
+      case 'ZodArray': {
+        const count = itemCount(
+          def.exactLength?.value ?? def.minLength?.value,
+          def.exactLength?.value ?? def.maxLength?.value,
+          depth
+        );
+        return Array.from({ length: count }, (_, index) =>
+          generate(def.type, [...path, index], depth + 1)
+        );
+      }
+      case 'ZodTuple': {
+        const items = def.items.map((item, index) => generate(item, [...path, index], depth + 1));
+        const rest = def.rest
+          ? Array.from({ length: itemCount(0, 2, depth) }, (_, index) =>
+              generate(def.rest, [...path, items.length + index], depth + 1)
+            )
+          : [];
+        return [...items, ...rest];
+      }
+      case 'ZodSet': {
+        const count = itemCount(def.minSize?.value, def.maxSize?.value, depth);
+        const set = new Set();
+        for (let attempt = 0; set.size < count && attempt < limits.maxAttempts; attempt++) {
+          set.add(generate(def.valueType, [...path, '*'], depth + 1));
+        }
+        return set;
+      }
+      case 'ZodRecord':
+      case 'ZodMap': {
+        const count = itemCount(0, undefined, depth);
+        const entries = Array.from({ length: count }, () => [
+          generate(def.keyType, [...path, '*'], depth + 1),
+          generate(def.valueType, [...path, '*'], depth + 1),
+        ]);
+        return def.typeName === 'ZodMap' ? new Map(entries) : Object.fromEntries(entries);
+      }
+      case 'ZodUnion':
+      case 'ZodDiscriminatedUnion': {
+        const options = [...def.options.values()];
+        // At the depth limit the first option ends recursive unions, by convention the leaf
+        const option = depth >= limits.maxDepth ? options[0] : pick(options);
+        return generate(option, path, depth);
+      }
+      case 'ZodIntersection': {
+        return satisfy(
+          schema,
+          () => {
+            const left = generate(def.left, path, depth);
+            const right = generate(def.right, path, depth);
+            return left && right && typeof left === 'object' && typeof right === 'object'
+              ? { ...left, ...right }
+              : left;
+          },
+          path,
+          'the intersection'
+        );
+      }
+      default: {
+        throw new Error(
+          `Cannot generate values for ${def.typeName ?? 'an unknown schema type'} at ${describePath(path)}`
+        );
+      }
+    }
+  };
+
+  return schema => satisfy(schema, () => generate(schema, [], 0), [], 'the schema');
+}
+
+/**
+ * Resolve the seed and limits of a generation
+ * @param {GenerateOptions} options - Options
+ * @returns {{seed: number, limits: Required<Omit<GenerateOptions, 'seed'>>}} Seed and limits
+ */
+function resolveOptions(options) {
+  const { seed = Math.floor(Math.random() * 4_294_967_296), ...limits } = options;
+  if (!Number.isInteger(seed)) {
+    throw new TypeError(`seed must be an integer, got ${seed}`);
+  }
+  return { seed, limits: { ...DEFAULTS, ...limits } };
+}
+
+/**
+ * Generate random values that pass a schema
+ * Refinements, regex patterns and intersections are satisfied by retrying candidates, so they
+ * need a fair share of random candidates to pass; an error names the path that could not be met.
+ * @param {ZodTypeAny} schema - Schema the values must pass
+ * @param {GenerateOptions & {count?: number}} [options] - Seed, count (default 10) and limits
+ * @returns {unknown[]} Values, valid input of the schema
+ */
+export function generateSamples(schema, options = {}) {
+  const { count = 10, ...rest } = options;
+  const { seed, limits } = resolveOptions(rest);
+  const generate = createGenerator(createRandom(seed), limits);
+  return Array.from({ length: count }, () => generate(schema));
+}
+
+/**
+ * Generate one random value that passes a schema
+ * @param {ZodTypeAny} schema - Schema the value must pass
+ * @param {GenerateOptions} [options] - Seed and limits
+ * @returns {unknown} Value, valid input of the schema
+ */
+export function generateSample(schema, options = {}) {
+  return generateSamples(schema, { ...options, count: 1 })[0];
+}
+
+/**
+ * Smaller variants of a value, simplest first
+ * @param {unknown} value - Value to shrink
+ * @returns {unknown[]} Candidates
+ */
+function shrinkCandidates(value) {
+  if (Array.isArray(value)) {
+    return [
+      ...(value.length > 1 ? [[], value.slice(0, Math.floor(value.length / 2))] : []),
+      ...value.map((_, index) => value.filter((__, other) => other !== index)),
+      ...value.flatMap((item, index) =>
+        shrinkCandidates(item).map(smaller => value.with(index, smaller))
+      ),
+    ];
+  }
+  if (typeof value === 'string') {
+    return value === ''
+      ? []
+      : [
+          ...new Set([
+            '',
+            value.slice(0, Math.floor(value.length / 2)),
+            value.slice(1),
+            value.slice(0, -1),
+          ]),
+        ];
+  }
+  if (typeof value === 'number') {
+    if (value === 0 || !Number.isFinite(value)) {
+      return [];
+    }
+    // Steps toward zero halve in size, so a boundary is found in a logarithmic number of shrinks
+    const steps = [];
+    for (let step = Math.trunc(value / 2); step !== 0; step = Math.trunc(step / 2)) {
+      steps.push(value - step);
+    }
+    return [...new Set([0, Math.trunc(value), ...steps, value - Math.sign(value)])].filter(
+      smaller => smaller !== value
+    );
+  }
+  if (typeof value === 'bigint') {
+    return value === 0n ? [] : [0n, value / 2n].filter(smaller => smaller !== value);
+  }
+  if (value === true) {
+    return [false];
+  }
+  if (value instanceof Date) {
+    return value.getTime() === 0 ? [] : [new Date(0)];
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    const entries = Object.entries(value);
+    return [
+      ...entries.map(([key]) => Object.fromEntries(entries.filter(([other]) => other !== key))),
+      ...entries.flatMap(([key, item]) =>
+        shrinkCandidates(item).map(smaller => ({ ...value, [key]: smaller }))
+      ),
+    ];
+  }
+  return [];
+}
+
+/**
+ * Run a property against random values of a schema
+ * The property fails by returning false or throwing. The first failing value is shrunk to the
+ * smallest variant that still passes the schema and still fails, which usually names the cause.
+ * @param {ZodTypeAny} schema - Schema of the values
+ * @param {function(unknown): boolean|void|Promise<boolean|void>} property - Property to check
+ * @param {GenerateOptions & {runs?: number, shrink?: boolean, maxShrinks?: number}} [options] - Seed, runs (default 100), shrinking (default on, at most 500 steps) and limits
+ * @returns {Promise<PropertyResult>} Result
+ */
+export async function checkProperty(schema, property, options = {}) {
+  const { runs = 100, shrink = true, maxShrinks = 500, ...rest } = options;
+  const { seed, limits } = resolveOptions(rest);
+  const generate = createGenerator(createRandom(seed), limits);
+
+  const failureOf = async value => {
+    try {
+      return (await property(value)) === false ? 'property returned false' : undefined;
+    } catch (error) {
+      return error instanceof Error ? error.message : String(error);
+    }
+  };
+
+  for (let run = 0; run < runs; run++) {
+    const value = generate(schema);
+    let message = await failureOf(value);
+    if (message === undefined) {
+      continue;
+    }
+
+    let shrunk = value;
+    let shrinks = 0;
+    let smaller = true;
+    while (shrink && smaller && shrinks < maxShrinks) {
+      smaller = false;
+      for (const candidate of shrinkCandidates(shrunk)) {
+        if (!schema.safeParse(candidate).success) {
+          continue;
+        }
+        const candidateMessage = await failureOf(candidate);
+        if (candidateMessage !== undefined) {
+          [shrunk, message, smaller] = [candidate, candidateMessage, true];
+          shrinks++;
+          break;
+        }
+      }
+    }
+    return {
+      passed: false,
+      runs: run + 1,
+      seed,
+      failure: { run, value, shrunk, shrinks, message },
+    };
+  }
+  return { passed: true, runs, seed };
+}
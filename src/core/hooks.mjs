@@ -0,0 +1,137 @@
+/**
+ * Hooks - Middleware around adapter calls and validation
+ * @fileoverview Global and per-call hooks run by parseFrom, formatTo, convert and their variants
+ */
+
+/**
+ * Points of the pipeline where hooks run
+ */
+export const HookName = {
+  BEFORE_PARSE: 'beforeParse',
+  AFTER_PARSE: 'afterParse',
+  BEFORE_VALIDATE: 'beforeValidate',
+  AFTER_VALIDATE: 'afterValidate',
+  BEFORE_FORMAT: 'beforeFormat',
+  AFTER_FORMAT: 'afterFormat',
+  ON_ERROR: 'onError',
+};
+
+const hookNames = new Set(Object.values(HookName));
+
+/**
+ * State passed to each hook
+ * Hooks may replace `value` to change what the next hook and the pipeline see, or call `skip` to
+ * short-circuit: later hooks for the same point do not run and, in a before* hook, the adapter call
+ * or validation is skipped and `value` is used as its result. In an onError hook, `skip` recovers
+ * from the failure and the operation resolves with `value`.
+ * @typedef {Object} HookContext
+ * @property {string} hook - Hook being run, one of HookName
+ * @property {'parse'|'format'|'convert'|'formatStream'} operation - Public operation running
+ * @property {string} format - Format involved; for beforeParse, the requested format, which may be 'auto'
+ * @property {import('zod').ZodSchema} schema - Schema of the operation
+ * @property {import('./registry.mjs').ZTFOptions} opts - Operation options
+ * @property {unknown} value - Input for beforeParse, data for afterParse to beforeFormat, output for afterFormat, the error for onError
+ * @property {Object} [metadata] - Metadata reported by the adapter, for afterParse and afterFormat
+ * @property {string} [phase] - Phase that failed, for onError
+ * @property {AbortSignal} [signal] - Signal cancelling the operation
+ * @property {Record<string, unknown>} state - Scratch space shared by every hook of one operation
+ * @property {boolean} skipped - Whether a hook short-circuited
+ * @property {function(unknown=): void} skip - Short-circuit, optionally replacing `value`
+ */
+
+/**
+ * Hook function
+ * @typedef {function(HookContext): (void|Promise<void>)} Hook
+ */
+
+/**
+ * Hooks keyed by hook name, as registered globally or passed as `opts.hooks`
+ * @typedef {Partial<Record<string, Hook|Hook[]>>} HookMap
+ */
+
+/**
+ * Globally registered hooks, in registration order
+ * @type {Map<string, Hook[]>}
+ */
+const registeredHooks = new Map();
+
+/**
+ * List the hooks of a hook map as [name, hook] pairs, checking names and types
+ * @param {HookMap} hooks - Hooks to list
+ * @returns {Array<[string, Hook]>} Hook entries
+ */
+function hookEntries(hooks) {
+  const entries = [];
+  for (const [name, value] of Object.entries(hooks ?? {})) {
+    if (!hookNames.has(name)) {
+      throw new Error(`Unknown hook: ${name}. Expected one of: ${[...hookNames].join(', ')}`);
+    }
+    if (value === undefined) {
+      continue;
+    }
+    for (const hook of [value].flat()) {
+      if (typeof hook !== 'function') {
+        throw new TypeError(`Hook '${name}' must be a function`);
+      }
+      entries.push([name, hook]);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Register hooks for every operation
+ * Global hooks run before per-call hooks, in registration order.
+ * @param {HookMap} hooks - Hooks to register
+ * @returns {function(): void} Function that unregisters these hooks
+ */
+export function registerHooks(hooks) {
+  const entries = hookEntries(hooks);
+  for (const [name, hook] of entries) {
+    registeredHooks.set(name, [...(registeredHooks.get(name) ?? []), hook]);
+  }
+  return () => {
+    for (const [name, hook] of entries) {
+      registeredHooks.set(
+        name,
+        (registeredHooks.get(name) ?? []).filter(registered => registered !== hook)
+      );
+    }
+  };
+}
+
+/**
+ * Remove all globally registered hooks
+ */
+export function clearHooks() {
+  registeredHooks.clear();
+}
+
+/**
+ * Run the hooks for one point of the pipeline
+ * @param {string} name - Hook to run, one of HookName
+ * @param {Omit<HookContext, 'hook'|'skipped'|'skip'>} context - Context for the hooks
+ * @returns {Promise<HookContext>} Context after the hooks ran
+ */
+export async function runHooks(name, context) {
+  const hooks = [
+    ...(registeredHooks.get(name) ?? []),
+    ...hookEntries({ [name]: context.opts?.hooks?.[name] }).map(([, hook]) => hook),
+  ];
+
+  const hookContext = { ...context, hook: name, skipped: false };
+  hookContext.skip = (...args) => {
+    if (args.length > 0) {
+      hookContext.value = args[0];
+    }
+    hookContext.skipped = true;
+  };
+
+  for (const hook of hooks) {
+    await hook(hookContext);
+    if (hookContext.skipped) {
+      break;
+    }
+  }
+  return hookContext;
+}
@@ -4,21 +4,63 @@
  */
 
 // Export main API functions
-export { parseFrom, formatTo, convert } from './main.mjs';
+export {
+  parseFrom,
+  formatTo,
+  formatToStream,
+  convert,
+  safeParseFrom,
+  safeFormatTo,
+  safeConvert,
+} from './main.mjs';
+
+// Export capability checks
+export { canRepresent } from './capabilities.mjs';
+
+// Export adapter conformance kit
+export { ConformanceCheck, formatConformanceReport, testAdapter } from './conformance.mjs';
+
+// Export schema-driven data generation
+export { checkProperty, generateSample, generateSamples } from './generate.mjs';
+
+// Export format detection
+export { detectFormats } from './detect.mjs';
+
+// Export hooks
+export { HookName, registerHooks, clearHooks } from './hooks.mjs';
+
+// Export structured errors
+export {
+  ZTFAbortError,
+  ZTFCompatibilityError,
+  ZTFError,
+  ZTFErrorPhase,
+  ZTFLossError,
+  ZTFSandboxError,
+} from './errors.mjs';
+export { LossKind } from './loss.mjs';
+
+// Export plugin discovery
+export { discoverPlugins, getZTFVersion, registerPlugins } from './plugins.mjs';
 
 // Export registry functions
 export {
   registerAdapter,
   getAdapter,
+  loadAdapter,
+  loadAdapters,
   listAdapters,
   getAdapterInfo,
   listAdaptersWithInfo,
   adapterSupports,
   createPackManifest,
   registerPack,
+  findByExtension,
+  findByMime,
   createProvenance,
   simpleHash,
   deterministicStringify,
+  canonicalize,
 } from './registry.mjs';
 
 // Export batch operations
@@ -92,6 +134,9 @@ export {
   getDependencies,
   getDependents,
   checkCompatibility,
+  testCompatibility,
+  setCompatibility,
+  getCompatibility,
   validateSchema,
   exportRegistry,
   importRegistry,
@@ -99,6 +144,7 @@ export {
   getRegistryStats,
   createRegistry,
 } from './schema-registry.mjs';
+export { CompatibilityMode, diffSchemas, SchemaChangeKind } from './schema-compatibility.mjs';
 
 // Export schema store classes and functions
 export {
@@ -176,8 +222,18 @@ export {
   summarizeMerge,
 } from './merge.mjs';
 
+// Export source location helpers
+export {
+  ZTFValidationError,
+  createCodeFrame,
+  toJSONPointer,
+  locateJSON,
+  locateCSV,
+} from './source-locations.mjs';
+
 // Register built-in JSON adapter
 import { registerAdapter } from './registry.mjs';
+import { locateJSON } from './source-locations.mjs';
 
 registerAdapter('json', {
   async parse(input, opts = {}) {
@@ -199,6 +255,12 @@ registerAdapter('json', {
       },
     };
   },
+  locate(input) {
+    return locateJSON(input);
+  },
+  extensions: ['json'],
+  mimeTypes: ['application/json'],
+  lossless: { types: ['string', 'number', 'boolean', 'null', 'object', 'array'] },
   supportsStreaming: false,
   isAI: false,
   version: '1.0.0',
@@ -0,0 +1,85 @@
+/**
+ * Inputs - One input contract for every adapter
+ * @fileoverview Reads streamed input and hands adapters text or bytes according to their `binary` flag
+ */
+
+/**
+ * Input accepted by parseFrom, convert and their safe variants
+ * Strings are passed to binary adapters unchanged, which read them as file paths.
+ * @typedef {string|Buffer|Uint8Array|ArrayBuffer|ReadableStream|import('node:stream').Readable|AsyncIterable<Uint8Array|string>} ZTFInput
+ */
+
+/**
+ * Whether the input arrives in chunks
+ * @param {unknown} input - Input to check
+ * @returns {boolean} Whether the input is a web stream, Node stream or async iterable
+ */
+export function isStreamInput(input) {
+  if (!input || typeof input !== 'object') {
+    return false;
+  }
+  return typeof input[Symbol.asyncIterator] === 'function' || typeof input.getReader === 'function';
+}
+
+/**
+ * Iterate the chunks of a web ReadableStream that is not async iterable itself
+ * @param {ReadableStream} stream - Web stream
+ * @returns {AsyncGenerator<Uint8Array|string>} Chunks
+ */
+async function* readerChunks(stream) {
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        return;
+      }
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Read streamed input to completion
+ * Other inputs are returned unchanged.
+ * @param {ZTFInput} input - Input to read
+ * @returns {Promise<string|Buffer|Uint8Array|ArrayBuffer>} Complete input, streams as a Buffer
+ */
+export async function readInput(input) {
+  if (!isStreamInput(input)) {
+    return input;
+  }
+
+  const chunks = [];
+  const source = typeof input[Symbol.asyncIterator] === 'function' ? input : readerChunks(input);
+  for await (const chunk of source) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Convert complete input to the shape an adapter expects
+ * Binary adapters receive bytes as a Buffer; text adapters receive bytes decoded as UTF-8, without a BOM.
+ * @param {unknown} input - Complete input, as returned by readInput
+ * @param {{binary?: boolean}} adapter - Adapter that will parse the input
+ * @returns {unknown} Adapter input
+ */
+export function normalizeInput(input, adapter) {
+  // Strings, and any other value an adapter accepts on its own terms, pass through
+  if (!(input instanceof Uint8Array || input instanceof ArrayBuffer)) {
+    return input;
+  }
+
+  if (adapter.binary) {
+    if (Buffer.isBuffer(input)) {
+      return input;
+    }
+    return input instanceof ArrayBuffer
+      ? Buffer.from(input)
+      : Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+  }
+  return new TextDecoder().decode(input);
+}
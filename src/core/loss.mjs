@@ -0,0 +1,303 @@
+/**
+ * Loss Reports - What a conversion failed to carry over
+ * @fileoverview Compares converted output, read back by the target adapter, with the source data
+ */
+
+/**
+ * Kinds of loss a report can contain
+ */
+export const LossKind = {
+  DROPPED: 'dropped',
+  COERCED: 'coerced',
+  FLATTENED: 'flattened',
+  PRECISION: 'precision',
+  ORDERING: 'ordering',
+  CHANGED: 'changed',
+  COMMENTS: 'comments',
+};
+
+/**
+ * A single loss found in a conversion
+ * @typedef {Object} Loss
+ * @property {string} kind - One of LossKind
+ * @property {Array<string|number>} path - Location of the value in the source data
+ * @property {string} message - Human-readable explanation
+ */
+
+/**
+ * Result of checking a conversion for losses
+ * @typedef {Object} LossReport
+ * @property {string} from - Source format
+ * @property {string} to - Target format
+ * @property {boolean} lossless - Whether the output was verified to carry all source data
+ * @property {boolean} verified - Whether the output could be read back for comparison
+ * @property {string} [reason] - Why the output could not be verified
+ * @property {Loss[]} losses - Losses found
+ * @property {Record<string, number>} summary - Number of losses per kind
+ */
+
+/**
+ * Value kind used for comparisons
+ * @param {unknown} value - Value to classify
+ * @returns {string} Value kind
+ */
+function kindOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value instanceof Date) {
+    return 'date';
+  }
+  return typeof value;
+}
+
+/**
+ * Whether a value kind holds other values
+ * @param {string} kind - Value kind
+ * @returns {boolean} Whether the kind is a container
+ */
+function isContainer(kind) {
+  return kind === 'object' || kind === 'array';
+}
+
+/**
+ * Render a path for messages
+ * @param {Array<string|number>} path - Value path
+ * @returns {string} Dotted path, or 'the root'
+ */
+function describePath(path) {
+  return path.length > 0 ? path.join('.') : 'the root';
+}
+
+/**
+ * Render a scalar for messages
+ * @param {unknown} value - Scalar value
+ * @returns {string} Printable value
+ */
+function describeValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return typeof value === 'bigint' ? `${value}n` : JSON.stringify(value);
+}
+
+/**
+ * Classify a changed scalar
+ * @param {unknown} before - Source value
+ * @param {unknown} after - Value read back
+ * @param {Array<string|number>} path - Value path
+ * @param {function(string, Array<string|number>, string): void} report - Loss collector
+ */
+function compareScalars(before, after, path, report) {
+  const beforeKind = kindOf(before);
+  const afterKind = kindOf(after);
+  const at = describePath(path);
+
+  if (beforeKind === 'date' && afterKind === 'date') {
+    if (before.getTime() !== after.getTime()) {
+      report(
+        LossKind.PRECISION,
+        path,
+        `date at ${at} changed from ${describeValue(before)} to ${describeValue(after)}`
+      );
+    }
+    return;
+  }
+  if (Object.is(before, after)) {
+    return;
+  }
+
+  // A bigint read back as an equal safe integer is only coerced
+  const exactBigInt =
+    beforeKind === 'bigint' && Number.isSafeInteger(after) && BigInt(after) === before;
+  if (
+    (beforeKind === 'number' || beforeKind === 'bigint') &&
+    afterKind === 'number' &&
+    !exactBigInt
+  ) {
+    report(
+      LossKind.PRECISION,
+      path,
+      `number at ${at} changed from ${describeValue(before)} to ${describeValue(after)}`
+    );
+    return;
+  }
+  if (beforeKind === afterKind) {
+    report(
+      LossKind.CHANGED,
+      path,
+      `${beforeKind} at ${at} changed from ${describeValue(before)} to ${describeValue(after)}`
+    );
+    return;
+  }
+  report(
+    LossKind.COERCED,
+    path,
+    `${beforeKind} at ${at} was coerced to ${afterKind} ${describeValue(after)}`
+  );
+}
+
+/**
+ * Whether an object holds the keys of a flattened child, such as `db.host` or `db_host` for `db`
+ * @param {Record<string, unknown>} object - Object read back
+ * @param {string} key - Missing child key
+ * @returns {boolean} Whether flattened keys are present
+ */
+function hasFlattenedKeys(object, key) {
+  const prefixes = [`${key}.`, `${key}_`, `${key}__`].map(prefix => prefix.toLowerCase());
+  return Object.keys(object).some(candidate =>
+    prefixes.some(prefix => candidate.toLowerCase().startsWith(prefix))
+  );
+}
+
+/**
+ * Compare two objects, key by key
+ * @param {Record<string, unknown>} before - Source object
+ * @param {Record<string, unknown>} after - Object read back
+ * @param {Array<string|number>} path - Object path
+ * @param {function(string, Array<string|number>, string): void} report - Loss collector
+ */
+function compareObjects(before, after, path, report) {
+  for (const [key, value] of Object.entries(before)) {
+    const childPath = [...path, key];
+    if (value === undefined) {
+      continue;
+    }
+    if (!Object.hasOwn(after, key)) {
+      if (isContainer(kindOf(value)) && hasFlattenedKeys(after, key)) {
+        report(
+          LossKind.FLATTENED,
+          childPath,
+          `nested ${kindOf(value)} at ${describePath(childPath)} was flattened into its parent`
+        );
+      } else {
+        report(
+          LossKind.DROPPED,
+          childPath,
+          `${kindOf(value)} at ${describePath(childPath)} was dropped`
+        );
+      }
+      continue;
+    }
+    compareValues(value, after[key], childPath, report);
+  }
+
+  const afterKeys = new Set(Object.keys(after));
+  const beforeOrder = Object.keys(before).filter(
+    key => before[key] !== undefined && afterKeys.has(key)
+  );
+  const beforeKeys = new Set(beforeOrder);
+  const afterOrder = Object.keys(after).filter(key => beforeKeys.has(key));
+  if (beforeOrder.some((key, index) => afterOrder[index] !== key)) {
+    report(LossKind.ORDERING, path, `key order at ${describePath(path)} was not preserved`);
+  }
+}
+
+/**
+ * Compare a source value with the value read back from the output
+ * @param {unknown} before - Source value
+ * @param {unknown} after - Value read back
+ * @param {Array<string|number>} path - Value path
+ * @param {function(string, Array<string|number>, string): void} report - Loss collector
+ */
+function compareValues(before, after, path, report) {
+  const beforeKind = kindOf(before);
+  const afterKind = kindOf(after);
+  const at = describePath(path);
+
+  if (afterKind === 'undefined') {
+    report(LossKind.DROPPED, path, `${beforeKind} at ${at} was dropped`);
+    return;
+  }
+  if (isContainer(beforeKind) && afterKind === 'null') {
+    report(LossKind.DROPPED, path, `${beforeKind} at ${at} was replaced by null`);
+    return;
+  }
+  if (isContainer(beforeKind) && beforeKind !== afterKind) {
+    const into = isContainer(afterKind) ? `an ${afterKind}` : `a ${afterKind}`;
+    report(LossKind.FLATTENED, path, `${beforeKind} at ${at} was flattened into ${into}`);
+    return;
+  }
+
+  switch (beforeKind) {
+    case 'object': {
+      compareObjects(before, after, path, report);
+      return;
+    }
+    case 'array': {
+      for (const [index, item] of before.entries()) {
+        if (index >= after.length) {
+          report(
+            LossKind.DROPPED,
+            path,
+            `${before.length - after.length} of ${before.length} items at ${at} were dropped`
+          );
+          return;
+        }
+        compareValues(item, after[index], [...path, index], report);
+      }
+      return;
+    }
+    default: {
+      compareScalars(before, after, path, report);
+    }
+  }
+}
+
+/**
+ * Build a loss report for a conversion
+ * @param {Object} conversion - Conversion details
+ * @param {string} conversion.from - Source format
+ * @param {string} conversion.to - Target format
+ * @param {unknown} conversion.data - Data that was formatted
+ * @param {Object} [conversion.sourceMetadata] - Metadata of the source parse, whose `commentCount` reports discarded comments
+ * @param {{data: unknown, wrapper?: string}|{error: Error}} conversion.readBack - The output parsed by the target adapter, with the field that adapter wraps parsed data in if any, or why it could not be
+ * @returns {LossReport} Loss report
+ */
+export function createLossReport({ from, to, data, sourceMetadata = {}, readBack }) {
+  const losses = [];
+  const report = (kind, path, message) => {
+    losses.push({ kind, path, message });
+  };
+
+  const commentCount = sourceMetadata.commentCount ?? 0;
+  if (commentCount > 0) {
+    report(
+      LossKind.COMMENTS,
+      [],
+      `${commentCount} comment${commentCount === 1 ? '' : 's'} in the ${from} input ${commentCount === 1 ? 'was' : 'were'} not carried over`
+    );
+  }
+
+  const verified = !('error' in readBack);
+  if (verified) {
+    // Formats such as csv read a top-level list back inside their wrapper field
+    const { wrapper } = readBack;
+    const unwrap =
+      wrapper !== undefined &&
+      kindOf(data) !== 'object' &&
+      kindOf(readBack.data) === 'object' &&
+      Object.hasOwn(readBack.data, wrapper);
+    compareValues(data, unwrap ? readBack.data[wrapper] : readBack.data, [], report);
+  }
+
+  const summary = {};
+  for (const { kind } of losses) {
+    summary[kind] = (summary[kind] ?? 0) + 1;
+  }
+
+  return {
+    from,
+    to,
+    lossless: verified && losses.length === 0,
+    verified,
+    ...(verified
+      ? {}
+      : { reason: `${to} output could not be read back: ${readBack.error.message}` }),
+    losses,
+    summary,
+  };
+}
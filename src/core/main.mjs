@@ -3,50 +3,358 @@
  * @fileoverview Implementation of parseFrom, formatTo, and convert functions
  */
 
-import { getAdapter, createProvenance, simpleHash, deterministicStringify } from './registry.mjs';
+import {
+  getAdapter,
+  loadAdapter,
+  createProvenance,
+  simpleHash,
+  canonicalize,
+} from './registry.mjs';
 import { applyTransform } from './transforms.mjs';
+import { ZTFValidationError } from './source-locations.mjs';
+import { ZTFError, ZTFErrorPhase, ZTFLossError } from './errors.mjs';
+import { detectFormats } from './detect.mjs';
+import { createLossReport } from './loss.mjs';
+import { normalizeInput, readInput } from './inputs.mjs';
+import { createOperationSignal, throwIfAborted, withAbort } from './abort.mjs';
+import { HookName, runHooks } from './hooks.mjs';
 
 /**
  * @typedef {import('zod').ZodSchema} ZodSchema
  * @typedef {import('zod').ZodType} ZodType
  * @typedef {import('./registry.mjs').ZTFOptions} ZTFOptions
  * @typedef {import('./registry.mjs').ZTFResult} ZTFResult
+ * @typedef {import('./registry.mjs').Adapter} Adapter
+ * @typedef {import('./inputs.mjs').ZTFInput} ZTFInput
+ * @typedef {import('./errors.mjs').ZTFAbortError} ZTFAbortError
+ * @typedef {import('./hooks.mjs').HookContext} HookContext
  */
 
 /**
- * Parse input from a specified format into a Zod-validated object
- * @param {ZodSchema} schema - The Zod schema to validate against
- * @param {string} format - The input format (e.g., 'json', 'yaml', 'toml')
- * @param {string} input - The input string to parse
- * @param {ZTFOptions} [opts] - Optional configuration
- * @returns {Promise<any|ZTFResult>} The parsed and validated object, or ZTFResult if provenance requested
+ * Discriminated result of the safe* functions
+ * @template T
+ * @typedef {{success: true, data: T, warnings: string[]} | {success: false, error: ZTFError}} ZTFSafeResult
  */
-export async function parseFrom(schema, format, input, opts = {}) {
-  const adapter = getAdapter(format);
-  if (!adapter) {
-    throw new Error(`No adapter found for format: ${format}`);
+
+/**
+ * Progress of one pipeline run, used to attribute failures to a phase
+ * @typedef {Object} PipelineRun
+ * @property {'parse'|'format'|'convert'|'formatStream'} operation - Public operation running
+ * @property {ZodSchema} schema - Schema of the operation
+ * @property {ZTFOptions} opts - Operation options
+ * @property {string} phase - Phase currently executing
+ * @property {string} adapter - Adapter currently involved
+ * @property {string[]} warnings - Transform warnings collected so far
+ * @property {boolean} quiet - Whether to skip logging transform warnings
+ * @property {Object} [parseMetadata] - Metadata reported by the source adapter
+ * @property {AbortSignal} [signal] - Signal cancelling the run, combining `signal` and `timeoutMs`
+ * @property {Record<string, unknown>} hookState - Scratch space shared by the run's hooks
+ */
+
+/**
+ * Build the options passed to an adapter call
+ * Schema-aware adapters receive the Zod schema as `schema` unless the caller supplied one, and
+ * abortable adapters receive the operation's signal as `signal`.
+ * @param {Adapter} adapter - The adapter being invoked
+ * @param {ZodSchema} schema - The Zod schema of the current operation
+ * @param {ZTFOptions} opts - Operation options
+ * @param {AbortSignal} [signal] - Signal cancelling the operation
+ * @returns {Record<string, unknown>} Adapter options
+ */
+function resolveAdapterOptions(adapter, schema, opts, signal) {
+  let adapterOpts = opts.adapter || {};
+  if (adapter.schemaAware && adapterOpts.schema === undefined) {
+    adapterOpts = { ...adapterOpts, schema };
+  }
+  if (adapter.abortable && signal && adapterOpts.signal === undefined) {
+    adapterOpts = { ...adapterOpts, signal };
   }
+  return adapterOpts;
+}
 
-  // Check streaming support
-  if (opts.streaming && !adapter.supportsStreaming) {
-    throw new Error(`Adapter '${format}' does not support streaming`);
+/**
+ * Build the options and data passed to an adapter's format call
+ * In deterministic mode the adapter receives the data with sorted keys and `deterministic: true`,
+ * so it can fix whatever else its output order depends on.
+ * @param {Adapter} adapter - The adapter being invoked
+ * @param {ZodSchema} schema - The Zod schema of the current operation
+ * @param {any} data - Data to format
+ * @param {ZTFOptions} opts - Operation options
+ * @param {AbortSignal} [signal] - Signal cancelling the operation
+ * @returns {{data: any, adapterOpts: Record<string, unknown>}} Adapter data and options
+ */
+function resolveFormatCall(adapter, schema, data, opts, signal) {
+  const adapterOpts = resolveAdapterOptions(adapter, schema, opts, signal);
+  if (!opts.deterministic) {
+    return { data, adapterOpts };
+  }
+  return {
+    data: canonicalize(data),
+    adapterOpts:
+      adapterOpts.deterministic === undefined
+        ? { ...adapterOpts, deterministic: true }
+        : adapterOpts,
+  };
+}
+
+/**
+ * Collect value positions for a failed validation
+ * Positions are only meaningful while the validated data mirrors the input, so transformed data
+ * and adapters without a `locate` method yield none. Locator failures never mask the validation error.
+ * @param {Adapter} adapter - The adapter that parsed the input
+ * @param {unknown} input - The raw input
+ * @param {Record<string, unknown>} adapterOpts - Options the input was parsed with
+ * @param {ZTFOptions} opts - Operation options
+ * @returns {import('./source-locations.mjs').SourcePositions} Value positions
+ */
+function locateInput(adapter, input, adapterOpts, opts) {
+  if (typeof input !== 'string' || typeof adapter.locate !== 'function' || opts.transform) {
+    return {};
+  }
+  try {
+    return adapter.locate(input, adapterOpts);
+  } catch {
+    return {};
   }
+}
 
-  // Parse using the adapter
-  const result = await adapter.parse(input, opts.adapter || {});
+/**
+ * Resolve `format: 'auto'` to the best detected format that has a registered adapter
+ * @param {string|Uint8Array|ArrayBuffer} input - The input to inspect
+ * @param {ZTFOptions} opts - Operation options, whose `detect` options restrict and guide detection
+ * @returns {string} Detected format
+ */
+function resolveAutoFormat(input, opts) {
+  const candidate = detectFormats(input, opts.detect).find(({ format }) => getAdapter(format));
+  if (!candidate) {
+    const among = opts.detect?.formats ? ` among: ${opts.detect.formats.join(', ')}` : '';
+    throw new Error(`Unable to detect input format${among}`);
+  }
+  return candidate.format;
+}
 
-  // Apply transforms if specified
-  let processedData = result.data;
-  if (opts.transform) {
-    const transformResult = await applyTransform(processedData, opts.transform);
-    if (transformResult.errors && transformResult.errors.length > 0) {
+/**
+ * Create the state of a pipeline run
+ * @param {boolean} quiet - Whether transform warnings are only collected
+ * @param {ZTFOptions} opts - Operation options, whose `signal` and `timeoutMs` cancel the run
+ * @param {PipelineRun['operation']} operation - Public operation running
+ * @param {ZodSchema} schema - Schema of the operation
+ * @returns {PipelineRun} Pipeline run
+ */
+function createRun(quiet, opts, operation, schema) {
+  return {
+    operation,
+    schema,
+    opts,
+    phase: ZTFErrorPhase.ADAPTER_PARSE,
+    adapter: undefined,
+    warnings: [],
+    quiet,
+    signal: createOperationSignal(opts),
+    hookState: {},
+  };
+}
+
+/**
+ * Build the context passed to hooks
+ * @param {PipelineRun} run - Pipeline run
+ * @param {Object} details - Format, value and other details of the hook point
+ * @returns {Omit<HookContext, 'hook'|'skipped'|'skip'>} Hook context
+ */
+function hookContext(run, details) {
+  return {
+    operation: run.operation,
+    schema: run.schema,
+    opts: run.opts,
+    signal: run.signal,
+    state: run.hookState,
+    ...details,
+  };
+}
+
+/**
+ * Run the hooks for one point of the run, unless the run is cancelled first
+ * @param {string} name - Hook to run, one of HookName
+ * @param {PipelineRun} run - Pipeline run
+ * @param {Object} details - Format, value and other details of the hook point
+ * @returns {Promise<HookContext>} Context after the hooks ran
+ */
+async function callHooks(name, run, details) {
+  return withAbort(runHooks(name, hookContext(run, details)), run.signal, run);
+}
+
+/**
+ * Run the onError hooks for a failed run
+ * @param {PipelineRun} run - Pipeline run
+ * @param {unknown} error - The failure
+ * @returns {Promise<HookContext>} Context after the hooks ran; `skipped` when a hook recovered with `value`
+ */
+async function callErrorHooks(run, error) {
+  return runHooks(
+    HookName.ON_ERROR,
+    hookContext(run, { format: run.adapter, phase: run.phase, value: error })
+  );
+}
+
+/**
+ * Run a pipeline, giving onError hooks the chance to recover from or replace a failure
+ * @param {PipelineRun} run - Pipeline run
+ * @param {function(PipelineRun): Promise<any>} pipeline - Pipeline to run
+ * @returns {Promise<any>} Result of the pipeline, or the value an onError hook recovered with
+ */
+async function runWithHooks(run, pipeline) {
+  try {
+    return await pipeline(run);
+  } catch (error) {
+    const onError = await callErrorHooks(run, error);
+    if (onError.skipped) {
+      return onError.value;
+    }
+    throw onError.value;
+  }
+}
+
+/**
+ * Validate data against the schema between the beforeValidate and afterValidate hooks
+ * @param {any} data - Data to validate
+ * @param {PipelineRun} run - Pipeline run
+ * @param {function(import('zod').ZodError): Error} toError - Error to throw for a failed validation
+ * @returns {Promise<any>} Validated data
+ */
+async function runValidate(data, run, toError) {
+  run.phase = ZTFErrorPhase.VALIDATE;
+  throwIfAborted(run.signal, run);
+  const beforeValidate = await callHooks(HookName.BEFORE_VALIDATE, run, {
+    format: run.adapter,
+    value: data,
+  });
+
+  let validatedData = beforeValidate.value;
+  if (!beforeValidate.skipped) {
+    const validation = run.schema.safeParse(beforeValidate.value);
+    if (!validation.success) {
+      throw toError(validation.error);
+    }
+    validatedData = validation.data;
+  }
+
+  const afterValidate = await callHooks(HookName.AFTER_VALIDATE, run, {
+    format: run.adapter,
+    value: validatedData,
+  });
+  return afterValidate.value;
+}
+
+/**
+ * Apply the configured transform, collecting its warnings on the run
+ * @param {any} data - Data to transform
+ * @param {ZTFOptions} opts - Operation options
+ * @param {PipelineRun} run - Pipeline run
+ * @returns {Promise<any>} Transformed data
+ */
+async function runTransform(data, opts, run) {
+  run.phase = ZTFErrorPhase.TRANSFORM;
+  const transformResult = await withAbort(
+    applyTransform(data, opts.transform, { signal: run.signal }),
+    run.signal,
+    run
+  );
+  if (transformResult.errors && transformResult.errors.length > 0) {
+    run.warnings.push(...transformResult.errors);
+    if (!run.quiet) {
       console.warn('Transform warnings:', transformResult.errors);
     }
-    processedData = transformResult.data;
+  }
+  return transformResult.data;
+}
+
+/**
+ * Run a pipeline without throwing
+ * @param {ZodSchema} schema - Schema of the operation
+ * @param {PipelineRun['operation']} operation - Public operation running
+ * @param {ZTFOptions} opts - Operation options
+ * @param {function(PipelineRun): Promise<any>} pipeline - Pipeline to run
+ * @returns {Promise<ZTFSafeResult<any>>} Result of the pipeline
+ */
+async function runSafely(schema, operation, opts, pipeline) {
+  let run;
+  try {
+    run = createRun(true, opts, operation, schema);
+    const data = await runWithHooks(run, pipeline);
+    return { success: true, data, warnings: run.warnings };
+  } catch (error) {
+    return {
+      success: false,
+      error: ZTFError.from(error, {
+        phase: run?.phase ?? ZTFErrorPhase.ADAPTER_PARSE,
+        adapter: run?.adapter,
+        warnings: run?.warnings ?? [],
+      }),
+    };
+  }
+}
+
+/**
+ * Parse pipeline shared by parseFrom and safeParseFrom
+ * @param {ZodSchema} schema - The Zod schema to validate against
+ * @param {string} requestedFormat - The input format, or 'auto' to detect it
+ * @param {ZTFInput} input - The input to parse
+ * @param {ZTFOptions} opts - Optional configuration
+ * @param {PipelineRun} run - Pipeline run
+ * @returns {Promise<any|ZTFResult>} The parsed and validated object, or ZTFResult if provenance requested
+ */
+async function runParse(schema, requestedFormat, input, opts, run) {
+  run.phase = ZTFErrorPhase.ADAPTER_PARSE;
+  run.adapter = requestedFormat;
+  const source = await withAbort(readInput(input), run.signal, run);
+  const beforeParse = await callHooks(HookName.BEFORE_PARSE, run, {
+    format: requestedFormat,
+    value: source,
+  });
+
+  // Parse using the adapter, as text or bytes depending on the adapter, unless a hook supplied the data
+  let result = { data: beforeParse.value };
+  let adapterInput;
+  let locate = () => ({});
+  if (!beforeParse.skipped) {
+    const format =
+      requestedFormat === 'auto' ? resolveAutoFormat(beforeParse.value, opts) : requestedFormat;
+    run.adapter = format;
+    const adapter = await loadAdapter(format);
+    if (!adapter) {
+      throw new Error(`No adapter found for format: ${format}`);
+    }
+
+    // Check streaming support
+    if (opts.streaming && !adapter.supportsStreaming) {
+      throw new Error(`Adapter '${format}' does not support streaming`);
+    }
+
+    adapterInput = normalizeInput(beforeParse.value, adapter);
+    const adapterOpts = resolveAdapterOptions(adapter, schema, opts, run.signal);
+    result = await withAbort(adapter.parse(adapterInput, adapterOpts), run.signal, run);
+    locate = () => locateInput(adapter, adapterInput, adapterOpts, opts);
+  }
+  const format = run.adapter;
+  run.parseMetadata = result.metadata;
+  const afterParse = await callHooks(HookName.AFTER_PARSE, run, {
+    format,
+    value: result.data,
+    metadata: result.metadata,
+  });
+
+  // Apply transforms if specified
+  let processedData = afterParse.value;
+  if (opts.transform) {
+    processedData = await runTransform(processedData, opts, run);
   }
 
   // Validate against schema
-  const validatedData = schema.parse(processedData);
+  const validatedData = await runValidate(
+    processedData,
+    run,
+    error => new ZTFValidationError(error, { format, input: adapterInput, positions: locate() })
+  );
 
   // Return result with or without provenance
   if (opts.includeProvenance) {
@@ -63,15 +371,18 @@ export async function parseFrom(schema, format, input, opts = {}) {
 }
 
 /**
- * Format a Zod-validated object to a specified output format
+ * Format pipeline shared by formatTo and safeFormatTo
  * @param {ZodSchema} schema - The Zod schema to validate against
- * @param {string} format - The output format (e.g., 'json', 'yaml', 'toml')
+ * @param {string} format - The output format
  * @param {any} data - The data to format
- * @param {ZTFOptions} [opts] - Optional configuration
+ * @param {ZTFOptions} opts - Optional configuration
+ * @param {PipelineRun} run - Pipeline run
  * @returns {Promise<string|ZTFResult>} The formatted string, or ZTFResult if provenance requested
  */
-export async function formatTo(schema, format, data, opts = {}) {
-  const adapter = getAdapter(format);
+async function runFormat(schema, format, data, opts, run) {
+  run.phase = ZTFErrorPhase.ADAPTER_FORMAT;
+  run.adapter = format;
+  const adapter = await loadAdapter(format);
   if (!adapter) {
     throw new Error(`No adapter found for format: ${format}`);
   }
@@ -82,26 +393,31 @@ export async function formatTo(schema, format, data, opts = {}) {
   }
 
   // Validate data against schema
-  const validatedData = schema.parse(data);
+  const validatedData = await runValidate(data, run, error => error);
 
   // Apply transforms if specified
   let processedData = validatedData;
   if (opts.transform) {
-    const transformResult = await applyTransform(processedData, opts.transform);
-    if (transformResult.errors && transformResult.errors.length > 0) {
-      console.warn('Transform warnings:', transformResult.errors);
-    }
-    processedData = transformResult.data;
+    processedData = await runTransform(processedData, opts, run);
   }
 
-  // Format using the adapter
-  const result = await adapter.format(processedData, opts.adapter || {});
-
-  // Apply deterministic formatting if requested
-  let formattedOutput = result.data;
-  if (opts.deterministic && format === 'json') {
-    formattedOutput = deterministicStringify(JSON.parse(result.data));
+  // Format using the adapter, unless a hook supplied the output
+  run.phase = ZTFErrorPhase.ADAPTER_FORMAT;
+  const beforeFormat = await callHooks(HookName.BEFORE_FORMAT, run, {
+    format,
+    value: processedData,
+  });
+  let result = { data: beforeFormat.value };
+  if (!beforeFormat.skipped) {
+    const call = resolveFormatCall(adapter, schema, beforeFormat.value, opts, run.signal);
+    result = await withAbort(adapter.format(call.data, call.adapterOpts), run.signal, run);
   }
+  const afterFormat = await callHooks(HookName.AFTER_FORMAT, run, {
+    format,
+    value: result.data,
+    metadata: result.metadata,
+  });
+  const formattedOutput = afterFormat.value;
 
   // Return result with or without provenance
   if (opts.includeProvenance) {
@@ -118,24 +434,68 @@ export async function formatTo(schema, format, data, opts = {}) {
 }
 
 /**
- * Convert data from one format to another with schema validation
+ * Read converted output back with the target adapter
+ * Failures are returned rather than thrown, since they only make the loss report unverifiable.
+ * @param {ZodSchema} schema - The Zod schema of the conversion
+ * @param {string} format - The target format
+ * @param {string|Uint8Array} output - The converted output
+ * @param {ZTFOptions} opts - Operation options
+ * @param {PipelineRun} run - Pipeline run
+ * @returns {Promise<{data: unknown, wrapper?: string}|{error: Error}>} Data read back with the adapter's lossless wrapper field, or the reason it could not be
+ * @throws {ZTFAbortError} When the run is cancelled while reading back
+ */
+async function readBack(schema, format, output, opts, run) {
+  const adapter = await loadAdapter(format);
+  if (adapter.formatOnly || typeof adapter.parse !== 'function') {
+    return { error: new Error(`adapter '${format}' cannot parse`) };
+  }
+  const reading = (async () => {
+    try {
+      const adapterOpts = resolveAdapterOptions(adapter, schema, opts, run.signal);
+      const result = await adapter.parse(output, adapterOpts);
+      return { data: result.data, wrapper: adapter.lossless?.wrapper };
+    } catch (error) {
+      return { error };
+    }
+  })();
+  return withAbort(reading, run.signal, run);
+}
+
+/**
+ * Convert pipeline shared by convert and safeConvert
  * @param {ZodSchema} schema - The Zod schema to validate against
- * @param {Object} conversion - Conversion configuration
- * @param {string} conversion.from - Source format
- * @param {string} conversion.to - Target format
- * @param {string} input - The input string to convert
- * @param {ZTFOptions} [opts] - Optional configuration
+ * @param {{from: string, to: string}} conversion - Source and target formats
+ * @param {ZTFInput} input - The input to convert
+ * @param {ZTFOptions} opts - Optional configuration
+ * @param {PipelineRun} run - Pipeline run
  * @returns {Promise<string|ZTFResult>} The converted string, or ZTFResult if provenance requested
  */
-export async function convert(schema, conversion, input, opts = {}) {
+async function runConvert(schema, conversion, input, opts, run) {
   // Parse from source format
-  const parseResult = await parseFrom(schema, conversion.from, input, opts);
+  const parseResult = await runParse(schema, conversion.from, input, opts, run);
+  const sourceFormat = run.adapter;
 
   // Extract data from result (handle both direct data and ZTFResult)
   const parsedData = parseResult.data || parseResult;
 
   // Format to target format
-  const formatResult = await formatTo(schema, conversion.to, parsedData, opts);
+  const formatResult = await runFormat(schema, conversion.to, parsedData, opts, run);
+  const output = opts.includeProvenance ? formatResult.data : formatResult;
+
+  // Compare the output, read back by the target adapter, with the parsed data
+  let lossReport;
+  if (opts.lossReport || opts.strictLossless) {
+    lossReport = createLossReport({
+      from: sourceFormat,
+      to: conversion.to,
+      data: parsedData,
+      sourceMetadata: run.parseMetadata,
+      readBack: await readBack(schema, conversion.to, output, opts, run),
+    });
+    if (opts.strictLossless && !lossReport.lossless) {
+      throw new ZTFLossError(lossReport);
+    }
+  }
 
   // If provenance was requested, combine the metadata
   if (opts.includeProvenance && typeof parseResult === 'object' && parseResult.provenance && typeof formatResult === 'object' && formatResult.provenance) {
@@ -143,11 +503,177 @@ export async function convert(schema, conversion, input, opts = {}) {
       data: formatResult.data,
       provenance: {
         ...formatResult.provenance,
-        sourceFormat: conversion.from,
+        sourceFormat,
         targetFormat: conversion.to,
       },
+      ...(opts.lossReport && { lossReport }),
     };
   }
 
+  if (opts.lossReport) {
+    return { data: output, lossReport };
+  }
+
   return formatResult;
 }
+
+/**
+ * Parse input from a specified format into a Zod-validated object
+ * @param {ZodSchema} schema - The Zod schema to validate against
+ * @param {string} format - The input format (e.g., 'json', 'yaml', 'toml'), or 'auto' to detect it from the input
+ * @param {ZTFInput} input - The input to parse: text, bytes, or a stream of either
+ * @param {ZTFOptions} [opts] - Optional configuration
+ * @returns {Promise<any|ZTFResult>} The parsed and validated object, or ZTFResult if provenance requested
+ * @throws {ZTFValidationError} When the data does not match the schema; issues carry source locations when the adapter can locate them
+ * @throws {ZTFAbortError} When `signal` aborts or `timeoutMs` elapses first
+ */
+export async function parseFrom(schema, format, input, opts = {}) {
+  return runWithHooks(createRun(false, opts, 'parse', schema), run =>
+    runParse(schema, format, input, opts, run)
+  );
+}
+
+/**
+ * Format a Zod-validated object to a specified output format
+ * @param {ZodSchema} schema - The Zod schema to validate against
+ * @param {string} format - The output format (e.g., 'json', 'yaml', 'toml')
+ * @param {any} data - The data to format
+ * @param {ZTFOptions} [opts] - Optional configuration
+ * @returns {Promise<string|ZTFResult>} The formatted string, or ZTFResult if provenance requested
+ * @throws {ZTFAbortError} When `signal` aborts or `timeoutMs` elapses first
+ */
+export async function formatTo(schema, format, data, opts = {}) {
+  return runWithHooks(createRun(false, opts, 'format', schema), run =>
+    runFormat(schema, format, data, opts, run)
+  );
+}
+
+/**
+ * Convert data from one format to another with schema validation
+ * @param {ZodSchema} schema - The Zod schema to validate against
+ * @param {Object} conversion - Conversion configuration
+ * @param {string} conversion.from - Source format, or 'auto' to detect it from the input
+ * @param {string} conversion.to - Target format
+ * @param {ZTFInput} input - The input to convert: text, bytes, or a stream of either
+ * @param {ZTFOptions} [opts] - Optional configuration
+ * @returns {Promise<string|ZTFResult>} The converted string, or ZTFResult if provenance or a loss report was requested
+ * @throws {ZTFLossError} When `strictLossless` is set and the output does not carry all source data
+ * @throws {ZTFAbortError} When `signal` aborts or `timeoutMs` elapses first
+ */
+export async function convert(schema, conversion, input, opts = {}) {
+  return runWithHooks(createRun(false, opts, 'convert', schema), run =>
+    runConvert(schema, conversion, input, opts, run)
+  );
+}
+
+/**
+ * Stream format pipeline of formatToStream
+ * afterFormat hooks run once per chunk.
+ * @param {ZodSchema} schema - The Zod schema to validate against
+ * @param {string} format - The output format
+ * @param {any} data - The data to format
+ * @param {ZTFOptions} opts - Optional configuration
+ * @param {PipelineRun} run - Pipeline run
+ * @returns {AsyncGenerator<string|Uint8Array>} Output chunks
+ */
+async function* runFormatStream(schema, format, data, opts, run) {
+  run.phase = ZTFErrorPhase.VALIDATE;
+  run.adapter = format;
+  const adapter = await loadAdapter(format);
+  if (!adapter) {
+    throw new Error(`No adapter found for format: ${format}`);
+  }
+
+  let processedData = await runValidate(data, run, error => error);
+  if (opts.transform) {
+    processedData = await runTransform(processedData, opts, run);
+  }
+
+  run.phase = ZTFErrorPhase.ADAPTER_FORMAT;
+  const beforeFormat = await callHooks(HookName.BEFORE_FORMAT, run, {
+    format,
+    value: processedData,
+  });
+  const afterFormat = async chunk =>
+    (await callHooks(HookName.AFTER_FORMAT, run, { format, value: chunk })).value;
+  if (beforeFormat.skipped) {
+    yield await afterFormat(beforeFormat.value);
+    return;
+  }
+
+  const call = resolveFormatCall(adapter, schema, beforeFormat.value, opts, run.signal);
+  if (typeof adapter.formatStream === 'function') {
+    // Stop between chunks once the run is cancelled
+    for await (const chunk of adapter.formatStream(call.data, call.adapterOpts)) {
+      throwIfAborted(run.signal, run);
+      yield await afterFormat(chunk);
+    }
+    return;
+  }
+  const result = await withAbort(adapter.format(call.data, call.adapterOpts), run.signal, run);
+  yield await afterFormat(result.data);
+}
+
+/**
+ * Format a Zod-validated object as a sequence of output chunks
+ * Adapters with a `formatStream` method write the output incrementally; others yield it as a single chunk.
+ * @param {ZodSchema} schema - The Zod schema to validate against
+ * @param {string} format - The output format (e.g., 'csv', 'ndjson')
+ * @param {any} data - The data to format
+ * @param {ZTFOptions} [opts] - Optional configuration
+ * @returns {AsyncGenerator<string|Uint8Array>} Output chunks
+ * @throws {ZTFAbortError} When `signal` aborts or `timeoutMs` elapses first
+ */
+export async function* formatToStream(schema, format, data, opts = {}) {
+  const run = createRun(false, opts, 'formatStream', schema);
+  try {
+    yield* runFormatStream(schema, format, data, opts, run);
+  } catch (error) {
+    const onError = await callErrorHooks(run, error);
+    if (!onError.skipped) {
+      throw onError.value;
+    }
+    yield onError.value;
+  }
+}
+
+/**
+ * Parse input like parseFrom, returning failures instead of throwing them
+ * Transform warnings are collected on the result rather than logged.
+ * @param {ZodSchema} schema - The Zod schema to validate against
+ * @param {string} format - The input format (e.g., 'json', 'yaml', 'toml'), or 'auto' to detect it from the input
+ * @param {ZTFInput} input - The input to parse: text, bytes, or a stream of either
+ * @param {ZTFOptions} [opts] - Optional configuration
+ * @returns {Promise<ZTFSafeResult<any|ZTFResult>>} Parsed data or a ZTFError naming the failed phase
+ */
+export async function safeParseFrom(schema, format, input, opts = {}) {
+  return runSafely(schema, 'parse', opts, run => runParse(schema, format, input, opts, run));
+}
+
+/**
+ * Format data like formatTo, returning failures instead of throwing them
+ * @param {ZodSchema} schema - The Zod schema to validate against
+ * @param {string} format - The output format (e.g., 'json', 'yaml', 'toml')
+ * @param {any} data - The data to format
+ * @param {ZTFOptions} [opts] - Optional configuration
+ * @returns {Promise<ZTFSafeResult<string|ZTFResult>>} Formatted output or a ZTFError naming the failed phase
+ */
+export async function safeFormatTo(schema, format, data, opts = {}) {
+  return runSafely(schema, 'format', opts, run => runFormat(schema, format, data, opts, run));
+}
+
+/**
+ * Convert data like convert, returning failures instead of throwing them
+ * @param {ZodSchema} schema - The Zod schema to validate against
+ * @param {Object} conversion - Conversion configuration
+ * @param {string} conversion.from - Source format, or 'auto' to detect it from the input
+ * @param {string} conversion.to - Target format
+ * @param {ZTFInput} input - The input to convert: text, bytes, or a stream of either
+ * @param {ZTFOptions} [opts] - Optional configuration
+ * @returns {Promise<ZTFSafeResult<string|ZTFResult>>} Converted output or a ZTFError naming the failed phase
+ */
+export async function safeConvert(schema, conversion, input, opts = {}) {
+  return runSafely(schema, 'convert', opts, run =>
+    runConvert(schema, conversion, input, opts, run)
+  );
+}
@@ -3,7 +3,9 @@
  * @fileoverview Advanced pipeline system for composable, validated transformations
  */
 
-import { getAdapter, createProvenance, simpleHash } from './registry.mjs';
+import { loadAdapter, createProvenance, simpleHash } from './registry.mjs';
+import { createOperationSignal, withAbort } from './abort.mjs';
+import { ZTFAbortError } from './errors.mjs';
 
 /**
  * @typedef {import('zod').ZodSchema} ZodSchema
@@ -39,6 +41,8 @@ import { getAdapter, createProvenance, simpleHash } from './registry.mjs';
  * @property {string} startTime - ISO timestamp of start
  * @property {string} endTime - ISO timestamp of end
  * @property {Object} [metadata] - Additional metadata
+ * @property {boolean} [aborted] - Whether execution was cancelled or timed out
+ * @property {string} [abortReason] - Why execution was interrupted
  */
 
 /**
@@ -58,8 +62,24 @@ import { getAdapter, createProvenance, simpleHash } from './registry.mjs';
  * @property {boolean} [streaming] - Enable streaming for large datasets
  * @property {Object} [metadata] - Custom metadata to include
  * @property {Function} [onStep] - Callback for each step execution
+ * @property {AbortSignal} [signal] - Signal that cancels execution between and during steps
+ * @property {number} [timeoutMs] - Time after which execution is cancelled
  */
 
+/**
+ * Pass the execution signal to adapters that accept one
+ * @param {import('./registry.mjs').Adapter} adapter - Adapter of the step
+ * @param {Object} [adapterOpts] - Step adapter options
+ * @param {AbortSignal} [signal] - Execution signal
+ * @returns {Object|undefined} Adapter options
+ */
+function withSignal(adapter, adapterOpts, signal) {
+  if (!adapter.abortable || !signal || adapterOpts?.signal !== undefined) {
+    return adapterOpts;
+  }
+  return { ...adapterOpts, signal };
+}
+
 /**
  * Pipeline builder class
  */
@@ -104,7 +124,7 @@ class Pipeline {
 
   /**
    * Transform data with a function
-   * @param {Function} fn - Transform function (can be async)
+   * @param {Function} fn - Transform function (can be async), called with the data and `{ signal }`
    * @param {Object} [opts] - Transform options
    * @returns {Pipeline} This pipeline for chaining
    */
@@ -189,6 +209,9 @@ class Pipeline {
    */
   async execute(input, opts = {}) {
     const startTime = Date.now();
+    const signal = createOperationSignal(opts);
+    // Sub-pipelines share this execution's signal rather than starting their own timeout
+    const stepOpts = { ...opts, signal, timeoutMs: undefined };
     const provenance = {
       pipelineId: this.pipelineId,
       steps: [],
@@ -229,7 +252,10 @@ class Pipeline {
 
       try {
         // Execute step based on type
-        const result = await this._executeStep(step, data, opts);
+        const result = await withAbort(this._executeStep(step, data, stepOpts), signal, {
+          phase: step.type,
+          adapter: step.config?.format,
+        });
         data = result.data;
 
         const stepDuration = Date.now() - stepStart;
@@ -268,6 +294,15 @@ class Pipeline {
         provenance.endTime = new Date().toISOString();
         provenance.totalDuration = Date.now() - startTime;
 
+        // Cancellation keeps its type, carrying the pipeline provenance
+        if (error instanceof ZTFAbortError) {
+          provenance.aborted = true;
+          provenance.abortReason = error.message;
+          error.provenance = provenance;
+          error.stepIndex = i;
+          throw error;
+        }
+
         // Re-throw with context
         const pipelineError = new Error(
           `Pipeline failed at step ${i} (${step.type}): ${error.message}`
@@ -302,11 +337,11 @@ class Pipeline {
     switch (step.type) {
       case 'parse': {
         const { format, opts: adapterOpts } = step.config;
-        const adapter = getAdapter(format);
+        const adapter = await loadAdapter(format);
         if (!adapter) {
           throw new Error(`No adapter found for format: ${format}`);
         }
-        const result = await adapter.parse(data, adapterOpts);
+        const result = await adapter.parse(data, withSignal(adapter, adapterOpts, opts.signal));
         return {
           data: result.data,
           metadata: { format, ...result.metadata },
@@ -315,11 +350,11 @@ class Pipeline {
 
       case 'format': {
         const { format, opts: adapterOpts } = step.config;
-        const adapter = getAdapter(format);
+        const adapter = await loadAdapter(format);
         if (!adapter) {
           throw new Error(`No adapter found for format: ${format}`);
         }
-        const result = await adapter.format(data, adapterOpts);
+        const result = await adapter.format(data, withSignal(adapter, adapterOpts, opts.signal));
         return {
           data: result.data,
           metadata: { format, ...result.metadata },
@@ -340,7 +375,7 @@ class Pipeline {
 
       case 'transform': {
         const { fn, opts: transformOpts } = step.config;
-        const transformedData = await fn(data);
+        const transformedData = await fn(data, { signal: opts.signal });
         return {
           data: transformedData,
           metadata: {
@@ -0,0 +1,392 @@
+/**
+ * Plugins - Adapter packs discovered from installed packages
+ * @fileoverview Finds dependencies declaring a ztf pack manifest, checks them against the running ZTF version and registers their adapters under a namespace
+ */
+
+import { readFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createPackManifest, getAdapterInfo, registerPack } from './registry.mjs';
+
+/**
+ * Pack manifest a plugin declares in the `ztf` field of its package.json
+ * It has the shape createPackManifest produces, plus the fields describing how to load the plugin.
+ * @typedef {Object} PluginManifest
+ * @property {string[]} formats - Formats the plugin provides, without namespace
+ * @property {string} ztfVersion - Range of ZTF versions the plugin works with, such as `^1.0.0`
+ * @property {string} [name] - Pack name, defaults to the package name
+ * @property {string} [namespace] - Namespace of the formats, defaults to the package scope or the package name without its `ztf-pack-` prefix
+ * @property {string} [entry] - Module exporting the adapters, relative to the package, defaults to the package `main`
+ * @property {string} [version] - Pack version, defaults to the package version
+ * @property {string} [description] - Pack description
+ */
+
+/**
+ * A package declaring a ztf pack manifest
+ * @typedef {Object} PluginInfo
+ * @property {string} packageName - Package name
+ * @property {string} packageVersion - Package version
+ * @property {string} path - Package directory
+ * @property {string} [namespace] - Namespace of the plugin formats
+ * @property {Object} [manifest] - Pack manifest with namespaced formats, such as `acme:edi`
+ * @property {string} [entry] - Absolute path of the module exporting the adapters
+ * @property {boolean} compatible - Whether the manifest is valid and the plugin supports the running ZTF version
+ * @property {string} [reason] - Why the plugin cannot be registered
+ */
+
+/**
+ * Options for plugin discovery
+ * @typedef {Object} PluginDiscoveryOptions
+ * @property {string} [cwd] - Project directory whose package.json lists the dependencies to check, defaults to the current directory
+ * @property {string[]} [packages] - Package names to check instead of the project dependencies
+ */
+
+/**
+ * Dependency fields of package.json searched for plugins
+ */
+const dependencyFields = [
+  'dependencies',
+  'devDependencies',
+  'optionalDependencies',
+  'peerDependencies',
+];
+
+const namespacePattern = /^[a-z\d][\w-]*$/i;
+
+/**
+ * Running ZTF version, read once from the package manifest
+ * @type {Promise<string>|undefined}
+ */
+let ztfVersion;
+
+/**
+ * Get the running ZTF version
+ * @returns {Promise<string>} Version of the installed zod-to-from package
+ */
+export function getZTFVersion() {
+  ztfVersion ??= readJson(new URL('../../package.json', import.meta.url)).then(
+    manifest => manifest.version
+  );
+  return ztfVersion;
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string|URL} path - File to read
+ * @returns {Promise<any>} Parsed content
+ */
+async function readJson(path) {
+  return JSON.parse(await readFile(path, 'utf8'));
+}
+
+/**
+ * Parse a version or partial version such as `1`, `1.2` or `1.x`
+ * @param {string} version - Version to parse
+ * @returns {Array<number|undefined>|undefined} Major, minor and patch, undefined for wildcards, or undefined if invalid
+ */
+function parseVersion(version) {
+  const match = /^v?(\d+|[*Xx])(?:\.(\d+|[*Xx]))?(?:\.(\d+|[*Xx]))?(?:[+-].*)?$/.exec(version);
+  if (!match) {
+    return undefined;
+  }
+  return match
+    .slice(1)
+    .map(part => (part === undefined || /[*Xx]/.test(part) ? undefined : Number(part)));
+}
+
+/**
+ * Compare two versions
+ * @param {number[]} left - Major, minor and patch
+ * @param {number[]} right - Major, minor and patch
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersions(left, right) {
+  return left[0] - right[0] || left[1] - right[1] || left[2] - right[2];
+}
+
+/**
+ * Check a version against one comparator such as `^1.2.0`, `>=1.0.0` or `1.x`
+ * @param {number[]} version - Major, minor and patch
+ * @param {string} comparator - Comparator
+ * @returns {boolean} Whether the version matches
+ */
+function satisfiesComparator(version, comparator) {
+  const [, operator = '', operand] = /^(\^|~|>=|<=|>|<|=)?\s*(.*)$/.exec(comparator);
+  const parts = parseVersion(operand);
+  if (!parts) {
+    throw new Error(`Invalid version range: ${comparator}`);
+  }
+
+  const [major, minor, patch] = parts;
+  if (major === undefined) {
+    return true;
+  }
+  const lower = [major, minor ?? 0, patch ?? 0];
+  const inRange = upper =>
+    compareVersions(version, lower) >= 0 && compareVersions(version, upper) < 0;
+
+  switch (operator) {
+    case '^': {
+      if (major > 0 || minor === undefined) {
+        return inRange([major + 1, 0, 0]);
+      }
+      if (minor > 0 || patch === undefined) {
+        return inRange([0, minor + 1, 0]);
+      }
+      return inRange([0, 0, patch + 1]);
+    }
+    case '~': {
+      return inRange(minor === undefined ? [major + 1, 0, 0] : [major, minor + 1, 0]);
+    }
+    case '>=': {
+      return compareVersions(version, lower) >= 0;
+    }
+    case '>': {
+      return compareVersions(version, lower) > 0;
+    }
+    case '<=': {
+      return compareVersions(version, lower) <= 0;
+    }
+    case '<': {
+      return compareVersions(version, lower) < 0;
+    }
+    default: {
+      if (minor === undefined) {
+        return inRange([major + 1, 0, 0]);
+      }
+      if (patch === undefined) {
+        return inRange([major, minor + 1, 0]);
+      }
+      return compareVersions(version, lower) === 0;
+    }
+  }
+}
+
+/**
+ * Check a version against an npm-style range
+ * Supports `^`, `~`, comparisons, x-ranges, space-separated comparators that must all match and
+ * `||` alternatives.
+ * @param {string} version - Version to check
+ * @param {string} range - Range such as `^1.0.0` or `>=1.2.0 <3.0.0 || 4.x`
+ * @returns {boolean} Whether the version is in the range
+ */
+function satisfiesVersion(version, range) {
+  const parsed = parseVersion(version);
+  if (!parsed || parsed.includes(undefined)) {
+    throw new Error(`Invalid version: ${version}`);
+  }
+  return range.split('||').some(alternative => {
+    const comparators = alternative
+      .trim()
+      .replaceAll(/(\^|~|>=|<=|>|<|=)\s+/g, '$1')
+      .split(/\s+/);
+    return comparators.every(
+      comparator => comparator === '' || satisfiesComparator(parsed, comparator)
+    );
+  });
+}
+
+/**
+ * Read a JSON file at a path relative to a directory or the closest of its ancestors having it
+ * @param {string} cwd - Directory to start from
+ * @param {string} relativePath - Path of the file relative to each directory searched
+ * @returns {Promise<{directory: string, json: any}|undefined>} Directory containing the file and its content, or undefined if none does
+ */
+async function findUp(cwd, relativePath) {
+  let directory = resolve(cwd);
+  while (true) {
+    try {
+      return { directory, json: await readJson(join(directory, relativePath)) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    const parent = dirname(directory);
+    if (parent === directory) {
+      return undefined;
+    }
+    directory = parent;
+  }
+}
+
+/**
+ * Default namespace of a package: its scope, or its name without a `ztf-pack-` or `ztf-` prefix
+ * @param {string} packageName - Package name
+ * @returns {string} Namespace
+ */
+function defaultNamespace(packageName) {
+  if (packageName.startsWith('@')) {
+    return packageName.slice(1, packageName.indexOf('/'));
+  }
+  return packageName.replace(/^ztf-(?:pack-)?/, '');
+}
+
+/**
+ * Check a plugin manifest and the running version
+ * @param {PluginManifest} manifest - Manifest declared by the package
+ * @param {string} namespace - Namespace of the plugin formats
+ * @param {string} version - Running ZTF version
+ * @returns {string|undefined} Why the plugin cannot be registered, or undefined if it can
+ */
+function checkManifest(manifest, namespace, version) {
+  if (!namespacePattern.test(namespace)) {
+    return `invalid namespace '${namespace}'`;
+  }
+  if (
+    !Array.isArray(manifest.formats) ||
+    manifest.formats.length === 0 ||
+    !manifest.formats.every(format => typeof format === 'string' && namespacePattern.test(format))
+  ) {
+    return 'ztf.formats must be a non-empty array of format names without namespace';
+  }
+  if (typeof manifest.ztfVersion !== 'string') {
+    return 'ztf.ztfVersion must declare the supported ZTF version range';
+  }
+  try {
+    if (!satisfiesVersion(version, manifest.ztfVersion)) {
+      return `requires ZTF ${manifest.ztfVersion}, running ${version}`;
+    }
+  } catch (error) {
+    return error.message;
+  }
+  return undefined;
+}
+
+/**
+ * Describe an installed package declaring a ztf pack manifest
+ * @param {string} path - Package directory
+ * @param {Object} packageJson - Package manifest
+ * @param {string} version - Running ZTF version
+ * @returns {PluginInfo} Plugin description
+ */
+function describePlugin(path, packageJson, version) {
+  const declared = packageJson.ztf;
+  const plugin = {
+    packageName: packageJson.name,
+    packageVersion: packageJson.version,
+    path,
+    compatible: false,
+  };
+  if (!declared || typeof declared !== 'object' || Array.isArray(declared)) {
+    plugin.reason = 'ztf must be a pack manifest object';
+    return plugin;
+  }
+
+  const {
+    name = packageJson.name,
+    formats,
+    namespace = defaultNamespace(packageJson.name),
+    entry,
+    ...metadata
+  } = declared;
+  plugin.namespace = namespace;
+  plugin.reason = checkManifest(declared, namespace, version);
+  if (plugin.reason) {
+    return plugin;
+  }
+
+  plugin.manifest = createPackManifest(
+    name,
+    formats.map(format => `${namespace}:${format}`),
+    {
+      version: packageJson.version,
+      description: packageJson.description,
+      ...metadata,
+      namespace,
+    }
+  );
+  plugin.entry = join(path, entry ?? packageJson.main ?? 'index.js');
+  plugin.compatible = true;
+  return plugin;
+}
+
+/**
+ * Find installed packages declaring a ztf pack manifest in the `ztf` field of their package.json
+ * Only the listed packages, or the dependencies of the project package.json, are checked. Plugins
+ * that are invalid or do not support the running ZTF version are returned with `compatible: false`
+ * and the reason.
+ * @param {PluginDiscoveryOptions} [opts] - Discovery options
+ * @returns {Promise<PluginInfo[]>} Plugins found, in dependency order
+ */
+export async function discoverPlugins(opts = {}) {
+  const { cwd = process.cwd() } = opts;
+  let packageNames = opts.packages;
+  if (!packageNames) {
+    const project = await findUp(cwd, 'package.json');
+    packageNames = [
+      ...new Set(dependencyFields.flatMap(field => Object.keys(project?.json[field] ?? {}))),
+    ];
+  }
+
+  const version = await getZTFVersion();
+  const plugins = [];
+  for (const name of packageNames) {
+    const found = await findUp(cwd, join('node_modules', name, 'package.json'));
+    if (found && found.json.ztf !== undefined) {
+      plugins.push(
+        describePlugin(join(found.directory, 'node_modules', name), found.json, version)
+      );
+    }
+  }
+  return plugins;
+}
+
+/**
+ * Load the adapters of a plugin and register them under its namespace
+ * @param {PluginInfo} plugin - Compatible plugin
+ * @returns {Promise<void>} Resolves when the adapters are registered
+ */
+async function loadPlugin(plugin) {
+  const module = await import(pathToFileURL(plugin.entry).href);
+  const exported = module.adapters ?? module.default;
+  if (!exported || typeof exported !== 'object') {
+    throw new Error(`Plugin '${plugin.packageName}' must export an adapters object from its entry`);
+  }
+  registerPack(
+    plugin.manifest,
+    Object.fromEntries(
+      Object.entries(exported).map(([format, adapter]) => [
+        `${plugin.namespace}:${format}`,
+        adapter,
+      ])
+    )
+  );
+}
+
+/**
+ * Discover plugins and register the compatible ones
+ * Each plugin is registered as a lazy pack: its namespaced formats, such as `acme:edi`, are
+ * reserved right away and its entry module is imported on first use. A plugin is skipped when one
+ * of its namespaced formats is already registered by another pack; registering the same plugin
+ * again is a no-op.
+ * @param {PluginDiscoveryOptions} [opts] - Discovery options
+ * @returns {Promise<{registered: PluginInfo[], skipped: PluginInfo[]}>} Plugins registered and plugins skipped with the reason
+ */
+export async function registerPlugins(opts = {}) {
+  const registered = [];
+  const skipped = [];
+  for (const plugin of await discoverPlugins(opts)) {
+    if (!plugin.compatible) {
+      skipped.push(plugin);
+      continue;
+    }
+
+    const existing = plugin.manifest.formats.map(format => getAdapterInfo(format));
+    const collision = existing.find(info => info && info.pack !== plugin.manifest.name);
+    if (collision) {
+      const owner = collision.pack ? ` by '${collision.pack}'` : '';
+      skipped.push({
+        ...plugin,
+        reason: `format '${collision.name}' is already registered${owner}`,
+      });
+      continue;
+    }
+
+    if (existing.includes(undefined)) {
+      registerPack(plugin.manifest, () => loadPlugin(plugin));
+    }
+    registered.push(plugin);
+  }
+  return { registered, skipped };
+}
@@ -3,6 +3,8 @@
  * @fileoverview Core registry system for ZTF adapters
  */
 
+import { createIsolatedAdapter } from './sandbox.mjs';
+
 /**
  * @typedef {import('zod').ZodSchema} ZodSchema
  * @typedef {import('zod').ZodType} ZodType
@@ -13,9 +15,48 @@
  * @typedef {Object} Adapter
  * @property {function(string, Object): Promise<{data: unknown, metadata?: Object}>} parse - Parse input string to data with metadata
  * @property {function(unknown, Object): Promise<{data: string, metadata?: Object}>} format - Format data to string with metadata
+ * @property {function(unknown, Object): AsyncIterable<string|Uint8Array>} [formatStream] - Format data to a sequence of output chunks, used by formatToStream
+ * @property {function(string, Object): Record<string, {line: number, column: number}>} [locate] - Map JSON pointers of parsed values to their line and column in the input, used to locate validation errors
  * @property {boolean} [supportsStreaming] - Whether adapter supports streaming for large datasets
  * @property {boolean} [isAI] - Whether adapter uses AI (for provenance tracking)
+ * @property {boolean} [schemaAware] - Whether the core API should pass the Zod schema to the adapter as `opts.schema`
+ * @property {boolean} [abortable] - Whether the core API should pass the operation's AbortSignal to the adapter as `opts.signal`
+ * @property {string[]} [extensions] - File extensions handled, without the leading dot
+ * @property {string[]} [mimeTypes] - MIME types handled
+ * @property {boolean} [binary] - Whether the serialized form is binary rather than text; binary adapters are given bytes as a Buffer, text adapters decoded strings
+ * @property {boolean} [parseOnly] - Whether `format` cannot produce the serialized form
+ * @property {boolean} [formatOnly] - Whether `parse` cannot read the serialized form
+ * @property {LosslessProfile} [lossless] - Zod types the format round-trips without loss
  * @property {string} [version] - Adapter version
+ * @property {string} [pack] - Name of the lazily registered pack that has not loaded this adapter yet
+ * @property {boolean} [isolated] - Whether parse and format run in worker threads, as registered with `isolate`
+ */
+
+/**
+ * Zod types a format round-trips without loss
+ * @typedef {Object} LosslessProfile
+ * @property {string[]} types - Value kinds preserved: 'string', 'number', 'bigint', 'boolean', 'date', 'null', 'object', 'array'
+ * @property {'object'|'array'} [root] - Kind the top-level value must have
+ * @property {number} [maxDepth] - Deepest nesting of objects and arrays, counting the top-level value as 1
+ * @property {string} [wrapper] - Field of a top-level object holding the value that root and maxDepth describe, for formats whose parse wraps it (such as `{ items: [...] }`)
+ */
+
+/**
+ * Adapter capabilities as reported by getAdapterInfo
+ * @typedef {Object} AdapterInfo
+ * @property {string} name - Adapter name
+ * @property {string} version - Adapter version
+ * @property {boolean} supportsStreaming - Whether adapter supports streaming
+ * @property {boolean} isAI - Whether adapter uses AI
+ * @property {boolean} hasParse - Whether adapter implements parse
+ * @property {boolean} hasFormat - Whether adapter implements format
+ * @property {string[]} extensions - File extensions handled
+ * @property {string[]} mimeTypes - MIME types handled
+ * @property {boolean} binary - Whether the serialized form is binary
+ * @property {boolean} parseOnly - Whether the adapter can only parse
+ * @property {boolean} formatOnly - Whether the adapter can only format
+ * @property {LosslessProfile} [lossless] - Zod types the format round-trips without loss, when declared
+ * @property {string} [pack] - Name of the pack that registered the adapter; absent for adapters registered with registerAdapter
  */
 
 /**
@@ -34,13 +75,17 @@
  * @property {number[]} [migrationsApplied] - Array of version numbers migrated through
  * @property {string[]} [migrationDescriptions] - Descriptions of migrations applied
  * @property {string} [migrationTimestamp] - When migrations were applied
+ * @property {boolean} [aborted] - Whether the operation was cancelled or timed out
+ * @property {string} [abortedPhase] - Pipeline phase that was interrupted
+ * @property {string} [abortReason] - Why the operation was interrupted
  */
 
 /**
  * Result wrapper with data and provenance
  * @typedef {Object} ZTFResult
  * @property {any} data - The parsed/formatted data
- * @property {Provenance} provenance - Provenance metadata
+ * @property {Provenance} [provenance] - Provenance metadata
+ * @property {import('./loss.mjs').LossReport} [lossReport] - Loss report of a conversion
  */
 
 /**
@@ -52,6 +97,12 @@
  * @property {boolean} [deterministic] - Whether to enforce deterministic output (stable key ordering, canonical formats)
  * @property {boolean} [streaming] - Whether to use streaming for large datasets
  * @property {import('./transforms.mjs').TransformConfig} [transform] - Transform configuration to apply during conversion
+ * @property {import('./detect.mjs').DetectOptions} [detect] - Detection options used when the format is 'auto'
+ * @property {boolean} [lossReport] - Whether convert returns a report of data its output does not carry
+ * @property {boolean} [strictLossless] - Whether convert fails when its output loses data
+ * @property {AbortSignal} [signal] - Signal that cancels the operation
+ * @property {number} [timeoutMs] - Time after which the operation is cancelled
+ * @property {import('./hooks.mjs').HookMap} [hooks] - Hooks for this call, run after the global hooks
  */
 
 /**
@@ -60,6 +111,26 @@
  */
 const adapters = new Map();
 
+/**
+ * Packs registered with a loader that have not finished loading
+ * @typedef {Object} LazyPack
+ * @property {Object} manifest - Pack manifest
+ * @property {function(): Promise<unknown>} loader - Imports the pack module, which registers its adapters
+ * @property {Promise<void>} [loading] - Load in progress or completed
+ */
+
+/**
+ * Lazy packs keyed by the formats they will register
+ * @type {Map<string, LazyPack>}
+ */
+const lazyFormats = new Map();
+
+/**
+ * Names of the packs that registered each adapter
+ * @type {Map<string, string>}
+ */
+const adapterPacks = new Map();
+
 /**
  * ZTF version constant
  */
@@ -67,15 +138,25 @@ const ZTF_VERSION = '0.1.0';
 
 /**
  * Register a new adapter for a specific format
+ * With `isolate`, the adapter runs in worker threads with heap and time limits. It is then given as
+ * the module exporting it, along with its metadata, since functions cannot be passed to a worker.
  * @param {string} name - The format name (e.g., 'json', 'yaml', 'csv')
- * @param {Adapter} adapter - The adapter implementation
+ * @param {Adapter|(import('./sandbox.mjs').ModuleReference & Partial<Adapter>)} adapter - The adapter implementation, or with `isolate` a reference to it
+ * @param {{isolate?: boolean|import('./sandbox.mjs').IsolateOptions}} [options] - Registration options
  */
-export function registerAdapter(name, adapter) {
-  adapters.set(name, adapter);
+export function registerAdapter(name, adapter, options = {}) {
+  adapters.set(
+    name,
+    options.isolate ? createIsolatedAdapter(name, adapter, options.isolate) : adapter
+  );
+  lazyFormats.delete(name);
+  adapterPacks.delete(name);
 }
 
 /**
  * Get a registered adapter by name
+ * An adapter of a lazily registered pack is returned as a stand-in that loads the pack on its first
+ * parse or format call; its other metadata is what the pack manifest declares for it.
  * @param {string} name - The adapter name
  * @returns {Adapter|undefined} The adapter or undefined if not found
  */
@@ -83,6 +164,57 @@ export function getAdapter(name) {
   return adapters.get(name);
 }
 
+/**
+ * Load a lazily registered pack once
+ * @param {LazyPack} pack - Pack to load
+ * @returns {Promise<void>} Resolves when the pack module has registered its adapters
+ */
+function loadPack(pack) {
+  pack.loading ??= Promise.resolve()
+    .then(() => pack.loader())
+    .then(
+      () => {
+        // Formats the pack module did not register are no longer expected
+        for (const format of pack.manifest.formats) {
+          if (lazyFormats.get(format) === pack) {
+            lazyFormats.delete(format);
+            adapters.delete(format);
+            adapterPacks.delete(format);
+          }
+        }
+      },
+      error => {
+        pack.loading = undefined;
+        throw new Error(`Failed to load adapter pack '${pack.manifest.name}': ${error.message}`, {
+          cause: error,
+        });
+      }
+    );
+  return pack.loading;
+}
+
+/**
+ * Get a registered adapter by name, loading its pack first if it was registered lazily
+ * @param {string} name - The adapter name
+ * @returns {Promise<Adapter|undefined>} The adapter or undefined if not found
+ */
+export async function loadAdapter(name) {
+  const pack = lazyFormats.get(name);
+  if (pack) {
+    await loadPack(pack);
+  }
+  return adapters.get(name);
+}
+
+/**
+ * Load every lazily registered pack
+ * Call before listing or inspecting adapters when packs were registered with loaders.
+ * @returns {Promise<void>} Resolves when all packs have loaded
+ */
+export async function loadAdapters() {
+  await Promise.all([...new Set(lazyFormats.values())].map(pack => loadPack(pack)));
+}
+
 /**
  * List all registered adapter names
  * @returns {string[]} Array of adapter names
@@ -94,7 +226,7 @@ export function listAdapters() {
 /**
  * Get detailed information about a specific adapter
  * @param {string} name - The adapter name
- * @returns {Object|undefined} Adapter information or undefined if not found
+ * @returns {AdapterInfo|undefined} Adapter information or undefined if not found
  */
 export function getAdapterInfo(name) {
   const adapter = adapters.get(name);
@@ -102,14 +234,63 @@ export function getAdapterInfo(name) {
     return undefined;
   }
 
-  return {
+  const hasParse = typeof adapter.parse === 'function';
+  const hasFormat = typeof adapter.format === 'function';
+  const info = {
     name,
     version: adapter.version || '1.0.0',
     supportsStreaming: adapter.supportsStreaming || false,
     isAI: adapter.isAI || false,
-    hasParse: typeof adapter.parse === 'function',
-    hasFormat: typeof adapter.format === 'function',
+    hasParse,
+    hasFormat,
+    extensions: adapter.extensions || [],
+    mimeTypes: adapter.mimeTypes || [],
+    binary: adapter.binary || false,
+    parseOnly: adapter.parseOnly === true || !hasFormat,
+    formatOnly: adapter.formatOnly === true || !hasParse,
   };
+  if (adapter.lossless) {
+    info.lossless = adapter.lossless;
+  }
+  if (adapterPacks.has(name)) {
+    info.pack = adapterPacks.get(name);
+  }
+  return info;
+}
+
+/**
+ * Rank adapters matching a lookup, preferring deterministic adapters over AI ones
+ * @param {function(Adapter): boolean} predicate - Match condition
+ * @returns {string[]} Matching adapter names
+ */
+function findAdapters(predicate) {
+  const matches = [...adapters.entries()].filter(([, adapter]) => predicate(adapter));
+  const deterministic = matches.filter(([, adapter]) => !adapter.isAI);
+  const ai = matches.filter(([, adapter]) => adapter.isAI);
+  return [...deterministic, ...ai].map(([name]) => name);
+}
+
+/**
+ * Find the adapters handling a file extension
+ * @param {string} extension - Extension with or without the dot, or a file path such as `config/app.yaml`
+ * @returns {string[]} Adapter names, best match first
+ */
+export function findByExtension(extension) {
+  const basename = extension.split(/[/\\]/).pop().toLowerCase();
+  const normalized = basename.includes('.')
+    ? basename.slice(basename.lastIndexOf('.') + 1)
+    : basename;
+  return findAdapters(adapter => adapter.extensions?.includes(normalized) ?? false);
+}
+
+/**
+ * Find the adapters handling a MIME type
+ * @param {string} mimeType - MIME type, optionally with parameters such as `; charset=utf-8`
+ * @returns {string[]} Adapter names, best match first
+ */
+export function findByMime(mimeType) {
+  const normalized = mimeType.split(';')[0].trim().toLowerCase();
+  return findAdapters(adapter => adapter.mimeTypes?.includes(normalized) ?? false);
 }
 
 /**
@@ -165,15 +346,71 @@ export function createPackManifest(packName, formats, metadata = {}) {
   };
 }
 
+/**
+ * Create the stand-in for an adapter of a lazily registered pack
+ * It reports the metadata the pack manifest lists for the format in its `adapters` field.
+ * @param {string} format - Format name
+ * @param {LazyPack} pack - Pack that provides the adapter
+ * @returns {Adapter} Adapter loading the pack on first use
+ */
+function createLazyAdapter(format, pack) {
+  const load = async () => {
+    const adapter = await loadAdapter(format);
+    if (!adapter) {
+      throw new Error(`Adapter pack '${pack.manifest.name}' did not register format: ${format}`);
+    }
+    return adapter;
+  };
+  return {
+    ...pack.manifest.adapters?.[format],
+    async parse(input, opts) {
+      return (await load()).parse(input, opts);
+    },
+    async format(data, opts) {
+      return (await load()).format(data, opts);
+    },
+    async *formatStream(data, opts) {
+      const adapter = await load();
+      if (typeof adapter.formatStream === 'function') {
+        yield* adapter.formatStream(data, opts);
+        return;
+      }
+      yield (await adapter.format(data, opts)).data;
+    },
+    pack: pack.manifest.name,
+  };
+}
+
 /**
  * Register multiple adapters from a pack
+ * With a loader function instead of adapters, the pack is registered lazily: its formats are
+ * reserved and the loader, which should import the pack module, runs on first use of any of them.
+ * Until then the manifest's optional `adapters` field, mapping formats to metadata such as
+ * `extensions`, `mimeTypes` and `lossless`, describes them to getAdapterInfo and findByExtension.
+ * A pack registered eagerly does not take over formats a different lazy pack registered later,
+ * so precedence follows registration order whichever pack happens to load first.
  * @param {Object} packManifest - The pack manifest
- * @param {Object} adaptersMap - Object mapping format names to adapters
+ * @param {Object|function(): Promise<unknown>} adaptersMap - Object mapping format names to adapters, or a loader
  */
 export function registerPack(packManifest, adaptersMap) {
+  if (typeof adaptersMap === 'function') {
+    const pack = { manifest: packManifest, loader: adaptersMap };
+    for (const format of packManifest.formats) {
+      adapters.set(format, createLazyAdapter(format, pack));
+      lazyFormats.set(format, pack);
+      adapterPacks.set(format, packManifest.name);
+    }
+    return;
+  }
+
   for (const [format, adapter] of Object.entries(adaptersMap)) {
+    const lazyPack = lazyFormats.get(format);
+    if (lazyPack && lazyPack.manifest.name !== packManifest.name) {
+      continue;
+    }
     if (packManifest.formats.includes(format)) {
       registerAdapter(format, adapter);
+      adapterPacks.set(format, packManifest.name);
     }
   }
 }
@@ -239,6 +476,48 @@ export function simpleHash(str) {
   return hash.toString(16);
 }
 
+/**
+ * Copy a value with the keys of every plain object and Map sorted
+ * Arrays keep their order, and other values such as Dates and Buffers are returned unchanged.
+ * Keys are compared by UTF-16 code units, so the order does not depend on the locale.
+ * @param {any} value - Value to canonicalize
+ * @returns {any} Canonical copy of the value
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => canonicalize(item));
+  }
+  if (value instanceof Map) {
+    const entries = [...value].map(([key, item]) => [key, canonicalize(item)]);
+    return new Map(entries.sort(([a], [b]) => compareKeys(String(a), String(b))));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    return value;
+  }
+  const sorted = {};
+  for (const key of Object.keys(value).sort()) {
+    sorted[key] = canonicalize(value[key]);
+  }
+  return sorted;
+}
+
+/**
+ * Compare two keys by UTF-16 code units, as Array.prototype.sort does by default
+ * @param {string} a - First key
+ * @param {string} b - Second key
+ * @returns {number} Negative, zero or positive
+ */
+function compareKeys(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+}
+
 /**
  * Deterministic stringify for stable JSON output
  * @param {any} obj - Object to stringify
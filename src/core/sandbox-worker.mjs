@@ -0,0 +1,57 @@
+/**
+ * Sandbox Worker - Runs calls into one isolated adapter or transform
+ * @fileoverview Worker thread entry that imports the isolated module and answers the sandbox's call messages
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { restoreBuffers, serializeError } from './sandbox.mjs';
+
+/**
+ * Import the isolated module and pick its export
+ * @returns {Promise<any>} The adapter or transform function
+ */
+async function load() {
+  const module = await import(workerData.module);
+  if (module[workerData.exportName] === undefined) {
+    throw new Error(`Module '${workerData.module}' has no export '${workerData.exportName}'`);
+  }
+  return module[workerData.exportName];
+}
+
+let exported;
+let loadError;
+try {
+  exported = await load();
+} catch (error) {
+  loadError = error;
+}
+
+// Tell the sandbox the worker is ready, so module loading does not count against the first call;
+// a module that failed to load rejects each call instead
+parentPort.postMessage({ ready: true });
+
+parentPort.on('message', async ({ method, args }) => {
+  try {
+    if (loadError) {
+      throw loadError;
+    }
+    const fn = method === undefined ? exported : exported[method];
+    if (typeof fn !== 'function') {
+      throw new TypeError(
+        method === undefined
+          ? `Export '${workerData.exportName}' is not a function`
+          : `Export '${workerData.exportName}' has no ${method} method`
+      );
+    }
+    const result = await fn.apply(exported, restoreBuffers(args));
+    try {
+      parentPort.postMessage({ result });
+    } catch (error) {
+      throw new TypeError(`Result cannot be passed back from the worker: ${error.message}`, {
+        cause: error,
+      });
+    }
+  } catch (error) {
+    parentPort.postMessage({ error: serializeError(error) });
+  }
+});
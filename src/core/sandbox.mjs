@@ -0,0 +1,342 @@
+/**
+ * Sandbox - Isolated execution of adapters and transforms in worker threads
+ * @fileoverview Runs code loaded from a module in worker threads with heap, time and concurrency limits, so a runaway or crashing call cannot take down the host process
+ */
+
+import { availableParallelism } from 'node:os';
+import { isAbsolute } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { Worker } from 'node:worker_threads';
+import { ZTFSandboxError } from './errors.mjs';
+
+/**
+ * Code to load inside the workers
+ * Functions cannot be passed to a worker, so isolated code is given as the module exporting it.
+ * @typedef {Object} ModuleReference
+ * @property {string|URL} module - Module exporting the code: a URL, an absolute path or a package name
+ * @property {string} [export] - Named export to use, defaults to the default export
+ */
+
+/**
+ * Limits of an isolated adapter or transform
+ * @typedef {Object} IsolateOptions
+ * @property {number} [maxHeapMb] - Heap size limit of each worker, in megabytes (default 128)
+ * @property {number} [timeoutMs] - Time limit of each call, after which its worker is terminated; a new worker has as long again to load the module (default 10000)
+ * @property {number} [maxWorkers] - Calls run at once, each in its own worker; others wait (default up to 4)
+ */
+
+const DEFAULT_LIMITS = {
+  maxHeapMb: 128,
+  timeoutMs: 10_000,
+  maxWorkers: Math.min(4, availableParallelism()),
+};
+
+const workerUrl = new URL('sandbox-worker.mjs', import.meta.url);
+
+/**
+ * Resolve the limits of a sandbox
+ * @param {boolean|IsolateOptions} isolate - `true` for the default limits, or the limits to change
+ * @returns {Required<IsolateOptions>} Limits
+ */
+function resolveLimits(isolate) {
+  const limits = { ...DEFAULT_LIMITS, ...(isolate === true ? {} : isolate) };
+  for (const [key, value] of Object.entries(limits)) {
+    if (typeof value !== 'number' || !(value > 0)) {
+      throw new TypeError(`isolate.${key} must be a positive number, got ${value}`);
+    }
+  }
+  return limits;
+}
+
+/**
+ * Resolve a module reference to a specifier a worker can import
+ * @param {string} target - Isolated code, for error messages
+ * @param {string|URL} module - Module exporting the code
+ * @returns {string} Module URL or package name
+ */
+function resolveModule(target, module) {
+  if (module instanceof URL) {
+    return module.href;
+  }
+  if (typeof module !== 'string' || module === '') {
+    throw new TypeError(
+      `Isolated ${target} must be given as a module reference, such as { module: new URL('adapter.mjs', import.meta.url), export: 'adapter' }`
+    );
+  }
+  if (module.startsWith('.')) {
+    throw new TypeError(
+      `Isolated ${target} module '${module}' is relative; pass new URL('${module}', import.meta.url) instead`
+    );
+  }
+  return isAbsolute(module) ? pathToFileURL(module).href : module;
+}
+
+/**
+ * Turn the byte arrays of a structured clone back into Buffers
+ * Structured cloning keeps the bytes of a Buffer but not its class.
+ * @param {unknown} value - Cloned value
+ * @returns {unknown} Value with Buffers in arrays and plain objects restored
+ */
+export function restoreBuffers(value) {
+  if (value instanceof Uint8Array) {
+    return Buffer.isBuffer(value)
+      ? value
+      : Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => restoreBuffers(item));
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, restoreBuffers(item)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Describe a thrown value so it can be posted between threads
+ * @param {unknown} error - Thrown value
+ * @returns {{name?: string, message: string, stack?: string, code?: string}} Error description
+ */
+export function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+  const serialized = { name: error.name, message: error.message, stack: error.stack };
+  if (error.code !== undefined) {
+    serialized.code = error.code;
+  }
+  return serialized;
+}
+
+/**
+ * Create a pool of workers running calls into a module
+ * Each call runs alone in a worker. A worker is reused after a call that returns or throws, and
+ * terminated after a call that times out, is aborted or makes it crash or run out of memory.
+ * @param {string} target - Isolated code, such as `adapter 'zip'`, for error messages
+ * @param {ModuleReference} reference - Module exporting the code
+ * @param {boolean|IsolateOptions} isolate - Limits
+ * @returns {{call: function(string|undefined, unknown[], AbortSignal=): Promise<unknown>}} Sandbox; `call` invokes a method of the export, or the export itself when the method is undefined
+ */
+export function createSandbox(target, reference, isolate) {
+  const limits = resolveLimits(isolate);
+  const workerData = {
+    module: resolveModule(target, reference.module),
+    exportName: reference.export ?? 'default',
+  };
+  const alive = new Set();
+  const idle = [];
+  const waiting = [];
+
+  const spawn = () => {
+    const worker = new Worker(workerUrl, {
+      workerData,
+      resourceLimits: { maxOldGenerationSizeMb: limits.maxHeapMb },
+    });
+    // Idle workers must not keep the process alive or crash it with an unhandled 'error' event
+    worker.unref();
+    worker.on('error', () => {});
+    worker.once('exit', () => {
+      alive.delete(worker);
+      if (idle.includes(worker)) {
+        idle.splice(idle.indexOf(worker), 1);
+      }
+      if (waiting.length > 0 && alive.size < limits.maxWorkers) {
+        waiting.shift().resolve(spawn());
+      }
+    });
+    alive.add(worker);
+    return worker;
+  };
+
+  const acquire = signal => {
+    if (idle.length > 0) {
+      return Promise.resolve(idle.pop());
+    }
+    if (alive.size < limits.maxWorkers) {
+      return Promise.resolve(spawn());
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiting.push(waiter);
+      signal?.addEventListener(
+        'abort',
+        () => {
+          if (waiting.includes(waiter)) {
+            waiting.splice(waiting.indexOf(waiter), 1);
+            reject(signal.reason);
+          }
+        },
+        { once: true }
+      );
+    });
+  };
+
+  const release = worker => {
+    if (waiting.length > 0) {
+      waiting.shift().resolve(worker);
+    } else {
+      idle.push(worker);
+    }
+  };
+
+  const run = (worker, method, args, signal) =>
+    new Promise((resolve, reject) => {
+      const finish = (error, result, reuse = false) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        worker.off('message', onMessage);
+        worker.off('error', onError);
+        worker.off('exit', onExit);
+        if (reuse) {
+          release(worker);
+        } else {
+          worker.terminate();
+        }
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+      const onMessage = message => {
+        if (message.ready) {
+          clearTimeout(timer);
+          timer = setTimeout(onTimeout, limits.timeoutMs);
+          return;
+        }
+        if (message.error) {
+          finish(Object.assign(new Error(message.error.message), message.error), undefined, true);
+        } else {
+          finish(undefined, restoreBuffers(message.result), true);
+        }
+      };
+      const onError = error => {
+        finish(
+          error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+            ? new ZTFSandboxError(
+                `Isolated ${target} exceeded its heap limit of ${limits.maxHeapMb}MB`,
+                { reason: 'memory', target, cause: error }
+              )
+            : new ZTFSandboxError(`Isolated ${target} crashed: ${error.message}`, {
+                reason: 'crash',
+                target,
+                cause: error,
+              })
+        );
+      };
+      const onExit = code => {
+        finish(
+          new ZTFSandboxError(`Isolated ${target} worker exited with code ${code}`, {
+            reason: 'crash',
+            target,
+          })
+        );
+      };
+      const onAbort = () => finish(signal.reason);
+      const onTimeout = () => {
+        finish(
+          new ZTFSandboxError(
+            `Isolated ${target} exceeded its time limit of ${limits.timeoutMs}ms`,
+            {
+              reason: 'timeout',
+              target,
+            }
+          )
+        );
+      };
+      let timer = setTimeout(onTimeout, limits.timeoutMs);
+
+      worker.on('message', onMessage);
+      worker.once('error', onError);
+      worker.once('exit', onExit);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      try {
+        worker.postMessage({ method, args });
+      } catch (error) {
+        finish(
+          new TypeError(
+            `Arguments of isolated ${target} cannot be passed to a worker: ${error.message}`,
+            {
+              cause: error,
+            }
+          ),
+          undefined,
+          true
+        );
+      }
+    });
+
+  return {
+    async call(method, args, signal) {
+      signal?.throwIfAborted();
+      const worker = await acquire(signal);
+      if (signal?.aborted) {
+        release(worker);
+        throw signal.reason;
+      }
+      return run(worker, method, args, signal);
+    },
+  };
+}
+
+/**
+ * Create an adapter whose parse and format calls run in worker threads
+ * The returned adapter carries the metadata of the reference, such as `binary` or `extensions`,
+ * and is abortable: aborting a call terminates its worker.
+ * @param {string} name - Format name
+ * @param {ModuleReference & Partial<import('./registry.mjs').Adapter>} reference - Module exporting the adapter, with the adapter metadata
+ * @param {boolean|IsolateOptions} isolate - Limits
+ * @returns {import('./registry.mjs').Adapter} Isolated adapter
+ */
+export function createIsolatedAdapter(name, reference, isolate) {
+  const target = `adapter '${name}'`;
+  if (
+    !reference ||
+    typeof reference.parse === 'function' ||
+    typeof reference.format === 'function'
+  ) {
+    throw new TypeError(
+      `Isolated ${target} must be given as a module reference, such as { module: new URL('adapter.mjs', import.meta.url), export: 'adapter' }`
+    );
+  }
+  if (reference.schemaAware) {
+    throw new TypeError(
+      `Isolated ${target} cannot be schemaAware: Zod schemas cannot be passed to a worker`
+    );
+  }
+
+  const { module, export: exportName, ...metadata } = reference;
+  const sandbox = createSandbox(target, { module, export: exportName }, isolate);
+  const call = (method, value, opts = {}) => {
+    const { signal, ...adapterOpts } = opts;
+    return sandbox.call(method, [value, adapterOpts], signal);
+  };
+  return {
+    ...metadata,
+    parse: (input, opts) => call('parse', input, opts),
+    format: (data, opts) => call('format', data, opts),
+    abortable: true,
+    isolated: true,
+  };
+}
+
+/**
+ * Create a transform function that runs in worker threads
+ * @param {string} name - Transform name
+ * @param {ModuleReference} reference - Module exporting the transform function
+ * @param {boolean|IsolateOptions} isolate - Limits
+ * @returns {function(unknown, unknown, Object): Promise<unknown>} Isolated transform
+ */
+export function createIsolatedTransform(name, reference, isolate) {
+  const target = `transform '${name}'`;
+  if (typeof reference === 'function') {
+    throw new TypeError(
+      `Isolated ${target} must be given as a module reference, such as { module: new URL('transforms.mjs', import.meta.url), export: 'slugify' }`
+    );
+  }
+
+  const sandbox = createSandbox(target, reference, isolate);
+  return (value, parameter, options) => sandbox.call(undefined, [value, parameter, options]);
+}
@@ -0,0 +1,654 @@
+/**
+ * Schema Compatibility - Structural comparison of Zod schema versions
+ * @fileoverview diffSchemas lists the changes between two schemas and which compatibility direction each one breaks
+ */
+
+/**
+ * @typedef {import('zod').ZodTypeAny} ZodTypeAny
+ */
+
+/**
+ * Compatibility modes, as in Confluent Schema Registry
+ * BACKWARD: the new schema accepts data valid under the previous one.
+ * FORWARD: the previous schema accepts data valid under the new one.
+ * FULL: both. TRANSITIVE variants check against every earlier version instead of the latest.
+ */
+export const CompatibilityMode = {
+  NONE: 'NONE',
+  BACKWARD: 'BACKWARD',
+  BACKWARD_TRANSITIVE: 'BACKWARD_TRANSITIVE',
+  FORWARD: 'FORWARD',
+  FORWARD_TRANSITIVE: 'FORWARD_TRANSITIVE',
+  FULL: 'FULL',
+  FULL_TRANSITIVE: 'FULL_TRANSITIVE',
+};
+
+/**
+ * Kinds of change between two schemas
+ */
+export const SchemaChangeKind = {
+  FIELD_ADDED: 'field-added',
+  FIELD_REMOVED: 'field-removed',
+  OPTIONAL_TO_REQUIRED: 'optional-to-required',
+  REQUIRED_TO_OPTIONAL: 'required-to-optional',
+  NULLABLE_REMOVED: 'nullable-removed',
+  NULLABLE_ADDED: 'nullable-added',
+  TYPE_CHANGED: 'type-changed',
+  TYPE_NARROWED: 'type-narrowed',
+  TYPE_WIDENED: 'type-widened',
+  ENUM_VALUE_REMOVED: 'enum-value-removed',
+  ENUM_VALUE_ADDED: 'enum-value-added',
+};
+
+/**
+ * A change between two schemas
+ * @typedef {Object} SchemaChange
+ * @property {string} kind - One of SchemaChangeKind
+ * @property {string} path - Dotted path of the changed value, '' for the root, with '*' standing for any array item or record value
+ * @property {string} message - Human-readable description
+ * @property {Array<'backward'|'forward'>} breaks - Compatibility directions the change breaks: 'backward' when the new schema rejects data valid under the old one, 'forward' for the reverse
+ */
+
+/**
+ * Changes between two schemas
+ * @typedef {Object} SchemaDiff
+ * @property {SchemaChange[]} changes - Changes that affect which data is valid
+ * @property {string[]} additions - Paths of fields only the new schema has
+ * @property {string[]} removals - Paths of fields only the old schema has
+ */
+
+const BACKWARD = ['backward'];
+const FORWARD = ['forward'];
+const BOTH = ['backward', 'forward'];
+
+/**
+ * Check kinds of strings that only constrain the format, compared by their parameters
+ */
+const STRING_FORMAT_PARAMETERS = {
+  regex: check => `/${check.regex.source}/${check.regex.flags}`,
+  includes: check => JSON.stringify(check.value),
+  startsWith: check => JSON.stringify(check.value),
+  endsWith: check => JSON.stringify(check.value),
+  ip: check => check.version ?? 'any',
+};
+
+const STRING_TRANSFORMS = new Set(['min', 'max', 'length', 'trim', 'toLowerCase', 'toUpperCase']);
+
+/**
+ * Directions broken by a compatibility mode
+ * @param {string} mode - One of CompatibilityMode
+ * @returns {Array<'backward'|'forward'>} Directions
+ */
+export function modeDirections(mode) {
+  if (!Object.values(CompatibilityMode).includes(mode)) {
+    throw new TypeError(
+      `Unknown compatibility mode: ${mode}. Expected one of: ${Object.values(CompatibilityMode).join(', ')}`
+    );
+  }
+  if (mode.startsWith('BACKWARD')) {
+    return BACKWARD;
+  }
+  if (mode.startsWith('FORWARD')) {
+    return FORWARD;
+  }
+  return mode.startsWith('FULL') ? BOTH : [];
+}
+
+/**
+ * Describe where a value is, for change messages
+ * @param {string[]} path - Path
+ * @returns {string} Quoted dotted path, or 'the root'
+ */
+function where(path) {
+  return path.length > 0 ? `'${path.join('.')}'` : 'the root';
+}
+
+/**
+ * Strip wrappers that do not change the accepted type, noting optionality and nullability
+ * @param {ZodTypeAny} schema - Schema
+ * @returns {{core: ZodTypeAny, optional: boolean, nullable: boolean}} Inner schema and flags
+ */
+function unwrap(schema) {
+  let core = schema;
+  let optional = false;
+  let nullable = false;
+  for (;;) {
+    const def = core._def;
+    switch (def.typeName) {
+      case 'ZodOptional':
+      case 'ZodDefault': {
+        optional = true;
+        core = def.innerType;
+        break;
+      }
+      case 'ZodNullable': {
+        nullable = true;
+        core = def.innerType;
+        break;
+      }
+      case 'ZodReadonly':
+      case 'ZodCatch': {
+        core = def.innerType;
+        break;
+      }
+      case 'ZodBranded': {
+        core = def.type;
+        break;
+      }
+      case 'ZodEffects': {
+        core = def.schema;
+        break;
+      }
+      case 'ZodPipeline': {
+        core = def.in;
+        break;
+      }
+      case 'ZodLazy': {
+        core = def.getter();
+        break;
+      }
+      default: {
+        return { core, optional, nullable };
+      }
+    }
+  }
+}
+
+/**
+ * Values of an enum, native enum or literal schema
+ * @param {ZodTypeAny} schema - Unwrapped schema
+ * @returns {unknown[]|undefined} Allowed values, or undefined for other schemas
+ */
+function allowedValues(schema) {
+  const def = schema._def;
+  switch (def.typeName) {
+    case 'ZodEnum': {
+      return def.values;
+    }
+    case 'ZodLiteral': {
+      return [def.value];
+    }
+    case 'ZodNativeEnum': {
+      // Numeric enums map their values back to their names; skip those reverse entries
+      return Object.keys(def.values)
+        .filter(key => typeof def.values[def.values[key]] !== 'number')
+        .map(key => def.values[key]);
+    }
+    default: {
+      return undefined;
+    }
+  }
+}
+
+/**
+ * Name the type of an unwrapped schema, for change messages
+ * @param {ZodTypeAny} schema - Unwrapped schema
+ * @returns {string} Type name, such as 'string', 'integer' or "literal 'a'"
+ */
+function typeLabel(schema) {
+  const def = schema._def;
+  if (def.typeName === 'ZodLiteral') {
+    return `literal ${JSON.stringify(def.value)}`;
+  }
+  if (def.typeName === 'ZodNumber' && def.checks.some(check => check.kind === 'int')) {
+    return 'integer';
+  }
+  if (def.typeName === 'ZodDiscriminatedUnion') {
+    return 'union';
+  }
+  return def.typeName
+    .replace(/^Zod/, '')
+    .replace(/^NativeEnum$/, 'Enum')
+    .toLowerCase();
+}
+
+/**
+ * Bounds of a string, number, bigint or date schema, or of an array or set size
+ * @param {Object} def - Schema definition
+ * @returns {{min?: {value: number|bigint, inclusive: boolean}, max?: {value: number|bigint, inclusive: boolean}}} Bounds
+ */
+function boundsOf(def) {
+  switch (def.typeName) {
+    case 'ZodArray': {
+      const exact = def.exactLength?.value;
+      const min = exact ?? def.minLength?.value;
+      const max = exact ?? def.maxLength?.value;
+      return {
+        min: min === undefined ? undefined : { value: min, inclusive: true },
+        max: max === undefined ? undefined : { value: max, inclusive: true },
+      };
+    }
+    case 'ZodSet': {
+      return {
+        min: def.minSize && { value: def.minSize.value, inclusive: true },
+        max: def.maxSize && { value: def.maxSize.value, inclusive: true },
+      };
+    }
+    default: {
+      const bounds = {};
+      for (const check of def.checks ?? []) {
+        const inclusive = check.inclusive ?? true;
+        if (check.kind === 'length') {
+          bounds.min = { value: check.value, inclusive: true };
+          bounds.max = { value: check.value, inclusive: true };
+        } else if (check.kind === 'min' || check.kind === 'max') {
+          bounds[check.kind] = { value: check.value, inclusive };
+        }
+      }
+      return bounds;
+    }
+  }
+}
+
+/**
+ * Whether a lower bound is tighter than another, an absent bound being the loosest
+ * @param {{value: number|bigint, inclusive: boolean}|undefined} bound - Bound
+ * @param {{value: number|bigint, inclusive: boolean}|undefined} other - Bound to compare with
+ * @param {number} sign - 1 for lower bounds, -1 for upper bounds
+ * @returns {boolean} Whether bound admits fewer values than other
+ */
+function tighter(bound, other, sign) {
+  if (!bound) {
+    return false;
+  }
+  if (!other) {
+    return true;
+  }
+  if (bound.value === other.value) {
+    return other.inclusive && !bound.inclusive;
+  }
+  return sign > 0 ? bound.value > other.value : bound.value < other.value;
+}
+
+/**
+ * Describe a bound, for change messages
+ * @param {{value: number|bigint|Date, inclusive: boolean}|undefined} bound - Bound
+ * @param {boolean} isDate - Whether the bound is a timestamp
+ * @returns {string} Description
+ */
+function describeBound(bound, isDate) {
+  if (!bound) {
+    return 'none';
+  }
+  const value = isDate ? new Date(bound.value).toISOString() : String(bound.value);
+  return bound.inclusive ? value : `${value} (exclusive)`;
+}
+
+/**
+ * Compare two schemas, collecting the changes from the old one to the new one
+ * @param {ZodTypeAny} oldSchema - Old schema
+ * @param {ZodTypeAny} newSchema - New schema
+ * @returns {SchemaDiff} Changes, additions and removals
+ */
+export function diffSchemas(oldSchema, newSchema) {
+  const changes = [];
+  const additions = [];
+  const removals = [];
+  // Pairs of schemas being compared, so recursive lazy schemas terminate
+  const comparing = new Map();
+
+  const add = (kind, path, message, breaks) => {
+    changes.push({ kind, path: path.join('.'), message, breaks });
+  };
+
+  const compareBounds = (oldDef, newDef, path, label) => {
+    const [before, after] = [boundsOf(oldDef), boundsOf(newDef)];
+    const isDate = oldDef.typeName === 'ZodDate';
+    for (const [side, sign, noun] of [
+      ['min', 1, 'minimum'],
+      ['max', -1, 'maximum'],
+    ]) {
+      const [from, to] = [describeBound(before[side], isDate), describeBound(after[side], isDate)];
+      if (tighter(after[side], before[side], sign)) {
+        add(
+          SchemaChangeKind.TYPE_NARROWED,
+          path,
+          `${label} at ${where(path)} narrowed: ${noun} changed from ${from} to ${to}`,
+          BACKWARD
+        );
+      } else if (tighter(before[side], after[side], sign)) {
+        add(
+          SchemaChangeKind.TYPE_WIDENED,
+          path,
+          `${label} at ${where(path)} widened: ${noun} changed from ${from} to ${to}`,
+          FORWARD
+        );
+      }
+    }
+  };
+
+  const compareStringFormats = (oldDef, newDef, path) => {
+    const formats = def =>
+      new Set(
+        def.checks
+          .filter(check => !STRING_TRANSFORMS.has(check.kind))
+          .map(check => {
+            const parameter = STRING_FORMAT_PARAMETERS[check.kind]?.(check);
+            return parameter === undefined ? check.kind : `${check.kind} ${parameter}`;
+          })
+      );
+    const [before, after] = [formats(oldDef), formats(newDef)];
+    for (const format of after) {
+      if (!before.has(format)) {
+        add(
+          SchemaChangeKind.TYPE_NARROWED,
+          path,
+          `string at ${where(path)} narrowed: must now match ${format}`,
+          BACKWARD
+        );
+      }
+    }
+    for (const format of before) {
+      if (!after.has(format)) {
+        add(
+          SchemaChangeKind.TYPE_WIDENED,
+          path,
+          `string at ${where(path)} widened: no longer has to match ${format}`,
+          FORWARD
+        );
+      }
+    }
+  };
+
+  const compareNumbers = (oldDef, newDef, path) => {
+    const isInteger = def => def.checks.some(check => check.kind === 'int');
+    if (isInteger(newDef) && !isInteger(oldDef)) {
+      add(
+        SchemaChangeKind.TYPE_NARROWED,
+        path,
+        `type at ${where(path)} narrowed from number to integer`,
+        BACKWARD
+      );
+    } else if (isInteger(oldDef) && !isInteger(newDef)) {
+      add(
+        SchemaChangeKind.TYPE_WIDENED,
+        path,
+        `type at ${where(path)} widened from integer to number`,
+        FORWARD
+      );
+    }
+    const step = def => def.checks.find(check => check.kind === 'multipleOf')?.value;
+    const [before, after] = [step(oldDef), step(newDef)];
+    if (before !== after) {
+      const breaks = [
+        ...(after !== undefined && (before === undefined || before % after !== 0) ? BACKWARD : []),
+        ...(before !== undefined && (after === undefined || after % before !== 0) ? FORWARD : []),
+      ];
+      add(
+        breaks.includes('backward')
+          ? SchemaChangeKind.TYPE_NARROWED
+          : SchemaChangeKind.TYPE_WIDENED,
+        path,
+        `number at ${where(path)} must be a multiple of ${after ?? 'any number'} instead of ${before ?? 'any number'}`,
+        breaks
+      );
+    }
+    compareBounds(oldDef, newDef, path, 'number');
+  };
+
+  const compareObjects = (oldDef, newDef, path) => {
+    const [before, after] = [oldDef.shape(), newDef.shape()];
+    const [oldStrict, newStrict] = [
+      oldDef.unknownKeys === 'strict',
+      newDef.unknownKeys === 'strict',
+    ];
+    for (const [key, schema] of Object.entries(before)) {
+      const fieldPath = [...path, key];
+      if (key in after) {
+        compare(schema, after[key], fieldPath);
+        continue;
+      }
+      removals.push(fieldPath.join('.'));
+      const required = !unwrap(schema).optional;
+      const breaks = [...(newStrict ? BACKWARD : []), ...(required ? FORWARD : [])];
+      if (breaks.length > 0) {
+        add(
+          SchemaChangeKind.FIELD_REMOVED,
+          fieldPath,
+          `${required ? 'required ' : ''}field ${where(fieldPath)} was removed`,
+          breaks
+        );
+      }
+    }
+    for (const [key, schema] of Object.entries(after)) {
+      if (key in before) {
+        continue;
+      }
+      const fieldPath = [...path, key];
+      additions.push(fieldPath.join('.'));
+      const required = !unwrap(schema).optional;
+      const breaks = [...(required ? BACKWARD : []), ...(oldStrict ? FORWARD : [])];
+      if (breaks.length > 0) {
+        add(
+          SchemaChangeKind.FIELD_ADDED,
+          fieldPath,
+          `${required ? 'required ' : ''}field ${where(fieldPath)} was added`,
+          breaks
+        );
+      }
+    }
+    if (newStrict && !oldStrict) {
+      add(
+        SchemaChangeKind.TYPE_NARROWED,
+        path,
+        `object at ${where(path)} narrowed: unknown keys are no longer accepted`,
+        BACKWARD
+      );
+    } else if (oldStrict && !newStrict) {
+      add(
+        SchemaChangeKind.TYPE_WIDENED,
+        path,
+        `object at ${where(path)} widened: unknown keys are now accepted`,
+        FORWARD
+      );
+    }
+  };
+
+  // Compare unions option by option: an option is covered when a counterpart accepts its data
+  const compareUnions = (oldCore, newCore, path) => {
+    const options = core =>
+      ['ZodUnion', 'ZodDiscriminatedUnion'].includes(core._def.typeName)
+        ? [...core._def.options.values()]
+        : [core];
+    const [before, after] = [options(oldCore), options(newCore)];
+    const breaksBetween = (oldOption, newOption) => {
+      const nested = diffSchemas(oldOption, newOption).changes;
+      return new Set(nested.flatMap(change => change.breaks));
+    };
+    for (const oldOption of before) {
+      if (!after.some(newOption => !breaksBetween(oldOption, newOption).has('backward'))) {
+        add(
+          SchemaChangeKind.TYPE_NARROWED,
+          path,
+          `type at ${where(path)} narrowed: ${typeLabel(unwrap(oldOption).core)} option no longer accepted`,
+          BACKWARD
+        );
+      }
+    }
+    for (const newOption of after) {
+      if (!before.some(oldOption => !breaksBetween(oldOption, newOption).has('forward'))) {
+        add(
+          SchemaChangeKind.TYPE_WIDENED,
+          path,
+          `type at ${where(path)} widened: ${typeLabel(unwrap(newOption).core)} option now accepted`,
+          FORWARD
+        );
+      }
+    }
+  };
+
+  const compareCores = (oldCore, newCore, path) => {
+    const [oldDef, newDef] = [oldCore._def, newCore._def];
+    const [oldAny, newAny] = [oldDef, newDef].map(def =>
+      ['ZodAny', 'ZodUnknown'].includes(def.typeName)
+    );
+    if (oldAny || newAny) {
+      if (oldAny !== newAny) {
+        add(
+          newAny ? SchemaChangeKind.TYPE_WIDENED : SchemaChangeKind.TYPE_NARROWED,
+          path,
+          `type at ${where(path)} ${newAny ? 'widened' : 'narrowed'} from ${typeLabel(oldCore)} to ${typeLabel(newCore)}`,
+          newAny ? FORWARD : BACKWARD
+        );
+      }
+      return;
+    }
+
+    const isUnion = def => ['ZodUnion', 'ZodDiscriminatedUnion'].includes(def.typeName);
+    if (isUnion(oldDef) || isUnion(newDef)) {
+      compareUnions(oldCore, newCore, path);
+      return;
+    }
+
+    const [oldValues, newValues] = [allowedValues(oldCore), allowedValues(newCore)];
+    if (oldValues && newValues) {
+      for (const value of oldValues.filter(item => !newValues.includes(item))) {
+        add(
+          SchemaChangeKind.ENUM_VALUE_REMOVED,
+          path,
+          `enum value ${JSON.stringify(value)} was removed at ${where(path)}`,
+          BACKWARD
+        );
+      }
+      for (const value of newValues.filter(item => !oldValues.includes(item))) {
+        add(
+          SchemaChangeKind.ENUM_VALUE_ADDED,
+          path,
+          `enum value ${JSON.stringify(value)} was added at ${where(path)}`,
+          FORWARD
+        );
+      }
+      return;
+    }
+    // An enum of strings is a narrowed string, and so on for numbers and booleans
+    const baseOf = (values, def) =>
+      values?.every(value => typeof value === typeof values[0]) &&
+      `Zod${typeof values[0]}`.toLowerCase() === def.typeName.toLowerCase();
+    if (oldValues || newValues) {
+      const narrowed = Boolean(newValues) && baseOf(newValues, oldDef);
+      const widened = Boolean(oldValues) && baseOf(oldValues, newDef);
+      if (narrowed || widened) {
+        add(
+          narrowed ? SchemaChangeKind.TYPE_NARROWED : SchemaChangeKind.TYPE_WIDENED,
+          path,
+          `type at ${where(path)} ${narrowed ? 'narrowed' : 'widened'} from ${typeLabel(oldCore)} to ${typeLabel(newCore)}`,
+          narrowed ? BACKWARD : FORWARD
+        );
+        return;
+      }
+    }
+
+    if (oldDef.typeName !== newDef.typeName) {
+      add(
+        SchemaChangeKind.TYPE_CHANGED,
+        path,
+        `type at ${where(path)} changed from ${typeLabel(oldCore)} to ${typeLabel(newCore)}`,
+        BOTH
+      );
+      return;
+    }
+
+    switch (newDef.typeName) {
+      case 'ZodObject': {
+        compareObjects(oldDef, newDef, path);
+        break;
+      }
+      case 'ZodArray': {
+        compareBounds(oldDef, newDef, path, 'array length');
+        compare(oldDef.type, newDef.type, [...path, '*']);
+        break;
+      }
+      case 'ZodSet': {
+        compareBounds(oldDef, newDef, path, 'set size');
+        compare(oldDef.valueType, newDef.valueType, [...path, '*']);
+        break;
+      }
+      case 'ZodTuple': {
+        if (oldDef.items.length === newDef.items.length) {
+          for (const [index, item] of oldDef.items.entries()) {
+            compare(item, newDef.items[index], [...path, String(index)]);
+          }
+        } else {
+          add(
+            SchemaChangeKind.TYPE_CHANGED,
+            path,
+            `tuple at ${where(path)} changed from ${oldDef.items.length} to ${newDef.items.length} items`,
+            BOTH
+          );
+        }
+        break;
+      }
+      case 'ZodRecord':
+      case 'ZodMap': {
+        compare(oldDef.keyType, newDef.keyType, [...path, '*']);
+        compare(oldDef.valueType, newDef.valueType, [...path, '*']);
+        break;
+      }
+      case 'ZodIntersection': {
+        compare(oldDef.left, newDef.left, path);
+        compare(oldDef.right, newDef.right, path);
+        break;
+      }
+      case 'ZodString': {
+        compareStringFormats(oldDef, newDef, path);
+        compareBounds(oldDef, newDef, path, 'string length');
+        break;
+      }
+      case 'ZodNumber': {
+        compareNumbers(oldDef, newDef, path);
+        break;
+      }
+      case 'ZodBigInt': {
+        compareBounds(oldDef, newDef, path, 'bigint');
+        break;
+      }
+      case 'ZodDate': {
+        compareBounds(oldDef, newDef, path, 'date');
+        break;
+      }
+      default: {
+        break;
+      }
+    }
+  };
+
+  /**
+   * Compare two schemas at a path
+   * @param {ZodTypeAny} before - Old schema
+   * @param {ZodTypeAny} after - New schema
+   * @param {string[]} path - Path of the compared value
+   */
+  function compare(before, after, path) {
+    if (comparing.get(before)?.has(after)) {
+      return;
+    }
+    comparing.set(before, (comparing.get(before) ?? new Set()).add(after));
+
+    const [from, to] = [unwrap(before), unwrap(after)];
+    const subject = path.length > 0 ? `field ${where(path)}` : 'the root value';
+    if (from.optional && !to.optional) {
+      add(
+        SchemaChangeKind.OPTIONAL_TO_REQUIRED,
+        path,
+        `${subject} changed from optional to required`,
+        BACKWARD
+      );
+    } else if (!from.optional && to.optional) {
+      add(
+        SchemaChangeKind.REQUIRED_TO_OPTIONAL,
+        path,
+        `${subject} changed from required to optional`,
+        FORWARD
+      );
+    }
+    if (from.nullable && !to.nullable) {
+      add(SchemaChangeKind.NULLABLE_REMOVED, path, `${subject} no longer accepts null`, BACKWARD);
+    } else if (!from.nullable && to.nullable) {
+      add(SchemaChangeKind.NULLABLE_ADDED, path, `${subject} now accepts null`, FORWARD);
+    }
+    compareCores(from.core, to.core, path);
+  }
+
+  compare(oldSchema, newSchema, []);
+  return { changes, additions, removals };
+}
@@ -4,7 +4,9 @@
  */
 
 import { z } from 'zod';
+import { ZTFCompatibilityError } from './errors.mjs';
 import { simpleHash } from './registry.mjs';
+import { CompatibilityMode, diffSchemas, modeDirections } from './schema-compatibility.mjs';
 
 /**
  * @typedef {import('zod').ZodSchema} ZodSchema
@@ -38,10 +40,13 @@ import { simpleHash } from './registry.mjs';
 /**
  * Schema version comparison result
  * @typedef {Object} VersionDiff
- * @property {boolean} compatible - Whether versions are backward compatible
- * @property {string[]} breakingChanges - List of breaking changes detected
- * @property {string[]} additions - New fields or properties
- * @property {string[]} removals - Removed fields or properties
+ * @property {boolean} compatible - Whether the new version satisfies the compatibility mode
+ * @property {string} mode - Compatibility mode checked, one of CompatibilityMode
+ * @property {string[]} versions - Earlier versions compared against, newest first
+ * @property {string[]} breakingChanges - Messages of the changes that break the mode
+ * @property {import('./schema-compatibility.mjs').SchemaChange[]} changes - Every change from the newest compared version
+ * @property {string[]} additions - Paths of fields added since the newest compared version
+ * @property {string[]} removals - Paths of fields removed since the newest compared version
  */
 
 /**
@@ -79,6 +84,12 @@ const tagIndex = new Map();
  */
 const dependencyGraph = new Map();
 
+/**
+ * Compatibility mode of each schema name, enforced on registration
+ * @type {Map<string, string>}
+ */
+const compatibilityModes = new Map();
+
 /**
  * Parse semver version string
  * @param {string} version - Version string (e.g., '1.2.3')
@@ -125,6 +136,50 @@ function getLatestVersion(name) {
   return [...versions.keys()].sort(compareSemver).pop();
 }
 
+/**
+ * Compare a schema with earlier versions of a subject
+ * Non-transitive modes compare against the newest of those versions only.
+ * @param {string} name - Schema name
+ * @param {ZodSchema} schema - Schema of the newer version
+ * @param {string} mode - Compatibility mode
+ * @param {string[]} earlier - Earlier versions, newest first
+ * @returns {VersionDiff} Compatibility analysis
+ */
+function compareWithEarlier(name, schema, mode, earlier) {
+  const directions = modeDirections(mode);
+  const versions = mode.endsWith('_TRANSITIVE') ? earlier : earlier.slice(0, 1);
+  const result = {
+    compatible: true,
+    mode,
+    versions,
+    breakingChanges: [],
+    changes: [],
+    additions: [],
+    removals: [],
+  };
+
+  for (const [index, version] of versions.entries()) {
+    const diff = diffSchemas(getSchema(name, version), schema);
+    if (index === 0) {
+      Object.assign(result, {
+        changes: diff.changes,
+        additions: diff.additions,
+        removals: diff.removals,
+      });
+    }
+    for (const change of diff.changes) {
+      if (change.breaks.some(direction => directions.includes(direction))) {
+        result.breakingChanges.push(
+          versions.length > 1 ? `${change.message} (since ${name}@${version})` : change.message
+        );
+      }
+    }
+  }
+
+  result.compatible = result.breakingChanges.length === 0;
+  return result;
+}
+
 /**
  * Register a new schema in the registry
  * @param {string} name - Schema name (must be unique within namespace)
@@ -138,8 +193,10 @@ function getLatestVersion(name) {
  * @param {string[]} [options.dependencies] - Referenced schema names
  * @param {string} [options.changelog] - Version changelog
  * @param {boolean} [options.published=true] - Publish immediately
+ * @param {string} [options.compatibility] - Compatibility mode to enforce, kept for later versions; defaults to the mode set for the name
  * @returns {SchemaMetadata} The registered schema metadata
  * @throws {Error} If schema validation fails or version already exists
+ * @throws {ZTFCompatibilityError} If the schema breaks the compatibility mode
  */
 export function registerSchema(name, schema, options = {}) {
   // Validate inputs
@@ -166,6 +223,12 @@ export function registerSchema(name, schema, options = {}) {
     throw new Error(`Schema ${name}@${version} already exists`);
   }
 
+  const compatibility = options.compatibility ?? getCompatibility(name);
+  const check = testCompatibility(name, schema, { mode: compatibility, version });
+  if (!check.compatible) {
+    throw new ZTFCompatibilityError(`${name}@${version}`, check);
+  }
+
   // Verify dependencies exist
   if (options.dependencies) {
     for (const dep of options.dependencies) {
@@ -195,6 +258,9 @@ export function registerSchema(name, schema, options = {}) {
 
   // Store schema entry
   versionMap.set(version, { schema, metadata });
+  if (options.compatibility) {
+    compatibilityModes.set(name, options.compatibility);
+  }
 
   // Update indexes
   if (options.namespace) {
@@ -531,9 +597,11 @@ export function getDependents(name) {
  * @param {string} name - Schema name
  * @param {string} oldVersion - Old version
  * @param {string} newVersion - New version
+ * @param {Object} [options] - Check options
+ * @param {string} [options.mode='BACKWARD'] - Compatibility mode; TRANSITIVE modes also compare against versions before oldVersion
  * @returns {VersionDiff} Compatibility analysis
  */
-export function checkCompatibility(name, oldVersion, newVersion) {
+export function checkCompatibility(name, oldVersion, newVersion, options = {}) {
   const oldEntry = getSchemaEntry(name, oldVersion);
   const newEntry = getSchemaEntry(name, newVersion);
 
@@ -541,25 +609,50 @@ export function checkCompatibility(name, oldVersion, newVersion) {
     throw new Error(`Schema versions not found: ${name}@${oldVersion} or ${name}@${newVersion}`);
   }
 
-  // Basic compatibility check using schema structure
-  // In a real implementation, this would do deep schema comparison
-  const oldHash = oldEntry.metadata.hash;
-  const newHash = newEntry.metadata.hash;
+  const earlier = listVersions(name)
+    .filter(version => compareSemver(version, oldVersion) <= 0 && version !== newVersion)
+    .reverse();
+  return compareWithEarlier(
+    name,
+    newEntry.schema,
+    options.mode ?? CompatibilityMode.BACKWARD,
+    earlier
+  );
+}
 
-  const result = {
-    compatible: oldHash === newHash,
-    breakingChanges: [],
-    additions: [],
-    removals: [],
-  };
+/**
+ * Check whether a schema could be registered as a new version without breaking compatibility
+ * @param {string} name - Schema name
+ * @param {ZodSchema} schema - Candidate schema
+ * @param {Object} [options] - Check options
+ * @param {string} [options.mode] - Compatibility mode, defaults to the mode set for the name
+ * @param {string} [options.version] - Candidate version; only versions before it are compared, defaults to all
+ * @returns {VersionDiff} Compatibility analysis, compatible when there is no earlier version
+ */
+export function testCompatibility(name, schema, options = {}) {
+  const earlier = listVersions(name)
+    .filter(version => !options.version || compareSemver(version, options.version) < 0)
+    .reverse();
+  return compareWithEarlier(name, schema, options.mode ?? getCompatibility(name), earlier);
+}
 
-  // If hashes differ, mark as potentially breaking
-  if (oldHash !== newHash) {
-    result.compatible = false;
-    result.breakingChanges.push('Schema structure has changed');
-  }
+/**
+ * Set the compatibility mode enforced when registering new versions of a schema
+ * @param {string} name - Schema name
+ * @param {string} mode - One of CompatibilityMode
+ */
+export function setCompatibility(name, mode) {
+  modeDirections(mode);
+  compatibilityModes.set(name, mode);
+}
 
-  return result;
+/**
+ * Get the compatibility mode enforced for a schema
+ * @param {string} name - Schema name
+ * @returns {string} Compatibility mode, NONE unless set
+ */
+export function getCompatibility(name) {
+  return compatibilityModes.get(name) ?? CompatibilityMode.NONE;
 }
 
 /**
@@ -691,6 +784,7 @@ export function clearRegistry(options = {}) {
     if (nsSchemas) {
       for (const name of nsSchemas) {
         schemas.delete(name);
+        compatibilityModes.delete(name);
       }
       namespaces.delete(options.namespace);
     }
@@ -699,6 +793,7 @@ export function clearRegistry(options = {}) {
     namespaces.clear();
     tagIndex.clear();
     dependencyGraph.clear();
+    compatibilityModes.clear();
   }
 }
 
@@ -754,6 +849,9 @@ export function createRegistry() {
     getDependencies,
     getDependents,
     checkCompatibility,
+    testCompatibility,
+    setCompatibility,
+    getCompatibility,
     validate: validateSchema,
     export: exportRegistry,
     import: importRegistry,
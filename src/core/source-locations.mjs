@@ -0,0 +1,337 @@
+/**
+ * Source Locations - Map validation issues back to the input text
+ * @fileoverview Position collection for text formats, code frames and located validation errors
+ */
+
+import { ZodError } from 'zod';
+
+/**
+ * A 1-based position in the input text
+ * @typedef {Object} SourcePosition
+ * @property {number} line - Line number
+ * @property {number} column - Column number
+ */
+
+/**
+ * Positions of the values in a parsed document, keyed by JSON pointer (RFC 6901)
+ * @typedef {Record<string, SourcePosition>} SourcePositions
+ */
+
+/**
+ * Location of a validation issue
+ * @typedef {Object} IssueLocation
+ * @property {number} line - Line number
+ * @property {number} column - Column number
+ * @property {string} pointer - JSON pointer of the value the position belongs to
+ * @property {boolean} exact - False when the issue path has no position and an ancestor was used
+ * @property {string} frame - Code frame highlighting the position
+ */
+
+/**
+ * Convert an issue path to a JSON pointer
+ * @param {Array<string|number>} path - Property path
+ * @returns {string} JSON pointer, e.g. `/services/3/port`
+ */
+export function toJSONPointer(path) {
+  return path
+    .map(segment => `/${String(segment).replaceAll('~', '~0').replaceAll('/', '~1')}`)
+    .join('');
+}
+
+/**
+ * Create a function mapping string offsets to line and column numbers
+ * @param {string} input - Input text
+ * @returns {function(number): SourcePosition} Offset lookup
+ */
+export function createLineIndex(input) {
+  const lineStarts = [0];
+  for (const match of input.matchAll(/\n/g)) {
+    lineStarts.push(match.index + 1);
+  }
+
+  return offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * Collect the position of every value in a JSON document
+ * The input is expected to be valid JSON, as it is only located after parsing succeeded.
+ * @param {string} input - JSON text
+ * @returns {SourcePositions} Value positions
+ */
+export function locateJSON(input) {
+  const positionAt = createLineIndex(input);
+  const positions = {};
+  let index = 0;
+
+  const skipWhitespace = () => {
+    while (index < input.length && /\s/.test(input[index])) {
+      index++;
+    }
+  };
+
+  const readString = () => {
+    const start = index;
+    index++;
+    while (index < input.length && input[index] !== '"') {
+      index += input[index] === '\\' ? 2 : 1;
+    }
+    index++;
+    return JSON.parse(input.slice(start, index));
+  };
+
+  const readValue = path => {
+    skipWhitespace();
+    positions[toJSONPointer(path)] = positionAt(index);
+
+    const char = input[index];
+    if (char === '{' || char === '[') {
+      const close = char === '{' ? '}' : ']';
+      index++;
+      skipWhitespace();
+      let count = 0;
+      while (index < input.length && input[index] !== close) {
+        if (char === '{') {
+          const key = readString();
+          skipWhitespace();
+          index++; // colon
+          readValue([...path, key]);
+        } else {
+          readValue([...path, count]);
+        }
+        count++;
+        skipWhitespace();
+        if (input[index] === ',') {
+          index++;
+          skipWhitespace();
+        }
+      }
+      index++;
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (index < input.length && !/[\s,\]}]/.test(input[index])) {
+        index++;
+      }
+    }
+  };
+
+  readValue([]);
+  return positions;
+}
+
+/**
+ * Collect the position of every record and field in CSV text
+ * Mirrors the csv-parse options the CSV adapters use: a header row unless `columns` is false or an array.
+ * @param {string} input - CSV text
+ * @param {Object} [opts] - CSV options
+ * @param {string} [opts.delimiter=','] - Field delimiter
+ * @param {string} [opts.quote='"'] - Quote character
+ * @param {boolean|string[]} [opts.columns=true] - Header handling, as in csv-parse
+ * @returns {SourcePositions} Record and field positions
+ */
+export function locateCSV(input, opts = {}) {
+  const { delimiter = ',', quote = '"', columns = true } = opts;
+  const rows = [];
+  let row = [];
+  let field = { text: '', line: 1, column: 1 };
+  let line = 1;
+  let column = 1;
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    // Skip empty lines, as the adapters parse with skip_empty_lines
+    if (row.length > 1 || row[0].text !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+    if (quoted) {
+      if (char === quote && input[index + 1] === quote) {
+        field.text += quote;
+        index++;
+        column++;
+      } else if (char === quote) {
+        quoted = false;
+      } else {
+        field.text += char;
+      }
+    } else if (char === quote && field.text === '') {
+      quoted = true;
+    } else if (input.startsWith(delimiter, index)) {
+      row.push(field);
+      index += delimiter.length - 1;
+      column += delimiter.length - 1;
+      field = { text: '', line, column: column + 1 };
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') {
+        index++;
+      }
+      endRow();
+      line++;
+      column = 1;
+      field = { text: '', line, column: 1 };
+      continue;
+    } else {
+      field.text += char;
+    }
+
+    if (char === '\n') {
+      line++;
+      column = 0;
+    }
+    column++;
+  }
+  if (field.text !== '' || row.length > 0) {
+    endRow();
+  }
+
+  let header;
+  let records = rows;
+  if (Array.isArray(columns)) {
+    header = columns.map(name => (typeof name === 'string' ? name : name?.name));
+  } else if (columns) {
+    header = rows[0]?.map(cell => cell.text) ?? [];
+    records = rows.slice(1);
+  }
+
+  const positions = {};
+  for (const [recordIndex, record] of records.entries()) {
+    positions[toJSONPointer([recordIndex])] = { line: record[0].line, column: record[0].column };
+    for (const [fieldIndex, cell] of record.entries()) {
+      const key = header ? header[fieldIndex] : fieldIndex;
+      if (key !== undefined) {
+        positions[toJSONPointer([recordIndex, key])] = { line: cell.line, column: cell.column };
+      }
+    }
+  }
+  return positions;
+}
+
+/**
+ * Render the lines around a position with a caret under the column
+ * @param {string} input - Input text
+ * @param {SourcePosition} position - Position to highlight
+ * @param {Object} [opts] - Frame options
+ * @param {number} [opts.context=2] - Lines shown before and after the highlighted line
+ * @returns {string} Code frame
+ */
+export function createCodeFrame(input, position, opts = {}) {
+  const { context = 2 } = opts;
+  const lines = input.split(/\r?\n/);
+  const start = Math.max(1, position.line - context);
+  const end = Math.min(lines.length, position.line + context);
+  const width = String(end).length;
+
+  const frame = [];
+  for (let lineNumber = start; lineNumber <= end; lineNumber++) {
+    const text = lines[lineNumber - 1];
+    const marker = lineNumber === position.line ? '>' : ' ';
+    frame.push(`${marker} ${String(lineNumber).padStart(width)} | ${text}`.trimEnd());
+    if (lineNumber === position.line) {
+      // Keep tabs so the caret lines up with the highlighted column
+      const padding = text.slice(0, position.column - 1).replaceAll(/[^\t]/g, ' ');
+      frame.push(`  ${' '.repeat(width)} | ${padding}^`);
+    }
+  }
+  return frame.join('\n');
+}
+
+/**
+ * Find the position of an issue path, falling back to the closest located ancestor
+ * @param {SourcePositions} positions - Value positions
+ * @param {Array<string|number>} path - Issue path
+ * @returns {{position: SourcePosition, pointer: string, exact: boolean} | undefined} Located position
+ */
+function findIssuePosition(positions, path) {
+  for (let length = path.length; length >= 0; length--) {
+    const pointer = toJSONPointer(path.slice(0, length));
+    if (Object.hasOwn(positions, pointer)) {
+      return { position: positions[pointer], pointer, exact: length === path.length };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Format an issue path the way it would be written in JavaScript
+ * @param {Array<string|number>} path - Issue path
+ * @returns {string} Path such as `services[3].port`
+ */
+function formatIssuePath(path) {
+  let formatted = '';
+  for (const segment of path) {
+    formatted += typeof segment === 'number' ? `[${segment}]` : `${formatted ? '.' : ''}${segment}`;
+  }
+  return formatted;
+}
+
+/**
+ * Zod validation error whose issues carry the line and column of the offending input
+ * It remains a ZodError, so existing `instanceof ZodError` checks and `issues` handling keep working.
+ */
+export class ZTFValidationError extends ZodError {
+  /**
+   * @param {ZodError} zodError - The original validation error
+   * @param {Object} context - Where the validated data came from
+   * @param {string} context.format - Input format
+   * @param {string} context.input - Input text
+   * @param {SourcePositions} [context.positions] - Value positions collected by the adapter
+   */
+  constructor(zodError, { format, input, positions = {} }) {
+    super(
+      zodError.issues.map(issue => {
+        const located = findIssuePosition(positions, issue.path);
+        if (!located) {
+          return issue;
+        }
+        return {
+          ...issue,
+          location: {
+            ...located.position,
+            pointer: located.pointer,
+            exact: located.exact,
+            frame: createCodeFrame(input, located.position),
+          },
+        };
+      })
+    );
+    // The name stays 'ZodError' so `error.name` checks written against plain Zod errors still match
+    this.format = format;
+    this.cause = zodError;
+  }
+
+  get message() {
+    const lines = [
+      `Invalid ${this.format} input: ${this.issues.length} validation ${this.issues.length === 1 ? 'issue' : 'issues'}`,
+    ];
+    for (const issue of this.issues) {
+      const path = formatIssuePath(issue.path);
+      if (issue.location) {
+        const { line, column, frame } = issue.location;
+        lines.push(
+          `line ${line}, col ${column}: ${issue.message}${path ? ` (${path})` : ''}`,
+          frame
+        );
+      } else {
+        lines.push(`${path || '(root)'}: ${issue.message}`);
+      }
+    }
+    return lines.join('\n');
+  }
+}
@@ -5,7 +5,8 @@
 
 import { Transform, pipeline, Readable, Writable } from 'node:stream';
 import { promisify } from 'node:util';
-import { createProvenance, simpleHash } from './registry.mjs';
+import { createProvenance, loadAdapter, simpleHash } from './registry.mjs';
+import { detectFormats } from './detect.mjs';
 
 const pipelineAsync = promisify(pipeline);
 
@@ -180,7 +181,7 @@ export function createValidationStream(schema, options = {}) {
 
 /**
  * Create a parsing stream for various formats
- * @param {string} format - Input format (ndjson, csv, json-stream)
+ * @param {string} format - Input format (ndjson, csv, json-stream, parquet, arrow)
  * @param {Object} options - Format-specific options
  * @returns {Transform} Transform stream that parses input
  */
@@ -195,6 +196,12 @@ export function createParseStream(format, options = {}) {
     case 'json-stream': {
       return createJSONParseStream(options);
     }
+    case 'parquet': {
+      return createBufferedBatchParseStream('parquet', 'readRowGroups', options);
+    }
+    case 'arrow': {
+      return createBufferedBatchParseStream('arrow', 'readBatches', options);
+    }
     default: {
       throw new Error(`Unsupported streaming format: ${format}`);
     }
@@ -325,6 +332,44 @@ function createJSONParseStream(options = {}) {
   });
 }
 
+/**
+ * Create a parsing stream for binary columnar formats (Parquet, Arrow)
+ * Input chunks are buffered until the input ends, then records are emitted one
+ * row group or record batch at a time through the adapter's batch reader.
+ * @param {string} format - Adapter name
+ * @param {string} readerMethod - Name of the adapter's async batch generator
+ * @param {Object} options - Read options passed to the batch reader (columns, schema)
+ * @returns {Transform} Batch parse stream
+ */
+function createBufferedBatchParseStream(format, readerMethod, options = {}) {
+  const chunks = [];
+
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      callback();
+    },
+
+    async flush(callback) {
+      try {
+        const adapter = await loadAdapter(format);
+        if (typeof adapter?.[readerMethod] !== 'function') {
+          throw new TypeError(`Adapter '${format}' does not provide batch reading`);
+        }
+        for await (const rows of adapter[readerMethod](Buffer.concat(chunks), options)) {
+          for (const row of rows) {
+            this.push(row);
+          }
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+}
+
 /**
  * Create a formatting stream for various formats
  * @param {string} format - Output format (ndjson, csv, json)
@@ -593,10 +638,12 @@ export function createProgressiveStream(schemas, options = {}) {
  * Auto-detect format from stream content
  * @param {Readable} inputStream - Input stream
  * @param {Object} options - Detection options
+ * @param {number} [options.maxSampleSize=1024] - Characters sampled from the start of the stream
+ * @param {string[]} [options.formats] - Only consider these formats
  * @returns {Promise<{format: string, stream: Readable}>} Detected format and stream
  */
 export async function autoDetectFormat(inputStream, options = {}) {
-  const { maxSampleSize = 1024 } = options;
+  const { maxSampleSize = 1024, ...detectOptions } = options;
   let sample = '';
   let detectedFormat = 'unknown';
 
@@ -612,22 +659,10 @@ export async function autoDetectFormat(inputStream, options = {}) {
       },
 
       flush(callback) {
-        // Detect format from sample
-        sample = sample.trim();
-
-        if (sample.startsWith('[') || sample.startsWith('{')) {
-          detectedFormat = 'json';
-        } else if (sample.includes('\n') && sample.split('\n').every(line => {
-          try {
-            JSON.parse(line);
-            return true;
-          } catch {
-            return false;
-          }
-        })) {
-          detectedFormat = 'ndjson';
-        } else if (sample.includes(',') && sample.split('\n').length > 1) {
-          detectedFormat = 'csv';
+        // Detect format from sample, which may end mid-document
+        const [candidate] = detectFormats(sample, { ...detectOptions, partial: true });
+        if (candidate) {
+          detectedFormat = candidate.format;
         }
 
         callback();
@@ -8,6 +8,9 @@ import { numberTransforms } from '../transforms/number.mjs';
 import { dateTransforms } from '../transforms/date.mjs';
 import { arrayTransforms } from '../transforms/array.mjs';
 import { objectTransforms } from '../transforms/object.mjs';
+import { throwIfAborted } from './abort.mjs';
+import { ZTFErrorPhase } from './errors.mjs';
+import { createIsolatedTransform } from './sandbox.mjs';
 
 /**
  * @typedef {Object} FieldMapping
@@ -119,9 +122,9 @@ function applyMappings(data, mappings) {
  * @param {any} data - Input data
  * @param {TransformRule} rule - Transform rule
  * @param {Object<string, Function>} customTransforms - Custom functions
- * @returns {any} Transformed data
+ * @returns {Promise<any>} Transformed data
  */
-function applyTransformRule(data, rule, customTransforms = {}) {
+async function applyTransformRule(data, rule, customTransforms = {}) {
   const { field, fn, value, options } = rule;
 
   // Get the transform function
@@ -134,7 +137,7 @@ function applyTransformRule(data, rule, customTransforms = {}) {
   const currentValue = getNestedValue(data, field);
 
   // Apply transform
-  const transformedValue = transformFn(currentValue, value, options);
+  const transformedValue = await transformFn(currentValue, value, options);
 
   // Set transformed value
   const result = { ...data };
@@ -174,9 +177,9 @@ function evaluateCondition(condition, data) {
  * @param {any} data - Input data
  * @param {ConditionalTransform[]} conditionals - Conditional rules
  * @param {Object<string, Function>} customTransforms - Custom functions
- * @returns {any} Transformed data
+ * @returns {Promise<any>} Transformed data
  */
-function applyConditionals(data, conditionals, customTransforms = {}) {
+async function applyConditionals(data, conditionals, customTransforms = {}) {
   let result = data;
 
   for (const conditional of conditionals) {
@@ -185,7 +188,7 @@ function applyConditionals(data, conditionals, customTransforms = {}) {
 
     if (rulesToApply) {
       for (const rule of rulesToApply) {
-        result = applyTransformRule(result, rule, customTransforms);
+        result = await applyTransformRule(result, rule, customTransforms);
       }
     }
   }
@@ -224,13 +227,18 @@ function createReverseConfig(config) {
  * Apply transform configuration to data
  * @param {any} data - Input data
  * @param {TransformConfig} config - Transform configuration
+ * @param {{signal?: AbortSignal}} [options] - Signal checked between transform steps
  * @returns {Promise<TransformResult>} Transform result
+ * @throws {import('./errors.mjs').ZTFAbortError} When the signal aborts
  */
-export async function applyTransform(data, config) {
+export async function applyTransform(data, config, options = {}) {
+  const { signal } = options;
+  const checkpoint = () => throwIfAborted(signal, { phase: ZTFErrorPhase.TRANSFORM });
   const errors = [];
   let result = data;
 
   try {
+    checkpoint();
     // Step 1: Apply field mappings
     if (config.mapping) {
       result = applyMappings(result, config.mapping);
@@ -239,8 +247,9 @@ export async function applyTransform(data, config) {
     // Step 2: Apply transforms
     if (config.transforms) {
       for (const rule of config.transforms) {
+        checkpoint();
         try {
-          result = applyTransformRule(result, rule, config.custom);
+          result = await applyTransformRule(result, rule, config.custom);
         } catch (error) {
           errors.push(`Transform '${rule.fn}' on field '${rule.field}': ${error.message}`);
         }
@@ -248,8 +257,9 @@ export async function applyTransform(data, config) {
     }
 
     // Step 3: Apply conditional transforms
+    checkpoint();
     if (config.conditionals) {
-      result = applyConditionals(result, config.conditionals, config.custom);
+      result = await applyConditionals(result, config.conditionals, config.custom);
     }
 
     // Step 4: Validate output schema
@@ -275,6 +285,10 @@ export async function applyTransform(data, config) {
       reverseConfig,
     };
   } catch (error) {
+    // Cancellation is not a transform failure
+    if (signal?.aborted) {
+      throw error;
+    }
     return {
       data: result,
       metadata: { hasErrors: true },
@@ -347,11 +361,16 @@ export function createTransformTemplate(name, config) {
 
 /**
  * Register a custom transform function
+ * With `isolate`, the function runs in worker threads with heap and time limits, and is given as
+ * the module exporting it.
  * @param {string} name - Transform function name
- * @param {Function} fn - Transform function
+ * @param {Function|import('./sandbox.mjs').ModuleReference} fn - Transform function, or with `isolate` a reference to it
+ * @param {{isolate?: boolean|import('./sandbox.mjs').IsolateOptions}} [options] - Registration options
  */
-export function registerTransform(name, fn) {
-  builtInTransforms[name] = fn;
+export function registerTransform(name, fn, options = {}) {
+  builtInTransforms[name] = options.isolate
+    ? createIsolatedTransform(name, fn, options.isolate)
+    : fn;
 }
 
 /**
@@ -0,0 +1,14 @@
+/**
+ * Lazy entry point for zod-to-from
+ * Same API as the main entry, but each adapter pack is imported on first use of one of its formats
+ */
+
+import { registerBuiltinPacks } from './packs.mjs';
+
+registerBuiltinPacks();
+
+// Export core functionality
+export * from './core/index.mjs';
+
+// Export format-specific from/to wrappers
+export * from './from-to.mjs';
@@ -0,0 +1,267 @@
+/**
+ * Built-in Packs - Formats and adapter metadata of each pack bundled with zod-to-from
+ * @fileoverview Generated by scripts/generate-packs.mjs from the adapter modules; run `pnpm generate:packs` after changing them instead of editing this file
+ */
+
+/**
+ * Built-in packs, in the order the main entry imports them
+ * Later packs take precedence for formats two packs provide, such as csv.
+ * @type {Array<{name: string, formats: string[], adapters: Record<string, Object>, load: function(): Promise<unknown>}>}
+ */
+export const builtinPacks = [
+  {
+    name: 'ztf-pack-ai',
+    formats: ['docx-ai', 'pptx-ai', 'xlsx-ai'],
+    adapters: {
+      'docx-ai': {
+        isAI: true,
+        extensions: ['docx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        binary: true,
+        parseOnly: true,
+      },
+      'pptx-ai': {
+        isAI: true,
+        extensions: ['pptx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+        binary: true,
+        parseOnly: true,
+      },
+      'xlsx-ai': {
+        isAI: true,
+        extensions: ['xlsx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+        binary: true,
+        parseOnly: true,
+      },
+    },
+    load: () => import('./adapters/ai.mjs'),
+  },
+  {
+    name: 'ztf-pack-communications',
+    formats: ['curl', 'eml', 'ics', 'msgpack', 'vcard'],
+    adapters: {
+      curl: {},
+      eml: { extensions: ['eml'], mimeTypes: ['message/rfc822'] },
+      ics: { extensions: ['ics', 'ical', 'ifb'], mimeTypes: ['text/calendar'] },
+      msgpack: {
+        supportsStreaming: true,
+        extensions: ['msgpack', 'mpk'],
+        mimeTypes: ['application/msgpack', 'application/x-msgpack'],
+        binary: true,
+        lossless: { types: ['string', 'number', 'boolean', 'null', 'date', 'object', 'array'] },
+      },
+      vcard: { extensions: ['vcf', 'vcard'], mimeTypes: ['text/vcard', 'text/x-vcard'] },
+    },
+    load: () => import('./adapters/communications.mjs'),
+  },
+  {
+    name: 'ztf-pack-data',
+    formats: ['json', 'csv', 'ndjson', 'sqlite', 'parquet', 'arrow', 'avro', 'protobuf'],
+    adapters: {
+      json: {
+        extensions: ['json'],
+        mimeTypes: ['application/json'],
+        lossless: { types: ['string', 'number', 'boolean', 'null', 'object', 'array'] },
+      },
+      csv: {
+        supportsStreaming: true,
+        extensions: ['csv', 'tsv'],
+        mimeTypes: ['text/csv', 'text/tab-separated-values'],
+        lossless: { types: ['string', 'number', 'object', 'array'], root: 'array', maxDepth: 2 },
+      },
+      ndjson: {
+        supportsStreaming: true,
+        extensions: ['ndjson', 'jsonl'],
+        mimeTypes: ['application/x-ndjson', 'application/jsonl'],
+        lossless: {
+          types: ['string', 'number', 'boolean', 'null', 'object', 'array'],
+          root: 'array',
+        },
+      },
+      sqlite: {
+        version: '1.1.0',
+        extensions: ['sqlite', 'sqlite3', 'db'],
+        mimeTypes: ['application/vnd.sqlite3', 'application/x-sqlite3'],
+        binary: true,
+        lossless: {
+          types: ['string', 'number', 'null', 'object', 'array'],
+          root: 'array',
+          maxDepth: 2,
+        },
+      },
+      parquet: {
+        version: '1.1.0',
+        supportsStreaming: true,
+        extensions: ['parquet'],
+        mimeTypes: ['application/vnd.apache.parquet'],
+        binary: true,
+      },
+      arrow: {
+        version: '1.1.0',
+        supportsStreaming: true,
+        extensions: ['arrow', 'feather'],
+        mimeTypes: ['application/vnd.apache.arrow.file'],
+        binary: true,
+      },
+      avro: {
+        version: '1.1.0',
+        extensions: ['avro'],
+        mimeTypes: ['application/avro', 'avro/binary'],
+        binary: true,
+      },
+      protobuf: {
+        version: '1.1.0',
+        extensions: ['pb', 'binpb'],
+        mimeTypes: ['application/x-protobuf', 'application/protobuf'],
+        binary: true,
+      },
+    },
+    load: () => import('./adapters/data.mjs'),
+  },
+  {
+    name: 'ztf-pack-devops',
+    formats: ['compose', 'dockerfile', 'env', 'ini', 'k8s', 'terraform-hcl', 'toml', 'yaml'],
+    adapters: {
+      compose: {
+        lossless: {
+          types: ['string', 'number', 'boolean', 'null', 'date', 'object', 'array'],
+          root: 'object',
+        },
+      },
+      dockerfile: { extensions: ['dockerfile', 'containerfile'], mimeTypes: ['text/x-dockerfile'] },
+      env: {
+        supportsStreaming: true,
+        extensions: ['env'],
+        lossless: { types: ['string', 'boolean', 'object'], root: 'object', maxDepth: 1 },
+      },
+      ini: {
+        extensions: ['ini', 'cfg', 'conf'],
+        lossless: { types: ['string', 'boolean', 'object', 'array'], root: 'object' },
+      },
+      k8s: {
+        lossless: {
+          types: ['string', 'number', 'boolean', 'null', 'date', 'object', 'array'],
+          root: 'object',
+        },
+      },
+      'terraform-hcl': { extensions: ['tf', 'hcl'], mimeTypes: ['application/hcl'] },
+      toml: {
+        extensions: ['toml'],
+        mimeTypes: ['application/toml'],
+        lossless: {
+          types: ['string', 'number', 'boolean', 'object', 'array'],
+          root: 'object',
+          maxDepth: 2,
+        },
+      },
+      yaml: {
+        extensions: ['yaml', 'yml'],
+        mimeTypes: ['application/yaml', 'application/x-yaml', 'text/yaml'],
+        lossless: { types: ['string', 'number', 'boolean', 'null', 'date', 'object', 'array'] },
+      },
+    },
+    load: () => import('./adapters/devops.mjs'),
+  },
+  {
+    name: 'ztf-pack-geo',
+    formats: ['gpx', 'kml', 'topojson', 'wkt'],
+    adapters: {
+      gpx: { extensions: ['gpx'], mimeTypes: ['application/gpx+xml'] },
+      kml: { extensions: ['kml'], mimeTypes: ['application/vnd.google-earth.kml+xml'] },
+      topojson: { extensions: ['topojson'] },
+      wkt: { extensions: ['wkt'] },
+    },
+    load: () => import('./adapters/geo.mjs'),
+  },
+  {
+    name: 'ztf-pack-graph',
+    formats: ['jsonld', 'nq', 'plantuml', 'rdfxml', 'ttl'],
+    adapters: {
+      jsonld: { extensions: ['jsonld'], mimeTypes: ['application/ld+json'] },
+      nq: { supportsStreaming: true, extensions: ['nq'], mimeTypes: ['application/n-quads'] },
+      plantuml: {
+        version: '1.1.0',
+        extensions: ['puml', 'plantuml', 'pu'],
+        mimeTypes: ['text/x-plantuml'],
+      },
+      rdfxml: {
+        version: '1.1.0',
+        supportsStreaming: true,
+        extensions: ['rdf', 'owl'],
+        mimeTypes: ['application/rdf+xml'],
+      },
+      ttl: { supportsStreaming: true, extensions: ['ttl', 'turtle'], mimeTypes: ['text/turtle'] },
+    },
+    load: () => import('./adapters/graph.mjs'),
+  },
+  {
+    name: 'ztf-pack-media',
+    formats: ['exif', 'id3', 'pdf-text', 'tar', 'zip'],
+    adapters: {
+      exif: {
+        extensions: ['jpg', 'jpeg', 'tif', 'tiff', 'heic'],
+        mimeTypes: ['image/jpeg', 'image/tiff', 'image/heic'],
+        binary: true,
+        parseOnly: true,
+      },
+      id3: { extensions: ['mp3'], mimeTypes: ['audio/mpeg'], binary: true },
+      'pdf-text': {
+        extensions: ['pdf'],
+        mimeTypes: ['application/pdf'],
+        binary: true,
+        parseOnly: true,
+      },
+      tar: {
+        supportsStreaming: true,
+        extensions: ['tar'],
+        mimeTypes: ['application/x-tar'],
+        binary: true,
+      },
+      zip: { extensions: ['zip'], mimeTypes: ['application/zip'], binary: true },
+    },
+    load: () => import('./adapters/media.mjs'),
+  },
+  {
+    name: 'ztf-pack-office',
+    formats: ['csv', 'docx-table', 'html', 'md', 'pdf-table', 'pptx-slides', 'xlsx'],
+    adapters: {
+      csv: {
+        supportsStreaming: true,
+        extensions: ['csv', 'tsv'],
+        mimeTypes: ['text/csv', 'text/tab-separated-values'],
+        lossless: {
+          types: ['string', 'number', 'object', 'array'],
+          wrapper: 'items',
+          root: 'array',
+          maxDepth: 2,
+        },
+      },
+      'docx-table': {
+        extensions: ['docx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        binary: true,
+      },
+      html: { extensions: ['html', 'htm'], mimeTypes: ['text/html'] },
+      md: { supportsStreaming: true, extensions: ['md', 'markdown'], mimeTypes: ['text/markdown'] },
+      'pdf-table': { extensions: ['pdf'], mimeTypes: ['application/pdf'], binary: true },
+      'pptx-slides': {
+        extensions: ['pptx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+        binary: true,
+      },
+      xlsx: {
+        extensions: ['xlsx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+        binary: true,
+      },
+    },
+    load: () => import('./adapters/office.mjs'),
+  },
+  {
+    name: 'ztf-pack-templating',
+    formats: ['nunjucks', 'frontmatter'],
+    adapters: { nunjucks: { version: '1.1.0', extensions: ['njk', 'nunjucks'] }, frontmatter: {} },
+    load: () => import('./adapters/templating.mjs'),
+  },
+];
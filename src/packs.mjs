@@ -0,0 +1,19 @@
+/**
+ * Built-in Packs - Lazy registration of the bundled adapter packs
+ * @fileoverview Registers each built-in pack with a loader, so a pack module is only imported on first use of one of its formats
+ */
+
+import { createPackManifest, registerPack } from './core/index.mjs';
+import { builtinPacks } from './packs.generated.mjs';
+
+export { builtinPacks } from './packs.generated.mjs';
+
+/**
+ * Register every built-in pack lazily
+ * The manifests carry each adapter's metadata, so stand-ins report it before their pack loads.
+ */
+export function registerBuiltinPacks() {
+  for (const { name, formats, adapters, load } of builtinPacks) {
+    registerPack(createPackManifest(name, formats, { adapters }), load);
+  }
+}
@@ -2,8 +2,36 @@
  * Unit tests for extended Data & Analytics adapters
  */
 
-import { describe, expect, it } from 'vitest';
-import { jsonAdapter } from '../../src/adapters/data.mjs';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable, Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import {
+  arrowAdapter,
+  avroAdapter,
+  jsonAdapter,
+  parquetAdapter,
+  protobufAdapter,
+  sqliteAdapter,
+  zodToAvroSchema,
+  zodToProto,
+  zodToSqliteDDL,
+} from '../../src/adapters/data.mjs';
+import { createParseStream } from '../../src/core/streaming.mjs';
+import {
+  fromArrow,
+  fromAvro,
+  fromParquet,
+  fromProtobuf,
+  toArrow,
+  toAvro,
+  toParquet,
+  toProtobuf,
+  toSqlite,
+} from '../../src/index.mjs';
 
 describe('Extended Data & Analytics Adapters', () => {
   describe('JSON Adapter', () => {
@@ -152,4 +180,742 @@ describe('Extended Data & Analytics Adapters', () => {
       expect(result.metadata.custom).toBe('option');
     });
   });
+
+  describe('Parquet Adapter', () => {
+    const RowSchema = z.object({
+      id: z.number().int().min(0).max(1000),
+      total: z.number().int(),
+      score: z.number(),
+      name: z.string(),
+      status: z.enum(['active', 'inactive']),
+      createdAt: z.date(),
+      tags: z.array(z.string()),
+      note: z.string().optional(),
+      manager: z.string().nullable(),
+      address: z.object({ city: z.string(), zip: z.string().optional() }).optional(),
+      lines: z.array(z.object({ sku: z.string(), qty: z.number().int() })),
+      attributes: z.record(z.string(), z.unknown()),
+      counter: z.bigint(),
+    });
+
+    const rows = [
+      {
+        id: 1,
+        total: 2 ** 40,
+        score: 1.5,
+        name: 'Alice',
+        status: 'active',
+        createdAt: new Date('2024-01-01T00:00:00Z'),
+        tags: ['admin', 'ops'],
+        manager: null,
+        address: { city: 'Paris' },
+        lines: [{ sku: 'A-1', qty: 2 }],
+        attributes: { level: 3, flags: ['x'] },
+        counter: 9_007_199_254_740_993n,
+      },
+      {
+        id: 2,
+        total: 7,
+        score: 2,
+        name: 'Bob',
+        status: 'inactive',
+        createdAt: new Date('2024-02-01T00:00:00Z'),
+        tags: [],
+        note: 'on leave',
+        manager: 'Alice',
+        lines: [],
+        attributes: {},
+        counter: 1n,
+      },
+    ];
+
+    it('should round-trip rows through toParquet and fromParquet', async () => {
+      const buffer = await toParquet(z.array(RowSchema), rows);
+
+      expect(Buffer.isBuffer(buffer)).toBe(true);
+      expect(buffer.subarray(0, 4).toString()).toBe('PAR1');
+
+      const result = await fromParquet(z.array(RowSchema), buffer);
+      expect(result).toEqual(rows);
+    });
+
+    it('should derive Parquet column types from the Zod schema', async () => {
+      const reader = await import('hyparquet');
+      const { data } = await parquetAdapter.format(rows, { schema: RowSchema });
+      const file = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+      const columns = reader.parquetSchema(reader.parquetMetadata(file)).children;
+      const elements = Object.fromEntries(columns.map(c => [c.element.name, c.element]));
+
+      expect(elements.id).toMatchObject({ type: 'INT32', repetition_type: 'REQUIRED' });
+      expect(elements.total.type).toBe('INT64');
+      expect(elements.score.type).toBe('DOUBLE');
+      expect(elements.name).toMatchObject({ type: 'BYTE_ARRAY', converted_type: 'UTF8' });
+      expect(elements.status.converted_type).toBe('ENUM');
+      expect(elements.createdAt).toMatchObject({
+        type: 'INT64',
+        converted_type: 'TIMESTAMP_MILLIS',
+      });
+      expect(elements.tags.converted_type).toBe('LIST');
+      expect(elements.note.repetition_type).toBe('OPTIONAL');
+      expect(elements.address.num_children).toBe(2);
+      expect(elements.attributes.converted_type).toBe('JSON');
+    });
+
+    it('should write row groups and compression from adapter options', async () => {
+      const { data, metadata } = await parquetAdapter.format(rows, {
+        schema: RowSchema,
+        rowGroupSize: 1,
+        compression: 'UNCOMPRESSED',
+      });
+      const result = await parquetAdapter.parse(data, { schema: RowSchema });
+
+      expect(metadata.compression).toBe('UNCOMPRESSED');
+      expect(result.metadata.rowGroupCount).toBe(2);
+      expect(result.data).toHaveLength(2);
+    });
+
+    it('should prune columns on read', async () => {
+      const { data } = await parquetAdapter.format(rows, { schema: RowSchema });
+      const result = await parquetAdapter.parse(data, { columns: ['id', 'name'] });
+
+      expect(result.data).toEqual([
+        { id: 1, name: 'Alice' },
+        { id: 2, name: 'Bob' },
+      ]);
+      expect(result.metadata.columns).toEqual(['id', 'name']);
+    });
+
+    it('should infer column types when no schema is given', async () => {
+      const { data } = await parquetAdapter.format([{ a: 1, b: 'x' }, { a: 2.5 }]);
+      const result = await parquetAdapter.parse(data);
+
+      expect(result.data).toEqual([{ a: 1, b: 'x' }, { a: 2.5 }]);
+    });
+
+    it('should stream records row group by row group', async () => {
+      const { data } = await parquetAdapter.format(rows, { schema: RowSchema, rowGroupSize: 1 });
+      const output = [];
+
+      await pipeline(
+        Readable.from([data.subarray(0, 100), data.subarray(100)]),
+        createParseStream('parquet', { columns: ['id'] }),
+        new Writable({
+          objectMode: true,
+          write(chunk, encoding, callback) {
+            output.push(chunk);
+            callback();
+          },
+        })
+      );
+
+      expect(output).toEqual([{ id: 1 }, { id: 2 }]);
+    });
+
+    it('should reject input that is not Parquet', async () => {
+      await expect(parquetAdapter.parse(Buffer.from('not parquet'))).rejects.toThrow();
+      await expect(parquetAdapter.parse(42)).rejects.toThrow(TypeError);
+    });
+  });
+
+  describe('Arrow Adapter', () => {
+    const RowSchema = z.object({
+      id: z.number().int().min(0).max(1000),
+      total: z.number().int(),
+      score: z.number(),
+      name: z.string(),
+      status: z.enum(['active', 'inactive']),
+      createdAt: z.date(),
+      tags: z.array(z.string()),
+      note: z.string().optional(),
+      manager: z.string().nullable(),
+      address: z.object({ city: z.string(), zip: z.string().optional() }).optional(),
+      attributes: z.record(z.string(), z.unknown()),
+      counter: z.bigint(),
+    });
+
+    const rows = [
+      {
+        id: 1,
+        total: 2 ** 40,
+        score: 1.5,
+        name: 'Alice',
+        status: 'active',
+        createdAt: new Date('2024-01-01T00:00:00Z'),
+        tags: ['admin', 'ops'],
+        manager: null,
+        address: { city: 'Paris' },
+        attributes: { level: 3 },
+        counter: 9_007_199_254_740_993n,
+      },
+      {
+        id: 2,
+        total: 7,
+        score: 2,
+        name: 'Bob',
+        status: 'inactive',
+        createdAt: new Date('2024-02-01T00:00:00Z'),
+        tags: [],
+        note: 'on leave',
+        manager: 'Alice',
+        attributes: {},
+        counter: 1n,
+      },
+    ];
+
+    it('should round-trip rows through the IPC file format', async () => {
+      const buffer = await toArrow(z.array(RowSchema), rows);
+
+      expect(Buffer.isBuffer(buffer)).toBe(true);
+      expect(buffer.subarray(0, 6).toString()).toBe('ARROW1');
+      expect(await fromArrow(z.array(RowSchema), buffer)).toEqual(rows);
+    });
+
+    it('should round-trip rows through the IPC stream format', async () => {
+      const buffer = await toArrow(z.array(RowSchema), rows, {
+        adapter: { ipcFormat: 'stream', batchSize: 1 },
+      });
+
+      expect(buffer.subarray(0, 6).toString()).not.toBe('ARROW1');
+      expect(await fromArrow(z.array(RowSchema), buffer)).toEqual(rows);
+    });
+
+    it('should derive the Arrow schema from the Zod schema', async () => {
+      const { data } = await arrowAdapter.format(rows, {
+        schema: RowSchema,
+        timestampUnit: 'microsecond',
+      });
+      const { metadata } = await arrowAdapter.parse(data);
+      const fields = Object.fromEntries(metadata.fields.map(field => [field.name, field]));
+
+      expect(fields.id).toEqual({ name: 'id', type: 'Int32', nullable: false });
+      expect(fields.total.type).toBe('Int64');
+      expect(fields.score.type).toBe('Float64');
+      expect(fields.status.type).toBe('Dictionary<Int32, Utf8>');
+      expect(fields.createdAt.type).toBe('Timestamp<MICROSECOND>');
+      expect(fields.tags.type).toBe('List<Utf8>');
+      expect(fields.note.nullable).toBe(true);
+      expect(fields.manager.nullable).toBe(true);
+      expect(fields.address.type).toBe('Struct<{city:Utf8, zip:Utf8}>');
+    });
+
+    it('should keep dictionary values consistent across batches', async () => {
+      const { data, metadata } = await arrowAdapter.format(rows, {
+        schema: RowSchema,
+        batchSize: 1,
+      });
+      const result = await arrowAdapter.parse(data, { schema: RowSchema });
+
+      expect(metadata.batchCount).toBe(2);
+      expect(result.data.map(row => row.status)).toEqual(['active', 'inactive']);
+    });
+
+    it('should infer fields when no schema is given', async () => {
+      const { data } = await arrowAdapter.format([
+        { a: 1, b: 'x' },
+        { a: 2.5, c: { z: 1 } },
+      ]);
+      const result = await arrowAdapter.parse(data);
+
+      expect(result.data).toEqual([
+        { a: 1, b: 'x' },
+        { a: 2.5, c: { z: 1 } },
+      ]);
+    });
+
+    it('should stream records batch by batch', async () => {
+      const { data } = await arrowAdapter.format(rows, { schema: RowSchema, batchSize: 1 });
+      const output = [];
+
+      await pipeline(
+        Readable.from([data.subarray(0, 64), data.subarray(64)]),
+        createParseStream('arrow'),
+        new Writable({
+          objectMode: true,
+          write(chunk, encoding, callback) {
+            output.push(chunk.name);
+            callback();
+          },
+        })
+      );
+
+      expect(output).toEqual(['Alice', 'Bob']);
+    });
+
+    it('should reject invalid input and options', async () => {
+      await expect(arrowAdapter.parse(Buffer.from('not arrow'))).rejects.toThrow();
+      await expect(arrowAdapter.format(rows, { ipcFormat: 'feather' })).rejects.toThrow(
+        'Unsupported Arrow IPC format'
+      );
+    });
+  });
+
+  describe('Avro Adapter', () => {
+    const EventSchema = z.object({
+      id: z.number().int().min(0).max(1000),
+      total: z.number().int(),
+      score: z.number(),
+      name: z.string(),
+      status: z.enum(['active', 'inactive']),
+      createdAt: z.date(),
+      tags: z.array(z.string()),
+      note: z.string().optional(),
+      manager: z.string().nullable(),
+      address: z.object({ city: z.string(), zip: z.string().optional() }).optional(),
+      attributes: z.record(z.string(), z.number()),
+      payload: z.union([z.string(), z.number()]),
+      counter: z.bigint(),
+    });
+
+    const events = [
+      {
+        id: 1,
+        total: 2 ** 40,
+        score: 1.5,
+        name: 'Alice',
+        status: 'active',
+        createdAt: new Date('2024-01-01T00:00:00Z'),
+        tags: ['admin', 'ops'],
+        manager: null,
+        address: { city: 'Paris' },
+        attributes: { level: 3 },
+        payload: 'text',
+        counter: 9_007_199_254_740_993n,
+      },
+      {
+        id: 2,
+        total: 7,
+        score: 2,
+        name: 'Bob',
+        status: 'inactive',
+        createdAt: new Date('2024-02-01T00:00:00Z'),
+        tags: [],
+        note: 'on leave',
+        manager: 'Alice',
+        attributes: {},
+        payload: 42,
+        counter: 1n,
+      },
+    ];
+
+    it('should round-trip records through a container file', async () => {
+      const buffer = await toAvro(z.array(EventSchema), events);
+
+      expect(Buffer.isBuffer(buffer)).toBe(true);
+      expect(buffer.subarray(0, 4).toString('latin1')).toBe('Obj\u0001');
+      expect(await fromAvro(z.array(EventSchema), buffer)).toEqual(events);
+    });
+
+    it('should read container files from an ArrayBuffer', async () => {
+      const buffer = await toAvro(z.array(EventSchema), events);
+      const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+
+      expect(await fromAvro(z.array(EventSchema), arrayBuffer)).toEqual(events);
+    });
+
+    it('should write deflate-compressed files with the generated schema', async () => {
+      const { data, metadata } = await avroAdapter.format(events, {
+        schema: EventSchema,
+        name: 'Event',
+      });
+      const result = await avroAdapter.parse(data);
+
+      expect(metadata.codec).toBe('deflate');
+      expect(result.metadata.codec).toBe('deflate');
+      expect(result.metadata.recordCount).toBe(2);
+      expect(result.metadata.writerSchema).toEqual(metadata.avroSchema);
+
+      const fields = Object.fromEntries(
+        result.metadata.writerSchema.fields.map(field => [field.name, field])
+      );
+      expect(result.metadata.writerSchema.name).toBe('Event');
+      expect(fields.id.type).toBe('int');
+      expect(fields.total.type).toBe('long');
+      expect(fields.score.type).toBe('double');
+      expect(fields.createdAt.type).toEqual({ type: 'long', logicalType: 'timestamp-millis' });
+      expect(fields.status.type).toMatchObject({ type: 'enum', symbols: ['active', 'inactive'] });
+      expect(fields.note).toMatchObject({ type: ['null', 'string'], default: null });
+      expect(fields.attributes.type).toEqual({ type: 'map', values: 'double' });
+      expect(fields.payload.type).toEqual({ type: 'string', logicalType: 'ztf-json' });
+    });
+
+    it('should support uncompressed files and custom header metadata', async () => {
+      const { data } = await avroAdapter.format(events, {
+        schema: EventSchema,
+        codec: 'null',
+        metadata: { producer: 'billing' },
+      });
+      const result = await avroAdapter.parse(data, { schema: EventSchema });
+
+      expect(result.metadata.codec).toBe('null');
+      expect(result.metadata.userMetadata).toEqual({ producer: 'billing' });
+      expect(result.data).toEqual(events);
+    });
+
+    it('should read files written with an older schema version', async () => {
+      const EventV1 = z.object({ id: z.number().int(), name: z.string() });
+      const EventV2 = EventV1.extend({
+        email: z.string().optional(),
+        priority: z.number().int().default(3),
+      });
+      const buffer = await toAvro(z.array(EventV1), [
+        { id: 1, name: 'Alice' },
+        { id: 2, name: 'Bob' },
+      ]);
+
+      expect(await fromAvro(z.array(EventV2), buffer)).toEqual([
+        { id: 1, name: 'Alice', priority: 3 },
+        { id: 2, name: 'Bob', priority: 3 },
+      ]);
+    });
+
+    it('should reject incompatible schema changes', async () => {
+      const EventV1 = z.object({ id: z.number().int(), name: z.string() });
+      const EventV2 = EventV1.extend({ email: z.string() });
+      const buffer = await toAvro(z.array(EventV1), [{ id: 1, name: 'Alice' }]);
+
+      await expect(fromAvro(z.array(EventV2), buffer)).rejects.toThrow(
+        'Avro writer schema is not compatible with the reader schema'
+      );
+    });
+
+    it('should infer a schema when none is given', async () => {
+      const { data } = await avroAdapter.format([
+        { a: 1, b: 'x' },
+        { a: 2.5, c: { z: 1 } },
+      ]);
+      const result = await avroAdapter.parse(data);
+
+      expect(result.data).toEqual([
+        { a: 1, b: 'x' },
+        { a: 2.5, c: { z: 1 } },
+      ]);
+    });
+
+    it('should expose the generated schema and reject invalid input', async () => {
+      expect(
+        zodToAvroSchema(EventSchema, { name: 'Event', namespace: 'com.example' })
+      ).toMatchObject({ type: 'record', name: 'Event', namespace: 'com.example' });
+      await expect(avroAdapter.parse(Buffer.from('not avro'))).rejects.toThrow(
+        'Invalid Avro object container file'
+      );
+    });
+  });
+
+  describe('Protobuf Adapter', () => {
+    const EventSchema = z.object({
+      id: z.number().int().min(0).max(1000),
+      total: z.number().int(),
+      score: z.number(),
+      name: z.string(),
+      status: z.enum(['active', 'inactive']),
+      createdAt: z.date(),
+      tags: z.array(z.string()),
+      note: z.string().optional(),
+      manager: z.string().nullable(),
+      address: z.object({ city: z.string(), zip: z.string().optional() }).optional(),
+      attributes: z.record(z.string(), z.number()),
+      payload: z.union([z.string(), z.number()]),
+      counter: z.bigint(),
+    });
+
+    const events = [
+      {
+        id: 1,
+        total: 2 ** 40,
+        score: 1.5,
+        name: 'Alice',
+        status: 'active',
+        createdAt: new Date('2024-01-01T00:00:00.123Z'),
+        tags: ['admin', 'ops'],
+        manager: null,
+        address: { city: 'Paris' },
+        attributes: { level: 3 },
+        payload: 'text',
+        counter: 9_007_199_254_740_993n,
+      },
+      {
+        id: 2,
+        total: 7,
+        score: 2,
+        name: 'Bob',
+        status: 'inactive',
+        createdAt: new Date('2024-02-01T00:00:00Z'),
+        tags: [],
+        note: 'on leave',
+        manager: 'Alice',
+        attributes: {},
+        payload: 42,
+        counter: 1n,
+      },
+    ];
+
+    it('should generate a proto3 definition with deterministic field numbers', () => {
+      const proto = zodToProto(EventSchema, { type: 'Event', package: 'acme' });
+
+      expect(proto).toContain('syntax = "proto3";');
+      expect(proto).toContain('package acme;');
+      expect(proto).toContain('import "google/protobuf/timestamp.proto";');
+      expect(proto).toContain('message Event {');
+      expect(proto).toContain('  int32 id = 1;');
+      expect(proto).toContain('  int64 total = 2;');
+      expect(proto).toContain('  Status status = 5;');
+      expect(proto).toContain('    STATUS_ACTIVE = 1;');
+      expect(proto).toContain('  google.protobuf.Timestamp createdAt = 6;');
+      expect(proto).toContain('  repeated string tags = 7;');
+      expect(proto).toContain('  optional string note = 8;');
+      expect(proto).toContain('  map<string, double> attributes = 11;');
+      expect(zodToProto(EventSchema, { type: 'Event', package: 'acme' })).toBe(proto);
+    });
+
+    it('should round-trip arrays as length-delimited messages', async () => {
+      const buffer = await toProtobuf(z.array(EventSchema), events);
+
+      expect(Buffer.isBuffer(buffer)).toBe(true);
+      expect(await fromProtobuf(z.array(EventSchema), buffer)).toEqual(events);
+    });
+
+    it('should round-trip a single message and record the definition used', async () => {
+      const { data, metadata } = await protobufAdapter.format(events[0], {
+        schema: EventSchema,
+        type: 'Event',
+      });
+
+      expect(metadata.type).toBe('Event');
+      expect(metadata.delimited).toBe(false);
+      expect(metadata.proto).toBe(zodToProto(EventSchema, { type: 'Event' }));
+      expect(await fromProtobuf(EventSchema, data, { adapter: { proto: metadata.proto } })).toEqual(
+        events[0]
+      );
+    });
+
+    it('should encode wire-compatible bytes from a .proto definition', async () => {
+      const proto = `
+        syntax = "proto3";
+        package shop;
+        message Order {
+          enum Kind { KIND_UNKNOWN = 0; RETAIL = 1; }
+          int64 id = 1;
+          bytes blob = 2;
+          Kind kind = 3;
+        }
+      `;
+      const OrderSchema = z.object({
+        id: z.bigint(),
+        blob: z.instanceof(Buffer),
+        kind: z.enum(['KIND_UNKNOWN', 'RETAIL']),
+      });
+      const order = { id: 5n, blob: Buffer.from('hi'), kind: 'RETAIL' };
+
+      const buffer = await toProtobuf(OrderSchema, order, {
+        adapter: { proto, type: 'shop.Order' },
+      });
+
+      expect([...buffer]).toEqual([0x08, 0x05, 0x12, 0x02, 0x68, 0x69, 0x18, 0x01]);
+      expect(await fromProtobuf(OrderSchema, buffer, { adapter: { proto } })).toEqual(order);
+    });
+
+    it('should reject invalid definitions and data', async () => {
+      await expect(
+        protobufAdapter.format({ id: 1 }, { proto: 'message {', type: 'Broken' })
+      ).rejects.toThrow('Invalid Protobuf definition');
+      await expect(
+        protobufAdapter.format(
+          { id: 1 },
+          {
+            schema: EventSchema,
+            type: 'Event',
+            proto: 'syntax = "proto3"; message Other { int32 id = 1; }',
+          }
+        )
+      ).rejects.toThrow("Protobuf message type 'Event' not found");
+      await expect(
+        protobufAdapter.parse(Buffer.from([0x0a, 0xff]), { schema: EventSchema })
+      ).rejects.toThrow('Invalid Protobuf data');
+      expect(() => zodToProto(z.object({ 'not-valid': z.string() }))).toThrow(
+        'not a valid Protobuf identifier'
+      );
+    });
+  });
+
+  describe('SQLite Adapter', () => {
+    const OrderSchema = z.object({
+      id: z.number().int().min(1),
+      customer: z.string().min(1),
+      status: z.enum(['open', 'shipped']).default('open'),
+      paid: z.boolean(),
+      placedAt: z.date(),
+      discount: z.number().max(100).optional(),
+      reference: z.bigint(),
+      address: z.object({ city: z.string() }).optional(),
+      tags: z.array(z.string()),
+      lines: z.array(
+        z.object({
+          sku: z.string(),
+          quantity: z.number().int().positive(),
+          serials: z.array(z.string()),
+        })
+      ),
+    });
+
+    const orders = [
+      {
+        id: 1,
+        customer: 'Alice',
+        status: 'open',
+        paid: true,
+        placedAt: new Date('2024-01-01T00:00:00Z'),
+        reference: 9_007_199_254_740_993n,
+        address: { city: 'Paris' },
+        tags: ['priority', 'gift'],
+        lines: [
+          { sku: 'A-1', quantity: 2, serials: ['s1', 's2'] },
+          { sku: 'B-2', quantity: 1, serials: [] },
+        ],
+      },
+      {
+        id: 2,
+        customer: 'Bob',
+        status: 'shipped',
+        paid: false,
+        placedAt: new Date('2024-02-01T00:00:00Z'),
+        discount: 10,
+        reference: 7n,
+        tags: [],
+        lines: [],
+      },
+    ];
+
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'ztf-sqlite-test-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    const query = async (filename, sql) =>
+      (await sqliteAdapter.parse(filename, { query: sql })).data;
+
+    it('should generate DDL with types, NOT NULL and CHECK constraints', () => {
+      const [orderTable, ...rest] = zodToSqliteDDL(OrderSchema, { table: 'orders' });
+
+      expect(orderTable).toContain('CREATE TABLE "orders" (');
+      expect(orderTable).toContain('"id" INTEGER NOT NULL CHECK ("id" >= 1)');
+      expect(orderTable).toContain('"customer" TEXT NOT NULL CHECK (length("customer") >= 1)');
+      expect(orderTable).toContain(
+        `"status" TEXT NOT NULL DEFAULT 'open' CHECK ("status" IN ('open', 'shipped'))`
+      );
+      expect(orderTable).toContain('"paid" INTEGER NOT NULL CHECK ("paid" IN (0, 1))');
+      expect(orderTable).toContain('"discount" REAL CHECK ("discount" <= 100)');
+      expect(orderTable).toContain('"address" TEXT CHECK (json_valid("address"))');
+      expect(orderTable).not.toContain('"tags"');
+      expect(rest.join('\n')).toContain(
+        '"_parent_rowid" INTEGER NOT NULL REFERENCES "orders_lines"("_rowid") ON DELETE CASCADE'
+      );
+    });
+
+    it('should write rows and child tables into a database file', async () => {
+      const filename = join(dir, 'orders.sqlite');
+      const { data, metadata } = await sqliteAdapter.format(orders, {
+        schema: OrderSchema,
+        table: 'orders',
+        filename,
+      });
+
+      expect(data).toBe(filename);
+      expect(metadata.tables).toEqual([
+        'orders',
+        'orders_tags',
+        'orders_lines',
+        'orders_lines_serials',
+      ]);
+      expect(
+        await query(
+          filename,
+          'SELECT id, customer, paid, placedAt, discount, CAST(reference AS TEXT) AS reference, address FROM orders ORDER BY id'
+        )
+      ).toEqual([
+        {
+          id: 1,
+          customer: 'Alice',
+          paid: 1,
+          placedAt: '2024-01-01T00:00:00.000Z',
+          discount: null,
+          reference: '9007199254740993',
+          address: '{"city":"Paris"}',
+        },
+        {
+          id: 2,
+          customer: 'Bob',
+          paid: 0,
+          placedAt: '2024-02-01T00:00:00.000Z',
+          discount: 10,
+          reference: '7',
+          address: null,
+        },
+      ]);
+      expect(
+        await query(filename, 'SELECT value FROM orders_tags ORDER BY _parent_rowid, _position')
+      ).toEqual([{ value: 'priority' }, { value: 'gift' }]);
+      expect(
+        await query(
+          filename,
+          `SELECT l.sku, s.value AS serial FROM orders_lines l
+           JOIN orders_lines_serials s ON s._parent_rowid = l._rowid
+           ORDER BY l._position, s._position`
+        )
+      ).toEqual([
+        { sku: 'A-1', serial: 's1' },
+        { sku: 'A-1', serial: 's2' },
+      ]);
+      expect(await query(filename, 'PRAGMA foreign_key_check')).toEqual([]);
+    });
+
+    it('should return a database Buffer when no filename is given', async () => {
+      const buffer = await toSqlite(z.array(OrderSchema), orders);
+
+      expect(Buffer.isBuffer(buffer)).toBe(true);
+      expect(buffer.subarray(0, 15).toString()).toBe('SQLite format 3');
+      expect((await sqliteAdapter.parse(buffer, { query: 'SELECT id FROM records' })).data).toEqual(
+        [{ id: 1 }, { id: 2 }]
+      );
+    });
+
+    it('should remove its temporary database when formatting fails', async () => {
+      const temporary = async () =>
+        (await readdir(tmpdir())).filter(
+          name => name.startsWith('ztf-sqlite-') && !name.startsWith('ztf-sqlite-test-')
+        );
+      const before = await temporary();
+
+      await expect(
+        sqliteAdapter.format([{ ...orders[0], customer: '' }], { schema: OrderSchema })
+      ).rejects.toThrow('CHECK constraint failed');
+      expect(await temporary()).toEqual(before);
+    });
+
+    it('should enforce constraints and refuse to overwrite tables', async () => {
+      const filename = join(dir, 'orders.sqlite');
+
+      await expect(
+        sqliteAdapter.format([{ ...orders[0], id: 0 }], { schema: OrderSchema, filename })
+      ).rejects.toThrow('CHECK constraint failed');
+
+      await sqliteAdapter.format(orders, { schema: OrderSchema, filename });
+      await expect(sqliteAdapter.format(orders, { schema: OrderSchema, filename })).rejects.toThrow(
+        'already exists'
+      );
+
+      await sqliteAdapter.format(orders.slice(0, 1), {
+        schema: OrderSchema,
+        filename,
+        replace: true,
+      });
+      expect(await query(filename, 'SELECT COUNT(*) AS count FROM records')).toEqual([
+        { count: 1 },
+      ]);
+    });
+  });
 });
@@ -227,36 +227,215 @@ LINESTRING(-122.4194 37.7749, -122.4094 37.7849)`;
   });
 
   describe('Format Methods', () => {
-    it('should handle GPX formatting (placeholder)', async () => {
+    it('should format GPX 1.1 that parses back to the same object', async () => {
       const testData = {
         gpx: {
           version: '1.1',
-          creator: 'Test',
-          waypoints: [],
-          routes: [],
-          tracks: [],
+          creator: 'Field Ops',
+          namespaces: { gpxtpx: 'http://www.garmin.com/xmlschemas/TrackPointExtension/v1' },
+          metadata: {
+            name: 'Survey',
+            description: 'North ridge survey',
+            author: { name: 'Ops', email: 'ops@example.com', link: 'https://example.com' },
+            time: '2024-01-01T00:00:00Z',
+          },
+          waypoints: [
+            { lat: 37.7749, lon: -122.4194, elevation: 10, name: 'Camp & <base>', symbol: 'Flag' },
+          ],
+          routes: [
+            {
+              name: 'Approach',
+              points: [
+                { lat: 37.7749, lon: -122.4194 },
+                { lat: 37.7849, lon: -122.4094, elevation: 20 },
+              ],
+            },
+          ],
+          tracks: [
+            {
+              name: 'Ridge walk',
+              type: 'hiking',
+              extensions: { color: 'red' },
+              segments: [
+                [
+                  {
+                    lat: 37.7749,
+                    lon: -122.4194,
+                    time: '2024-01-01T00:00:00Z',
+                    extensions: {
+                      'gpxtpx:TrackPointExtension': { 'gpxtpx:hr': '140', 'gpxtpx:cad': '80' },
+                    },
+                  },
+                ],
+                [{ lat: 37.7849, lon: -122.4094, elevation: 20 }],
+              ],
+            },
+          ],
         },
       };
 
-      await expect(gpxAdapter.format(testData)).rejects.toThrow(
-        'GPX formatting not yet implemented'
+      const result = await gpxAdapter.format(testData);
+
+      expect(result.data).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<gpx /);
+      expect(result.data).toContain('xmlns="http://www.topografix.com/GPX/1/1"');
+      expect(result.data).toContain('<email id="ops" domain="example.com"/>');
+      expect(result.data).toContain('<gpxtpx:hr>140</gpxtpx:hr>');
+      expect(result.metadata.trackCount).toBe(1);
+
+      const parsed = await gpxAdapter.parse(result.data);
+      expect(parsed.data).toEqual(testData);
+    });
+
+    it('should format GPX without indentation and reject invalid points', async () => {
+      const testData = { gpx: { waypoints: [{ lat: 1, lon: 2, time: new Date(0) }] } };
+
+      const result = await gpxAdapter.format(testData, { indent: 0 });
+      expect(result.data).toContain(
+        '<wpt lat="1" lon="2"><time>1970-01-01T00:00:00.000Z</time></wpt>'
       );
+
+      await expect(gpxAdapter.format({ gpx: { waypoints: [{ lat: 'north' }] } })).rejects.toThrow(
+        'lat and lon must be numbers'
+      );
+      await expect(
+        gpxAdapter.format({ gpx: { waypoints: [{ lat: 1, lon: 2, extensions: { 'x:y': '1' } }] } })
+      ).rejects.toThrow("Unknown namespace prefix 'x'");
     });
 
-    it('should handle KML formatting (placeholder)', async () => {
+    it('should format KML 2.2 that parses back to the same object', async () => {
       const testData = {
         kml: {
           version: '2.2',
+          xmlns: 'http://www.opengis.net/kml/2.2',
           document: {
-            name: 'Test',
-            placemarks: [],
+            name: 'Field sites',
+            description: 'Sites and boundaries',
+            styles: [
+              {
+                id: 'site',
+                iconStyle: { color: 'ff0000ff', scale: 1.2, href: 'http://example.com/icon.png' },
+                lineStyle: { color: 'ff00ff00', width: 2 },
+                polyStyle: { color: '7f00ff00', fill: true, outline: false },
+              },
+            ],
+            placemarks: [
+              {
+                name: 'Base',
+                styleUrl: '#site',
+                geometry: { type: 'Point', coordinates: [-122.4194, 37.7749, 10] },
+              },
+            ],
+            folders: [
+              {
+                name: 'Boundaries',
+                placemarks: [
+                  {
+                    name: 'Trail',
+                    geometry: {
+                      type: 'LineString',
+                      coordinates: [
+                        [-122.4194, 37.7749, 0],
+                        [-122.4094, 37.7849, 0],
+                      ],
+                    },
+                  },
+                  {
+                    name: 'Zone',
+                    geometry: {
+                      type: 'Polygon',
+                      coordinates: [
+                        [
+                          [0, 0, 0],
+                          [1, 0, 0],
+                          [1, 1, 0],
+                          [0, 0, 0],
+                        ],
+                        [
+                          [0.2, 0.2, 0],
+                          [0.3, 0.2, 0],
+                          [0.2, 0.3, 0],
+                          [0.2, 0.2, 0],
+                        ],
+                      ],
+                    },
+                  },
+                ],
+                folders: [
+                  {
+                    name: 'Survey points',
+                    placemarks: [
+                      {
+                        name: 'Cluster',
+                        geometry: {
+                          type: 'MultiGeometry',
+                          geometries: [
+                            { type: 'Point', coordinates: [1, 1, 0] },
+                            {
+                              type: 'LineString',
+                              coordinates: [
+                                [0, 0, 0],
+                                [1, 1, 0],
+                              ],
+                            },
+                          ],
+                        },
+                      },
+                    ],
+                  },
+                ],
+              },
+            ],
           },
         },
       };
 
-      await expect(kmlAdapter.format(testData)).rejects.toThrow(
-        'KML formatting not yet implemented'
-      );
+      const result = await kmlAdapter.format(testData);
+
+      expect(result.data).toContain('<kml xmlns="http://www.opengis.net/kml/2.2">');
+      expect(result.data).toContain('<innerBoundaryIs>');
+      expect(result.data).toContain('<MultiGeometry>');
+      expect(result.metadata.placemarkCount).toBe(4);
+
+      const parsed = await kmlAdapter.parse(result.data);
+      expect(parsed.data).toEqual(testData);
+      expect(parsed.metadata.placemarkCount).toBe(4);
+    });
+
+    it('should write GeoJSON multi-geometries as KML MultiGeometry', async () => {
+      const testData = {
+        kml: {
+          document: {
+            placemarks: [
+              {
+                name: 'Points',
+                geometry: {
+                  type: 'MultiPoint',
+                  coordinates: [
+                    [1, 2, 0],
+                    [3, 4, 0],
+                  ],
+                },
+              },
+            ],
+          },
+        },
+      };
+
+      const result = await kmlAdapter.format(testData);
+      const parsed = await kmlAdapter.parse(result.data);
+
+      expect(parsed.data.kml.document.placemarks[0].geometry).toEqual({
+        type: 'MultiGeometry',
+        geometries: [
+          { type: 'Point', coordinates: [1, 2, 0] },
+          { type: 'Point', coordinates: [3, 4, 0] },
+        ],
+      });
+      await expect(
+        kmlAdapter.format({
+          kml: { document: { placemarks: [{ geometry: { type: 'Circle', coordinates: [] } }] } },
+        })
+      ).rejects.toThrow('Unsupported KML geometry type: Circle');
     });
 
     it('should handle TopoJSON formatting', async () => {
@@ -281,6 +460,127 @@ LINESTRING(-122.4194 37.7749, -122.4094 37.7849)`;
       expect(result.metadata.format).toBe('topojson');
     });
 
+    describe('TopoJSON encoding', () => {
+      const regions = {
+        type: 'FeatureCollection',
+        features: [
+          {
+            type: 'Feature',
+            id: 'west',
+            properties: { name: 'West' },
+            geometry: {
+              type: 'Polygon',
+              coordinates: [
+                [
+                  [0, 0],
+                  [1, 0],
+                  [1, 1],
+                  [0, 1],
+                  [0, 0],
+                ],
+              ],
+            },
+          },
+          {
+            type: 'Feature',
+            id: 'east',
+            properties: { name: 'East' },
+            geometry: {
+              type: 'Polygon',
+              coordinates: [
+                [
+                  [1, 0],
+                  [2, 0],
+                  [2, 1],
+                  [1, 1],
+                  [1, 0],
+                ],
+              ],
+            },
+          },
+        ],
+      };
+
+      // Rings may start at a different vertex once they are cut at shared junctions
+      const ringPoints = ring => new Set(ring.map(point => point.join(',')));
+
+      it('should share arcs between adjacent polygons', async () => {
+        const result = await topojsonAdapter.format({
+          topology: { type: 'Topology', objects: { regions: { geometry: regions } } },
+        });
+        const topology = JSON.parse(result.data);
+        const [west, east] = topology.objects.regions.geometries;
+
+        expect(topology.type).toBe('Topology');
+        expect(topology.arcs).toHaveLength(3);
+        expect(topology.bbox).toEqual([0, 0, 2, 1]);
+        const sharedArc = west.arcs[0].find(index => east.arcs[0].includes(~index));
+        expect(sharedArc).toBeDefined();
+        expect(topology.arcs[sharedArc]).toEqual([
+          [1, 0],
+          [1, 1],
+        ]);
+        expect(result.metadata.arcCount).toBe(3);
+        expect(result.metadata.hasTransform).toBe(false);
+      });
+
+      it('should decode the exact geometries and properties', async () => {
+        const encoded = await topojsonAdapter.format({
+          topology: { type: 'Topology', objects: { regions: { geometry: regions } } },
+        });
+        const decoded = await topojsonAdapter.parse(encoded.data);
+        const features = decoded.data.topology.objects.regions.geometry.features;
+
+        expect(features.map(feature => [feature.id, feature.properties])).toEqual([
+          ['west', { name: 'West' }],
+          ['east', { name: 'East' }],
+        ]);
+        for (const [index, feature] of features.entries()) {
+          const [ring] = feature.geometry.coordinates;
+          const [originalRing] = regions.features[index].geometry.coordinates;
+          expect(ring).toHaveLength(originalRing.length);
+          expect(ring[0]).toEqual(ring.at(-1));
+          expect(ringPoints(ring)).toEqual(ringPoints(originalRing));
+        }
+
+        // Re-encoding the parsed topology keeps the same arcs
+        const reencoded = await topojsonAdapter.format(decoded.data);
+        expect(JSON.parse(reencoded.data).arcs).toEqual(JSON.parse(encoded.data).arcs);
+      });
+
+      it('should quantize and delta-encode arcs', async () => {
+        const result = await topojsonAdapter.format(
+          { topology: { type: 'Topology', objects: { regions } } },
+          { quantization: 1e4 }
+        );
+        const topology = JSON.parse(result.data);
+
+        expect(topology.transform.scale).toHaveLength(2);
+        expect(topology.transform.translate).toEqual([0, 0]);
+        expect(topology.arcs.every(arc => arc.flat().every(value => Number.isInteger(value)))).toBe(
+          true
+        );
+        expect(result.metadata.hasTransform).toBe(true);
+
+        const decoded = await topojsonAdapter.parse(result.data);
+        const [west, east] = decoded.data.topology.objects.regions.geometry.features;
+        const border = west.geometry.coordinates[0].filter(([x]) => x > 0.5);
+        for (const point of border) {
+          expect(point[0]).toBeCloseTo(1, 3);
+          expect(ringPoints(east.geometry.coordinates[0]).has(point.join(','))).toBe(true);
+        }
+      });
+
+      it('should reject invalid quantization', async () => {
+        await expect(
+          topojsonAdapter.format(
+            { topology: { type: 'Topology', objects: { regions } } },
+            { quantization: 1 }
+          )
+        ).rejects.toThrow('Invalid TopoJSON quantization');
+      });
+    });
+
     it('should handle WKT formatting', async () => {
       const testData = {
         wkt: {
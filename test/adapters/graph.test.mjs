@@ -3,12 +3,15 @@
  */
 
 import { describe, expect, it } from 'vitest';
+import { z } from 'zod';
 import {
   jsonldAdapter,
   nqAdapter,
   plantumlAdapter,
+  rdfxmlAdapter,
   ttlAdapter,
 } from '../../src/adapters/graph.mjs';
+import { convert, toPlantuml } from '../../src/index.mjs';
 
 describe('Graph & Knowledge Adapters', () => {
   describe('JSON-LD Adapter', () => {
@@ -100,11 +103,17 @@ note over Alice: This is a note
       const result = await plantumlAdapter.parse(input);
 
       expect(result.data.type).toBe('diagram');
+      expect(result.data.diagramType).toBe('sequence');
       expect(result.data.title).toBe('Test Diagram');
       expect(result.data.participants).toHaveLength(2);
       expect(result.data.participants[0].name).toBe('Alice');
       expect(result.data.relationships).toHaveLength(1);
-      expect(result.data.relationships[0]).toContain('Alice -> Bob');
+      expect(result.data.relationships[0]).toMatchObject({
+        from: 'Alice',
+        to: 'Bob',
+        arrow: '->',
+        label: 'Hello',
+      });
       expect(result.data.notes).toHaveLength(1);
       expect(result.metadata.format).toBe('plantuml');
     });
@@ -141,6 +150,387 @@ note over Alice: This is a note
     });
   });
 
+  describe('PlantUML diagram models', () => {
+    const roundTrip = async input => {
+      const parsed = await plantumlAdapter.parse(input);
+      const formatted = await plantumlAdapter.format(parsed.data);
+      const reparsed = await plantumlAdapter.parse(formatted.data);
+      return { parsed: parsed.data, formatted: formatted.data, reparsed: reparsed.data };
+    };
+
+    it('should parse sequence diagrams with boxes, notes and activation bars', async () => {
+      const input = `@startuml
+title Checkout
+actor User
+box "Backend" #LightBlue
+  participant "Order Service" as OS <<Service>>
+  database DB
+end box
+User -> OS ++ : place order
+OS -> DB : insert
+activate DB
+note right of DB : persists
+DB --> OS : ok
+deactivate DB
+OS -->> User -- : 201
+@enduml`;
+
+      const { parsed, formatted, reparsed } = await roundTrip(input);
+
+      expect(parsed.diagramType).toBe('sequence');
+      expect(parsed.packages).toEqual([{ type: 'box', name: 'Backend' }]);
+      expect(parsed.participants[1]).toEqual({
+        type: 'participant',
+        name: 'OS',
+        label: 'Order Service',
+        stereotype: 'Service',
+        parent: 'Backend',
+      });
+      expect(parsed.relationships.map(message => message.label)).toEqual([
+        'place order',
+        'insert',
+        'ok',
+        '201',
+      ]);
+      expect(parsed.activations).toEqual([
+        { participant: 'OS', action: 'activate', after: 1, inline: true },
+        { participant: 'DB', action: 'activate', after: 2 },
+        { participant: 'DB', action: 'deactivate', after: 3 },
+        { participant: 'OS', action: 'deactivate', after: 4, inline: true },
+      ]);
+      expect(parsed.notes).toEqual([
+        { position: 'right', targets: ['DB'], text: 'persists', after: 2 },
+      ]);
+
+      expect(formatted).toContain('User -> OS ++ : place order');
+      expect(formatted).toContain('box "Backend"\n  participant "Order Service" as OS <<Service>>');
+      expect({ ...reparsed, raw: undefined }).toEqual({ ...parsed, raw: undefined });
+    });
+
+    it('should parse class diagrams with packages, members and multiplicities', async () => {
+      const input = `@startuml
+package "Domain" <<Layer>> {
+  abstract class Entity {
+    #id : UUID
+    +{abstract} validate() : boolean
+  }
+  class Customer <<Aggregate>> {
+    -String name
+    +orders(limit: int) : List<Order>
+  }
+}
+Entity <|-- Customer
+Customer "1" *-- "0..*" Order : places >
+note top of Customer : aggregate root
+@enduml`;
+
+      const { parsed, formatted, reparsed } = await roundTrip(input);
+
+      expect(parsed.diagramType).toBe('class');
+      expect(parsed.packages).toEqual([{ type: 'package', name: 'Domain', stereotype: 'Layer' }]);
+      expect(parsed.elements[1]).toEqual({
+        type: 'class',
+        name: 'Customer',
+        stereotype: 'Aggregate',
+        parent: 'Domain',
+        members: [
+          { name: 'name', visibility: '-', type: 'String' },
+          { name: 'orders', visibility: '+', type: 'List<Order>', parameters: 'limit: int' },
+        ],
+      });
+      expect(parsed.elements[0].members[1]).toMatchObject({ modifier: 'abstract' });
+      expect(parsed.relationships[1]).toEqual({
+        from: 'Customer',
+        to: 'Order',
+        arrow: '*--',
+        label: 'places >',
+        fromMultiplicity: '1',
+        toMultiplicity: '0..*',
+      });
+      expect(parsed.notes[0]).toEqual({
+        position: 'top',
+        targets: ['Customer'],
+        text: 'aggregate root',
+      });
+
+      expect(formatted).toContain('Customer "1" *-- "0..*" Order : places >');
+      expect({ ...reparsed, raw: undefined }).toEqual({ ...parsed, raw: undefined });
+    });
+
+    it('should parse component diagrams', async () => {
+      const input = `@startuml
+[API Gateway] as gw <<Edge>>
+node "Cluster" {
+  component Orders
+  database "Orders DB" as odb
+}
+() HTTP
+gw --> Orders : routes
+Orders ..> odb
+gw - HTTP
+@enduml`;
+
+      const { parsed, reparsed } = await roundTrip(input);
+
+      expect(parsed.diagramType).toBe('component');
+      expect(parsed.elements).toEqual([
+        { type: 'component', name: 'gw', label: 'API Gateway', stereotype: 'Edge' },
+        { type: 'component', name: 'Orders', parent: 'Cluster' },
+        { type: 'database', name: 'odb', label: 'Orders DB', parent: 'Cluster' },
+        { type: 'interface', name: 'HTTP' },
+      ]);
+      expect(parsed.packages).toEqual([{ type: 'node', name: 'Cluster' }]);
+      expect(parsed.relationships.map(({ arrow }) => arrow)).toEqual(['-->', '..>', '-']);
+      expect({ ...reparsed, raw: undefined }).toEqual({ ...parsed, raw: undefined });
+    });
+
+    it('should keep transitions inside composite states', async () => {
+      const input = `@startuml
+[*] --> Idle
+state Idle : waiting for input
+state Active {
+  [*] --> Running
+  Running --> Paused : pause
+}
+Idle --> Active : start
+@enduml`;
+
+      const { parsed, formatted } = await roundTrip(input);
+
+      expect(parsed.diagramType).toBe('state');
+      expect(parsed.elements[0]).toEqual({
+        type: 'state',
+        name: 'Idle',
+        descriptions: ['waiting for input'],
+      });
+      expect(parsed.relationships[1]).toEqual({
+        from: '[*]',
+        to: 'Running',
+        arrow: '-->',
+        parent: 'Active',
+      });
+      expect(formatted).toContain(
+        'state Active {\n  [*] --> Running\n  Running --> Paused : pause\n}'
+      );
+    });
+
+    it('should report unclosed blocks with their line', async () => {
+      await expect(
+        plantumlAdapter.parse('@startuml\npackage Domain {\nclass A\n@enduml')
+      ).rejects.toThrow("Invalid PlantUML: unclosed 'Domain' block started on line 2");
+      await expect(plantumlAdapter.parse('@startuml\n}\n@enduml')).rejects.toThrow(
+        "unexpected '}' on line 2"
+      );
+    });
+
+    it('should generate diagrams from a Zod-validated service catalog', async () => {
+      const ServiceCatalogSchema = z.object({
+        diagramType: z.literal('component'),
+        title: z.string(),
+        packages: z.array(z.object({ type: z.string(), name: z.string() })),
+        elements: z.array(
+          z.object({
+            type: z.enum(['component', 'database', 'queue']),
+            name: z.string().regex(/^\w+$/),
+            label: z.string().optional(),
+            stereotype: z.string().optional(),
+            parent: z.string().optional(),
+          })
+        ),
+        relationships: z.array(
+          z.object({
+            from: z.string(),
+            to: z.string(),
+            arrow: z.string(),
+            label: z.string().optional(),
+          })
+        ),
+      });
+
+      const source = await toPlantuml(ServiceCatalogSchema, {
+        diagramType: 'component',
+        title: 'Service Catalog',
+        packages: [{ type: 'cloud', name: 'Payments' }],
+        elements: [
+          { type: 'component', name: 'checkout', label: 'Checkout API', stereotype: 'REST' },
+          { type: 'component', name: 'ledger', label: 'Ledger', parent: 'Payments' },
+          { type: 'database', name: 'ledgerdb', label: 'Ledger DB', parent: 'Payments' },
+        ],
+        relationships: [
+          { from: 'checkout', to: 'ledger', arrow: '-->', label: 'charges' },
+          { from: 'ledger', to: 'ledgerdb', arrow: '..>' },
+        ],
+      });
+
+      expect(source).toBe(`@startuml
+title Service Catalog
+component "Checkout API" as checkout <<REST>>
+cloud Payments {
+  component "Ledger" as ledger
+  database "Ledger DB" as ledgerdb
+}
+checkout --> ledger : charges
+ledger ..> ledgerdb
+@enduml`);
+
+      await expect(
+        plantumlAdapter.format({
+          diagramType: 'class',
+          relationships: [{ from: 'A', to: 'B', arrow: '=>' }],
+        })
+      ).rejects.toThrow("Invalid PlantUML arrow '=>'");
+    });
+  });
+
+  describe('RDF/XML Adapter', () => {
+    const FOAF = 'http://xmlns.com/foaf/0.1/';
+    const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+    const input = `<?xml version="1.0"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"
+         xmlns:foaf="http://xmlns.com/foaf/0.1/"
+         xml:base="http://example.org/">
+  <foaf:Person rdf:about="alice">
+    <foaf:name>Alice &amp; Co</foaf:name>
+    <foaf:knows>
+      <foaf:Person>
+        <foaf:name>Bob</foaf:name>
+      </foaf:Person>
+    </foaf:knows>
+  </foaf:Person>
+</rdf:RDF>`;
+
+    it('should parse RDF/XML into quads', async () => {
+      const result = await rdfxmlAdapter.parse(input);
+
+      expect(result.data).toHaveLength(5);
+      expect(result.data[0]).toEqual({
+        subject: 'http://example.org/alice',
+        predicate: RDF_TYPE,
+        object: `${FOAF}Person`,
+        graph: '',
+      });
+      expect(result.data).toContainEqual(
+        expect.objectContaining({ predicate: `${FOAF}name`, object: 'Alice & Co' })
+      );
+
+      const knows = result.data.find(quad => quad.predicate === `${FOAF}knows`);
+      expect(knows.object).toMatch(/^_:/);
+      expect(result.data).toContainEqual(
+        expect.objectContaining({ subject: knows.object, object: 'Bob' })
+      );
+      expect(result.metadata.format).toBe('rdfxml');
+      expect(result.metadata.quadCount).toBe(5);
+    });
+
+    it('should format quads with namespace prefixes', async () => {
+      const data = [
+        { subject: 'http://example.org/alice', predicate: RDF_TYPE, object: `${FOAF}Person` },
+        { subject: 'http://example.org/alice', predicate: `${FOAF}name`, object: 'Alice <A&C>' },
+        { subject: 'http://example.org/alice', predicate: `${FOAF}knows`, object: '_:bob' },
+        { subject: '_:bob', predicate: 'http://example.org/terms#nick', object: 'bobby' },
+      ];
+
+      const result = await rdfxmlAdapter.format(data, { prefixes: { foaf: FOAF } });
+
+      expect(result.data).toContain('xmlns:foaf="http://xmlns.com/foaf/0.1/"');
+      expect(result.data).toContain('xmlns:ns0="http://example.org/terms#"');
+      expect(result.data).toContain('<foaf:name>Alice &lt;A&amp;C&gt;</foaf:name>');
+      expect(result.data).toContain('<foaf:knows rdf:nodeID="bob"/>');
+      expect(result.data).toContain('<rdf:Description rdf:nodeID="bob">');
+      expect(result.metadata.subjectCount).toBe(2);
+      expect(result.metadata.namespaces).toEqual({
+        rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+        foaf: FOAF,
+        ns0: 'http://example.org/terms#',
+      });
+
+      const parsed = await rdfxmlAdapter.parse(result.data);
+      expect(
+        parsed.data.map(({ subject, predicate, object }) => [subject, predicate, object])
+      ).toEqual(data.map(({ subject, predicate, object }) => [subject, predicate, object]));
+    });
+
+    it('should round-trip literal datatypes and language tags', async () => {
+      const XSD = 'http://www.w3.org/2001/XMLSchema#';
+      const data = [
+        {
+          subject: 'http://example.org/alice',
+          predicate: `${FOAF}age`,
+          object: '42',
+          datatype: `${XSD}integer`,
+        },
+        {
+          subject: 'http://example.org/alice',
+          predicate: `${FOAF}nick`,
+          object: 'Ali',
+          language: 'fr',
+        },
+        {
+          subject: 'http://example.org/alice',
+          predicate: `${FOAF}homepage`,
+          object: 'http://example.org/~alice',
+          datatype: `${XSD}anyURI`,
+        },
+      ];
+
+      const result = await rdfxmlAdapter.format(data, { prefixes: { foaf: FOAF } });
+
+      expect(result.data).toContain(`<foaf:age rdf:datatype="${XSD}integer">42</foaf:age>`);
+      expect(result.data).toContain('<foaf:nick xml:lang="fr">Ali</foaf:nick>');
+      expect(result.data).toContain(
+        `<foaf:homepage rdf:datatype="${XSD}anyURI">http://example.org/~alice</foaf:homepage>`
+      );
+
+      const parsed = await rdfxmlAdapter.parse(result.data);
+      expect(parsed.data.map(({ graph, ...quad }) => quad)).toEqual(data);
+    });
+
+    it('should reject quads in named graphs', async () => {
+      const data = [
+        {
+          subject: 'http://example.org/a',
+          predicate: `${FOAF}name`,
+          object: 'A',
+          graph: 'http://example.org/g',
+        },
+      ];
+
+      await expect(rdfxmlAdapter.format(data)).rejects.toThrow(
+        'RDF/XML cannot represent named graphs; the statement about http://example.org/a is in graph http://example.org/g'
+      );
+    });
+
+    it('should reject predicates that cannot be written as property names', async () => {
+      const data = [
+        { subject: 'http://example.org/a', predicate: 'http://example.org/1', object: 'x' },
+      ];
+
+      await expect(rdfxmlAdapter.format(data)).rejects.toThrow(
+        "Predicate 'http://example.org/1' cannot be written as an RDF/XML property name"
+      );
+    });
+
+    it('should handle invalid RDF/XML', async () => {
+      await expect(rdfxmlAdapter.parse('not xml')).rejects.toThrow('Invalid RDF/XML');
+    });
+
+    it('should convert RDF/XML to Turtle', async () => {
+      const QuadsSchema = z.array(
+        z.object({
+          subject: z.string(),
+          predicate: z.string(),
+          object: z.string(),
+          graph: z.string().optional(),
+        })
+      );
+
+      const turtle = await convert(QuadsSchema, { from: 'rdfxml', to: 'ttl' }, input);
+
+      expect(turtle).toContain('<http://example.org/alice> a <http://xmlns.com/foaf/0.1/Person>');
+      expect(turtle).toContain('"Alice & Co"');
+    });
+  });
+
   describe('Turtle Adapter', () => {
     it('should parse Turtle content', async () => {
       const input = `
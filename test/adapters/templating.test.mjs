@@ -3,9 +3,108 @@
  */
 
 import { describe, expect, it } from 'vitest';
-import { frontmatterAdapter } from '../../src/adapters/templating.mjs';
+import { z } from 'zod';
+import {
+  analyzeNunjucksTemplate,
+  frontmatterAdapter,
+  nunjucksAdapter,
+} from '../../src/adapters/templating.mjs';
+import { toNunjucks } from '../../src/index.mjs';
 
 describe('Templating Adapters', () => {
+  describe('Nunjucks Adapter', () => {
+    const OrderSchema = z.object({
+      customer: z.object({ name: z.string(), email: z.string().optional() }),
+      items: z.array(z.object({ title: z.string(), price: z.number() })),
+    });
+
+    const order = {
+      customer: { name: 'Ada' },
+      items: [
+        { title: 'Pen', price: 1.5 },
+        { title: 'Ink', price: 3 },
+      ],
+    };
+
+    it('should render a template against validated data', async () => {
+      const template = `Order for {{ customer.name }}
+{% for item in items %}{{ loop.index }}. {{ item.title }}: {{ item.price | fixed }}
+{% endfor %}`;
+
+      const result = await toNunjucks(OrderSchema, order, {
+        adapter: { template, filters: { fixed: value => value.toFixed(2) } },
+      });
+
+      expect(result).toBe('Order for Ada\n1. Pen: 1.50\n2. Ink: 3.00\n');
+    });
+
+    it('should still render templates passed with their context', async () => {
+      const result = await nunjucksAdapter.format({
+        template: 'Hello {{ name }}',
+        context: { name: '<b>Ada</b>' },
+      });
+
+      expect(result.data).toBe('Hello &lt;b&gt;Ada&lt;/b&gt;');
+      expect(result.metadata.contextKeys).toEqual(['name']);
+    });
+
+    it('should report variables the schema does not define', async () => {
+      const template = `{{ customer.name }} <{{ customer.emial }}>
+{% set first = items[0] %}{{ first.title }}
+{% for item in items %}{{ item.sku }}{% endfor %}
+{% macro badge(label, tone='info') %}{{ label }}/{{ tone }}{% endmacro %}{{ badge(customer.name) }}`;
+
+      const analysis = await analyzeNunjucksTemplate(template, { schema: OrderSchema });
+
+      expect(analysis.variables.map(variable => variable.path)).toEqual([
+        'customer.name',
+        'customer.emial',
+        'items[]',
+        'items[].title',
+        'items',
+        'items[].sku',
+      ]);
+      expect(analysis.undefinedVariables).toEqual([
+        { path: 'customer.emial', expression: 'customer.emial', line: 1, column: 25 },
+        { path: 'items[].sku', expression: 'item.sku', line: 3, column: 27 },
+      ]);
+
+      const result = await nunjucksAdapter.format(order, { template, schema: OrderSchema });
+      expect(result.metadata.undefinedVariables).toEqual(['customer.emial', 'items[].sku']);
+    });
+
+    it('should reject template drift in strict mode', async () => {
+      await expect(
+        toNunjucks(OrderSchema, order, {
+          adapter: { template: 'Hi {{ customer.nickname }}', strict: true },
+        })
+      ).rejects.toThrow(
+        'template uses variables the schema does not define: customer.nickname (line 1)'
+      );
+    });
+
+    it('should analyze templates when parsing', async () => {
+      const template = '{% if customer.email %}{{ customer.email | lower }}{% endif %}{{ total }}';
+
+      const result = await nunjucksAdapter.parse(template, { contextSchema: OrderSchema });
+
+      expect(result.data.variables.map(variable => variable.path)).toEqual([
+        'customer.email',
+        'total',
+      ]);
+      expect(result.data.undefinedVariables.map(variable => variable.path)).toEqual(['total']);
+      expect(result.data.blocks).toEqual([{ type: 'if', line: 1 }]);
+      expect(result.data.metadata.hasFilters).toBe(true);
+      expect(result.metadata.format).toBe('nunjucks');
+    });
+
+    it('should handle invalid templates', async () => {
+      await expect(nunjucksAdapter.parse('{% for x in %}')).rejects.toThrow(
+        'Nunjucks parsing failed'
+      );
+    });
+  });
+
   describe('Frontmatter Adapter', () => {
     it('should parse frontmatter content', async () => {
       const input = `---
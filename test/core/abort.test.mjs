@@ -0,0 +1,271 @@
+/**
+ * Cancellation Tests - AbortSignal and timeouts
+ * @fileoverview Tests for the signal and timeoutMs options of the core API, pipelines and batches
+ */
+
+import { describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import {
+  ZTFAbortError,
+  convert,
+  formatTo,
+  formatToStream,
+  parseFrom,
+  registerAdapter,
+  safeConvert,
+} from '../setup.mjs';
+import { createPipeline } from '../../src/core/index.mjs';
+import { createBatchParser } from '../../src/core/batch.mjs';
+
+const Schema = z.object({ value: z.number() });
+
+/**
+ * Resolve after a delay
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>} Resolves after the delay
+ */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+registerAdapter('slow-test', {
+  async parse(input) {
+    await sleep(Number(input));
+    return { data: { value: Number(input) } };
+  },
+  async format(data) {
+    await sleep(data.value);
+    return { data: String(data.value) };
+  },
+});
+
+let receivedSignal;
+registerAdapter('abortable-test', {
+  async parse(input, opts = {}) {
+    receivedSignal = opts.signal;
+    return { data: { value: Number(input) } };
+  },
+  async format(data) {
+    return { data: String(data.value) };
+  },
+  abortable: true,
+});
+
+describe('Cancellation', () => {
+  describe('core API', () => {
+    it('should reject with a typed AbortError when the signal aborts', async () => {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(new Error('client disconnected')), 10);
+
+      const error = await parseFrom(Schema, 'slow-test', '500', {
+        signal: controller.signal,
+      }).catch(error_ => error_);
+
+      expect(error).toBeInstanceOf(ZTFAbortError);
+      expect(error).toMatchObject({
+        name: 'AbortError',
+        code: 'ABORT_ERR',
+        phase: 'adapter-parse',
+        adapter: 'slow-test',
+        timedOut: false,
+        message: 'Operation aborted during adapter-parse: client disconnected',
+      });
+      expect(error.cause).toBeInstanceOf(Error);
+    });
+
+    it('should time out with timeoutMs', async () => {
+      const error = await formatTo(Schema, 'slow-test', { value: 500 }, { timeoutMs: 10 }).catch(
+        error_ => error_
+      );
+
+      expect(error).toBeInstanceOf(ZTFAbortError);
+      expect(error.timedOut).toBe(true);
+      expect(error.message).toBe('Operation timed out during adapter-format');
+    });
+
+    it('should mark the provenance as aborted', async () => {
+      const error = await parseFrom(Schema, 'slow-test', '500', { timeoutMs: 10 }).catch(
+        error_ => error_
+      );
+
+      expect(error.provenance).toMatchObject({
+        adapter: 'slow-test',
+        aborted: true,
+        abortedPhase: 'adapter-parse',
+        abortReason: 'Operation timed out during adapter-parse',
+      });
+    });
+
+    it('should not start work for an already aborted signal', async () => {
+      let started = false;
+      registerAdapter('tracking-test', {
+        async parse(input) {
+          started = true;
+          return { data: { value: Number(input) } };
+        },
+      });
+
+      await expect(
+        parseFrom(Schema, 'tracking-test', '1', { signal: AbortSignal.abort() })
+      ).rejects.toThrow(ZTFAbortError);
+      expect(started).toBe(false);
+    });
+
+    it('should complete when the operation finishes in time', async () => {
+      await expect(parseFrom(Schema, 'slow-test', '1', { timeoutMs: 1000 })).resolves.toEqual({
+        value: 1,
+      });
+    });
+
+    it('should pass the signal to abortable adapters only', async () => {
+      const controller = new AbortController();
+      await parseFrom(Schema, 'abortable-test', '1', { signal: controller.signal });
+
+      expect(receivedSignal).toBe(controller.signal);
+    });
+
+    it('should return the AbortError from the safe API', async () => {
+      const result = await safeConvert(Schema, { from: 'json', to: 'slow-test' }, '{"value":500}', {
+        timeoutMs: 10,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBeInstanceOf(ZTFAbortError);
+      expect(result.error.toJSON()).toMatchObject({
+        name: 'AbortError',
+        phase: 'adapter-format',
+        adapter: 'slow-test',
+        timedOut: true,
+      });
+    });
+
+    it('should cancel transforms between rules', async () => {
+      const controller = new AbortController();
+      const transform = {
+        transforms: [
+          { field: 'value', fn: 'abortNow' },
+          { field: 'value', fn: 'double' },
+        ],
+        custom: {
+          abortNow: value => {
+            controller.abort();
+            return value;
+          },
+          double: value => value * 2,
+        },
+      };
+
+      const error = await convert(Schema, { from: 'json', to: 'json' }, '{"value":1}', {
+        transform,
+        signal: controller.signal,
+      }).catch(error_ => error_);
+
+      expect(error).toBeInstanceOf(ZTFAbortError);
+      expect(error.phase).toBe('transform');
+    });
+
+    it('should stop formatToStream between chunks', async () => {
+      const controller = new AbortController();
+      const Rows = z.array(z.object({ id: z.number() }));
+      const rows = Array.from({ length: 4 }, (_, id) => ({ id }));
+      const chunks = [];
+
+      const write = async () => {
+        for await (const chunk of formatToStream(Rows, 'ndjson', rows, {
+          adapter: { batchSize: 1 },
+          signal: controller.signal,
+        })) {
+          chunks.push(chunk);
+          controller.abort();
+        }
+      };
+
+      await expect(write()).rejects.toThrow(ZTFAbortError);
+      expect(chunks).toHaveLength(1);
+    });
+
+    it('should reject invalid timeouts', async () => {
+      await expect(parseFrom(Schema, 'json', '{"value":1}', { timeoutMs: -1 })).rejects.toThrow(
+        'timeoutMs must be a non-negative number, got -1'
+      );
+    });
+  });
+
+  describe('pipelines', () => {
+    it('should abort between and during steps', async () => {
+      const controller = new AbortController();
+      const steps = [];
+      const pipeline = createPipeline()
+        .transform(data => {
+          steps.push('first');
+          return data;
+        })
+        .transform(async (data, { signal }) => {
+          steps.push('second');
+          expect(signal).toBeInstanceOf(AbortSignal);
+          setTimeout(() => controller.abort(), 5);
+          await sleep(200);
+          return data;
+        })
+        .transform(data => {
+          steps.push('third');
+          return data;
+        });
+
+      const error = await pipeline
+        .execute({}, { signal: controller.signal })
+        .catch(error_ => error_);
+
+      expect(error).toBeInstanceOf(ZTFAbortError);
+      expect(error.stepIndex).toBe(1);
+      expect(error.provenance).toMatchObject({ aborted: true });
+      expect(error.provenance.steps).toHaveLength(2);
+      expect(steps).toEqual(['first', 'second']);
+    });
+
+    it('should apply timeoutMs to the whole execution', async () => {
+      const pipeline = createPipeline()
+        .transform(async data => {
+          await sleep(200);
+          return data;
+        })
+        .transform(data => data);
+
+      const error = await pipeline.execute({}, { timeoutMs: 10 }).catch(error_ => error_);
+
+      expect(error).toBeInstanceOf(ZTFAbortError);
+      expect(error.timedOut).toBe(true);
+    });
+  });
+
+  describe('batches', () => {
+    it('should apply timeoutMs to each item', async () => {
+      const summary = await createBatchParser(Schema, { timeoutMs: 50 })
+        .add('fast', '1', 'slow-test')
+        .add('slow', '500', 'slow-test')
+        .execute();
+
+      const [fast, slow] = summary.results;
+      expect(fast).toMatchObject({ success: true, data: { value: 1 } });
+      expect(slow).toMatchObject({ success: false, aborted: true });
+      expect(slow.error.timedOut).toBe(true);
+    });
+
+    it('should report items not started after the batch is cancelled', async () => {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 10);
+
+      const summary = await createBatchParser(Schema, {
+        parallel: 1,
+        includeProvenance: true,
+        signal: controller.signal,
+      })
+        .add('a', '100', 'slow-test')
+        .add('b', '1', 'slow-test')
+        .add('c', '1', 'slow-test')
+        .execute();
+
+      expect(summary.results.map(result => result.aborted)).toEqual([true, true, true]);
+      expect(summary.results[2].provenance.aborted).toBe(true);
+      expect(summary.batchProvenance).toMatchObject({ aborted: true, abortedItems: 3 });
+    });
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Built-in Pack Tests - Generated manifests of the bundled packs
+ * @fileoverview Checks src/packs.generated.mjs against what the adapter modules register
+ */
+
+import { readFile } from 'node:fs/promises';
+import { describe, expect, it } from 'vitest';
+import { collectBuiltinPacks, renderBuiltinPacks } from '../../scripts/generate-packs.mjs';
+
+describe('Built-in Packs', () => {
+  it('should match the formats and metadata the adapter modules register', async () => {
+    const generated = await readFile(
+      new URL('../../src/packs.generated.mjs', import.meta.url),
+      'utf8'
+    );
+
+    expect(generated, 'run pnpm generate:packs').toBe(
+      await renderBuiltinPacks(await collectBuiltinPacks())
+    );
+  });
+});
@@ -0,0 +1,321 @@
+/**
+ * Conformance Tests - Adapter conformance test kit
+ * @fileoverview Tests for testAdapter against built-in and deliberately broken adapters
+ */
+
+import { describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import { ConformanceCheck, formatConformanceReport, getAdapter, testAdapter } from '../setup.mjs';
+
+const Record = z.object({ id: z.number(), name: z.string(), tags: z.array(z.string()) });
+const Row = z.object({ id: z.string(), name: z.string() });
+
+/**
+ * Statuses of a report, keyed by check and sample
+ * @param {import('../../src/core/conformance.mjs').ConformanceReport} report - Report
+ * @returns {Record<string, string>} Status of each result
+ */
+const statuses = report =>
+  Object.fromEntries(
+    report.results.map(result => [
+      result.sample ? `${result.check} ${result.sample}` : result.check,
+      result.status,
+    ])
+  );
+
+/**
+ * A JSON adapter that behaves, to be broken one method at a time
+ * @param {Object} overrides - Methods and metadata to replace
+ * @returns {Object} Adapter
+ */
+const jsonLike = (overrides = {}) => ({
+  async parse(input) {
+    return { data: JSON.parse(input), metadata: {} };
+  },
+  async format(data) {
+    return { data: JSON.stringify(data), metadata: {} };
+  },
+  version: '1.0.0',
+  ...overrides,
+});
+
+describe('Conformance', () => {
+  describe('built-in adapters', () => {
+    it('should pass every applicable check for json', async () => {
+      const report = await testAdapter('json', {
+        schemas: { record: Record },
+        samples: {
+          record: [
+            { id: 1, name: 'a', tags: [] },
+            { id: 2, name: 'b', tags: ['x'] },
+          ],
+        },
+        malformed: ['{', '{"id": 1,}'],
+      });
+
+      expect(report.failures).toEqual([]);
+      expect(report).toMatchObject({
+        adapter: 'json',
+        passed: true,
+        summary: { passed: 7, failed: 0, skipped: 1 },
+      });
+      expect(statuses(report)).toMatchObject({
+        metadata: 'passed',
+        'round-trip record[1]': 'passed',
+        'malformed-input malformed[1]': 'passed',
+        streaming: 'skipped',
+      });
+    });
+
+    it('should compare streamed and batch output of csv', async () => {
+      const report = await testAdapter(getAdapter('csv'), {
+        schemas: { rows: z.array(Row) },
+        samples: {
+          rows: [
+            [
+              { id: '1', name: 'a' },
+              { id: '2', name: 'b, c' },
+            ],
+          ],
+        },
+        checks: [ConformanceCheck.STREAMING],
+      });
+
+      expect(report.failures).toEqual([]);
+      expect(statuses(report)).toEqual({ 'streaming rows[0]': 'passed' });
+    });
+
+    it('should pass the sample schema to schema-aware adapters', async () => {
+      const Flat = z.object({ id: z.number().int(), name: z.string(), active: z.boolean() });
+      const rows = [
+        { id: 1, name: 'a', active: true },
+        { id: 2, name: 'b', active: false },
+      ];
+      const schemas = [];
+      const recording = jsonLike({
+        schemaAware: true,
+        async format(data, opts) {
+          schemas.push(opts.schema);
+          return { data: JSON.stringify(data) };
+        },
+      });
+
+      const reports = [
+        await testAdapter('protobuf', { schemas: { row: Flat }, samples: { row: rows } }),
+        await testAdapter('arrow', { schemas: { rows: z.array(Flat) }, samples: { rows: [rows] } }),
+        await testAdapter(recording, {
+          schemas: { row: Flat },
+          samples: { row: rows.slice(0, 1) },
+          checks: [ConformanceCheck.ROUND_TRIP],
+        }),
+      ];
+
+      expect(reports.map(report => report.failures)).toEqual([[], [], []]);
+      expect(schemas).toEqual([Flat]);
+    });
+  });
+
+  describe('broken adapters', () => {
+    it('should report data lost in a round-trip', async () => {
+      const adapter = jsonLike({
+        async format({ tags, ...data }) {
+          return { data: JSON.stringify(data) };
+        },
+      });
+
+      const report = await testAdapter(adapter, {
+        schemas: { record: Record },
+        samples: { record: [{ id: 1, name: 'a', tags: ['x'] }] },
+        checks: [ConformanceCheck.ROUND_TRIP],
+      });
+
+      expect(report.passed).toBe(false);
+      expect(report.failures).toEqual([
+        {
+          check: 'round-trip',
+          status: 'failed',
+          sample: 'record[0]',
+          message: 'parsed data does not match the schema: tags: Required',
+        },
+      ]);
+    });
+
+    it('should describe values changed in a round-trip', async () => {
+      const adapter = jsonLike({
+        async parse(input) {
+          return { data: { ...JSON.parse(input), id: 0 } };
+        },
+      });
+
+      const report = await testAdapter(adapter, {
+        schemas: { record: Record },
+        samples: { record: [{ id: 1, name: 'a', tags: [] }] },
+        checks: [ConformanceCheck.ROUND_TRIP],
+      });
+
+      expect(report.failures[0].message).toBe('number at id changed from 1 to 0');
+    });
+
+    it('should fail an adapter that accepts or mistypes malformed input', async () => {
+      const adapter = jsonLike({
+        parse(input) {
+          if (input === 'sync') {
+            throw new SyntaxError('thrown synchronously');
+          }
+          if (input === 'string') {
+            return Promise.reject('not an Error');
+          }
+          return Promise.resolve({ data: input });
+        },
+      });
+
+      const report = await testAdapter(adapter, {
+        malformed: ['sync', 'string', 'accepted'],
+        checks: [ConformanceCheck.MALFORMED_INPUT],
+      });
+
+      expect(report.failures.map(failure => failure.message)).toEqual([
+        'parse threw synchronously instead of rejecting: thrown synchronously',
+        'parse rejected with string instead of an Error',
+        'parse accepted malformed input',
+      ]);
+    });
+
+    it('should fail deterministic output that changes between calls', async () => {
+      let calls = 0;
+      const options = {
+        schemas: { record: Record },
+        samples: { record: [{ id: 1, name: 'a', tags: [] }] },
+        checks: [ConformanceCheck.DETERMINISM],
+      };
+      const counting = jsonLike({
+        async format(data) {
+          calls += 1;
+          return { data: `${JSON.stringify(data)} // ${calls}` };
+        },
+      });
+      const stamped = jsonLike({
+        async format(data, opts) {
+          const stamp = opts.deterministic ? '' : ` // ${process.hrtime.bigint()}`;
+          return { data: `${JSON.stringify(data)}${stamp}` };
+        },
+      });
+
+      const [first, second] = [
+        await testAdapter(counting, options),
+        await testAdapter(stamped, options),
+      ];
+
+      expect(first.failures[0].message).toBe(
+        'deterministic formatting of the same data gave different output'
+      );
+      expect(second.passed).toBe(true);
+    });
+
+    it('should fail streams that differ from the batch output', async () => {
+      const adapter = jsonLike({
+        async *formatStream(data) {
+          yield JSON.stringify(data);
+          yield '\n';
+        },
+      });
+
+      const report = await testAdapter(adapter, {
+        schemas: { record: Record },
+        samples: { record: [{ id: 1, name: 'a', tags: [] }] },
+        checks: [ConformanceCheck.STREAMING],
+      });
+
+      expect(report.failures[0].message).toBe('formatStream chunks differ from format output');
+    });
+
+    it('should report invalid metadata and result envelopes', async () => {
+      const adapter = jsonLike({
+        async format(data) {
+          return { data: Buffer.from(JSON.stringify(data)), metadata: [] };
+        },
+        version: 'latest',
+        extensions: ['.json'],
+        mimeTypes: ['application/json; charset=utf-8'],
+        supportsStreaming: 'yes',
+        parseOnly: true,
+        formatOnly: true,
+      });
+
+      const report = await testAdapter(adapter, {
+        schemas: { record: Record },
+        samples: { record: [{ id: 1, name: 'a', tags: [] }] },
+        checks: [ConformanceCheck.METADATA],
+      });
+
+      expect(report.failures[0].message.split('; ')).toEqual([
+        'adapter cannot be both parseOnly and formatOnly',
+        'supportsStreaming must be a boolean',
+        'version must be a semantic version, got "latest"',
+        'extensions must be lowercase extensions without the leading dot',
+        'mimeTypes must be lowercase type/subtype MIME types without parameters',
+      ]);
+    });
+
+    it('should check the format envelope when the adapter can format', async () => {
+      const adapter = jsonLike({
+        async format(data) {
+          return { data: Buffer.from(JSON.stringify(data)), metadata: [] };
+        },
+      });
+
+      const report = await testAdapter(adapter, {
+        schemas: { record: Record },
+        samples: { record: [{ id: 1, name: 'a', tags: [] }] },
+        checks: [ConformanceCheck.METADATA],
+      });
+
+      expect(report.failures[0].message).toBe(
+        'format metadata must be an object; format data must be a string, or the adapter must declare binary: true'
+      );
+    });
+  });
+
+  describe('options and report', () => {
+    it('should skip checks that do not apply', async () => {
+      const report = await testAdapter(jsonLike({ format: undefined, parseOnly: true }));
+
+      expect(report.passed).toBe(true);
+      expect(report.results.map(result => [result.check, result.message])).toEqual([
+        ['metadata', undefined],
+        ['round-trip', 'adapter cannot both parse and format'],
+        ['malformed-input', 'no malformed inputs given'],
+        ['determinism', 'adapter cannot format'],
+        ['streaming', 'adapter has no formatStream'],
+      ]);
+    });
+
+    it('should reject unknown checks, sample sets without schema and unknown adapters', async () => {
+      await expect(testAdapter(jsonLike(), { checks: ['golden'] })).rejects.toThrow(
+        'Unknown conformance check: golden. Expected one of: metadata, round-trip, malformed-input, determinism, streaming'
+      );
+      await expect(testAdapter(jsonLike(), { samples: { record: [{}] } })).rejects.toThrow(
+        "Sample set 'record' has no schema; add it to options.schemas"
+      );
+      await expect(testAdapter('no-such-format')).rejects.toThrow(
+        'No adapter found for format: no-such-format'
+      );
+    });
+
+    it('should render the report as text', async () => {
+      const report = await testAdapter(jsonLike(), {
+        name: 'json-like',
+        malformed: ['{'],
+        checks: [ConformanceCheck.METADATA, ConformanceCheck.MALFORMED_INPUT],
+      });
+
+      expect(formatConformanceReport(report)).toBe(
+        [
+          '✅ metadata',
+          '✅ malformed-input malformed[0]',
+          'json-like: 2 passed, 0 failed, 0 skipped',
+        ].join('\n')
+      );
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Format Detection Tests - Magic bytes, textual signatures and format: 'auto'
+ * @fileoverview Tests for detectFormats and automatic format detection in parseFrom and convert
+ */
+
+import { describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import { encode } from '@msgpack/msgpack';
+import { convert, detectFormats, parseFrom, safeParseFrom } from '../setup.mjs';
+
+/**
+ * Detect the top-ranked format
+ * @param {string|Uint8Array} input - Input to inspect
+ * @param {Object} [opts] - Detection options
+ * @returns {string|undefined} Best format
+ */
+const best = (input, opts) => detectFormats(input, opts)[0]?.format;
+
+describe('Format Detection', () => {
+  describe('binary signatures', () => {
+    it('should recognise magic bytes', () => {
+      const tar = Buffer.alloc(512);
+      tar.write('ustar', 257);
+
+      expect(best(Buffer.from('%PDF-1.7\n'))).toBe('pdf-text');
+      expect(best(Buffer.from('SQLite format 3\u0000'))).toBe('sqlite');
+      expect(best(Buffer.from('PAR1\u0000\u0000PAR1'))).toBe('parquet');
+      expect(best(tar)).toBe('tar');
+    });
+
+    it('should tell Office documents apart from plain zip archives', () => {
+      const zip = name => Buffer.from(`PK\u0003\u0004\u0014\u0000${name}`);
+
+      expect(best(zip('xl/workbook.xml'))).toBe('xlsx');
+      expect(best(zip('word/document.xml'))).toBe('docx-table');
+      expect(best(zip('ppt/presentation.xml'))).toBe('pptx-slides');
+      expect(detectFormats(zip('notes.txt'))).toEqual([
+        { format: 'zip', confidence: 0.95, reason: 'zip local file header' },
+      ]);
+    });
+
+    it('should recognise well-formed MessagePack documents', () => {
+      expect(best(encode({ name: 'Ada', tags: ['a', 'b'], score: 1.5 }))).toBe('msgpack');
+      expect(best(Uint8Array.from([0x82, 0xa1, 0x61]))).toBeUndefined();
+    });
+  });
+
+  describe('textual signatures', () => {
+    it.each([
+      ['json', '{"name": "app"}'],
+      ['ndjson', '{"id": 1}\n{"id": 2}\n'],
+      ['yaml', '---\nname: app\nports:\n  - 80\n'],
+      ['toml', 'title = "app"\n\n[server]\nport = 8080\n'],
+      ['ini', '; settings\n[server]\nhost = localhost\n'],
+      ['toml', '[server]\nport = 8080\n\n[database]\nname = "app"\n'],
+      ['ini', '[server]\nhost = localhost\n; port below\nport = 80\n'],
+      ['env', 'NODE_ENV=production\nHOST=localhost\n'],
+      ['csv', 'name,age\nAda,36\nAlan,41\n'],
+      ['ics', 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nEND:VCALENDAR\r\n'],
+      ['vcard', 'BEGIN:VCARD\nVERSION:4.0\nFN:Ada\nEND:VCARD\n'],
+      ['plantuml', '@startuml\nAlice -> Bob: hi\n@enduml\n'],
+      ['eml', 'From: a@example.com\nTo: b@example.com\nSubject: Hi\n\nHello\n'],
+      ['gpx', '<?xml version="1.0"?>\n<gpx version="1.1"></gpx>'],
+    ])('should detect %s', (format, input) => {
+      expect(best(input)).toBe(format);
+    });
+
+    it('should rank candidates with confidence scores', () => {
+      const candidates = detectFormats('title = "app"\n[server]\nport = 8080\n');
+
+      expect(candidates.map(candidate => candidate.format)).toEqual(['toml', 'ini']);
+      expect(candidates[0].confidence).toBeGreaterThan(candidates[1].confidence);
+      expect(candidates[0].reason).toBe('tables with TOML values');
+    });
+
+    it('should not guess on unstructured text', () => {
+      expect(detectFormats('just some words, nothing else')).toEqual([]);
+    });
+
+    it('should restrict detection to the given formats', () => {
+      const input = 'DEBUG=true\nPORT=3000\n';
+
+      expect(best(input)).toBe('env');
+      expect(best(input, { formats: ['toml', 'ini'] })).toBe('toml');
+      expect(detectFormats(input, { formats: ['json'] })).toEqual([]);
+    });
+
+    it('should use the file extension as additional evidence', () => {
+      expect(detectFormats('plain', { filename: 'notes.yml' })).toEqual([
+        { format: 'yaml', confidence: 0.5, reason: '.yml file extension' },
+      ]);
+    });
+  });
+
+  describe("format: 'auto'", () => {
+    const Schema = z.object({ name: z.string(), port: z.number() });
+
+    it('should parse with the detected format', async () => {
+      await expect(parseFrom(Schema, 'auto', 'name: api\nport: 8080\n')).resolves.toEqual({
+        name: 'api',
+        port: 8080,
+      });
+      await expect(parseFrom(Schema, 'auto', 'name = "api"\nport = 8080\n')).resolves.toEqual({
+        name: 'api',
+        port: 8080,
+      });
+    });
+
+    it('should parse a config whose first line is a [section] header', async () => {
+      const Config = z.object({ server: Schema });
+
+      await expect(
+        parseFrom(Config, 'auto', '[server]\nname = "api"\nport = 8080\n')
+      ).resolves.toEqual({ server: { name: 'api', port: 8080 } });
+      expect(detectFormats('[x]\ny = 1\n')[0].format).toBe('toml');
+      expect(detectFormats('[{"id": 1}, {"id"', { partial: true })[0].format).toBe('json');
+    });
+
+    it('should record the detected format in provenance', async () => {
+      const result = await parseFrom(Schema, 'auto', '{"name": "api", "port": 1}', {
+        includeProvenance: true,
+      });
+
+      expect(result.provenance.sourceFormat).toBe('json');
+    });
+
+    it('should convert from a detected source format', async () => {
+      const output = await convert(Schema, { from: 'auto', to: 'json' }, 'name: api\nport: 1\n');
+
+      expect(JSON.parse(output)).toEqual({ name: 'api', port: 1 });
+    });
+
+    it('should record the detected source format in convert provenance', async () => {
+      const result = await convert(Schema, { from: 'auto', to: 'json' }, 'name: api\nport: 1\n', {
+        includeProvenance: true,
+      });
+
+      expect(result.provenance).toMatchObject({ sourceFormat: 'yaml', targetFormat: 'json' });
+    });
+
+    it('should fail when no allowed format matches', async () => {
+      await expect(
+        parseFrom(Schema, 'auto', 'name: api\nport: 1\n', { detect: { formats: ['csv', 'json'] } })
+      ).rejects.toThrow('Unable to detect input format among: csv, json');
+
+      const result = await safeParseFrom(Schema, 'auto', 'hello world');
+      expect(result.error).toMatchObject({ phase: 'adapter-parse', adapter: 'auto' });
+    });
+  });
+});
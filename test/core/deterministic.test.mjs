@@ -0,0 +1,162 @@
+/**
+ * Deterministic Output Tests - Canonical output for every text adapter
+ * @fileoverview Tests that `deterministic: true` makes output independent of key and record order
+ */
+
+import { describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import { decode } from '@msgpack/msgpack';
+import { canonicalize, formatTo, formatToStream } from '../setup.mjs';
+
+/**
+ * Reverse the key order of an object, recursively
+ * @param {unknown} value - Value to reorder
+ * @returns {unknown} Copy with reversed key order
+ */
+function reverseKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => reverseKeys(item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .reverse()
+        .map(([key, item]) => [key, reverseKeys(item)])
+    );
+  }
+  return value;
+}
+
+describe('Deterministic Output', () => {
+  const Flat = z.record(z.string());
+  const Nested = z.record(z.record(z.union([z.string(), z.number(), z.boolean()])));
+  const flat = { ZONE: 'eu', APP_NAME: 'api', PORT: '8080' };
+  const nested = {
+    server: { port: 8080, host: 'localhost', tls: true },
+    database: { user: 'app', name: 'main' },
+  };
+
+  describe('canonicalize', () => {
+    it('should sort the keys of plain objects and Maps at every depth', () => {
+      const date = new Date(0);
+      const result = canonicalize({
+        b: [{ d: 1, c: 2 }],
+        a: new Map([
+          ['y', { z: 1, x: 2 }],
+          ['w', 1],
+        ]),
+        e: date,
+      });
+
+      expect(Object.keys(result)).toEqual(['a', 'b', 'e']);
+      expect(Object.keys(result.b[0])).toEqual(['c', 'd']);
+      expect([...result.a.keys()]).toEqual(['w', 'y']);
+      expect(Object.keys(result.a.get('y'))).toEqual(['x', 'z']);
+      expect(result.e).toBe(date);
+    });
+
+    it('should keep array order', () => {
+      expect(canonicalize([3, 1, 2])).toEqual([3, 1, 2]);
+    });
+  });
+
+  describe.each([
+    ['json', Nested, nested],
+    ['yaml', Nested, nested],
+    ['toml', Nested, nested],
+    ['ini', Nested, nested],
+    ['env', Flat, flat],
+  ])('%s', (format, schema, data) => {
+    it('should produce the same output whatever the key order', async () => {
+      const first = await formatTo(schema, format, data, { deterministic: true });
+      const second = await formatTo(schema, format, reverseKeys(data), { deterministic: true });
+
+      expect(first).toBe(second);
+    });
+  });
+
+  it('should write sorted keys to YAML', async () => {
+    const output = await formatTo(Nested, 'yaml', nested, { deterministic: true });
+
+    expect(output).toBe(
+      'database:\n  name: main\n  user: app\nserver:\n  host: localhost\n  port: 8080\n  tls: true\n'
+    );
+  });
+
+  it('should sort msgpack map keys', async () => {
+    const first = await formatTo(Nested, 'msgpack', nested, { deterministic: true });
+    const second = await formatTo(Nested, 'msgpack', reverseKeys(nested), { deterministic: true });
+
+    expect(first).toBe(second);
+    const decoded = decode(Uint8Array.from(atob(first), char => char.codePointAt(0)));
+    expect(Object.keys(decoded)).toEqual(['database', 'server']);
+  });
+
+  describe('records', () => {
+    const Rows = z.array(z.record(z.union([z.string(), z.number()])));
+    const rows = [
+      { name: 'a', id: 1 },
+      { id: 2, score: 5, name: 'b' },
+    ];
+
+    it('should write NDJSON records with sorted keys', async () => {
+      const output = await formatTo(Rows, 'ndjson', rows, { deterministic: true });
+
+      expect(output).toBe('{"id":1,"name":"a"}\n{"id":2,"name":"b","score":5}');
+    });
+
+    it('should give CSV a stable column order covering every record', async () => {
+      const expected = 'id,name,score\n1,a,\n2,b,5\n';
+
+      await expect(formatTo(Rows, 'csv', rows, { deterministic: true })).resolves.toBe(expected);
+      await expect(formatTo(Rows, 'csv', reverseKeys(rows), { deterministic: true })).resolves.toBe(
+        expected
+      );
+    });
+
+    it('should stream CSV with the same columns', async () => {
+      const chunks = [];
+      for await (const chunk of formatToStream(Rows, 'csv', rows, {
+        deterministic: true,
+        adapter: { batchSize: 1 },
+      })) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks.join('')).toBe(await formatTo(Rows, 'csv', rows, { deterministic: true }));
+    });
+  });
+
+  describe('RDF', () => {
+    const Quads = z.array(
+      z.object({ subject: z.string(), predicate: z.string(), object: z.string() })
+    );
+    const quads = [
+      { subject: 'http://example.org/b', predicate: 'http://xmlns.com/foaf/0.1/name', object: 'B' },
+      { subject: 'http://example.org/a', predicate: 'http://xmlns.com/foaf/0.1/name', object: 'A' },
+      {
+        subject: 'http://example.org/a',
+        predicate: 'http://xmlns.com/foaf/0.1/knows',
+        object: 'http://example.org/b',
+      },
+    ];
+
+    it.each(['ttl', 'nq', 'rdfxml'])('should sort %s triples', async format => {
+      const first = await formatTo(Quads, format, quads, { deterministic: true });
+      const second = await formatTo(Quads, format, [...quads].reverse(), { deterministic: true });
+
+      expect(first).toBe(second);
+      expect(first.indexOf('example.org/a')).toBeLessThan(first.indexOf('example.org/b'));
+    });
+
+    it('should write Turtle prefixes in a stable order', async () => {
+      const prefixes = { foaf: 'http://xmlns.com/foaf/0.1/', ex: 'http://example.org/' };
+      const output = await formatTo(Quads, 'ttl', quads, {
+        deterministic: true,
+        adapter: { prefixes },
+      });
+
+      expect(output.startsWith('@prefix ex: <http://example.org/>.\n@prefix foaf:')).toBe(true);
+    });
+  });
+});
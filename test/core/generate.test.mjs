@@ -0,0 +1,153 @@
+/**
+ * Generate Tests - Schema-driven random data and property checks
+ * @fileoverview Tests for seeded generation of valid values, generation errors and shrinking
+ */
+
+import { describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import { checkProperty, generateSample, generateSamples } from '../setup.mjs';
+
+describe('Generate', () => {
+  describe('generateSamples', () => {
+    const Shape = z.discriminatedUnion('kind', [
+      z.object({ kind: z.literal('circle'), radius: z.number().positive() }),
+      z.object({ kind: z.literal('square'), side: z.number().int().min(1).max(10) }),
+    ]);
+    const Tree = z.lazy(() =>
+      z.object({ label: z.string().max(4), children: z.array(Tree).optional() })
+    );
+    const Everything = z.object({
+      id: z.string().uuid(),
+      email: z.string().email(),
+      homepage: z.string().url(),
+      createdAt: z.string().datetime(),
+      birthday: z.string().date(),
+      code: z.string().regex(/^[A-Z]{2}\d$/),
+      nickname: z.string().min(2).max(6).startsWith('@').optional(),
+      age: z.number().int().min(18).max(99),
+      ratio: z.number().gt(0).lt(1),
+      price: z.number().multipleOf(0.25).min(0).max(10),
+      even: z
+        .number()
+        .int()
+        .refine(value => value % 2 === 0),
+      big: z.bigint().min(5n).max(9n),
+      role: z.enum(['admin', 'user']),
+      version: z.literal(2),
+      shapes: z.array(Shape).min(1).max(3),
+      pair: z.tuple([z.string(), z.boolean()]),
+      scores: z.record(z.number()),
+      unique: z.set(z.number().int().min(0).max(50)).min(2),
+      when: z.date().min(new Date('2024-01-01')),
+      note: z.string().nullable(),
+      tree: Tree,
+      both: z.intersection(z.object({ a: z.number() }), z.object({ b: z.string() })),
+      slug: z
+        .string()
+        .min(1)
+        .transform(value => value.toLowerCase()),
+    });
+
+    it('should generate values that pass the schema', () => {
+      const samples = generateSamples(Everything, { seed: 1, count: 200 });
+
+      expect(samples).toHaveLength(200);
+      for (const sample of samples) {
+        expect(Everything.safeParse(sample).success).toBe(true);
+      }
+    });
+
+    it('should generate the same values for the same seed', () => {
+      const first = generateSamples(Everything, { seed: 42, count: 5 });
+      const second = generateSamples(Everything, { seed: 42, count: 5 });
+      const other = generateSamples(Everything, { seed: 43, count: 5 });
+
+      expect(second).toEqual(first);
+      expect(other).not.toEqual(first);
+      expect(generateSample(Everything, { seed: 42 })).toEqual(first[0]);
+    });
+
+    it('should cover the options of unions, enums and optional values', () => {
+      const samples = generateSamples(
+        z.object({ shape: Shape, role: z.enum(['a', 'b', 'c']), note: z.string().optional() }),
+        { seed: 7, count: 100 }
+      );
+
+      expect(new Set(samples.map(sample => sample.shape.kind))).toEqual(
+        new Set(['circle', 'square'])
+      );
+      expect(new Set(samples.map(sample => sample.role))).toEqual(new Set(['a', 'b', 'c']));
+      expect(samples.some(sample => !('note' in sample))).toBe(true);
+      expect(samples.some(sample => 'note' in sample)).toBe(true);
+    });
+
+    it('should stop recursion at maxDepth', () => {
+      const depth = node => 1 + Math.max(0, ...(node.children ?? []).map(child => depth(child)));
+
+      const samples = generateSamples(Tree, { seed: 3, count: 50, maxDepth: 3 });
+
+      expect(Math.max(...samples.map(sample => depth(sample)))).toBeLessThanOrEqual(2);
+    });
+
+    it('should name the path of constraints it cannot satisfy', () => {
+      const Impossible = z.object({
+        items: z.array(z.number().refine(() => false)).min(1),
+      });
+
+      expect(() => generateSample(Impossible, { seed: 1, maxAttempts: 10 })).toThrow(
+        'Cannot generate a value satisfying the refinement at items.0 after 10 attempts'
+      );
+      expect(() => generateSample(z.object({ fn: z.function() }))).toThrow(
+        'Cannot generate values for ZodFunction at fn'
+      );
+      expect(() => generateSample(z.string(), { seed: 1.5 })).toThrow(
+        'seed must be an integer, got 1.5'
+      );
+    });
+  });
+
+  describe('checkProperty', () => {
+    const Order = z.object({
+      id: z.number().int().min(1),
+      lines: z.array(z.object({ sku: z.string().min(1), quantity: z.number().int().min(1) })),
+    });
+
+    it('should pass when the property holds for every run', async () => {
+      const result = await checkProperty(Order, order => order.id >= 1, { seed: 5, runs: 30 });
+
+      expect(result).toEqual({ passed: true, runs: 30, seed: 5 });
+    });
+
+    it('should shrink a failing value to a minimal counterexample', async () => {
+      const result = await checkProperty(
+        Order,
+        order => {
+          if (order.lines.some(line => line.quantity > 100)) {
+            throw new Error('quantity over 100');
+          }
+        },
+        { seed: 9, runs: 200 }
+      );
+
+      expect(result.passed).toBe(false);
+      expect(result.failure).toMatchObject({
+        message: 'quantity over 100',
+        shrunk: { id: 1, lines: [{ sku: expect.any(String), quantity: 101 }] },
+      });
+      expect(result.failure.shrunk.lines[0].sku).toHaveLength(1);
+      expect(Order.safeParse(result.failure.value).success).toBe(true);
+    });
+
+    it('should report the run, so the failing value can be regenerated', async () => {
+      const result = await checkProperty(Order, order => order.lines.length < 3, {
+        seed: 11,
+        shrink: false,
+      });
+      const { run, value, shrunk } = result.failure;
+
+      expect(shrunk).toBe(value);
+      expect(result.runs).toBe(run + 1);
+      expect(generateSamples(Order, { seed: 11, count: run + 1 }).at(-1)).toEqual(value);
+    });
+  });
+});
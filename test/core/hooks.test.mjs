@@ -0,0 +1,309 @@
+/**
+ * Hook Tests - Middleware around adapter calls and validation
+ * @fileoverview Tests for global and per-call hooks, their order and short-circuiting
+ */
+
+import { gzipSync, gunzipSync } from 'node:zlib';
+import { afterEach, describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import {
+  clearHooks,
+  convert,
+  formatTo,
+  formatToStream,
+  parseFrom,
+  registerAdapter,
+  registerHooks,
+  safeParseFrom,
+} from '../setup.mjs';
+
+const Config = z.object({ name: z.string(), port: z.number() });
+
+let parseCalls = 0;
+let formatCalls = 0;
+registerAdapter('counting-test', {
+  async parse(input) {
+    parseCalls++;
+    return { data: JSON.parse(input), metadata: { counted: true } };
+  },
+  async format(data) {
+    formatCalls++;
+    return { data: JSON.stringify(data) };
+  },
+});
+
+describe('Hooks', () => {
+  afterEach(() => {
+    clearHooks();
+  });
+
+  describe('order', () => {
+    it('should run every hook point of a conversion in pipeline order', async () => {
+      const calls = [];
+      const record = ({ hook, operation, format }) => {
+        calls.push(`${hook}:${operation}:${format}`);
+      };
+
+      await convert(Config, { from: 'json', to: 'yaml' }, '{"name":"api","port":80}', {
+        hooks: {
+          beforeParse: record,
+          afterParse: record,
+          beforeValidate: record,
+          afterValidate: record,
+          beforeFormat: record,
+          afterFormat: record,
+        },
+      });
+
+      expect(calls).toEqual([
+        'beforeParse:convert:json',
+        'afterParse:convert:json',
+        'beforeValidate:convert:json',
+        'afterValidate:convert:json',
+        'beforeValidate:convert:yaml',
+        'afterValidate:convert:yaml',
+        'beforeFormat:convert:yaml',
+        'afterFormat:convert:yaml',
+      ]);
+    });
+
+    it('should run global hooks in registration order before per-call hooks', async () => {
+      const calls = [];
+      registerHooks({ afterParse: () => calls.push('first') });
+      registerHooks({
+        afterParse: [
+          async () => {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            calls.push('second');
+          },
+          () => calls.push('third'),
+        ],
+      });
+
+      await parseFrom(Config, 'json', '{"name":"api","port":80}', {
+        hooks: { afterParse: () => calls.push('per-call') },
+      });
+
+      expect(calls).toEqual(['first', 'second', 'third', 'per-call']);
+    });
+
+    it('should share state between the hooks of one operation', async () => {
+      let timing;
+      registerHooks({
+        beforeParse: ({ state }) => {
+          state.start = 1;
+        },
+        afterValidate: ({ state }) => {
+          timing = state;
+        },
+      });
+
+      await parseFrom(Config, 'json', '{"name":"api","port":80}');
+
+      expect(timing).toEqual({ start: 1 });
+    });
+
+    it('should stop registering hooks when unregistered', async () => {
+      const calls = [];
+      const unregister = registerHooks({ beforeParse: () => calls.push('global') });
+      unregister();
+
+      await parseFrom(Config, 'json', '{"name":"api","port":80}');
+
+      expect(calls).toEqual([]);
+    });
+
+    it('should reject unknown hook names and non-functions', () => {
+      expect(() => registerHooks({ beforeParsing: () => {} })).toThrow(
+        'Unknown hook: beforeParsing'
+      );
+      expect(() => registerHooks({ afterParse: 'log' })).toThrow(
+        "Hook 'afterParse' must be a function"
+      );
+    });
+  });
+
+  describe('replacing values', () => {
+    it('should let beforeParse decompress input', async () => {
+      registerHooks({
+        beforeParse: context => {
+          if (Buffer.isBuffer(context.value) && context.value[0] === 0x1f) {
+            context.value = gunzipSync(context.value);
+          }
+        },
+      });
+
+      const input = gzipSync('name: api\nport: 80\n');
+      await expect(parseFrom(Config, 'yaml', input)).resolves.toEqual({ name: 'api', port: 80 });
+      await expect(convert(Config, { from: 'auto', to: 'json' }, input)).resolves.toBe(
+        await formatTo(Config, 'json', { name: 'api', port: 80 })
+      );
+    });
+
+    it('should give afterParse the adapter metadata and let it replace the data', async () => {
+      let metadata;
+      const data = await parseFrom(Config, 'counting-test', '{"name":"api","port":"80"}', {
+        hooks: {
+          afterParse: context => {
+            metadata = context.metadata;
+            context.value = { ...context.value, port: Number(context.value.port) };
+          },
+        },
+      });
+
+      expect(metadata).toEqual({ counted: true });
+      expect(data).toEqual({ name: 'api', port: 80 });
+    });
+
+    it('should let afterFormat rewrite the output', async () => {
+      const output = await formatTo(
+        Config,
+        'json',
+        { name: 'api', port: 80 },
+        {
+          hooks: {
+            afterFormat: context => {
+              context.value = `${context.value}\n`;
+            },
+          },
+        }
+      );
+
+      expect(output.endsWith('}\n')).toBe(true);
+    });
+  });
+
+  describe('short-circuiting', () => {
+    it('should skip the adapter when beforeParse supplies the data', async () => {
+      parseCalls = 0;
+      const cache = new Map([['cached', { name: 'cached', port: 1 }]]);
+      const hooks = {
+        beforeParse: [
+          context => {
+            if (cache.has(context.value)) {
+              context.skip(cache.get(context.value));
+            }
+          },
+          () => {
+            throw new Error('later hooks should not run');
+          },
+        ],
+      };
+
+      await expect(parseFrom(Config, 'counting-test', 'cached', { hooks })).resolves.toEqual({
+        name: 'cached',
+        port: 1,
+      });
+      expect(parseCalls).toBe(0);
+    });
+
+    it('should still validate data supplied by beforeParse', async () => {
+      await expect(
+        parseFrom(Config, 'json', 'ignored', {
+          hooks: { beforeParse: context => context.skip({ name: 'api' }) },
+        })
+      ).rejects.toThrow('validation issue');
+    });
+
+    it('should skip validation when beforeValidate short-circuits', async () => {
+      const data = await parseFrom(Config, 'json', '{"name":"trusted"}', {
+        hooks: { beforeValidate: context => context.skip() },
+      });
+
+      expect(data).toEqual({ name: 'trusted' });
+    });
+
+    it('should skip the adapter when beforeFormat supplies the output', async () => {
+      formatCalls = 0;
+      const afterFormat = [];
+      const output = await formatTo(
+        Config,
+        'counting-test',
+        { name: 'api', port: 80 },
+        {
+          hooks: {
+            beforeFormat: context => context.skip('cached output'),
+            afterFormat: context => afterFormat.push(context.value),
+          },
+        }
+      );
+
+      expect(output).toBe('cached output');
+      expect(formatCalls).toBe(0);
+      expect(afterFormat).toEqual(['cached output']);
+    });
+  });
+
+  describe('errors', () => {
+    it('should fail the operation when a hook throws', async () => {
+      registerHooks({
+        beforeParse: ({ format }) => {
+          if (format === 'yaml') {
+            throw new Error('yaml input is not allowed');
+          }
+        },
+      });
+
+      await expect(parseFrom(Config, 'yaml', 'name: api\nport: 80\n')).rejects.toThrow(
+        'yaml input is not allowed'
+      );
+      const result = await safeParseFrom(Config, 'yaml', 'name: api\nport: 80\n');
+      expect(result.success).toBe(false);
+      expect(result.error).toMatchObject({ phase: 'adapter-parse', adapter: 'yaml' });
+    });
+
+    it('should give onError the failed phase and adapter', async () => {
+      let failure;
+      await parseFrom(Config, 'json', '{"name":"api"}', {
+        hooks: {
+          onError: context => {
+            failure = { phase: context.phase, format: context.format, error: context.value };
+          },
+        },
+      }).catch(() => {});
+
+      expect(failure).toMatchObject({ phase: 'validate', format: 'json' });
+      expect(failure.error.issues).toHaveLength(1);
+    });
+
+    it('should recover when onError short-circuits', async () => {
+      const fallback = { name: 'default', port: 0 };
+      const data = await parseFrom(Config, 'json', '{not json', {
+        hooks: { onError: context => context.skip(fallback) },
+      });
+
+      expect(data).toBe(fallback);
+    });
+
+    it('should throw the error onError replaced', async () => {
+      registerHooks({
+        onError: context => {
+          context.value = new Error(`[${context.phase}] ${context.value.message}`);
+        },
+      });
+
+      await expect(parseFrom(Config, 'json', '{"name":"api"}')).rejects.toThrow(/^\[validate\]/);
+    });
+  });
+
+  describe('formatToStream', () => {
+    it('should run afterFormat for each chunk', async () => {
+      const Rows = z.array(z.object({ id: z.number() }));
+      const rows = [{ id: 1 }, { id: 2 }];
+      const chunks = [];
+
+      for await (const chunk of formatToStream(Rows, 'ndjson', rows, {
+        adapter: { batchSize: 1 },
+        hooks: {
+          afterFormat: context => {
+            context.value = context.value.toUpperCase();
+          },
+        },
+      })) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks).toEqual(['{"ID":1}', '\n{"ID":2}']);
+    });
+  });
+});
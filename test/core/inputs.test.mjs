@@ -0,0 +1,147 @@
+/**
+ * Input and Output Stream Tests - Buffer and stream inputs, chunked output
+ * @fileoverview Tests for the uniform input contract of parseFrom/convert and for formatToStream
+ */
+
+import { Readable } from 'node:stream';
+import { describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import { encode } from '@msgpack/msgpack';
+import { convert, formatTo, formatToStream, parseFrom, registerAdapter } from '../setup.mjs';
+
+/**
+ * Collect the chunks of an async iterable
+ * @param {AsyncIterable<unknown>} iterable - Chunks to collect
+ * @returns {Promise<unknown[]>} Chunks
+ */
+async function collect(iterable) {
+  const chunks = [];
+  for await (const chunk of iterable) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+describe('Inputs and Output Streams', () => {
+  const Config = z.object({ name: z.string(), port: z.number() });
+  const yaml = 'name: api\nport: 8080\n';
+
+  describe('parseFrom inputs', () => {
+    it.each([
+      ['Buffer', () => Buffer.from(yaml)],
+      ['Uint8Array', () => new TextEncoder().encode(yaml)],
+      ['ArrayBuffer', () => new TextEncoder().encode(yaml).buffer],
+      ['Node Readable', () => Readable.from(['name: api\n', Buffer.from('port: 8080\n')])],
+      ['web ReadableStream', () => new Blob([yaml]).stream()],
+      [
+        'async iterable',
+        () =>
+          (async function* () {
+            yield new TextEncoder().encode('name: api\n');
+            yield 'port: 8080\n';
+          })(),
+      ],
+    ])('should parse text formats from a %s', async (_, createInput) => {
+      await expect(parseFrom(Config, 'yaml', createInput())).resolves.toEqual({
+        name: 'api',
+        port: 8080,
+      });
+    });
+
+    it('should strip a UTF-8 byte order mark from text input', async () => {
+      const input = Buffer.concat([
+        Buffer.from([0xef, 0xbb, 0xbf]),
+        Buffer.from('{"name":"a","port":1}'),
+      ]);
+
+      await expect(parseFrom(Config, 'json', input)).resolves.toEqual({ name: 'a', port: 1 });
+    });
+
+    it('should give binary adapters a Buffer', async () => {
+      let received;
+      registerAdapter('bytes-test', {
+        async parse(input) {
+          received = input;
+          return { data: { name: input.toString('latin1'), port: input.length } };
+        },
+        async format(data) {
+          return { data: Buffer.from(data.name, 'latin1') };
+        },
+        binary: true,
+      });
+
+      const bytes = Uint8Array.from([0x61, 0xff, 0x62]);
+      await expect(parseFrom(Config, 'bytes-test', Readable.from([bytes]))).resolves.toEqual({
+        name: 'aÿb',
+        port: 3,
+      });
+      expect(Buffer.isBuffer(received)).toBe(true);
+    });
+
+    it('should parse binary formats from a stream', async () => {
+      const Schema = z.object({ id: z.number(), tags: z.array(z.string()) });
+      const bytes = encode({ id: 7, tags: ['x'] });
+      const stream = Readable.from([bytes.subarray(0, 3), bytes.subarray(3)]);
+
+      await expect(parseFrom(Schema, 'msgpack', stream)).resolves.toEqual({ id: 7, tags: ['x'] });
+    });
+
+    it('should detect the format of streamed input', async () => {
+      const output = await convert(Config, { from: 'auto', to: 'json' }, Readable.from([yaml]));
+
+      expect(JSON.parse(output)).toEqual({ name: 'api', port: 8080 });
+    });
+  });
+
+  describe('formatToStream', () => {
+    const Rows = z.array(z.object({ name: z.string(), score: z.number(), active: z.boolean() }));
+    const rows = Array.from({ length: 5 }, (_, index) => ({
+      name: `row ${index}`,
+      score: index * 1.5,
+      active: index % 2 === 0,
+    }));
+
+    it.each(['csv', 'ndjson'])('should write %s in batches matching formatTo', async format => {
+      const opts = { adapter: { batchSize: 2 } };
+      const chunks = await collect(formatToStream(Rows, format, rows, opts));
+
+      expect(chunks).toHaveLength(3);
+      expect(chunks.join('')).toBe(await formatTo(Rows, format, rows, opts));
+    });
+
+    it('should write the CSV header only once', async () => {
+      const chunks = await collect(
+        formatToStream(Rows, 'csv', rows, { adapter: { batchSize: 2 } })
+      );
+
+      expect(chunks[0]).toBe('name,score,active\nrow 0,0,true\nrow 1,1.5,false\n');
+      expect(chunks[1]).toBe('row 2,3,true\nrow 3,4.5,false\n');
+    });
+
+    it('should yield the whole output for adapters without formatStream', async () => {
+      const chunks = await collect(formatToStream(Rows, 'json', rows));
+
+      expect(chunks).toEqual([await formatTo(Rows, 'json', rows)]);
+    });
+
+    it('should validate before writing anything', async () => {
+      const chunks = [];
+      const write = async () => {
+        for await (const chunk of formatToStream(Rows, 'ndjson', [{ name: 1 }])) {
+          chunks.push(chunk);
+        }
+      };
+
+      await expect(write()).rejects.toThrow();
+      expect(chunks).toEqual([]);
+    });
+
+    it('should pipe into Node streams', async () => {
+      const stream = Readable.from(formatToStream(Rows, 'ndjson', rows));
+      const lines = (await collect(stream)).join('').split('\n');
+
+      expect(lines).toHaveLength(5);
+      expect(JSON.parse(lines[4])).toEqual(rows[4]);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Lazy Pack Tests - Packs registered with loaders
+ * @fileoverview Tests for lazy pack registration, loading on first use and the lazy entry point
+ */
+
+import { describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import {
+  canRepresent,
+  createPackManifest,
+  findByExtension,
+  formatTo,
+  getAdapter,
+  getAdapterInfo,
+  listAdapters,
+  loadAdapter,
+  loadAdapters,
+  parseFrom,
+  registerAdapter,
+  registerPack,
+} from '../../src/lazy.mjs';
+import { builtinPacks } from '../../src/packs.mjs';
+
+const Config = z.object({ name: z.string(), port: z.number() });
+
+describe('Lazy Packs', () => {
+  describe('built-in packs', () => {
+    it('should list lazy formats before their packs load', () => {
+      expect(listAdapters()).toEqual(expect.arrayContaining(['yaml', 'ttl', 'docx-ai']));
+      expect(getAdapter('yaml').pack).toBe('ztf-pack-devops');
+    });
+
+    it('should describe adapters from the pack manifests before their packs load', () => {
+      expect(getAdapterInfo('csv')).toMatchObject({
+        pack: 'ztf-pack-office',
+        extensions: ['csv', 'tsv'],
+        mimeTypes: expect.arrayContaining(['text/csv']),
+        lossless: { wrapper: 'items' },
+      });
+      expect(findByExtension('report.tsv')).toContain('csv');
+      expect(getAdapterInfo('docx-ai')).toMatchObject({ isAI: true, parseOnly: true });
+    });
+
+    it('should refuse capability checks on adapters that are not loaded', () => {
+      expect(() => canRepresent(Config, 'toml')).toThrow(
+        "Adapter 'toml' is not loaded yet; await loadAdapter('toml') first"
+      );
+    });
+
+    it('should load a pack on first use through the core API', async () => {
+      await expect(parseFrom(Config, 'yaml', 'name: api\nport: 80\n')).resolves.toEqual({
+        name: 'api',
+        port: 80,
+      });
+
+      const yaml = getAdapter('yaml');
+      expect(yaml.pack).toBeUndefined();
+      expect(yaml.extensions).toContain('yml');
+      expect(getAdapter('toml').pack).toBeUndefined();
+    });
+
+    it('should load a pack when a stand-in adapter is called directly', async () => {
+      const result = await getAdapter('nq').format([
+        { subject: 'http://example.org/a', predicate: 'http://example.org/p', object: 'x' },
+      ]);
+
+      expect(result.data).toContain('<http://example.org/a>');
+      expect(getAdapter('nq').pack).toBeUndefined();
+    });
+
+    it('should keep the precedence of later packs whichever pack loads first', async () => {
+      const Rows = z.array(z.object({ id: z.number() }));
+      await formatTo(Rows, 'ndjson', [{ id: 1 }]);
+
+      expect(getAdapter('csv').pack).toBe('ztf-pack-office');
+      const csv = await loadAdapter('csv');
+      expect(csv.lossless.wrapper).toBe('items');
+    });
+
+    it('should register every format the built-in packs declare', async () => {
+      await loadAdapters();
+
+      for (const { formats } of builtinPacks) {
+        for (const format of formats) {
+          expect(getAdapter(format), format).toBeDefined();
+          expect(getAdapter(format).pack, format).toBeUndefined();
+        }
+      }
+    });
+  });
+
+  describe('custom packs', () => {
+    it('should load a pack once for all of its formats', async () => {
+      let loads = 0;
+      registerPack(createPackManifest('test-pack-once', ['once-a', 'once-b']), async () => {
+        loads++;
+        registerPack(createPackManifest('test-pack-once', ['once-a', 'once-b']), {
+          'once-a': { parse: async input => ({ data: input }) },
+          'once-b': { parse: async input => ({ data: input }) },
+        });
+      });
+
+      await Promise.all([loadAdapter('once-a'), loadAdapter('once-b'), loadAdapter('once-a')]);
+
+      expect(loads).toBe(1);
+    });
+
+    it('should report loader failures and retry on the next use', async () => {
+      let attempts = 0;
+      registerPack(createPackManifest('test-pack-retry', ['retry-test']), async () => {
+        attempts++;
+        if (attempts === 1) {
+          throw new Error('network down');
+        }
+        registerAdapter('retry-test', { parse: async input => ({ data: { value: input } }) });
+      });
+
+      await expect(loadAdapter('retry-test')).rejects.toThrow(
+        "Failed to load adapter pack 'test-pack-retry': network down"
+      );
+      await expect(loadAdapter('retry-test')).resolves.toBeDefined();
+      expect(attempts).toBe(2);
+    });
+
+    it('should forget formats a pack did not register', async () => {
+      registerPack(createPackManifest('test-pack-partial', ['partial-test']), async () => {});
+
+      await expect(loadAdapter('partial-test')).resolves.toBeUndefined();
+      expect(listAdapters()).not.toContain('partial-test');
+    });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Loss Report Tests - What convert() fails to carry from one format to another
+ * @fileoverview Tests for the lossReport and strictLossless options of convert
+ */
+
+import { describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import { LossKind, ZTFLossError, convert, registerAdapter, safeConvert } from '../setup.mjs';
+
+describe('Loss Reports', () => {
+  const EnvSchema = z.object({ NAME: z.string(), PORT: z.number() });
+  const yamlInput = '# service settings\nNAME: api\nPORT: 5432\n';
+
+  it('should report a lossless conversion', async () => {
+    const Schema = z.object({ name: z.string(), tags: z.array(z.string()) });
+    const result = await convert(
+      Schema,
+      { from: 'json', to: 'yaml' },
+      '{"name":"a","tags":["x"]}',
+      { lossReport: true }
+    );
+
+    expect(result.data).toBe('name: a\ntags:\n  - x\n');
+    expect(result.lossReport).toEqual({
+      from: 'json',
+      to: 'yaml',
+      lossless: true,
+      verified: true,
+      losses: [],
+      summary: {},
+    });
+  });
+
+  it('should report coerced values and discarded comments', async () => {
+    const { lossReport } = await convert(EnvSchema, { from: 'yaml', to: 'env' }, yamlInput, {
+      lossReport: true,
+    });
+
+    expect(lossReport.lossless).toBe(false);
+    expect(lossReport.losses).toEqual([
+      {
+        kind: LossKind.COMMENTS,
+        path: [],
+        message: '1 comment in the yaml input was not carried over',
+      },
+      {
+        kind: LossKind.COERCED,
+        path: ['PORT'],
+        message: 'number at PORT was coerced to string "5432"',
+      },
+    ]);
+    expect(lossReport.summary).toEqual({ comments: 1, coerced: 1 });
+  });
+
+  it('should report nested structures flattened into CSV cells', async () => {
+    const Schema = z.object({
+      items: z.array(z.object({ name: z.string(), tags: z.array(z.string()) })),
+    });
+    const input = JSON.stringify({ items: [{ name: 'Ada', tags: ['math'] }] });
+    const { lossReport } = await convert(Schema, { from: 'json', to: 'csv' }, input, {
+      lossReport: true,
+    });
+
+    expect(lossReport.losses).toEqual([
+      {
+        kind: LossKind.FLATTENED,
+        path: ['items', 0, 'tags'],
+        message: 'array at items.0.tags was flattened into a string',
+      },
+    ]);
+  });
+
+  it('should compare a top-level array with the CSV rows read back', async () => {
+    const Schema = z.array(z.object({ a: z.object({ b: z.number() }), c: z.array(z.number()) }));
+    const { lossReport } = await convert(
+      Schema,
+      { from: 'json', to: 'csv' },
+      '[{"a":{"b":1},"c":[1,2]}]',
+      { lossReport: true }
+    );
+
+    expect(lossReport.losses).toEqual([
+      {
+        kind: LossKind.FLATTENED,
+        path: [0, 'a'],
+        message: 'object at 0.a was flattened into a string',
+      },
+      {
+        kind: LossKind.FLATTENED,
+        path: [0, 'c'],
+        message: 'array at 0.c was flattened into a string',
+      },
+    ]);
+  });
+
+  it('should classify dropped fields, precision and ordering', async () => {
+    registerAdapter('lossy-test', {
+      async parse(input) {
+        return { data: JSON.parse(input) };
+      },
+      async format(data) {
+        const { secret, ...rest } = data;
+        return { data: JSON.stringify({ ratio: Math.round(rest.ratio), name: rest.name }) };
+      },
+    });
+    const Schema = z.object({ name: z.string(), ratio: z.number(), secret: z.string() });
+    const { lossReport } = await convert(
+      Schema,
+      { from: 'json', to: 'lossy-test' },
+      '{"name":"a","ratio":0.4,"secret":"s"}',
+      { lossReport: true }
+    );
+
+    expect(lossReport.losses.map(loss => [loss.kind, loss.path])).toEqual([
+      [LossKind.PRECISION, ['ratio']],
+      [LossKind.DROPPED, ['secret']],
+      [LossKind.ORDERING, []],
+    ]);
+  });
+
+  it('should mark output that cannot be read back as unverified', async () => {
+    registerAdapter('write-only-test', {
+      async parse() {
+        throw new Error('not readable');
+      },
+      async format(data) {
+        return { data: String(data.name) };
+      },
+    });
+    const { lossReport } = await convert(
+      z.object({ name: z.string() }),
+      { from: 'json', to: 'write-only-test' },
+      '{"name":"a"}',
+      { lossReport: true }
+    );
+
+    expect(lossReport).toMatchObject({
+      lossless: false,
+      verified: false,
+      reason: 'write-only-test output could not be read back: not readable',
+    });
+  });
+
+  it('should keep provenance alongside the loss report', async () => {
+    const result = await convert(EnvSchema, { from: 'yaml', to: 'json' }, yamlInput, {
+      lossReport: true,
+      includeProvenance: true,
+    });
+
+    expect(result.provenance.targetFormat).toBe('json');
+    expect(result.lossReport.summary).toEqual({ comments: 1 });
+  });
+
+  describe('strictLossless', () => {
+    it('should return plain output for lossless conversions', async () => {
+      const output = await convert(
+        EnvSchema,
+        { from: 'json', to: 'yaml' },
+        '{"NAME":"a","PORT":1}',
+        { strictLossless: true }
+      );
+
+      expect(output).toBe('NAME: a\nPORT: 1\n');
+    });
+
+    it('should accept a flat top-level array written to CSV', async () => {
+      const output = await convert(
+        z.array(z.object({ a: z.string() })),
+        { from: 'json', to: 'csv' },
+        '[{"a":"x"}]',
+        { strictLossless: true }
+      );
+
+      expect(output).toBe('a\nx\n');
+    });
+
+    it('should reject lossy conversions', async () => {
+      const error = await convert(EnvSchema, { from: 'yaml', to: 'env' }, yamlInput, {
+        strictLossless: true,
+      }).catch(error_ => error_);
+
+      expect(error).toBeInstanceOf(ZTFLossError);
+      expect(error.report.summary).toEqual({ comments: 1, coerced: 1 });
+      expect(error.message).toBe(
+        'Lossy conversion from yaml to env:\n' +
+          'comments: 1 comment in the yaml input was not carried over\n' +
+          'coerced: number at PORT was coerced to string "5432"'
+      );
+    });
+
+    it('should attribute the failure to the target adapter in safeConvert', async () => {
+      const result = await safeConvert(EnvSchema, { from: 'yaml', to: 'env' }, yamlInput, {
+        strictLossless: true,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatchObject({ phase: 'adapter-format', adapter: 'env' });
+      expect(result.error.cause).toBeInstanceOf(ZTFLossError);
+    });
+  });
+});
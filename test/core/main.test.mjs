@@ -3,9 +3,19 @@
  * @fileoverview Comprehensive tests for parseFrom, formatTo, and convert functions
  */
 
-import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import { z } from 'zod';
-import { convert, formatTo, parseFrom, registerAdapter } from '../setup.mjs';
+import {
+  convert,
+  formatTo,
+  parseFrom,
+  registerAdapter,
+  safeConvert,
+  safeFormatTo,
+  safeParseFrom,
+  ZTFError,
+  ZTFErrorPhase,
+} from '../setup.mjs';
 
 describe('Core API - Main Functions', () => {
   // Test schemas for different data types
@@ -430,4 +440,94 @@ describe('Core API - Main Functions', () => {
       expect(result.largeArray[0]).toEqual({ id: 0, value: 'item-0' });
     });
   });
+
+  describe('Safe API', () => {
+    const input = JSON.stringify({ name: 'John', age: 30, active: true });
+
+    it('should return data and warnings on success', async () => {
+      const result = await safeParseFrom(SimpleSchema, 'json', input);
+
+      expect(result).toEqual({
+        success: true,
+        data: { name: 'John', age: 30, active: true },
+        warnings: [],
+      });
+    });
+
+    it('should report adapter parse failures', async () => {
+      const result = await safeParseFrom(SimpleSchema, 'json', '{ invalid');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBeInstanceOf(ZTFError);
+      expect(result.error.phase).toBe(ZTFErrorPhase.ADAPTER_PARSE);
+      expect(result.error.adapter).toBe('json');
+      expect(result.error.issues).toEqual([]);
+      expect(result.error.cause).toBeInstanceOf(Error);
+      expect(result.error.message).toBe(result.error.cause.message);
+    });
+
+    it('should report validation failures with Zod issues and transform warnings', async () => {
+      const result = await safeParseFrom(SimpleSchema, 'json', '{"name": "John", "age": "30"}', {
+        transform: { transforms: [{ field: 'name', fn: 'missing' }] },
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.phase).toBe('validate');
+      expect(result.error.issues.map(issue => issue.path)).toEqual([['age'], ['active']]);
+      expect(result.error.warnings).toEqual([
+        "Transform 'missing' on field 'name': Transform function 'missing' not found",
+      ]);
+      expect(structuredClone(result.error.toJSON())).toMatchObject({
+        name: 'ZTFError',
+        phase: 'validate',
+        adapter: 'json',
+        warnings: result.error.warnings,
+      });
+    });
+
+    it('should report adapter format failures', async () => {
+      registerAdapter('failing-format', {
+        async parse() {
+          return { data: {} };
+        },
+        async format() {
+          throw new Error('cannot format');
+        },
+      });
+
+      const result = await safeFormatTo(SimpleSchema, 'failing-format', JSON.parse(input));
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatchObject({
+        phase: 'adapter-format',
+        adapter: 'failing-format',
+        message: 'cannot format',
+      });
+    });
+
+    it('should attribute convert failures to the failing side', async () => {
+      const success = await safeConvert(SimpleSchema, { from: 'json', to: 'yaml' }, input);
+      expect(success.success).toBe(true);
+      expect(success.data).toContain('name: John');
+
+      const missingTarget = await safeConvert(SimpleSchema, { from: 'json', to: 'nope' }, input);
+      expect(missingTarget.error).toMatchObject({ phase: 'adapter-format', adapter: 'nope' });
+
+      const invalidSource = await safeConvert(SimpleSchema, { from: 'json', to: 'yaml' }, '{}');
+      expect(invalidSource.error).toMatchObject({ phase: 'validate', adapter: 'json' });
+    });
+
+    it('should not log transform warnings', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await safeParseFrom(SimpleSchema, 'json', input, {
+        transform: { transforms: [{ field: 'name', fn: 'missing' }] },
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.warnings).toHaveLength(1);
+      expect(warn).not.toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
 });
@@ -0,0 +1,252 @@
+/**
+ * Plugin Tests - Adapter packs discovered from installed packages
+ * @fileoverview Tests for plugin discovery, version checks, namespacing and lazy registration
+ */
+
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import {
+  discoverPlugins,
+  formatTo,
+  getAdapterInfo,
+  getZTFVersion,
+  parseFrom,
+  registerPlugins,
+} from '../setup.mjs';
+
+/**
+ * Entry module of a plugin providing one JSON-backed format
+ * @param {string} format - Format name
+ * @param {string} exportName - 'adapters' or 'default'
+ * @returns {string} Module source
+ */
+const adapterModule = (format, exportName) => `
+globalThis.ztfPluginImports = [...(globalThis.ztfPluginImports ?? []), '${format}'];
+const adapters = {
+  '${format}': {
+    async parse(input) {
+      return { data: JSON.parse(input.replace(/^${format.toUpperCase()} /, '')) };
+    },
+    async format(data) {
+      return { data: '${format.toUpperCase()} ' + JSON.stringify(data) };
+    },
+    version: '2.0.0',
+  },
+};
+${exportName === 'default' ? 'export default adapters;' : 'export { adapters };'}
+`;
+
+describe('Plugins', () => {
+  const Order = z.object({ id: z.number() });
+  let project;
+  let major;
+
+  /**
+   * Write a file in the test project, creating its directory
+   * @param {string} path - Path relative to the project
+   * @param {string|Object} content - File content, serialized as JSON when an object
+   */
+  const write = async (path, content) => {
+    await mkdir(dirname(join(project, path)), { recursive: true });
+    await writeFile(
+      join(project, path),
+      typeof content === 'string' ? content : JSON.stringify(content)
+    );
+  };
+
+  beforeAll(async () => {
+    major = Number((await getZTFVersion()).split('.')[0]);
+    project = await mkdtemp(join(tmpdir(), 'ztf-plugins-test-'));
+
+    await write('package.json', {
+      name: 'app',
+      dependencies: {
+        'ztf-pack-acme': '1.0.0',
+        '@globex/ztf-hl7': '1.0.0',
+        'left-pad': '1.0.0',
+      },
+      devDependencies: { '@acme/ztf-edi': '1.0.0', 'ztf-pack-legacy': '1.0.0' },
+    });
+    await write('node_modules/ztf-pack-acme/package.json', {
+      name: 'ztf-pack-acme',
+      version: '1.2.0',
+      main: 'index.mjs',
+      ztf: { formats: ['edi'], ztfVersion: `^${major}.0.0`, description: 'ACME EDI' },
+    });
+    await write('node_modules/ztf-pack-acme/index.mjs', adapterModule('edi', 'adapters'));
+    await write('node_modules/@globex/ztf-hl7/package.json', {
+      name: '@globex/ztf-hl7',
+      version: '0.3.0',
+      ztf: {
+        formats: ['hl7'],
+        ztfVersion: `<${major - 1}.0.0 || >=${major}.0.0`,
+        entry: 'lib/pack.mjs',
+      },
+    });
+    await write('node_modules/@globex/ztf-hl7/lib/pack.mjs', adapterModule('hl7', 'default'));
+    await write('node_modules/left-pad/package.json', { name: 'left-pad', version: '1.0.0' });
+    await write('node_modules/@acme/ztf-edi/package.json', {
+      name: '@acme/ztf-edi',
+      version: '1.0.0',
+      ztf: { formats: ['edi'], ztfVersion: '*' },
+    });
+    await write('node_modules/ztf-pack-legacy/package.json', {
+      name: 'ztf-pack-legacy',
+      version: '0.1.0',
+      ztf: { formats: ['fixed'], ztfVersion: `^${major + 1}.0.0` },
+    });
+  });
+
+  afterAll(async () => {
+    await rm(project, { recursive: true, force: true });
+  });
+
+  describe('discoverPlugins', () => {
+    it('should find dependencies declaring a ztf manifest, in dependency order', async () => {
+      const plugins = await discoverPlugins({ cwd: project });
+
+      expect(plugins.map(plugin => plugin.packageName)).toEqual([
+        'ztf-pack-acme',
+        '@globex/ztf-hl7',
+        '@acme/ztf-edi',
+        'ztf-pack-legacy',
+      ]);
+    });
+
+    it('should namespace formats and build the pack manifest', async () => {
+      const [acme, globex] = await discoverPlugins({ cwd: project });
+
+      expect(acme).toMatchObject({
+        namespace: 'acme',
+        compatible: true,
+        entry: join(project, 'node_modules/ztf-pack-acme/index.mjs'),
+        manifest: {
+          name: 'ztf-pack-acme',
+          formats: ['acme:edi'],
+          version: '1.2.0',
+          description: 'ACME EDI',
+          dependencies: [],
+        },
+      });
+      expect(globex).toMatchObject({
+        namespace: 'globex',
+        compatible: true,
+        entry: join(project, 'node_modules/@globex/ztf-hl7/lib/pack.mjs'),
+        manifest: { name: '@globex/ztf-hl7', formats: ['globex:hl7'] },
+      });
+    });
+
+    it('should mark plugins requiring another ZTF version as incompatible', async () => {
+      const plugins = await discoverPlugins({ cwd: project, packages: ['ztf-pack-legacy'] });
+
+      expect(plugins).toEqual([
+        expect.objectContaining({
+          compatible: false,
+          reason: `requires ZTF ^${major + 1}.0.0, running ${await getZTFVersion()}`,
+        }),
+      ]);
+    });
+
+    it('should report invalid manifests', async () => {
+      await write('node_modules/ztf-broken/package.json', {
+        name: 'ztf-broken',
+        version: '1.0.0',
+        ztf: { formats: ['a:b'] },
+      });
+      await write('node_modules/ztf-unversioned/package.json', {
+        name: 'ztf-unversioned',
+        version: '1.0.0',
+        ztf: { formats: ['x'] },
+      });
+
+      const plugins = await discoverPlugins({
+        cwd: project,
+        packages: ['ztf-broken', 'ztf-unversioned', 'not-installed'],
+      });
+
+      expect(plugins.map(plugin => plugin.reason)).toEqual([
+        'ztf.formats must be a non-empty array of format names without namespace',
+        'ztf.ztfVersion must declare the supported ZTF version range',
+      ]);
+    });
+
+    it('should find packages installed in a parent directory', async () => {
+      const nested = join(project, 'packages', 'api');
+      await write('packages/api/package.json', {
+        name: 'api',
+        dependencies: { 'ztf-pack-acme': '1.0.0' },
+      });
+
+      const plugins = await discoverPlugins({ cwd: nested });
+
+      expect(plugins.map(plugin => plugin.manifest.formats)).toEqual([['acme:edi']]);
+    });
+  });
+
+  describe('registerPlugins', () => {
+    let result;
+
+    beforeAll(async () => {
+      globalThis.ztfPluginImports = [];
+      result = await registerPlugins({ cwd: project });
+    });
+
+    it('should register compatible plugins and report the others', () => {
+      expect(result.registered.map(plugin => plugin.packageName)).toEqual([
+        'ztf-pack-acme',
+        '@globex/ztf-hl7',
+      ]);
+      expect(result.skipped.map(plugin => [plugin.packageName, plugin.reason])).toEqual([
+        ['@acme/ztf-edi', "format 'acme:edi' is already registered by 'ztf-pack-acme'"],
+        ['ztf-pack-legacy', expect.stringMatching(/^requires ZTF/)],
+      ]);
+    });
+
+    it('should import a plugin only on first use of one of its formats', async () => {
+      expect(globalThis.ztfPluginImports).toEqual([]);
+      expect(getAdapterInfo('acme:edi').pack).toBe('ztf-pack-acme');
+
+      await expect(parseFrom(Order, 'acme:edi', 'EDI {"id":1}')).resolves.toEqual({ id: 1 });
+      await expect(formatTo(Order, 'globex:hl7', { id: 2 })).resolves.toBe('HL7 {"id":2}');
+
+      expect(globalThis.ztfPluginImports).toEqual(['edi', 'hl7']);
+      expect(getAdapterInfo('globex:hl7')).toMatchObject({
+        version: '2.0.0',
+        pack: '@globex/ztf-hl7',
+      });
+    });
+
+    it('should not register formats under their bare names', () => {
+      expect(getAdapterInfo('edi')).toBeUndefined();
+      expect(getAdapterInfo('json').pack).toBe('ztf-pack-data');
+    });
+
+    it('should leave registered plugins in place when run again', async () => {
+      const again = await registerPlugins({ cwd: project });
+
+      expect(again.registered.map(plugin => plugin.packageName)).toEqual([
+        'ztf-pack-acme',
+        '@globex/ztf-hl7',
+      ]);
+      expect(globalThis.ztfPluginImports).toEqual(['edi', 'hl7']);
+    });
+
+    it('should fail on use when the entry does not export adapters', async () => {
+      await write('node_modules/ztf-empty/package.json', {
+        name: 'ztf-empty',
+        version: '1.0.0',
+        ztf: { formats: ['nothing'], ztfVersion: '*', entry: 'index.mjs' },
+      });
+      await write('node_modules/ztf-empty/index.mjs', 'export const name = "empty";\n');
+
+      await registerPlugins({ cwd: project, packages: ['ztf-empty'] });
+
+      await expect(parseFrom(Order, 'empty:nothing', '{}')).rejects.toThrow(
+        "Failed to load adapter pack 'ztf-empty': Plugin 'ztf-empty' must export an adapters object from its entry"
+      );
+    });
+  });
+});
@@ -4,11 +4,15 @@
  */
 
 import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { z } from 'zod';
 import {
   adapterSupports,
+  canRepresent,
   createPackManifest,
   createProvenance,
   deterministicStringify,
+  findByExtension,
+  findByMime,
   getAdapter,
   getAdapterInfo,
   listAdapters,
@@ -133,6 +137,11 @@ describe('Core API - Registry Functions', () => {
         isAI: true,
         hasParse: true,
         hasFormat: true,
+        extensions: [],
+        mimeTypes: [],
+        binary: false,
+        parseOnly: false,
+        formatOnly: false,
       });
     });
 
@@ -161,6 +170,11 @@ describe('Core API - Registry Functions', () => {
         isAI: false, // Default value
         hasParse: true,
         hasFormat: true,
+        extensions: [],
+        mimeTypes: [],
+        binary: false,
+        parseOnly: false,
+        formatOnly: false,
       });
     });
 
@@ -187,6 +201,162 @@ describe('Core API - Registry Functions', () => {
     });
   });
 
+  describe('Capability Metadata', () => {
+    it('should report declared capabilities', () => {
+      expect(getAdapterInfo('yaml')).toMatchObject({
+        extensions: ['yaml', 'yml'],
+        mimeTypes: expect.arrayContaining(['application/yaml']),
+        binary: false,
+        parseOnly: false,
+      });
+      expect(getAdapterInfo('pdf-text')).toMatchObject({ binary: true, parseOnly: true });
+      expect(getAdapterInfo('env').lossless).toEqual({
+        types: ['string', 'boolean', 'object'],
+        root: 'object',
+        maxDepth: 1,
+      });
+    });
+
+    it('should derive parse-only and format-only status from missing methods', () => {
+      registerAdapter('parse-only-test', {
+        async parse(input) {
+          return { data: input };
+        },
+      });
+
+      expect(getAdapterInfo('parse-only-test')).toMatchObject({
+        parseOnly: true,
+        formatOnly: false,
+      });
+    });
+
+    it('should find adapters by extension', () => {
+      expect(findByExtension('yml')).toEqual(['yaml']);
+      expect(findByExtension('.TOML')).toEqual(['toml']);
+      expect(findByExtension('config/app.settings.json')).toEqual(['json']);
+      expect(findByExtension('deploy/Dockerfile')).toEqual(['dockerfile']);
+      expect(findByExtension('unknown-ext')).toEqual([]);
+    });
+
+    it('should rank deterministic adapters before AI adapters', () => {
+      const matches = findByExtension('report.docx');
+
+      expect(matches[0]).toBe('docx-table');
+      expect(matches).toContain('docx-ai');
+    });
+
+    it('should find adapters by MIME type', () => {
+      expect(findByMime('text/calendar')).toEqual(['ics']);
+      expect(findByMime('Application/JSON; charset=utf-8')).toEqual(['json']);
+      expect(findByMime('application/x-unknown')).toEqual([]);
+    });
+  });
+
+  describe('Representation Checks', () => {
+    registerAdapter('flat-table-test', {
+      async parse(input) {
+        return { data: input, metadata: {} };
+      },
+      async format(data) {
+        return { data: JSON.stringify(data), metadata: {} };
+      },
+      lossless: { types: ['string', 'number', 'object', 'array'], root: 'array', maxDepth: 2 },
+    });
+
+    it('should accept schemas within the format profile', () => {
+      const schema = z.array(z.object({ name: z.string(), age: z.number().optional() }));
+
+      expect(canRepresent(schema, 'ndjson')).toEqual({
+        format: 'ndjson',
+        ok: true,
+        declared: true,
+        issues: [],
+      });
+      expect(canRepresent(z.object({ PORT: z.string(), DEBUG: z.boolean() }), 'env').ok).toBe(true);
+    });
+
+    it('should reject nesting beyond the declared depth', () => {
+      const schema = z.array(
+        z.object({ name: z.string(), address: z.object({ city: z.string() }) })
+      );
+      const report = canRepresent(schema, 'flat-table-test');
+
+      expect(report.ok).toBe(false);
+      expect(report.issues).toEqual([
+        {
+          path: ['*', 'address'],
+          type: 'object',
+          message:
+            'flat-table-test supports nesting up to depth 2, got a nested object at *.address',
+        },
+        {
+          path: ['*', 'address', 'city'],
+          type: 'string',
+          message:
+            'flat-table-test supports nesting up to depth 2, got a nested string at *.address.city',
+        },
+      ]);
+    });
+
+    it('should reject arrays and numbers in env files', () => {
+      const schema = z.object({ HOSTS: z.array(z.string()), PORT: z.number() });
+      const report = canRepresent(schema, 'env');
+
+      expect(report.issues.map(issue => issue.message)).toEqual([
+        'env cannot represent array values at HOSTS losslessly',
+        'env supports nesting up to depth 1, got a nested array at HOSTS',
+        'env supports nesting up to depth 1, got a nested string at HOSTS.*',
+        'env cannot represent number values at PORT losslessly',
+      ]);
+    });
+
+    it('should describe csv as flat records in an items field', () => {
+      const Row = z.object({ name: z.string(), age: z.number() });
+
+      expect(canRepresent(z.object({ items: z.array(Row) }), 'csv').ok).toBe(true);
+      expect(
+        canRepresent(z.object({ a: z.object({ b: z.string() }) }), 'csv').issues.map(
+          issue => issue.message
+        )
+      ).toEqual(["csv requires a top-level object with the 'items' field"]);
+      expect(
+        canRepresent(
+          z.object({ items: z.array(Row.extend({ address: z.object({ city: z.string() }) })) }),
+          'csv'
+        ).issues.map(issue => issue.message)
+      ).toEqual([
+        'csv supports nesting up to depth 2, got a nested object at items.*.address',
+        'csv supports nesting up to depth 2, got a nested string at items.*.address.city',
+      ]);
+    });
+
+    it('should check root kinds, unions and wrapped types', () => {
+      const schema = z
+        .object({ when: z.date().optional(), id: z.union([z.string(), z.bigint()]) })
+        .transform(value => value);
+
+      expect(canRepresent(schema, 'json').issues.map(issue => issue.type)).toEqual([
+        'date',
+        'bigint',
+      ]);
+      expect(canRepresent(schema, 'flat-table-test').issues[0].message).toBe(
+        'flat-table-test requires a top-level array, got object'
+      );
+    });
+
+    it('should treat adapters without a profile as capable', () => {
+      expect(canRepresent(z.object({ a: z.date() }), 'html')).toEqual({
+        format: 'html',
+        ok: true,
+        declared: false,
+        issues: [],
+      });
+      expect(() => canRepresent(z.string(), 'missing-format')).toThrow(
+        'No adapter found for format: missing-format'
+      );
+    });
+  });
+
   describe('Feature Support Checking', () => {
     it('should check streaming support', () => {
       const streamingAdapter = {
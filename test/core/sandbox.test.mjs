@@ -0,0 +1,246 @@
+/**
+ * Sandbox Tests - Isolated adapters and transforms in worker threads
+ * @fileoverview Tests for isolated execution, resource limits and crash containment
+ */
+
+import { describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import {
+  ZTFAbortError,
+  ZTFSandboxError,
+  applyTransform,
+  convert,
+  getAdapter,
+  getAdapterInfo,
+  parseFrom,
+  registerAdapter,
+  registerTransform,
+  safeParseFrom,
+} from '../setup.mjs';
+
+const fixtures = new URL('../fixtures/sandbox/isolated.mjs', import.meta.url);
+
+/**
+ * Register an adapter exported by the fixtures module in a sandbox
+ * @param {string} name - Format name
+ * @param {string} exportName - Export of the fixtures module
+ * @param {boolean|Object} [isolate] - Limits
+ * @param {Object} [metadata] - Adapter metadata
+ */
+const registerIsolated = (name, exportName, isolate = true, metadata = {}) =>
+  registerAdapter(name, { module: fixtures, export: exportName, ...metadata }, { isolate });
+
+registerIsolated('isolated-json', 'jsonAdapter', true, { extensions: ['ijson'], version: '2.0.0' });
+registerIsolated('isolated-guarded', 'guardedAdapter', { timeoutMs: 1000 });
+registerIsolated('isolated-bytes', 'bytesAdapter', true, { binary: true });
+
+describe('Sandbox', () => {
+  describe('isolated adapters', () => {
+    it('should run parse and format in a worker thread', async () => {
+      const adapter = getAdapter('isolated-json');
+
+      await expect(adapter.parse('{"id":1}')).resolves.toEqual({
+        data: { id: 1 },
+        metadata: { isMainThread: false },
+      });
+      await expect(adapter.format({ id: 1 })).resolves.toEqual({
+        data: '{"id":1}',
+        metadata: { isMainThread: false },
+      });
+    });
+
+    it('should work through the core API and keep the adapter metadata', async () => {
+      const Schema = z.object({ id: z.number() });
+
+      await expect(
+        convert(Schema, { from: 'isolated-json', to: 'json' }, '{"id":1}')
+      ).resolves.toBe('{\n  "id": 1\n}');
+      expect(getAdapter('isolated-json').isolated).toBe(true);
+      expect(getAdapterInfo('isolated-json')).toMatchObject({
+        extensions: ['ijson'],
+        version: '2.0.0',
+      });
+    });
+
+    it('should rethrow errors thrown by the adapter', async () => {
+      await expect(getAdapter('isolated-guarded').parse('fail')).rejects.toMatchObject({
+        name: 'RangeError',
+        message: 'bad input',
+        code: 'E_BAD_INPUT',
+      });
+
+      const result = await safeParseFrom(z.any(), 'isolated-guarded', 'fail');
+      expect(result.error).toMatchObject({ phase: 'adapter-parse', message: 'bad input' });
+    });
+
+    it('should pass Buffers in and out of the worker', async () => {
+      const adapter = getAdapter('isolated-bytes');
+
+      await expect(
+        parseFrom(
+          z.object({ isBuffer: z.boolean(), size: z.number() }),
+          'isolated-bytes',
+          Buffer.from('abc')
+        )
+      ).resolves.toEqual({ isBuffer: true, size: 3 });
+      const { data } = await adapter.format({ text: 'hi' });
+      expect(Buffer.isBuffer(data)).toBe(true);
+      expect(data.toString()).toBe('hi');
+    });
+
+    it('should isolate a built-in adapter such as zip', async () => {
+      registerAdapter(
+        'isolated-zip',
+        {
+          module: new URL('../../src/adapters/media.mjs', import.meta.url),
+          export: 'zipAdapter',
+          binary: true,
+        },
+        { isolate: { maxHeapMb: 64 } }
+      );
+      const archive = await getAdapter('zip').format({
+        files: [{ name: 'a.txt', type: 'file', content: 'hello' }],
+      });
+
+      const { data } = await getAdapter('isolated-zip').parse(archive.data);
+
+      expect(data.files[0]).toMatchObject({ name: 'a.txt', compression: 'deflate' });
+      expect(data.files[0].content.toString()).toBe('hello');
+    });
+
+    it('should reject options that cannot be passed to a worker', async () => {
+      await expect(
+        getAdapter('isolated-guarded').parse('ok', { callback: () => {} })
+      ).rejects.toThrow("Arguments of isolated adapter 'isolated-guarded' cannot be passed");
+    });
+
+    it('should queue calls beyond maxWorkers', async () => {
+      registerIsolated('isolated-slow', 'slowAdapter', { maxWorkers: 1 });
+      const adapter = getAdapter('isolated-slow');
+
+      const results = await Promise.all(['a', 'b', 'c'].map(input => adapter.parse(input)));
+
+      expect(results.map(result => result.data.input)).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  describe('limits and crash containment', () => {
+    it('should terminate a call exceeding its time limit and recover', async () => {
+      const adapter = getAdapter('isolated-guarded');
+
+      const error = await adapter.parse('loop').catch(error_ => error_);
+
+      expect(error).toBeInstanceOf(ZTFSandboxError);
+      expect(error).toMatchObject({
+        reason: 'timeout',
+        target: "adapter 'isolated-guarded'",
+        message: "Isolated adapter 'isolated-guarded' exceeded its time limit of 1000ms",
+      });
+      await expect(adapter.parse('ok')).resolves.toEqual({ data: { input: 'ok' } });
+    });
+
+    it('should contain a worker running out of memory', async () => {
+      registerIsolated('isolated-hog', 'hogAdapter', { maxHeapMb: 16, timeoutMs: 20_000 });
+
+      const error = await getAdapter('isolated-hog')
+        .parse('')
+        .catch(error_ => error_);
+
+      expect(error).toBeInstanceOf(ZTFSandboxError);
+      expect(error.reason).toBe('memory');
+      expect(error.message).toBe("Isolated adapter 'isolated-hog' exceeded its heap limit of 16MB");
+    });
+
+    it('should contain a worker that exits', async () => {
+      registerIsolated('isolated-crash', 'crashAdapter');
+
+      const error = await getAdapter('isolated-crash')
+        .parse('')
+        .catch(error_ => error_);
+
+      expect(error).toBeInstanceOf(ZTFSandboxError);
+      expect(error).toMatchObject({
+        reason: 'crash',
+        message: "Isolated adapter 'isolated-crash' worker exited with code 3",
+      });
+    });
+
+    it('should terminate the worker when the operation is cancelled', async () => {
+      registerIsolated('isolated-patient', 'guardedAdapter', { timeoutMs: 60_000 });
+      const started = Date.now();
+
+      const error = await parseFrom(z.any(), 'isolated-patient', 'loop', { timeoutMs: 100 }).catch(
+        error_ => error_
+      );
+
+      expect(error).toBeInstanceOf(ZTFAbortError);
+      expect(Date.now() - started).toBeLessThan(5000);
+      await expect(getAdapter('isolated-patient').parse('ok')).resolves.toEqual({
+        data: { input: 'ok' },
+      });
+    });
+  });
+
+  describe('registration', () => {
+    it('should require a module reference', () => {
+      expect(() =>
+        registerAdapter('isolated-inline', { async parse() {} }, { isolate: true })
+      ).toThrow("Isolated adapter 'isolated-inline' must be given as a module reference");
+      expect(() =>
+        registerAdapter('isolated-relative', { module: './adapter.mjs' }, { isolate: true })
+      ).toThrow("module './adapter.mjs' is relative");
+    });
+
+    it('should reject schema-aware adapters and invalid limits', () => {
+      expect(() =>
+        registerIsolated('isolated-schema', 'jsonAdapter', true, { schemaAware: true })
+      ).toThrow('cannot be schemaAware');
+      expect(() => registerIsolated('isolated-limits', 'jsonAdapter', { timeoutMs: 0 })).toThrow(
+        'isolate.timeoutMs must be a positive number, got 0'
+      );
+    });
+  });
+
+  describe('isolated transforms', () => {
+    registerTransform(
+      'isolatedSlugify',
+      { module: fixtures, export: 'slugify' },
+      { isolate: true }
+    );
+    registerTransform(
+      'isolatedSpin',
+      { module: fixtures, export: 'spin' },
+      { isolate: { timeoutMs: 500 } }
+    );
+
+    it('should apply a transform in a worker thread', async () => {
+      const Schema = z.object({ title: z.string() });
+
+      const output = await convert(
+        Schema,
+        { from: 'json', to: 'json' },
+        '{"title":"Hello World"}',
+        { transform: { transforms: [{ field: 'title', fn: 'isolatedSlugify' }] } }
+      );
+
+      expect(JSON.parse(output)).toEqual({ title: 'hello-world' });
+    });
+
+    it('should report a runaway transform as a transform error', async () => {
+      const result = await applyTransform(
+        { title: 'a' },
+        { transforms: [{ field: 'title', fn: 'isolatedSpin' }] }
+      );
+
+      expect(result.errors).toEqual([
+        "Transform 'isolatedSpin' on field 'title': Isolated transform 'isolatedSpin' exceeded its time limit of 500ms",
+      ]);
+    });
+
+    it('should require a module reference', () => {
+      expect(() => registerTransform('inline', value => value, { isolate: true })).toThrow(
+        "Isolated transform 'inline' must be given as a module reference"
+      );
+    });
+  });
+});
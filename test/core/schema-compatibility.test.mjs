@@ -0,0 +1,114 @@
+/**
+ * Schema Compatibility Tests - Structural comparison of schema versions
+ * @fileoverview Tests for the changes diffSchemas reports and the directions they break
+ */
+
+import { describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import { diffSchemas, SchemaChangeKind } from '../setup.mjs';
+
+/**
+ * Changes between two schemas as [kind, path, breaks] triples
+ * @param {import('zod').ZodTypeAny} before - Old schema
+ * @param {import('zod').ZodTypeAny} after - New schema
+ * @returns {Array<[string, string, string]>} Changes
+ */
+const changes = (before, after) =>
+  diffSchemas(before, after).changes.map(change => [
+    change.kind,
+    change.path,
+    change.breaks.join('+'),
+  ]);
+
+describe('Schema Compatibility', () => {
+  describe('diffSchemas', () => {
+    it('should report no changes between equivalent schemas', () => {
+      const Tree = z.lazy(() => z.object({ label: z.string(), children: z.array(Tree) }));
+      const User = z.object({ id: z.string().uuid(), tags: z.array(z.string()).max(5) });
+
+      expect(diffSchemas(Tree, Tree)).toEqual({ changes: [], additions: [], removals: [] });
+      expect(changes(User, User.describe('A user').readonly())).toEqual([]);
+    });
+
+    it('should report added, removed and re-flagged fields', () => {
+      const before = z.object({ id: z.string(), name: z.string(), note: z.string().optional() });
+      const after = z.object({
+        id: z.string().nullable(),
+        name: z.string().optional(),
+        note: z.string(),
+        email: z.string(),
+      });
+
+      expect(changes(before, after)).toEqual([
+        [SchemaChangeKind.NULLABLE_ADDED, 'id', 'forward'],
+        [SchemaChangeKind.REQUIRED_TO_OPTIONAL, 'name', 'forward'],
+        [SchemaChangeKind.OPTIONAL_TO_REQUIRED, 'note', 'backward'],
+        [SchemaChangeKind.FIELD_ADDED, 'email', 'backward'],
+      ]);
+      expect(diffSchemas(after, before).removals).toEqual(['email']);
+      expect(changes(after, before)).toContainEqual([
+        SchemaChangeKind.FIELD_REMOVED,
+        'email',
+        'forward',
+      ]);
+    });
+
+    it('should treat unknown keys by the strictness of the objects', () => {
+      const loose = z.object({ id: z.string(), legacy: z.string().optional() });
+      const strict = z.object({ id: z.string() }).strict();
+
+      expect(diffSchemas(loose, strict).changes.map(change => change.message)).toEqual([
+        "field 'legacy' was removed",
+        'object at the root narrowed: unknown keys are no longer accepted',
+      ]);
+      expect(changes(loose, z.object({ id: z.string() }))).toEqual([]);
+    });
+
+    it('should report narrowed and widened types', () => {
+      const before = z.object({
+        count: z.number(),
+        code: z.string().max(10),
+        status: z.string(),
+        id: z.union([z.string(), z.number()]),
+        when: z.date().min(new Date('2024-01-01')),
+      });
+      const after = z.object({
+        count: z.number().int().nonnegative(),
+        code: z
+          .string()
+          .max(12)
+          .regex(/^[A-Z]+$/),
+        status: z.enum(['open', 'closed']),
+        id: z.string(),
+        when: z.date(),
+      });
+
+      expect(diffSchemas(before, after).changes.map(change => change.message)).toEqual([
+        "type at 'count' narrowed from number to integer",
+        "number at 'count' narrowed: minimum changed from none to 0",
+        "string at 'code' narrowed: must now match regex /^[A-Z]+$/",
+        "string length at 'code' widened: maximum changed from 10 to 12",
+        "type at 'status' narrowed from string to enum",
+        "type at 'id' narrowed: number option no longer accepted",
+        "date at 'when' widened: minimum changed from 2024-01-01T00:00:00.000Z to none",
+      ]);
+    });
+
+    it('should report enum values and changed types inside collections', () => {
+      const before = z.object({
+        roles: z.array(z.enum(['admin', 'user'])),
+        scores: z.record(z.number()),
+      });
+      const after = z.object({
+        roles: z.array(z.enum(['user', 'guest'])),
+        scores: z.record(z.string()),
+      });
+
+      expect(changes(before, after)).toEqual([
+        [SchemaChangeKind.ENUM_VALUE_REMOVED, 'roles.*', 'backward'],
+        [SchemaChangeKind.ENUM_VALUE_ADDED, 'roles.*', 'forward'],
+        [SchemaChangeKind.TYPE_CHANGED, 'scores.*', 'backward+forward'],
+      ]);
+    });
+  });
+});
@@ -20,6 +20,9 @@ import {
   getDependencies,
   getDependents,
   checkCompatibility,
+  testCompatibility,
+  setCompatibility,
+  getCompatibility,
   validateSchema,
   exportRegistry,
   importRegistry,
@@ -35,6 +38,7 @@ import {
   RemoteRegistry,
   createSynchronizer,
 } from '../../src/core/schema-store.mjs';
+import { ZTFCompatibilityError } from '../../src/core/errors.mjs';
 
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
@@ -429,35 +433,122 @@ describe('Schema Registry', () => {
     });
 
     it('should detect incompatible versions', () => {
-      // Note: The current checkCompatibility implementation uses a simple hash
-      // which may not detect all schema differences (limitation of toString()).
-      // In a production implementation, you would use a more sophisticated
-      // schema comparison algorithm.
-
-      // Create a schema with significantly different structure
       const ModifiedSchema = z.object({
-        id: z.number(), // Different type - should produce different hash
-        username: z.string(), // Different field name
+        id: z.number(),
+        username: z.string(),
       });
-
-      // First ensure we have version 1.0.0
-      const v1Exists = getSchema('User', '1.0.0');
-      if (!v1Exists) {
-        registerSchema('User', UserSchema, { version: '1.0.0' });
-      }
-
-      // Register the modified version
       registerSchema('User', ModifiedSchema, { version: '2.0.0' });
 
       const diff = checkCompatibility('User', '1.0.0', '2.0.0');
 
-      // The implementation marks any schema change as breaking
-      // If schemas are identical, compatible will be true; otherwise false
-      // This is a simplified compatibility check - production would need deeper analysis
-      expect(diff).toHaveProperty('compatible');
-      expect(diff).toHaveProperty('breakingChanges');
-      expect(diff).toHaveProperty('additions');
-      expect(diff).toHaveProperty('removals');
+      expect(diff.compatible).toBe(false);
+      expect(diff.breakingChanges).toEqual([
+        "type at 'id' changed from string to number",
+        "required field 'username' was added",
+      ]);
+      expect(diff.additions).toEqual(['username']);
+      expect(diff.removals).toEqual(['name', 'email', 'age']);
+    });
+
+    it('should check the direction of each compatibility mode', () => {
+      registerSchema('User', UserSchema.omit({ age: true }).extend({ role: z.string() }), {
+        version: '2.0.0',
+      });
+
+      const modes = ['NONE', 'BACKWARD', 'FORWARD', 'FULL'].map(mode =>
+        checkCompatibility('User', '1.0.1', '2.0.0', { mode })
+      );
+
+      expect(modes.map(diff => diff.breakingChanges)).toEqual([
+        [],
+        ["required field 'role' was added"],
+        [],
+        ["required field 'role' was added"],
+      ]);
+      expect(modes[0].changes.map(change => change.kind)).toEqual(['field-added']);
+      expect(() => checkCompatibility('User', '1.0.0', '2.0.0', { mode: 'LENIENT' })).toThrow(
+        'Unknown compatibility mode: LENIENT'
+      );
+    });
+
+    it('should compare against every earlier version in transitive modes', () => {
+      registerSchema('Status', z.enum(['draft', 'live', 'archived']), { version: '1.0.0' });
+      registerSchema('Status', z.enum(['draft', 'live']), { version: '1.1.0' });
+      registerSchema('Status', z.enum(['draft', 'live', 'deleted']), { version: '1.2.0' });
+
+      const latest = checkCompatibility('Status', '1.1.0', '1.2.0', { mode: 'FULL' });
+      const transitive = checkCompatibility('Status', '1.1.0', '1.2.0', {
+        mode: 'BACKWARD_TRANSITIVE',
+      });
+
+      expect(latest.breakingChanges).toEqual(['enum value "deleted" was added at the root']);
+      expect(transitive).toMatchObject({
+        compatible: false,
+        versions: ['1.1.0', '1.0.0'],
+        breakingChanges: ['enum value "archived" was removed at the root (since Status@1.0.0)'],
+      });
+    });
+  });
+
+  describe('compatibility enforcement', () => {
+    it('should not enforce compatibility unless a mode is set', () => {
+      registerSchema('User', UserSchema, { version: '1.0.0' });
+
+      expect(getCompatibility('User')).toBe('NONE');
+      expect(() =>
+        registerSchema('User', z.object({ id: z.number() }), { version: '2.0.0' })
+      ).not.toThrow();
+    });
+
+    it('should reject versions that break the mode set for the name', () => {
+      registerSchema('User', UserSchema, { version: '1.0.0' });
+      setCompatibility('User', 'BACKWARD');
+      const Required = UserSchema.required();
+
+      expect(() => registerSchema('User', Required, { version: '1.1.0' })).toThrow(
+        "Schema User@1.1.0 is not BACKWARD compatible:\nfield 'age' changed from optional to required"
+      );
+      expect(listVersions('User')).toEqual(['1.0.0']);
+
+      registerSchema('User', UserSchema.extend({ role: z.string().optional() }), {
+        version: '1.1.0',
+      });
+      expect(listVersions('User')).toEqual(['1.0.0', '1.1.0']);
+    });
+
+    it('should keep the mode given on registration and report the failed check', () => {
+      registerSchema('User', UserSchema, { version: '1.0.0', compatibility: 'FORWARD' });
+
+      expect(getCompatibility('User')).toBe('FORWARD');
+      const error = (() => {
+        try {
+          registerSchema('User', UserSchema.omit({ email: true }), { version: '2.0.0' });
+        } catch (error) {
+          return error;
+        }
+      })();
+      expect(error).toBeInstanceOf(ZTFCompatibilityError);
+      expect(error.subject).toBe('User@2.0.0');
+      expect(error.result).toMatchObject({
+        mode: 'FORWARD',
+        removals: ['email'],
+        breakingChanges: ["required field 'email' was removed"],
+      });
+    });
+
+    it('should test a candidate schema before registering it', () => {
+      registerSchema('User', UserSchema, { version: '1.0.0' });
+      registerSchema('User', UserSchema.partial(), { version: '2.0.0' });
+
+      expect(testCompatibility('User', UserSchema, { mode: 'BACKWARD' }).breakingChanges).toEqual([
+        "field 'id' changed from optional to required",
+        "field 'name' changed from optional to required",
+        "field 'email' changed from optional to required",
+      ]);
+      expect(
+        testCompatibility('User', UserSchema, { mode: 'BACKWARD', version: '1.5.0' })
+      ).toMatchObject({ compatible: true, versions: ['1.0.0'] });
+      expect(testCompatibility('Unknown', UserSchema, { mode: 'FULL' }).compatible).toBe(true);
     });
   });
 
@@ -0,0 +1,170 @@
+/**
+ * Source Location Tests - Validation errors mapped to the input text
+ * @fileoverview Tests for ZTFValidationError, code frames and the adapter locators
+ */
+
+import { describe, expect, it } from 'vitest';
+import { z, ZodError } from 'zod';
+import {
+  createCodeFrame,
+  getAdapter,
+  locateCSV,
+  locateJSON,
+  parseFrom,
+  toJSONPointer,
+  ZTFValidationError,
+} from '../setup.mjs';
+
+const ConfigSchema = z.object({
+  name: z.string(),
+  services: z.array(z.object({ name: z.string(), port: z.number() })),
+});
+
+/**
+ * Run parseFrom and return the error it throws
+ * @param {...unknown} args - parseFrom arguments
+ * @returns {Promise<ZTFValidationError>} Thrown error
+ */
+async function parseError(...args) {
+  try {
+    await parseFrom(...args);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected parseFrom to throw');
+}
+
+describe('Source locations', () => {
+  describe('helpers', () => {
+    it('should escape JSON pointer segments', () => {
+      expect(toJSONPointer(['a/b', 'c~d', 0])).toBe('/a~1b/c~0d/0');
+      expect(toJSONPointer([])).toBe('');
+    });
+
+    it('should locate every JSON value', () => {
+      const positions = locateJSON('{\n  "a": [1, {"b": "x"}],\n  "c": null\n}');
+      expect(positions['']).toEqual({ line: 1, column: 1 });
+      expect(positions['/a/1/b']).toEqual({ line: 2, column: 18 });
+      expect(positions['/c']).toEqual({ line: 3, column: 8 });
+    });
+
+    it('should locate CSV fields by header name', () => {
+      const positions = locateCSV('name,age\n"Smith, J",30\n\nann,"x"\n');
+      expect(positions['/0/age']).toEqual({ line: 2, column: 12 });
+      expect(positions['/1/name']).toEqual({ line: 4, column: 1 });
+      expect(locateCSV('a;b\n1;2', { delimiter: ';', columns: false })['/0/1']).toEqual({
+        line: 1,
+        column: 3,
+      });
+    });
+
+    it('should render a code frame with a caret', () => {
+      const frame = createCodeFrame(
+        'one\ntwo\n\tthree\nfour',
+        { line: 3, column: 3 },
+        { context: 1 }
+      );
+      expect(frame).toBe(['  2 | two', '> 3 | \tthree', '    | \t ^', '  4 | four'].join('\n'));
+    });
+  });
+
+  describe('parseFrom errors', () => {
+    it('should report line and column for JSON input', async () => {
+      const input = '{\n  "name": "app",\n  "services": [\n    {"name": "a", "port": "80"}\n  ]\n}';
+      const error = await parseError(ConfigSchema, 'json', input);
+
+      expect(error).toBeInstanceOf(ZTFValidationError);
+      expect(error).toBeInstanceOf(ZodError);
+      expect(error.cause).toBeInstanceOf(ZodError);
+      expect(error.issues[0].path).toEqual(['services', 0, 'port']);
+      expect(error.issues[0].location).toMatchObject({
+        line: 4,
+        column: 27,
+        pointer: '/services/0/port',
+        exact: true,
+      });
+      expect(error.message).toContain(
+        'line 4, col 27: Expected number, received string (services[0].port)'
+      );
+      expect(error.message).toContain('> 4 |     {"name": "a", "port": "80"}');
+    });
+
+    it('should report line and column for YAML input', async () => {
+      const input = [
+        'name: app',
+        'services:',
+        '  - name: web',
+        '    port: 80',
+        '  - name: db',
+        '    port: five',
+      ].join('\n');
+      const error = await parseError(ConfigSchema, 'yaml', input);
+
+      expect(error.message).toMatch(/^Invalid yaml input: 1 validation issue\n/);
+      expect(error.issues[0].location).toMatchObject({ line: 6, column: 11 });
+    });
+
+    it('should report line and column for TOML input', async () => {
+      const input = 'name = "app"\n\n[[services]]\nname = "web"\nport = "80"\n';
+      const error = await parseError(ConfigSchema, 'toml', input);
+
+      expect(error.issues[0].location).toMatchObject({ line: 5, column: 8, exact: true });
+    });
+
+    it('should report line and column for INI and env input', async () => {
+      const iniError = await parseError(
+        z.object({ database: z.object({ port: z.number() }) }),
+        'ini',
+        '[database]\nport = 5432\n'
+      );
+      expect(iniError.issues[0].location).toMatchObject({ line: 2, column: 8 });
+
+      const envError = await parseError(
+        z.object({ HOST: z.string(), DEBUG: z.boolean() }),
+        'env',
+        'HOST=localhost\nDEBUG = yes\n'
+      );
+      expect(envError.message).toContain(
+        'line 2, col 9: Expected boolean, received string (DEBUG)'
+      );
+    });
+
+    it('should report line and column for CSV input', async () => {
+      const schema = z.object({ items: z.array(z.object({ name: z.string(), age: z.number() })) });
+      const error = await parseError(schema, 'csv', 'name,age\nann,30\nbob,unknown\n');
+
+      expect(error.issues[0].location).toMatchObject({
+        line: 3,
+        column: 5,
+        pointer: '/items/1/age',
+      });
+    });
+
+    it('should fall back to the closest located ancestor for missing values', async () => {
+      const input = '{\n  "name": "app",\n  "services": [\n    {"name": "a"}\n  ]\n}';
+      const error = await parseError(ConfigSchema, 'json', input);
+
+      expect(error.issues[0].location).toMatchObject({
+        line: 4,
+        column: 5,
+        pointer: '/services/0',
+        exact: false,
+      });
+    });
+
+    it('should still throw a plain-path error when the adapter cannot locate values', async () => {
+      const error = await parseError(z.object({ count: z.number() }), 'json', '{"count": "1"}', {
+        transform: { transforms: [] },
+      });
+
+      expect(error).toBeInstanceOf(ZTFValidationError);
+      expect(error.issues[0].location).toBeUndefined();
+      expect(error.message).toContain('count: Expected number, received string');
+    });
+
+    it('should locate values through the adapter directly', () => {
+      const positions = getAdapter('yaml').locate('a:\n  - b: 1\n    c: 2\n');
+      expect(positions['/a/0/c']).toEqual({ line: 3, column: 8 });
+    });
+  });
+});
@@ -6,7 +6,7 @@
 import { join } from 'node:path';
 import { beforeEach, describe, expect, it } from 'vitest';
 import { z } from 'zod';
-import { convert, formatTo, parseFrom } from '../setup.mjs';
+import { checkProperty, convert, formatTo, parseFrom } from '../setup.mjs';
 
 describe('Fuzz Testing', () => {
   const SimpleSchema = z.object({
@@ -226,6 +226,23 @@ describe('Fuzz Testing', () => {
     });
   });
 
+  describe('Schema-Generated Data', () => {
+    for (const format of ['json', 'yaml', 'msgpack']) {
+      it(`should round-trip generated values through ${format}`, async () => {
+        const result = await checkProperty(
+          ComplexSchema,
+          async data => {
+            const output = await formatTo(ComplexSchema, format, data);
+            expect(await parseFrom(ComplexSchema, format, output)).toEqual(data);
+          },
+          { seed: 20_241_019, runs: 50 }
+        );
+
+        expect(result.failure).toBeUndefined();
+      });
+    }
+  });
+
   describe('Boundary Value Testing', () => {
     it('should handle boundary values for numbers', async () => {
       const boundaryValues = [
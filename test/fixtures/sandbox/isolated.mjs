@@ -0,0 +1,87 @@
+/**
+ * Sandbox Fixtures - Adapters and transforms the sandbox tests load in worker threads
+ * @fileoverview Well-behaved, failing, runaway and crashing code for isolated execution tests
+ */
+
+import { isMainThread } from 'node:worker_threads';
+
+/**
+ * Busy-wait forever
+ */
+function spinForever() {
+  let spins = 0;
+  for (;;) {
+    spins++;
+  }
+}
+
+export const jsonAdapter = {
+  async parse(input) {
+    return { data: JSON.parse(input), metadata: { isMainThread } };
+  },
+  async format(data) {
+    return { data: JSON.stringify(data), metadata: { isMainThread } };
+  },
+};
+
+export const guardedAdapter = {
+  async parse(input) {
+    if (input === 'loop') {
+      spinForever();
+    }
+    if (input === 'fail') {
+      throw Object.assign(new RangeError('bad input'), { code: 'E_BAD_INPUT' });
+    }
+    return { data: { input } };
+  },
+};
+
+export const hogAdapter = {
+  async parse() {
+    const chunks = [];
+    for (;;) {
+      chunks.push(Array.from({ length: 100_000 }, (_, index) => ({ index })));
+    }
+  },
+};
+
+export const crashAdapter = {
+  async parse() {
+    process.exit(3);
+  },
+};
+
+export const bytesAdapter = {
+  async parse(input) {
+    return { data: { isBuffer: Buffer.isBuffer(input), size: input.length } };
+  },
+  async format(data) {
+    return { data: Buffer.from(data.text) };
+  },
+};
+
+/**
+ * Slow adapter, to fill the worker pool
+ */
+export const slowAdapter = {
+  async parse(input) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return { data: { input } };
+  },
+};
+
+/**
+ * Turn a value into a URL slug
+ * @param {string} value - Value to convert
+ * @returns {string} Slug
+ */
+export function slugify(value) {
+  return value.toLowerCase().replaceAll(/\W+/g, '-');
+}
+
+/**
+ * Transform that never returns
+ */
+export function spin() {
+  spinForever();
+}